@@ -4,6 +4,8 @@ pragma solidity ^0.8.28;
 // Uncomment this line to use console.log
 // import "hardhat/console.sol";
 
+import {IERC20} from "./interfaces/IERC20.sol";
+
 contract Escrow {
     error Unauthorized();
     error InvalidStatus();
@@ -17,20 +19,85 @@ contract Escrow {
     error MilestoneExists();
     error MilestoneNotFound();
     error ZeroAmount();
-    error ProjectExists();
     error ProjectNotFound();
+    error InvalidArbiter();
+    error MilestoneDisputed();
+    error NotDisputed();
+    error InvalidSplit();
+    error WrongAsset();
+    error UnsupportedToken();
+    error TokenTransferFailed();
+    error InvalidSchedule();
+    error DeadlinePassed();
+    error DeadlineNotPassed();
+    error ReviewPeriodActive();
+    error ReviewPeriodOver();
+    error AlreadySubmitted();
+    error NothingToWithdraw();
+    error InvalidRecipient();
+    error MilestoneFullyFunded();
+    error AmendmentNotFound();
+    error InvalidSignature();
+    error SignatureExpired();
+    error NonceUsed();
+    error FeeTooHigh();
+    error InvalidTreasury();
+    error ContractPaused();
+    error RescueExceedsSurplus();
+    error InvalidBatch();
+    error BidExpired();
+    error BidAmountMismatch();
+    error InvalidPayees();
+    error SplitMismatch();
+    error SubmittedWorkPending();
+    error CancellationNotFound();
+    error CancellationMismatch();
 
-    event ProjectCreated(uint64 indexed projectId, address indexed client);
+    event ProjectCreated(
+        uint64 indexed projectId,
+        address indexed client,
+        address indexed arbiter,
+        address token,
+        bytes32 specHash
+    );
     event BidPlaced(
         uint64 indexed projectId,
         address indexed bidder,
-        uint256 amountWei
+        uint256 amountWei,
+        uint64 expiry
+    );
+    event BidUpdated(
+        uint64 indexed projectId,
+        address indexed bidder,
+        uint256 previousAmountWei,
+        uint256 amountWei,
+        uint64 expiry
     );
+    event BidWithdrawn(uint64 indexed projectId, address indexed bidder);
     event BidAccepted(uint64 indexed projectId, address indexed bidder);
+    // Empty arrays mean the bidder is paid alone.
+    event BidPayeesSet(
+        uint64 indexed projectId,
+        address indexed bidder,
+        address[] payees,
+        uint16[] sharesBps
+    );
+    event SplitProposed(
+        uint64 indexed projectId,
+        address indexed proposer,
+        bytes32 splitHash,
+        address[] payees,
+        uint16[] sharesBps
+    );
+    event SplitApproved(uint64 indexed projectId, address indexed payee, bytes32 splitHash);
+    event SplitChanged(uint64 indexed projectId, bytes32 splitHash);
     event MilestoneCreated(
         uint64 indexed projectId,
         uint16 indexed index,
-        uint256 amountWei
+        uint256 amountWei,
+        uint64 deadline,
+        uint32 reviewPeriod,
+        bytes32 specHash
     );
     event MilestoneFunded(
         uint64 indexed projectId,
@@ -38,13 +105,96 @@ contract Escrow {
         uint256 fundedWei,
         uint256 totalFundedWei
     );
-    event MilestoneSubmitted(uint64 indexed projectId, uint16 indexed index);
+    event MilestoneSubmitted(uint64 indexed projectId, uint16 indexed index, bytes32 deliverableHash);
+    // amountWei is the gross payout; netWei is what the freelancer is
+    // credited after the platform fee.
     event MilestoneReleased(
         uint64 indexed projectId,
         uint16 indexed index,
+        uint256 amountWei,
+        uint256 feeWei,
+        uint256 netWei
+    );
+    event MilestoneReclaimed(
+        uint64 indexed projectId,
+        uint16 indexed index,
+        uint256 refundedWei
+    );
+    event MilestoneAmendmentProposed(
+        uint64 indexed projectId,
+        uint16 indexed index,
+        uint256 amountWei,
+        uint64 deadline,
+        uint32 reviewPeriod
+    );
+    event MilestoneAmended(
+        uint64 indexed projectId,
+        uint16 indexed index,
+        uint256 amountWei,
+        uint64 deadline,
+        uint32 reviewPeriod,
+        uint256 refundedWei
+    );
+    event MilestoneCancelled(
+        uint64 indexed projectId,
+        uint16 indexed index,
+        uint256 refundedWei
+    );
+    event ProjectClosed(
+        uint64 indexed projectId,
+        uint256 refundedWei,
+        uint256 feeWei,
+        uint256 netWei
+    );
+    // Gross amounts; feeWei is what the platform fee took from both.
+    event CancellationProposed(
+        uint64 indexed projectId,
+        address indexed proposedBy,
+        uint256 freelancerWei,
+        uint256 clientWei
+    );
+    event ProjectCancelled(
+        uint64 indexed projectId,
+        uint256 freelancerWei,
+        uint256 clientWei,
+        uint256 feeWei
+    );
+    event FreelancerResigned(uint64 indexed projectId, address indexed freelancer);
+    event DisputeOpened(
+        uint64 indexed projectId,
+        uint16 indexed index,
+        address indexed openedBy
+    );
+    // freelancerWei is gross; the fee is taken from it and netWei is what the
+    // payees received.
+    event DisputeResolved(
+        uint64 indexed projectId,
+        uint16 indexed index,
+        uint256 freelancerWei,
+        uint256 clientWei,
+        uint256 feeWei,
+        uint256 netWei
+    );
+    event NonceCancelled(address indexed account, uint256 nonce);
+    event FeeUpdated(uint16 feeBps, bool chargeFeeOnClose);
+    event TreasuryUpdated(address indexed treasury);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event GuardianUpdated(address indexed guardian);
+    event Paused(address account);
+    event Unpaused(address account);
+    event TokensRescued(address indexed token, address indexed to, uint256 amountWei);
+    event PaymentCredited(
+        address indexed account,
+        address indexed token,
+        uint256 amountWei
+    );
+    event Withdrawn(
+        address indexed account,
+        address indexed token,
+        address to,
         uint256 amountWei
     );
-    event ProjectClosed(uint64 indexed projectId, uint256 refundedWei);
 
     enum ProjectStatus {
         Open,
@@ -55,27 +205,148 @@ contract Escrow {
     struct Project {
         address client;
         address freelancer;
+        address arbiter;
+        // ERC-20 the project is paid in; address(0) for native ETH.
+        address token;
+        // Content hash of the agreed spec, e.g. a sha-256 digest or the
+        // digest inside an IPFS CID; zero if none was given.
+        bytes32 specHash;
         ProjectStatus status;
         uint256 vaultBalance;
+        uint256 disputedWei;
+        // Funds and number of milestones submitted but not yet released,
+        // disputed ones included. Not kept up once the project is closed.
+        uint256 submittedWei;
+        uint32 submittedCount;
         bool exists;
     }
 
     struct Bid {
         uint256 amountWei;
+        // Last moment the client can accept the bid; 0 if it never expires.
+        uint64 expiry;
         bool exists;
     }
 
     struct Milestone {
         uint256 amountWei;
         uint256 fundedWei;
+        // Content hashes like Project.specHash. deliverableHash is set by
+        // the latest submission.
+        bytes32 specHash;
+        bytes32 deliverableHash;
+        // Last moment the freelancer can submit.
+        uint64 deadline;
+        uint64 submittedAt;
+        // Seconds the client has after submission before the freelancer can
+        // claim the payout.
+        uint32 reviewPeriod;
         bool submitted;
         bool released;
+        bool disputed;
         bool exists;
+        // Refunded by reclaimMilestone; never also released.
+        bool reclaimed;
     }
 
+    // Terms the client proposed for a milestone that the freelancer has yet
+    // to accept.
+    struct Amendment {
+        uint256 amountWei;
+        uint64 deadline;
+        uint32 reviewPeriod;
+        bool exists;
+    }
+
+    // Settlement one party proposed to cancel a project, waiting for the
+    // other. The amounts are fixed when proposed.
+    struct Cancellation {
+        address proposedBy;
+        uint256 freelancerWei;
+        uint256 clientWei;
+    }
+
+    // One recipient of the freelancer's payouts on a project.
+    struct Payee {
+        address account;
+        uint16 shareBps;
+    }
+
+    // A new split waiting for every current payee to approve it.
+    struct SplitProposal {
+        // keccak256(abi.encode(payees, sharesBps))
+        bytes32 splitHash;
+        // Bit i is set once the i-th current payee approved.
+        uint256 approvals;
+    }
+
+    // Last ID handed out by createProject. IDs start at 1, so projects(0)
+    // never exists.
+    uint64 public projectCount;
+
     mapping(uint64 => Project) public projects;
     mapping(uint64 => mapping(address => Bid)) public bids;
+    // projectId => everyone with a bid on the project. withdrawBid moves the
+    // last bidder into the freed position, so the order is not stable.
+    mapping(uint64 => address[]) private _bidders;
+    // projectId => bidder => position in _bidders plus one; 0 if no bid
+    mapping(uint64 => mapping(address => uint256)) private _bidderPositions;
     mapping(uint64 => mapping(uint16 => Milestone)) public milestones;
+    mapping(uint64 => mapping(uint16 => Amendment)) public amendments;
+    mapping(uint64 => Cancellation) public cancellations;
+
+    uint8 public constant MAX_PAYEES = 10;
+    // projectId => bidder => how the bid splits its payouts; empty pays the
+    // bidder alone. Copied to _payees when the bid is accepted.
+    mapping(uint64 => mapping(address => Payee[])) private _bidPayees;
+    // projectId => who the freelancer's payouts go to; empty pays the
+    // freelancer alone.
+    mapping(uint64 => Payee[]) private _payees;
+    mapping(uint64 => Payee[]) private _proposedPayees;
+    mapping(uint64 => SplitProposal) public splitProposals;
+
+    // Payouts and refunds are credited here and pulled with withdraw, so a
+    // recipient that rejects transfers cannot block releases or closing.
+    // account => token (address(0) for ETH) => amount
+    mapping(address => mapping(address => uint256)) public withdrawable;
+    // token => sum of every account's withdrawable balance
+    mapping(address => uint256) public totalWithdrawable;
+    // token => sum of the vaultBalance of every project paid in it
+    mapping(address => uint256) public totalEscrowed;
+
+    // EIP-712 signed messages. Nonces are unordered so a freelancer can have
+    // offers out on several projects at once; each can be used only once.
+    bytes32 public constant BID_TYPEHASH =
+        keccak256(
+            "Bid(uint64 projectId,address bidder,uint256 amountWei,address[] payees,uint16[] sharesBps,uint256 nonce,uint64 expiry)"
+        );
+    bytes32 public constant SUBMIT_MILESTONE_TYPEHASH =
+        keccak256("SubmitMilestone(uint64 projectId,uint16 index,bytes32 deliverableHash,uint256 nonce,uint64 expiry)");
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant NAME_HASH = keccak256("Escrow");
+    bytes32 private constant VERSION_HASH = keccak256("1");
+
+    uint256 private immutable _cachedChainId = block.chainid;
+    bytes32 private immutable _cachedDomainSeparator = _buildDomainSeparator();
+
+    // signer => nonce => used or cancelled
+    mapping(address => mapping(uint256 => bool)) public usedNonces;
+
+    // Platform fee, in basis points of each release and, when
+    // chargeFeeOnClose is set, of the refund closeProject credits back.
+    uint16 public constant MAX_FEE_BPS = 1_000;
+    uint16 private constant BPS = 10_000;
+
+    address public owner;
+    // Set by transferOwnership; becomes owner once it calls acceptOwnership.
+    address public pendingOwner;
+    // Can pause in an emergency; only the owner can unpause.
+    address public guardian;
+    bool public paused;
+    address public treasury;
+    uint16 public feeBps;
+    bool public chargeFeeOnClose;
 
     uint256 private _locked = 1;
     modifier nonReentrant() {
@@ -85,34 +356,96 @@ contract Escrow {
       _locked = 1;
     }
 
-    function createProject(uint64 projectId) external {
-        if (projects[projectId].exists) revert ProjectExists();
+    // Stops money and commitments coming in. Everything that pays out or
+    // winds a project down keeps working while paused.
+    modifier whenNotPaused() {
+        if (paused) revert ContractPaused();
+        _;
+    }
+
+    constructor(address treasury_, uint16 feeBps_, bool chargeFeeOnClose_) {
+        owner = msg.sender;
+        guardian = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+        emit GuardianUpdated(msg.sender);
+        _setTreasury(treasury_);
+        _setFee(feeBps_, chargeFeeOnClose_);
+    }
+
+    // The ID is assigned here rather than chosen by the caller, so a pending
+    // createProject cannot be front-run into a collision.
+    function createProject(
+        address arbiter,
+        address token,
+        bytes32 specHash
+    ) external whenNotPaused returns (uint64 projectId) {
+        if (arbiter == address(0) || arbiter == msg.sender) revert InvalidArbiter();
+        if (token != address(0) && token.code.length == 0) revert UnsupportedToken();
 
+        projectId = ++projectCount;
         projects[projectId] = Project({
             client: msg.sender,
             freelancer: address(0),
+            arbiter: arbiter,
+            token: token,
+            specHash: specHash,
             status: ProjectStatus.Open,
             vaultBalance: 0,
+            disputedWei: 0,
+            submittedWei: 0,
+            submittedCount: 0,
             exists: true
         });
 
-        emit ProjectCreated(projectId, msg.sender);
+        emit ProjectCreated(projectId, msg.sender, arbiter, token, specHash);
     }
 
-    function placeBid(uint64 projectId, uint256 amountWei) external {
+    // Bidding again replaces the earlier amount and expiry, and emits
+    // BidUpdated so the change is on record.
+    function placeBid(uint64 projectId, uint256 amountWei, uint64 expiry) external whenNotPaused {
         Project storage project = projects[projectId];
         if (!project.exists) revert ProjectNotFound();
         if (project.status != ProjectStatus.Open) revert InvalidStatus();
         if (amountWei == 0) revert ZeroAmount();
-      
-        Bid storage bid = bids[projectId][msg.sender];
-        bid.amountWei = amountWei;
-        bid.exists = true;
+        if (msg.sender == project.arbiter) revert Unauthorized();
+        if (_expired(expiry)) revert BidExpired();
+
+        _setBid(projectId, msg.sender, amountWei, expiry);
+    }
+
+    function withdrawBid(uint64 projectId) external {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (project.status != ProjectStatus.Open) revert InvalidStatus();
+        if (!bids[projectId][msg.sender].exists) revert BidNotFound();
 
-        emit BidPlaced(projectId, msg.sender, amountWei);
+        _removeBid(projectId, msg.sender);
     }
 
-    function acceptBid(uint64 projectId, address bidder) external {
+    function _removeBid(uint64 projectId, address bidder) internal {
+        delete bids[projectId][bidder];
+        delete _bidPayees[projectId][bidder];
+
+        address[] storage bidders = _bidders[projectId];
+        uint256 position = _bidderPositions[projectId][bidder];
+        address last = bidders[bidders.length - 1];
+        bidders[position - 1] = last;
+        _bidderPositions[projectId][last] = position;
+        bidders.pop();
+        delete _bidderPositions[projectId][bidder];
+
+        emit BidWithdrawn(projectId, bidder);
+    }
+
+    // The client names the amount and payee split they agreed to (zero for a
+    // bidder paid alone), so a bid changed just before this call reverts
+    // instead of switching the terms.
+    function acceptBid(
+        uint64 projectId,
+        address bidder,
+        uint256 expectedAmountWei,
+        bytes32 expectedSplitHash
+    ) external whenNotPaused {
         Project storage project = projects[projectId];
         if (!project.exists) revert ProjectNotFound();
         if (msg.sender != project.client) revert Unauthorized();
@@ -120,19 +453,304 @@ contract Escrow {
 
         Bid storage bid = bids[projectId][bidder];
         if (!bid.exists) revert BidNotFound();
+        if (bid.amountWei != expectedAmountWei) revert BidAmountMismatch();
+        if (_splitHash(_bidPayees[projectId][bidder]) != expectedSplitHash) revert SplitMismatch();
+        if (_expired(bid.expiry)) revert BidExpired();
+
+        _acceptBid(project, projectId, bidder);
+    }
+
+    function bidCount(uint64 projectId) external view returns (uint256) {
+        return _bidders[projectId].length;
+    }
+
+    // Up to `limit` bidders starting at position `offset`, with their bids.
+    function getBids(
+        uint64 projectId,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (address[] memory bidders, Bid[] memory page) {
+        address[] storage all = _bidders[projectId];
+        uint256 count = offset < all.length ? all.length - offset : 0;
+        if (count > limit) count = limit;
+
+        bidders = new address[](count);
+        page = new Bid[](count);
+        for (uint256 i; i < count; ++i) {
+            bidders[i] = all[offset + i];
+            page[i] = bids[projectId][bidders[i]];
+        }
+    }
+
+    function _setBid(uint64 projectId, address bidder, uint256 amountWei, uint64 expiry) internal {
+        Bid storage bid = bids[projectId][bidder];
+        uint256 previousAmountWei = bid.amountWei;
+        bool updating = bid.exists;
+
+        bid.amountWei = amountWei;
+        bid.expiry = expiry;
+        bid.exists = true;
+
+        if (updating) {
+            emit BidUpdated(projectId, bidder, previousAmountWei, amountWei, expiry);
+            return;
+        }
+        _bidders[projectId].push(bidder);
+        _bidderPositions[projectId][bidder] = _bidders[projectId].length;
+        emit BidPlaced(projectId, bidder, amountWei, expiry);
+    }
+
+    function _expired(uint64 expiry) internal view returns (bool) {
+        return expiry != 0 && block.timestamp > expiry;
+    }
+
+    // Accepts a bid the freelancer signed off-chain instead of placing it
+    // with placeBid, so only the winning bid ever costs gas. The signed
+    // payee split replaces any the bidder set on-chain.
+    function acceptSignedBid(
+        uint64 projectId,
+        address bidder,
+        uint256 amountWei,
+        address[] calldata payees,
+        uint16[] calldata sharesBps,
+        uint256 nonce,
+        uint64 expiry,
+        bytes calldata signature
+    ) external whenNotPaused {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (msg.sender != project.client) revert Unauthorized();
+        if (project.status != ProjectStatus.Open) revert InvalidStatus();
+        if (amountWei == 0) revert ZeroAmount();
+        if (bidder == project.arbiter) revert Unauthorized();
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                BID_TYPEHASH,
+                projectId,
+                bidder,
+                amountWei,
+                keccak256(abi.encodePacked(payees)),
+                keccak256(abi.encodePacked(sharesBps)),
+                nonce,
+                expiry
+            )
+        );
+        _useSignature(bidder, structHash, nonce, expiry, signature);
+
+        _setBid(projectId, bidder, amountWei, expiry);
+        _storePayees(_bidPayees[projectId][bidder], payees, sharesBps);
+        emit BidPayeesSet(projectId, bidder, payees, sharesBps);
+        _acceptBid(project, projectId, bidder);
+    }
 
+    function _acceptBid(Project storage project, uint64 projectId, address bidder) internal {
         project.freelancer = bidder;
         project.status = ProjectStatus.InProgress;
 
+        Payee[] storage bidPayees = _bidPayees[projectId][bidder];
+        for (uint256 i; i < bidPayees.length; ++i) {
+            _payees[projectId].push(bidPayees[i]);
+        }
+
         emit BidAccepted(projectId, bidder);
     }
 
-    function createMilestone(uint64 projectId, uint16 index, uint256 amountWei) external {
-        Project storage project = projects[projectId];
+    // Splits the payouts of the caller's bid, and of the project if the bid
+    // is accepted, between up to MAX_PAYEES accounts whose shares add up to
+    // 100%. Empty arrays go back to paying the bidder alone. Signed bids
+    // carry their split in the signed message instead.
+    function setBidPayees(
+        uint64 projectId,
+        address[] calldata accounts,
+        uint16[] calldata sharesBps
+    ) external whenNotPaused {
+        if (projects[projectId].status != ProjectStatus.Open) revert InvalidStatus();
+        if (!bids[projectId][msg.sender].exists) revert BidNotFound();
+
+        _storePayees(_bidPayees[projectId][msg.sender], accounts, sharesBps);
+        emit BidPayeesSet(projectId, msg.sender, accounts, sharesBps);
+    }
+
+    // Any current payee can propose a new split, which replaces a pending
+    // one. It applies once every current payee, the proposer included, has
+    // approved it. While the freelancer is paid alone, their proposal
+    // applies at once.
+    function proposeSplit(
+        uint64 projectId,
+        address[] calldata accounts,
+        uint16[] calldata sharesBps
+    ) external {
+        if (projects[projectId].freelancer == address(0)) revert NoFreelancer();
+        if (accounts.length == 0) revert InvalidPayees();
+
+        _storePayees(_proposedPayees[projectId], accounts, sharesBps);
+        bytes32 splitHash = keccak256(abi.encode(accounts, sharesBps));
+        splitProposals[projectId] = SplitProposal({splitHash: splitHash, approvals: 0});
+
+        emit SplitProposed(projectId, msg.sender, splitHash, accounts, sharesBps);
+        _approveSplit(projectId, splitHash);
+    }
+
+    // Payees name the split they approve, so a proposal replaced in the
+    // meantime reverts instead of being approved unseen.
+    function approveSplit(uint64 projectId, bytes32 splitHash) external {
+        bytes32 pending = splitProposals[projectId].splitHash;
+        if (pending == bytes32(0) || pending != splitHash) revert SplitMismatch();
+        _approveSplit(projectId, splitHash);
+    }
+
+    function getPayees(uint64 projectId) external view returns (Payee[] memory) {
+        return _payees[projectId];
+    }
+
+    function getBidPayees(uint64 projectId, address bidder) external view returns (Payee[] memory) {
+        return _bidPayees[projectId][bidder];
+    }
+
+    function getProposedPayees(uint64 projectId) external view returns (Payee[] memory) {
+        return _proposedPayees[projectId];
+    }
+
+    function _approveSplit(uint64 projectId, bytes32 splitHash) internal {
+        Payee[] storage current = _payees[projectId];
+        uint256 count = current.length;
+        uint256 position;
+        if (count == 0) {
+            if (msg.sender != projects[projectId].freelancer) revert Unauthorized();
+            count = 1;
+        } else {
+            while (position < count && current[position].account != msg.sender) ++position;
+            if (position == count) revert Unauthorized();
+        }
+
+        SplitProposal storage proposal = splitProposals[projectId];
+        proposal.approvals |= 1 << position;
+        emit SplitApproved(projectId, msg.sender, splitHash);
+        if (proposal.approvals != (1 << count) - 1) return;
+
+        Payee[] storage proposed = _proposedPayees[projectId];
+        delete _payees[projectId];
+        for (uint256 i; i < proposed.length; ++i) {
+            current.push(proposed[i]);
+        }
+        delete _proposedPayees[projectId];
+        delete splitProposals[projectId];
+        emit SplitChanged(projectId, splitHash);
+    }
+
+    // keccak256(abi.encode(accounts, sharesBps)) of a stored split, as
+    // proposeSplit hashes it, or zero when there are no payees.
+    function _splitHash(Payee[] storage payees) internal view returns (bytes32) {
+        uint256 count = payees.length;
+        if (count == 0) return bytes32(0);
+        address[] memory accounts = new address[](count);
+        uint16[] memory sharesBps = new uint16[](count);
+        for (uint256 i; i < count; ++i) {
+            accounts[i] = payees[i].account;
+            sharesBps[i] = payees[i].shareBps;
+        }
+        return keccak256(abi.encode(accounts, sharesBps));
+    }
+
+    function _storePayees(
+        Payee[] storage target,
+        address[] calldata accounts,
+        uint16[] calldata sharesBps
+    ) internal {
+        uint256 count = accounts.length;
+        if (count > MAX_PAYEES || sharesBps.length != count) revert InvalidPayees();
+
+        while (target.length > 0) {
+            target.pop();
+        }
+        uint256 total;
+        for (uint256 i; i < count; ++i) {
+            if (accounts[i] == address(0) || sharesBps[i] == 0) revert InvalidPayees();
+            for (uint256 j; j < i; ++j) {
+                if (accounts[j] == accounts[i]) revert InvalidPayees();
+            }
+            total += sharesBps[i];
+            target.push(Payee({account: accounts[i], shareBps: sharesBps[i]}));
+        }
+        if (count != 0 && total != BPS) revert InvalidPayees();
+    }
+
+    // Credits `amount` to the payees by share. Each share rounds down and
+    // the first payee also gets the remainder, so nothing is left behind and
+    // the same amounts always produce the same credits.
+    function _creditPayees(Project storage project, uint64 projectId, uint256 amount) internal {
+        Payee[] storage payees = _payees[projectId];
+        if (payees.length == 0) {
+            _credit(project.token, project.freelancer, amount);
+            return;
+        }
+
+        uint256 remainder = amount;
+        for (uint256 i = 1; i < payees.length; ++i) {
+            uint256 share = (amount * payees[i].shareBps) / BPS;
+            if (share > 0) {
+                remainder -= share;
+                _credit(project.token, payees[i].account, share);
+            }
+        }
+        _credit(project.token, payees[0].account, remainder);
+    }
+
+    function createMilestone(
+        uint64 projectId,
+        uint16 index,
+        uint256 amountWei,
+        uint64 deadline,
+        uint32 reviewPeriod,
+        bytes32 specHash
+    ) external {
+        _clientProjectInProgress(projectId);
+        _createMilestone(projectId, index, amountWei, deadline, reviewPeriod, specHash);
+    }
+
+    // Entry i of every array describes one milestone. The project is checked
+    // once, and any invalid entry reverts the whole batch.
+    function createMilestones(
+        uint64 projectId,
+        uint16[] calldata indexes,
+        uint256[] calldata amountsWei,
+        uint64[] calldata deadlines,
+        uint32[] calldata reviewPeriods,
+        bytes32[] calldata specHashes
+    ) external {
+        uint256 count = indexes.length;
+        if (
+            count == 0 ||
+            amountsWei.length != count ||
+            deadlines.length != count ||
+            reviewPeriods.length != count ||
+            specHashes.length != count
+        ) revert InvalidBatch();
+        _clientProjectInProgress(projectId);
+
+        for (uint256 i; i < count; ++i) {
+            _createMilestone(projectId, indexes[i], amountsWei[i], deadlines[i], reviewPeriods[i], specHashes[i]);
+        }
+    }
+
+    function _clientProjectInProgress(uint64 projectId) internal view returns (Project storage project) {
+        project = projects[projectId];
         if (!project.exists) revert ProjectNotFound();
         if (msg.sender != project.client) revert Unauthorized();
         if (project.status != ProjectStatus.InProgress) revert InvalidStatus();
+    }
+
+    function _createMilestone(
+        uint64 projectId,
+        uint16 index,
+        uint256 amountWei,
+        uint64 deadline,
+        uint32 reviewPeriod,
+        bytes32 specHash
+    ) internal {
         if (amountWei == 0) revert ZeroAmount();
+        if (deadline <= block.timestamp || reviewPeriod == 0) revert InvalidSchedule();
 
         Milestone storage milestone = milestones[projectId][index];
         if (milestone.exists) revert MilestoneExists();
@@ -140,58 +758,355 @@ contract Escrow {
         milestones[projectId][index] = Milestone({
           amountWei: amountWei,
           fundedWei: 0,
+          specHash: specHash,
+          deliverableHash: 0,
+          deadline: deadline,
+          submittedAt: 0,
+          reviewPeriod: reviewPeriod,
           submitted: false,
           released: false,
-          exists: true
+          disputed: false,
+          exists: true,
+          reclaimed: false
         });
 
-        emit MilestoneCreated(projectId, index, amountWei);
+        emit MilestoneCreated(projectId, index, amountWei, deadline, reviewPeriod, specHash);
+    }
+
+    // ETH sent beyond what the milestone still needs is credited back to the
+    // client.
+    function fundMilestone(uint64 projectId, uint16 index) external payable nonReentrant whenNotPaused {
+        Project storage project = _fundableProject(projectId, false);
+        uint256 accepted = _fund(project, projectId, index, msg.value);
+        if (msg.value > accepted) {
+            _credit(address(0), project.client, msg.value - accepted);
+        }
+    }
+
+    // Splits msg.value between milestones as `amounts` says, so the amounts
+    // must add up to msg.value. As with fundMilestone, whatever a milestone
+    // does not need is credited back to the client.
+    function fundMilestones(
+        uint64 projectId,
+        uint16[] calldata indexes,
+        uint256[] calldata amounts
+    ) external payable nonReentrant whenNotPaused {
+        Project storage project = _fundableProject(projectId, false);
+        (uint256 total, uint256 accepted) = _fundBatch(project, projectId, indexes, amounts);
+        if (total != msg.value) revert InvalidBatch();
+        if (msg.value > accepted) {
+            _credit(address(0), project.client, msg.value - accepted);
+        }
+    }
+
+    // Token projects fund through here after approving `amount` to Escrow.
+    // Only what the milestone still needs is pulled.
+    function fundMilestoneToken(
+        uint64 projectId,
+        uint16 index,
+        uint256 amount
+    ) external nonReentrant whenNotPaused {
+        Project storage project = _fundableProject(projectId, true);
+        _pullToken(project.token, msg.sender, _fund(project, projectId, index, amount));
+    }
+
+    // Pulls what the whole batch accepted in a single transfer.
+    function fundMilestonesToken(
+        uint64 projectId,
+        uint16[] calldata indexes,
+        uint256[] calldata amounts
+    ) external nonReentrant whenNotPaused {
+        Project storage project = _fundableProject(projectId, true);
+        (, uint256 accepted) = _fundBatch(project, projectId, indexes, amounts);
+        _pullToken(project.token, msg.sender, accepted);
     }
 
-    function fundMilestone(uint64 projectId, uint16 index) external payable nonReentrant {
+    function _fundableProject(uint64 projectId, bool withToken) internal view returns (Project storage project) {
+        project = _clientProjectInProgress(projectId);
+        if ((project.token != address(0)) != withToken) revert WrongAsset();
+    }
+
+    function _fundBatch(
+        Project storage project,
+        uint64 projectId,
+        uint16[] calldata indexes,
+        uint256[] calldata amounts
+    ) internal returns (uint256 total, uint256 accepted) {
+        if (indexes.length == 0 || amounts.length != indexes.length) revert InvalidBatch();
+
+        for (uint256 i; i < indexes.length; ++i) {
+            total += amounts[i];
+            accepted += _fund(project, projectId, indexes[i], amounts[i]);
+        }
+    }
+
+    function _fund(
+        Project storage project,
+        uint64 projectId,
+        uint16 index,
+        uint256 amount
+    ) internal returns (uint256 accepted) {
+        if (amount == 0) revert ZeroAmount();
+
+        Milestone storage milestone = milestones[projectId][index];
+        if (!milestone.exists) revert MilestoneNotFound();
+        if (milestone.released || milestone.reclaimed) revert AlreadyReleased();
+        if (milestone.disputed) revert MilestoneDisputed();
+        if (milestone.fundedWei >= milestone.amountWei) revert MilestoneFullyFunded();
+
+        uint256 remaining = milestone.amountWei - milestone.fundedWei;
+        accepted = amount < remaining ? amount : remaining;
+
+        unchecked {
+          milestone.fundedWei += accepted;
+          project.vaultBalance += accepted;
+          totalEscrowed[project.token] += accepted;
+        }
+        if (milestone.submitted) project.submittedWei += accepted;
+
+        emit MilestoneFunded(projectId, index, accepted, milestone.fundedWei);
+    }
+
+    // Changes an unsubmitted milestone. Changes that only favour the
+    // freelancer (a later deadline or a shorter review period) apply at once;
+    // anything else waits for acceptAmendment.
+    function amendMilestone(
+        uint64 projectId,
+        uint16 index,
+        uint256 amountWei,
+        uint64 deadline,
+        uint32 reviewPeriod
+    ) external nonReentrant {
         Project storage project = projects[projectId];
         if (!project.exists) revert ProjectNotFound();
         if (msg.sender != project.client) revert Unauthorized();
+
+        Milestone storage milestone = _amendable(project, projectId, index);
+        if (amountWei == 0) revert ZeroAmount();
+        if (deadline <= block.timestamp || reviewPeriod == 0) revert InvalidSchedule();
+
+        if (
+            amountWei == milestone.amountWei &&
+            deadline >= milestone.deadline &&
+            reviewPeriod <= milestone.reviewPeriod
+        ) {
+            delete amendments[projectId][index];
+            _amend(project, milestone, projectId, index, amountWei, deadline, reviewPeriod);
+            return;
+        }
+
+        amendments[projectId][index] = Amendment({
+            amountWei: amountWei,
+            deadline: deadline,
+            reviewPeriod: reviewPeriod,
+            exists: true
+        });
+        emit MilestoneAmendmentProposed(projectId, index, amountWei, deadline, reviewPeriod);
+    }
+
+    // The freelancer passes the terms they agree to, so a proposal replaced
+    // after they looked at it is not accepted by mistake.
+    function acceptAmendment(
+        uint64 projectId,
+        uint16 index,
+        uint256 amountWei,
+        uint64 deadline,
+        uint32 reviewPeriod
+    ) external nonReentrant {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (msg.sender != project.freelancer) revert Unauthorized();
+
+        Milestone storage milestone = _amendable(project, projectId, index);
+        Amendment memory amendment = amendments[projectId][index];
+        if (
+            !amendment.exists ||
+            amendment.amountWei != amountWei ||
+            amendment.deadline != deadline ||
+            amendment.reviewPeriod != reviewPeriod
+        ) revert AmendmentNotFound();
+        if (deadline <= block.timestamp) revert InvalidSchedule();
+
+        delete amendments[projectId][index];
+        _amend(project, milestone, projectId, index, amountWei, deadline, reviewPeriod);
+    }
+
+    // Removes an unsubmitted milestone and credits its funds back to the
+    // client. The index can be reused afterwards.
+    function cancelMilestone(uint64 projectId, uint16 index) external nonReentrant {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (msg.sender != project.client) revert Unauthorized();
+
+        Milestone storage milestone = _amendable(project, projectId, index);
+        uint256 refund = milestone.fundedWei;
+
+        delete milestones[projectId][index];
+        delete amendments[projectId][index];
+        _debitVault(project, refund);
+
+        if (refund > 0) {
+            _credit(project.token, project.client, refund);
+        }
+        emit MilestoneCancelled(projectId, index, refund);
+    }
+
+    function _amendable(
+        Project storage project,
+        uint64 projectId,
+        uint16 index
+    ) internal view returns (Milestone storage milestone) {
         if (project.status != ProjectStatus.InProgress) revert InvalidStatus();
-        if (msg.value == 0) revert ZeroAmount();
 
-        Milestone storage milestone = milestones[projectId][index];
+        milestone = milestones[projectId][index];
         if (!milestone.exists) revert MilestoneNotFound();
-        if (milestone.released) revert AlreadyReleased();
+        if (milestone.released || milestone.reclaimed) revert AlreadyReleased();
+        if (milestone.submitted) revert AlreadySubmitted();
+    }
 
-        unchecked {
-          milestone.fundedWei += msg.value;
-          project.vaultBalance += msg.value;
+    // Funds above a lowered amount are credited back to the client.
+    function _amend(
+        Project storage project,
+        Milestone storage milestone,
+        uint64 projectId,
+        uint16 index,
+        uint256 amountWei,
+        uint64 deadline,
+        uint32 reviewPeriod
+    ) internal {
+        uint256 refund = milestone.fundedWei > amountWei ? milestone.fundedWei - amountWei : 0;
+
+        milestone.amountWei = amountWei;
+        milestone.deadline = deadline;
+        milestone.reviewPeriod = reviewPeriod;
+        if (refund > 0) {
+            milestone.fundedWei = amountWei;
+            _debitVault(project, refund);
+            _credit(project.token, project.client, refund);
         }
 
-        emit MilestoneFunded(projectId, index, msg.value, milestone.fundedWei);
+        emit MilestoneAmended(projectId, index, amountWei, deadline, reviewPeriod, refund);
+    }
+
+    // Submitting again before a release replaces the deliverable hash.
+    function submitMilestone(uint64 projectId, uint16 index, bytes32 deliverableHash) external {
+        _submit(projectId, index, deliverableHash, msg.sender);
     }
 
-    function submitMilestone(uint64 projectId, uint16 index) external {
+    // Lets anyone relay a submission the freelancer signed, so the freelancer
+    // needs no ETH for gas.
+    function submitMilestoneWithSig(
+        uint64 projectId,
+        uint16 index,
+        bytes32 deliverableHash,
+        uint256 nonce,
+        uint64 expiry,
+        bytes calldata signature
+    ) external {
+        address freelancer = projects[projectId].freelancer;
+        if (freelancer == address(0)) revert NoFreelancer();
+
+        bytes32 structHash = keccak256(
+            abi.encode(SUBMIT_MILESTONE_TYPEHASH, projectId, index, deliverableHash, nonce, expiry)
+        );
+        _useSignature(freelancer, structHash, nonce, expiry, signature);
+
+        _submit(projectId, index, deliverableHash, freelancer);
+    }
+
+    function _submit(uint64 projectId, uint16 index, bytes32 deliverableHash, address sender) internal {
         Project storage project = projects[projectId];
         if (!project.exists) revert ProjectNotFound();
         if (project.freelancer == address(0)) revert NoFreelancer();
-        if (msg.sender != project.freelancer) revert Unauthorized();
+        if (sender != project.freelancer) revert Unauthorized();
         if (project.status != ProjectStatus.InProgress) revert InvalidStatus();
 
         Milestone storage milestone = milestones[projectId][index];
         if (!milestone.exists) revert MilestoneNotFound();
-        if (milestone.released) revert AlreadyReleased();
+        if (milestone.released || milestone.reclaimed) revert AlreadyReleased();
+        if (milestone.disputed) revert MilestoneDisputed();
+        if (block.timestamp > milestone.deadline) revert DeadlinePassed();
 
+        if (!milestone.submitted) {
+            project.submittedWei += milestone.fundedWei;
+            ++project.submittedCount;
+        }
         milestone.submitted = true;
-        emit MilestoneSubmitted(projectId, index);
+        milestone.submittedAt = uint64(block.timestamp);
+        milestone.deliverableHash = deliverableHash;
+        emit MilestoneSubmitted(projectId, index, deliverableHash);
     }
 
     function releaseMilestone(uint64 projectId, uint16 index) external nonReentrant {
         Project storage project = projects[projectId];
         if (!project.exists) revert ProjectNotFound();
         if (msg.sender != project.client) revert Unauthorized();
+
+        _release(projectId, index);
+    }
+
+    // Releases every listed milestone or, if any of them cannot be released,
+    // none of them.
+    function releaseMilestones(uint64 projectId, uint16[] calldata indexes) external nonReentrant {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (msg.sender != project.client) revert Unauthorized();
+        if (indexes.length == 0) revert InvalidBatch();
+
+        for (uint256 i; i < indexes.length; ++i) {
+            _release(projectId, indexes[i]);
+        }
+    }
+
+    // Once the review period has passed without the client releasing or
+    // disputing the milestone, the freelancer can release it themselves.
+    function claimMilestone(uint64 projectId, uint16 index) external nonReentrant {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (msg.sender != project.freelancer) revert Unauthorized();
+
+        Milestone storage milestone = milestones[projectId][index];
+        if (
+            milestone.submitted &&
+            block.timestamp <= uint256(milestone.submittedAt) + milestone.reviewPeriod
+        ) revert ReviewPeriodActive();
+
+        _release(projectId, index);
+    }
+
+    // Refunds a milestone the freelancer did not submit by its deadline.
+    function reclaimMilestone(uint64 projectId, uint16 index) external nonReentrant {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (msg.sender != project.client) revert Unauthorized();
+        if (project.status != ProjectStatus.InProgress) revert InvalidStatus();
+
+        Milestone storage milestone = milestones[projectId][index];
+        if (!milestone.exists) revert MilestoneNotFound();
+        if (milestone.released || milestone.reclaimed) revert AlreadyReleased();
+        if (milestone.submitted) revert AlreadySubmitted();
+        if (block.timestamp <= milestone.deadline) revert DeadlineNotPassed();
+
+        uint256 refund = milestone.fundedWei;
+        if (refund == 0) revert NothingToRelease();
+
+        milestone.reclaimed = true;
+        milestone.fundedWei = 0;
+        _debitVault(project, refund);
+
+        _credit(project.token, project.client, refund);
+        emit MilestoneReclaimed(projectId, index, refund);
+    }
+
+    function _release(uint64 projectId, uint16 index) internal {
+        Project storage project = projects[projectId];
         if (project.status != ProjectStatus.InProgress) revert InvalidStatus();
 
         Milestone storage milestone = milestones[projectId][index];
         if (!milestone.exists) revert MilestoneNotFound();
-        if (milestone.released) revert AlreadyReleased();
+        if (milestone.released || milestone.reclaimed) revert AlreadyReleased();
         if (!milestone.submitted) revert NotSubmitted();
+        if (milestone.disputed) revert MilestoneDisputed();
 
         uint256 amount = milestone.amountWei;
         if (amount == 0) revert NothingToRelease();
@@ -202,40 +1117,388 @@ contract Escrow {
 
         unchecked {
             milestone.fundedWei -= amount;
-            project.vaultBalance -= amount;
         }
+        project.submittedWei -= amount;
+        --project.submittedCount;
+        _debitVault(project, amount);
 
-        _pay(project.freelancer, amount);
-        emit MilestoneReleased(projectId, index, amount);
+        uint256 fee = _takeFee(project.token, amount);
+        _creditPayees(project, projectId, amount - fee);
+        emit MilestoneReleased(projectId, index, amount, fee, amount - fee);
     }
 
+    // Funds of submitted work cannot be taken back this way: the client has
+    // to release or dispute it first, or agree a cancellation with the
+    // freelancer.
     function closeProject(uint64 projectId) external nonReentrant {
         Project storage project = projects[projectId];
         if (!project.exists) revert ProjectNotFound();
         if (msg.sender != project.client) revert Unauthorized();
         if (project.status == ProjectStatus.Closed) revert InvalidStatus();
+        if (project.submittedWei > project.disputedWei) revert SubmittedWorkPending();
 
-        uint256 refund = project.vaultBalance;
-        project.vaultBalance = 0;
+        // Disputed funds stay frozen until the arbiter rules on them.
+        uint256 refund = project.vaultBalance - project.disputedWei;
+        _debitVault(project, refund);
         project.status = ProjectStatus.Closed;
+        delete cancellations[projectId];
 
+        uint256 fee;
         if (refund > 0) {
-            _pay(project.client, refund);
+            if (chargeFeeOnClose) fee = _takeFee(project.token, refund);
+            _credit(project.token, project.client, refund - fee);
+        }
+
+        emit ProjectClosed(projectId, refund, fee, refund - fee);
+    }
+
+    // Either party proposes to cancel the project on the current terms: the
+    // freelancer is paid for submitted, undisputed work and the client gets
+    // back the rest, except disputed funds, which stay with the arbiter.
+    // Proposing again replaces the pending proposal.
+    function proposeCancellation(uint64 projectId) external {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (msg.sender != project.client && msg.sender != project.freelancer) revert Unauthorized();
+        if (project.status != ProjectStatus.InProgress) revert InvalidStatus();
+
+        (uint256 freelancerWei, uint256 clientWei) = _cancellationTerms(project);
+        cancellations[projectId] = Cancellation({
+            proposedBy: msg.sender,
+            freelancerWei: freelancerWei,
+            clientWei: clientWei
+        });
+        emit CancellationProposed(projectId, msg.sender, freelancerWei, clientWei);
+    }
+
+    // The other party names the amounts they agree to. Funding, submitting
+    // or releasing since the proposal changes the terms, so the proposal
+    // then no longer matches and has to be made again.
+    function acceptCancellation(
+        uint64 projectId,
+        uint256 freelancerWei,
+        uint256 clientWei
+    ) external nonReentrant {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (msg.sender != project.client && msg.sender != project.freelancer) revert Unauthorized();
+        if (project.status != ProjectStatus.InProgress) revert InvalidStatus();
+
+        Cancellation memory cancellation = cancellations[projectId];
+        if (cancellation.proposedBy == address(0)) revert CancellationNotFound();
+        if (msg.sender == cancellation.proposedBy) revert Unauthorized();
+
+        (uint256 currentFreelancerWei, uint256 currentClientWei) = _cancellationTerms(project);
+        if (
+            cancellation.freelancerWei != freelancerWei ||
+            cancellation.clientWei != clientWei ||
+            currentFreelancerWei != freelancerWei ||
+            currentClientWei != clientWei
+        ) revert CancellationMismatch();
+
+        delete cancellations[projectId];
+        _debitVault(project, freelancerWei + clientWei);
+        project.status = ProjectStatus.Closed;
+
+        uint256 freelancerFee;
+        if (freelancerWei > 0) {
+            freelancerFee = _takeFee(project.token, freelancerWei);
+            _creditPayees(project, projectId, freelancerWei - freelancerFee);
+        }
+        uint256 clientFee;
+        if (clientWei > 0) {
+            if (chargeFeeOnClose) clientFee = _takeFee(project.token, clientWei);
+            _credit(project.token, project.client, clientWei - clientFee);
         }
 
-        emit ProjectClosed(projectId, refund);
+        emit ProjectCancelled(projectId, freelancerWei, clientWei, freelancerFee + clientFee);
     }
 
-    function _pay(address to, uint256 amount) internal {
+    function _cancellationTerms(
+        Project storage project
+    ) internal view returns (uint256 freelancerWei, uint256 clientWei) {
+        freelancerWei = project.submittedWei - project.disputedWei;
+        clientWei = project.vaultBalance - project.submittedWei;
+    }
+
+    // The freelancer leaves a project with no submitted work pending and
+    // their bid is dropped. The project is Open again with its milestones and
+    // funds, for the client to accept another bid or close it.
+    function resign(uint64 projectId) external {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (msg.sender != project.freelancer) revert Unauthorized();
+        if (project.status != ProjectStatus.InProgress) revert InvalidStatus();
+        if (project.submittedCount != 0) revert SubmittedWorkPending();
+
+        project.freelancer = address(0);
+        project.status = ProjectStatus.Open;
+        delete _payees[projectId];
+        delete _proposedPayees[projectId];
+        delete splitProposals[projectId];
+        delete cancellations[projectId];
+        if (bids[projectId][msg.sender].exists) {
+            _removeBid(projectId, msg.sender);
+        }
+
+        emit FreelancerResigned(projectId, msg.sender);
+    }
+
+    function openDispute(uint64 projectId, uint16 index) external {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (msg.sender != project.client && msg.sender != project.freelancer) revert Unauthorized();
+        if (project.status != ProjectStatus.InProgress) revert InvalidStatus();
+
+        Milestone storage milestone = milestones[projectId][index];
+        if (!milestone.exists) revert MilestoneNotFound();
+        if (milestone.released || milestone.reclaimed) revert AlreadyReleased();
+        if (!milestone.submitted) revert NotSubmitted();
+        if (milestone.disputed) revert MilestoneDisputed();
+        if (milestone.fundedWei == 0) revert NothingToRelease();
+        // Once the review period is over the work is the freelancer's to
+        // claim, so the client can no longer hold it up with a dispute.
+        if (
+            msg.sender == project.client &&
+            block.timestamp > uint256(milestone.submittedAt) + milestone.reviewPeriod
+        ) revert ReviewPeriodOver();
+
+        milestone.disputed = true;
+        project.disputedWei += milestone.fundedWei;
+
+        emit DisputeOpened(projectId, index, msg.sender);
+    }
+
+    // The arbiter splits the disputed funds between the freelancer and the
+    // client. Works on closed projects too, since closing leaves them frozen.
+    function resolveDispute(uint64 projectId, uint16 index, uint256 freelancerWei) external nonReentrant {
+        Project storage project = projects[projectId];
+        if (!project.exists) revert ProjectNotFound();
+        if (msg.sender != project.arbiter) revert Unauthorized();
+
+        Milestone storage milestone = milestones[projectId][index];
+        if (!milestone.exists) revert MilestoneNotFound();
+        if (!milestone.disputed) revert NotDisputed();
+
+        uint256 funded = milestone.fundedWei;
+        if (freelancerWei > funded) revert InvalidSplit();
+        uint256 clientWei = funded - freelancerWei;
+
+        milestone.disputed = false;
+        milestone.released = true;
+        milestone.fundedWei = 0;
+        project.disputedWei -= funded;
+        project.submittedWei -= funded;
+        --project.submittedCount;
+        _debitVault(project, funded);
+
+        // The freelancer's award is a payout like a release, so it carries
+        // the fee; otherwise a dispute would be a way around it.
+        uint256 fee;
+        if (freelancerWei > 0) {
+            fee = _takeFee(project.token, freelancerWei);
+            _creditPayees(project, projectId, freelancerWei - fee);
+        }
+        if (clientWei > 0) {
+            _credit(project.token, project.client, clientWei);
+        }
+
+        emit DisputeResolved(projectId, index, freelancerWei, clientWei, fee, freelancerWei - fee);
+    }
+
+    // Two steps, so ownership cannot be handed to an address nobody
+    // controls. Passing address(0) cancels a pending transfer.
+    function transferOwnership(address newOwner) external {
+        if (msg.sender != owner) revert Unauthorized();
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(msg.sender, newOwner);
+    }
+
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner) revert Unauthorized();
+        emit OwnershipTransferred(owner, msg.sender);
+        owner = msg.sender;
+        pendingOwner = address(0);
+    }
+
+    function setGuardian(address guardian_) external {
+        if (msg.sender != owner) revert Unauthorized();
+        guardian = guardian_;
+        emit GuardianUpdated(guardian_);
+    }
+
+    function pause() external {
+        if (msg.sender != guardian && msg.sender != owner) revert Unauthorized();
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() external {
+        if (msg.sender != owner) revert Unauthorized();
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    // Sends out tokens that reached Escrow without going through a project,
+    // e.g. a plain transfer. Only the surplus above what projects and
+    // withdrawable balances hold can leave.
+    function rescueToken(address token, address to, uint256 amount) external nonReentrant {
+        if (msg.sender != owner) revert Unauthorized();
+        if (token == address(0)) revert WrongAsset();
+        if (to == address(0)) revert InvalidRecipient();
+        if (amount == 0) revert ZeroAmount();
+
+        uint256 held = IERC20(token).balanceOf(address(this));
+        uint256 owed = totalEscrowed[token] + totalWithdrawable[token];
+        if (held < owed || amount > held - owed) revert RescueExceedsSurplus();
+
+        _pay(token, to, amount);
+        emit TokensRescued(token, to, amount);
+    }
+
+    function setFee(uint16 feeBps_, bool chargeFeeOnClose_) external {
+        if (msg.sender != owner) revert Unauthorized();
+        _setFee(feeBps_, chargeFeeOnClose_);
+    }
+
+    function setTreasury(address treasury_) external {
+        if (msg.sender != owner) revert Unauthorized();
+        _setTreasury(treasury_);
+    }
+
+    function _setFee(uint16 feeBps_, bool chargeFeeOnClose_) internal {
+        if (feeBps_ > MAX_FEE_BPS) revert FeeTooHigh();
+        feeBps = feeBps_;
+        chargeFeeOnClose = chargeFeeOnClose_;
+        emit FeeUpdated(feeBps_, chargeFeeOnClose_);
+    }
+
+    function _setTreasury(address treasury_) internal {
+        if (treasury_ == address(0)) revert InvalidTreasury();
+        treasury = treasury_;
+        emit TreasuryUpdated(treasury_);
+    }
+
+    // Revokes a signed message that has not been used yet.
+    function cancelNonce(uint256 nonce) external {
+        if (usedNonces[msg.sender][nonce]) revert NonceUsed();
+        usedNonces[msg.sender][nonce] = true;
+        emit NonceCancelled(msg.sender, nonce);
+    }
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        // Recomputed after a chain split so signatures cannot be replayed
+        // across the two chains.
+        return block.chainid == _cachedChainId ? _cachedDomainSeparator : _buildDomainSeparator();
+    }
+
+    function _buildDomainSeparator() private view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, NAME_HASH, VERSION_HASH, block.chainid, address(this)));
+    }
+
+    function _useSignature(
+        address signer,
+        bytes32 structHash,
+        uint256 nonce,
+        uint64 expiry,
+        bytes calldata signature
+    ) internal {
+        if (block.timestamp > expiry) revert SignatureExpired();
+        if (usedNonces[signer][nonce]) revert NonceUsed();
+
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        if (_recover(digest, signature) != signer) revert InvalidSignature();
+
+        usedNonces[signer][nonce] = true;
+    }
+
+    // Only canonical 65-byte signatures: a high `s` would let a second valid
+    // signature be derived from the first.
+    function _recover(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        if (signature.length != 65) revert InvalidSignature();
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) revert InvalidSignature();
+        if (v != 27 && v != 28) revert InvalidSignature();
+
+        address recovered = ecrecover(digest, v, r, s);
+        if (recovered == address(0)) revert InvalidSignature();
+        return recovered;
+    }
+
+    function withdraw(address token) external nonReentrant {
+        _withdraw(token, msg.sender);
+    }
+
+    // Lets an account that cannot receive the asset itself send it elsewhere.
+    function withdrawTo(address token, address to) external nonReentrant {
+        if (to == address(0)) revert InvalidRecipient();
+        _withdraw(token, to);
+    }
+
+    function _withdraw(address token, address to) internal {
+        uint256 amount = withdrawable[msg.sender][token];
+        if (amount == 0) revert NothingToWithdraw();
+
+        withdrawable[msg.sender][token] = 0;
+        totalWithdrawable[token] -= amount;
+
+        _pay(token, to, amount);
+        emit Withdrawn(msg.sender, token, to, amount);
+    }
+
+    function _credit(address token, address to, uint256 amount) internal {
+        withdrawable[to][token] += amount;
+        totalWithdrawable[token] += amount;
+        emit PaymentCredited(to, token, amount);
+    }
+
+    function _debitVault(Project storage project, uint256 amount) internal {
+        project.vaultBalance -= amount;
+        totalEscrowed[project.token] -= amount;
+    }
+
+    // Credits the platform fee on `gross` to the treasury. The fee rounds
+    // down, so odd amounts favour the recipient.
+    function _takeFee(address token, uint256 gross) internal returns (uint256 fee) {
+        fee = (gross * feeBps) / BPS;
+        if (fee > 0) {
+            _credit(token, treasury, fee);
+        }
+    }
+
+    function _pay(address token, address to, uint256 amount) internal {
+        if (token != address(0)) {
+            _callToken(token, abi.encodeCall(IERC20.transfer, (to, amount)));
+            return;
+        }
         (bool ok, ) = payable(to).call{value: amount}("");
         require(ok, "ETH_TRANSFER_FAILED");
     }
 
+    // Fee-on-transfer and other tokens that deliver less than requested would
+    // leave the vault short, so they are rejected here.
+    function _pullToken(address token, address from, uint256 amount) internal {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        _callToken(token, abi.encodeCall(IERC20.transferFrom, (from, address(this), amount)));
+        if (IERC20(token).balanceOf(address(this)) - balanceBefore != amount) revert UnsupportedToken();
+    }
+
+    // Accepts tokens that return nothing (e.g. USDT) as well as `true`.
+    function _callToken(address token, bytes memory data) internal {
+        (bool ok, bytes memory returndata) = token.call(data);
+        if (!ok || (returndata.length != 0 && !abi.decode(returndata, (bool)))) {
+            revert TokenTransferFailed();
+        }
+    }
+
     receive() external payable {
-        revert("DIRECT_ETH_DISABLED")
+        revert("DIRECT_ETH_DISABLED");
     }
     
     fallback() external payable {
-        revert("DIRECT_ETH_DISABLED")
+        revert("DIRECT_ETH_DISABLED");
     }
 }
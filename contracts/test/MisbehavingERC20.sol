@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import {MockERC20} from "./MockERC20.sol";
+
+// ERC-20 whose transfers can be switched into the non-standard behaviours
+// Escrow has to cope with.
+contract MisbehavingERC20 is MockERC20 {
+    enum Mode {
+        Standard,
+        // Returns no data at all, like USDT.
+        NoReturn,
+        // Returns false instead of reverting.
+        ReturnFalse,
+        // Burns 1% of every transfer.
+        FeeOnTransfer
+    }
+
+    Mode public mode;
+
+    constructor() MockERC20("Misbehaving Token", "BAD", 18) {}
+
+    function setMode(Mode mode_) external {
+        mode = mode_;
+    }
+
+    function transfer(address to, uint256 amount) public override returns (bool) {
+        if (mode == Mode.ReturnFalse) return false;
+        _transfer(msg.sender, to, amount);
+        _finish();
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) public override returns (bool) {
+        if (mode == Mode.ReturnFalse) return false;
+        _spendAllowance(from, amount);
+        _transfer(from, to, amount);
+        _finish();
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        if (mode == Mode.FeeOnTransfer) {
+            uint256 fee = amount / 100;
+            super._transfer(from, address(0), fee);
+            amount -= fee;
+        }
+        super._transfer(from, to, amount);
+    }
+
+    function _finish() private view {
+        if (mode == Mode.NoReturn) {
+            assembly {
+                return(0, 0)
+            }
+        }
+    }
+}
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+// A contract account that forwards calls to Escrow and, when it receives
+// ETH, calls back into Escrow with a preconfigured payload. The outcome of
+// that nested call is recorded instead of bubbling up.
+contract ReentrantReceiver {
+    address public reentryTarget;
+    bytes public reentryData;
+    bool public reentered;
+    bool public reentrySucceeded;
+    bytes public reentryResult;
+
+    function setReentry(address target, bytes calldata data) external {
+        reentryTarget = target;
+        reentryData = data;
+    }
+
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool ok, bytes memory result) = target.call{value: msg.value}(data);
+        if (!ok) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        if (reentered || reentryTarget == address(0)) return;
+        reentered = true;
+        (reentrySucceeded, reentryResult) = reentryTarget.call(reentryData);
+    }
+}
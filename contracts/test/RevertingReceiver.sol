@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+// A contract account (client, freelancer, ...) that forwards calls to Escrow
+// and rejects every ETH transfer it receives.
+contract RevertingReceiver {
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool ok, bytes memory result) = target.call{value: msg.value}(data);
+        if (!ok) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        revert("REJECTED");
+    }
+}
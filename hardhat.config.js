@@ -1,6 +1,36 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/escrow");
+require("./tasks/seed");
+
+const { DEPLOYER_PRIVATE_KEY, TESTNET_RPC_URL, MAINNET_FORK_RPC_URL } =
+  process.env;
+
+const accounts = DEPLOYER_PRIVATE_KEY ? [DEPLOYER_PRIVATE_KEY] : [];
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // The legacy pipeline puts Escrow over the 24 KiB code size limit.
+      viaIR: true,
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
+  networks: {
+    localhost: {
+      url: "http://127.0.0.1:8545",
+    },
+    testnet: {
+      url: TESTNET_RPC_URL || "",
+      accounts,
+    },
+    // A local node started with `npx hardhat node --fork <mainnet rpc>`.
+    "mainnet-fork": {
+      url: MAINNET_FORK_RPC_URL || "http://127.0.0.1:8545",
+    },
+  },
 };
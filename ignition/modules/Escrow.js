@@ -1,18 +1,27 @@
 // This setup uses Hardhat Ignition to manage smart contract deployments.
 // Learn more about it at https://hardhat.org/ignition
+//
+// Per-network settings live in ignition/parameters/<network>.json, e.g.
+//   npx hardhat ignition deploy ./ignition/modules/Escrow.js \
+//     --network localhost \
+//     --parameters ./ignition/parameters/localhost.json \
+//     --deployment-id localhost
 
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
 
-const JAN_1ST_2030 = 1893456000;
-const ONE_GWEI = 1_000_000_000n;
+module.exports = buildModule("EscrowModule", (m) => {
+  // The deployer becomes the owner, who can change the fee (up to
+  // MAX_FEE_BPS) and the treasury later on. No parameter has a default, so
+  // a profile that leaves one out or misspells it fails to deploy instead
+  // of silently deploying without a fee.
+  const treasury = m.getParameter("treasury");
+  const feeBps = m.getParameter("feeBps");
+  const chargeFeeOnClose = m.getParameter("chargeFeeOnClose");
 
-module.exports = buildModule("LockModule", (m) => {
-  const unlockTime = m.getParameter("unlockTime", JAN_1ST_2030);
-  const lockedAmount = m.getParameter("lockedAmount", ONE_GWEI);
+  const escrow = m.contract("Escrow", [treasury, feeBps, chargeFeeOnClose]);
 
-  const lock = m.contract("Escrow", [unlockTime], {
-    value: lockedAmount,
-  });
+  // Post-deploy check: an unused project slot must be readable and empty.
+  m.staticCall(escrow, "projects", [0n], "exists", { id: "ProbeProjects" });
 
-  return { lock };
+  return { escrow };
 });
@@ -0,0 +1,18 @@
+// Deploys a mintable ERC-20 for token escrows on local networks, e.g.
+//   npx hardhat ignition deploy ./ignition/modules/MockToken.js \
+//     --network localhost \
+//     --parameters ./ignition/parameters/localhost.json \
+//     --deployment-id localhost
+// Never deploy this to a public network: anyone can mint.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("MockTokenModule", (m) => {
+  const name = m.getParameter("name", "Mock USD Coin");
+  const symbol = m.getParameter("symbol", "mUSDC");
+  const decimals = m.getParameter("decimals", 6);
+
+  const token = m.contract("MockERC20", [name, symbol, decimals]);
+
+  return { token };
+});
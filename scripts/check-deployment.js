@@ -0,0 +1,37 @@
+// Confirms a deployed Escrow responds, e.g.
+//   npx hardhat run scripts/check-deployment.js --network localhost
+// The Ignition deployment id defaults to the network name and can be
+// overridden with DEPLOYMENT_ID. Outside a local chain, it also fails when
+// fees go to one of Hardhat's default accounts.
+
+const hre = require("hardhat");
+const { getEscrowAddress, isDevelopmentAccount } = require("../sdk/deployments");
+
+const LOCAL_CHAIN_ID = 31337n;
+
+async function main() {
+  const deploymentId = process.env.DEPLOYMENT_ID || hre.network.name;
+  const address = getEscrowAddress(deploymentId);
+
+  const code = await hre.ethers.provider.getCode(address);
+  if (code === "0x") {
+    throw new Error(`No contract code at ${address} (deployment ${deploymentId})`);
+  }
+
+  const escrow = await hre.ethers.getContractAt("Escrow", address);
+  // Reverts (or fails to decode) if the address is not an Escrow.
+  await escrow.projects(0);
+
+  const treasury = await escrow.treasury();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (chainId !== LOCAL_CHAIN_ID && isDevelopmentAccount(treasury)) {
+    throw new Error(`Treasury ${treasury} is a Hardhat default account, whose key is public; call setTreasury`);
+  }
+
+  console.log(`Escrow at ${address} is responding (deployment ${deploymentId})`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,1031 @@
+const { AbiCoder, Contract, VoidSigner, ZeroAddress, ZeroHash, keccak256 } = require("ethers");
+const { decodeEscrowError } = require("./errors");
+const { escrowDomain, signBid, signSubmitMilestone } = require("./signing");
+const { toContentHash } = require("./content");
+
+/** Index => name of the contract's ProjectStatus enum. */
+const PROJECT_STATUSES = ["Open", "InProgress", "Closed"];
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+/**
+ * @typedef {"Open" | "InProgress" | "Closed"} ProjectStatus
+ *
+ * @typedef {object} Project
+ * @property {bigint} projectId
+ * @property {string} client
+ * @property {string} freelancer ZeroAddress until a bid is accepted
+ * @property {string} arbiter rules on disputed milestones
+ * @property {string} token ERC-20 the project is paid in, ZeroAddress for ETH
+ * @property {string} specHash sha-256 of the spec, ZeroHash if none
+ * @property {ProjectStatus} status
+ * @property {bigint} vaultBalance
+ * @property {bigint} disputedWei part of the vault frozen by open disputes
+ * @property {bigint} submittedWei part of the vault held by submitted,
+ *   unreleased milestones, disputed ones included; stale once Closed
+ * @property {number} submittedCount milestones submitted and not released
+ * @property {boolean} exists
+ *
+ * @typedef {object} Bid
+ * @property {bigint} projectId
+ * @property {string} bidder
+ * @property {bigint} amountWei
+ * @property {number} expiry unix time after which it cannot be accepted; 0
+ *   if it never expires
+ * @property {boolean} exists
+ *
+ * @typedef {object} Milestone
+ * @property {bigint} projectId
+ * @property {number} index
+ * @property {bigint} amountWei
+ * @property {bigint} fundedWei
+ * @property {string} specHash sha-256 of the milestone's spec, ZeroHash if none
+ * @property {string} deliverableHash sha-256 of the last submission, ZeroHash if none
+ * @property {number} deadline unix time the freelancer must submit by
+ * @property {number} submittedAt unix time of the last submission, 0 if none
+ * @property {number} reviewPeriod seconds the client has to review a
+ *   submission before the freelancer can claim it
+ * @property {boolean} submitted
+ * @property {boolean} released paid out to the freelancer
+ * @property {boolean} disputed
+ * @property {boolean} exists
+ * @property {boolean} reclaimed refunded to the client by reclaimMilestone;
+ *   never also released
+ *
+ * @typedef {object} Cancellation settlement one party proposed, waiting
+ *   for the other's acceptCancellation
+ * @property {bigint} projectId
+ * @property {string} proposedBy
+ * @property {bigint} freelancerWei owed for submitted, undisputed work
+ * @property {bigint} clientWei refunded for unsubmitted milestones
+ * @property {boolean} exists
+ *
+ * @typedef {object} Amendment terms proposed by the client that wait for
+ *   the freelancer's acceptAmendment
+ * @property {bigint} projectId
+ * @property {number} index
+ * @property {bigint} amountWei
+ * @property {number} deadline
+ * @property {number} reviewPeriod
+ * @property {boolean} exists false when nothing is pending
+ *
+ * @typedef {object} Asset
+ * @property {string} token ZeroAddress for native ETH
+ * @property {string} symbol
+ * @property {number} decimals
+ *
+ * @typedef {object} FeeConfig
+ * @property {string} owner may change the fee and treasury
+ * @property {string} treasury credited with every fee
+ * @property {number} feeBps fee on releases, in basis points
+ * @property {boolean} chargeFeeOnClose whether closeProject refunds pay it too
+ * @property {number} maxFeeBps
+ *
+ * @typedef {object} AdminState
+ * @property {string} owner
+ * @property {string} pendingOwner ZeroAddress unless a transfer is waiting
+ *   for acceptOwnership
+ * @property {string} guardian may pause; only the owner unpauses
+ * @property {boolean} paused
+ *
+ * @typedef {object} Payee
+ * @property {string} account
+ * @property {number} shareBps share of each payout, in basis points
+ *
+ * @typedef {object} SplitProposal a split waiting for every current payee
+ * @property {string} splitHash ZeroHash when nothing is pending
+ * @property {Payee[]} payees
+ * @property {number} approvals bit i is set once the i-th current payee approved
+ *
+ * @typedef {object} ProjectSummary
+ * @property {Project} project
+ * @property {Milestone[]} milestones ordered by index, without cancelled ones
+ * @property {bigint} totalAmountWei sum of every milestone amount
+ * @property {bigint} totalFundedWei funds still held for the milestones
+ * @property {bigint} totalReleasedWei sum of released milestone amounts,
+ *   leaving out reclaimed ones
+ *
+ * @typedef {object} EscrowEvent
+ * @property {string} name
+ * @property {Record<string, unknown>} args
+ *
+ * @typedef {object} TxResult
+ * @property {import("ethers").TransactionReceipt} receipt
+ * @property {EscrowEvent[]} events Escrow events emitted by the transaction
+ */
+
+function loadEscrowAbi() {
+  // Produced by `npx hardhat compile`.
+  return require("../artifacts/contracts/Escrow.sol/Escrow.json").abi;
+}
+
+function toProject(projectId, raw) {
+  return {
+    projectId: BigInt(projectId),
+    client: raw.client,
+    freelancer: raw.freelancer,
+    arbiter: raw.arbiter,
+    token: raw.token,
+    specHash: raw.specHash,
+    status: PROJECT_STATUSES[Number(raw.status)],
+    vaultBalance: raw.vaultBalance,
+    disputedWei: raw.disputedWei,
+    submittedWei: raw.submittedWei,
+    submittedCount: Number(raw.submittedCount),
+    exists: raw.exists,
+  };
+}
+
+function toBid(projectId, bidder, raw) {
+  return {
+    projectId: BigInt(projectId),
+    bidder,
+    amountWei: raw.amountWei,
+    expiry: Number(raw.expiry),
+    exists: raw.exists,
+  };
+}
+
+function toMilestone(projectId, index, raw) {
+  return {
+    projectId: BigInt(projectId),
+    index: Number(index),
+    amountWei: raw.amountWei,
+    fundedWei: raw.fundedWei,
+    specHash: raw.specHash,
+    deliverableHash: raw.deliverableHash,
+    deadline: Number(raw.deadline),
+    submittedAt: Number(raw.submittedAt),
+    reviewPeriod: Number(raw.reviewPeriod),
+    submitted: raw.submitted,
+    released: raw.released,
+    disputed: raw.disputed,
+    exists: raw.exists,
+    reclaimed: raw.reclaimed,
+  };
+}
+
+function toPayees(raw) {
+  return raw.map((payee) => ({ account: payee.account, shareBps: Number(payee.shareBps) }));
+}
+
+/**
+ * The hash Escrow identifies a proposed split by, for approveSplit.
+ *
+ * @param {Payee[]} payees
+ * @returns {string}
+ */
+function hashSplit(payees) {
+  return keccak256(
+    AbiCoder.defaultAbiCoder().encode(
+      ["address[]", "uint16[]"],
+      [payees.map((p) => p.account), payees.map((p) => p.shareBps)]
+    )
+  );
+}
+
+function toAmendment(projectId, index, raw) {
+  return {
+    projectId: BigInt(projectId),
+    index: Number(index),
+    amountWei: raw.amountWei,
+    deadline: Number(raw.deadline),
+    reviewPeriod: Number(raw.reviewPeriod),
+    exists: raw.exists,
+  };
+}
+
+/**
+ * Thin wrapper around the Escrow contract. Write methods wait for the
+ * transaction to be mined and throw an EscrowError subclass on revert.
+ * Amounts are in the smallest unit of the project's asset (wei for ETH).
+ */
+class EscrowClient {
+  /**
+   * @param {import("ethers").Contract} contract an Escrow instance; its
+   *   runner signs every transaction
+   */
+  constructor(contract) {
+    this.contract = contract;
+  }
+
+  /**
+   * @param {string} address
+   * @param {import("ethers").ContractRunner} runner
+   * @returns {EscrowClient}
+   */
+  static connect(address, runner) {
+    return new EscrowClient(new Contract(address, loadEscrowAbi(), runner));
+  }
+
+  /**
+   * Returns a client that sends transactions from another signer.
+   *
+   * @param {import("ethers").ContractRunner} runner
+   * @returns {EscrowClient}
+   */
+  connect(runner) {
+    return new EscrowClient(this.contract.connect(runner));
+  }
+
+  /** @returns {Promise<string>} */
+  getAddress() {
+    return this.contract.getAddress();
+  }
+
+  /**
+   * Creates a project owned by the sender. Escrow assigns the ID, which is
+   * read back from the ProjectCreated event.
+   *
+   * @param {string} arbiter rules on disputes; neither zero nor the caller
+   * @param {string} [token] ERC-20 to pay in; native ETH by default
+   * @param {string} [specHash] bytes32 hex or raw CIDv1 of the spec; none if omitted
+   * @returns {Promise<TxResult & { projectId: bigint }>}
+   */
+  async createProject(arbiter, token = ZeroAddress, specHash) {
+    const result = await this._send("createProject", [arbiter, token, toContentHash(specHash)]);
+    const created = result.events.find((event) => event.name === "ProjectCreated");
+    return { ...result, projectId: created.args.projectId };
+  }
+
+  /**
+   * Places the signer's bid, or replaces the amount and expiry of an
+   * existing one.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {bigint} amountWei
+   * @param {object} [options]
+   * @param {number} [options.expiry] unix time after which the client can no
+   *   longer accept it; never expires if omitted
+   * @returns {Promise<TxResult>}
+   */
+  placeBid(projectId, amountWei, { expiry = 0 } = {}) {
+    return this._send("placeBid", [projectId, amountWei, expiry]);
+  }
+
+  /**
+   * Splits the payouts of the signer's bid, and of the project if the bid
+   * is accepted. Shares must add up to 10000 bps; an empty list pays the
+   * bidder alone.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {Payee[]} payees
+   * @returns {Promise<TxResult>}
+   */
+  setBidPayees(projectId, payees) {
+    return this._send("setBidPayees", [projectId, payees.map((p) => p.account), payees.map((p) => p.shareBps)]);
+  }
+
+  /**
+   * Proposes a new split as one of the project's payees. It applies once
+   * every current payee has approved it; the proposer approves by proposing.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {Payee[]} payees
+   * @returns {Promise<TxResult>}
+   */
+  proposeSplit(projectId, payees) {
+    return this._send("proposeSplit", [projectId, payees.map((p) => p.account), payees.map((p) => p.shareBps)]);
+  }
+
+  /**
+   * Approves the pending split as one of the project's current payees.
+   * Reverts with SplitMismatch if a different split is pending.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {string} splitHash from hashSplit or getSplitProposal
+   * @returns {Promise<TxResult>}
+   */
+  approveSplit(projectId, splitHash) {
+    return this._send("approveSplit", [projectId, splitHash]);
+  }
+
+  /**
+   * Removes the signer's bid while the project is still open.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  withdrawBid(projectId) {
+    return this._send("withdrawBid", [projectId]);
+  }
+
+  /**
+   * Client only. Reverts with BidAmountMismatch if the bid no longer asks
+   * `expectedAmountWei`, and with SplitMismatch if its payees are no longer
+   * `expectedPayees`.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {string} bidder
+   * @param {bigint} expectedAmountWei
+   * @param {Payee[]} [expectedPayees] the bid's split, as getBidPayees
+   *   returns it; empty for a bidder paid alone
+   * @returns {Promise<TxResult>}
+   */
+  acceptBid(projectId, bidder, expectedAmountWei, expectedPayees = []) {
+    const splitHash = expectedPayees.length === 0 ? ZeroHash : hashSplit(expectedPayees);
+    return this._send("acceptBid", [projectId, bidder, expectedAmountWei, splitHash]);
+  }
+
+  /**
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {number} index
+   * @param {bigint} amountWei
+   * @param {number} deadline unix time the freelancer must submit by
+   * @param {number} reviewPeriod seconds the client has to review a submission
+   * @param {string} [specHash] bytes32 hex or raw CIDv1 of the spec; none if omitted
+   * @returns {Promise<TxResult>}
+   */
+  createMilestone(projectId, index, amountWei, deadline, reviewPeriod, specHash) {
+    return this._send("createMilestone", [projectId, index, amountWei, deadline, reviewPeriod, toContentHash(specHash)]);
+  }
+
+  /**
+   * Creates several milestones in one transaction. If any of them is
+   * invalid, none are created.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {{ index: number, amountWei: bigint, deadline: number, reviewPeriod: number, specHash?: string }[]} milestones
+   * @returns {Promise<TxResult>}
+   */
+  createMilestones(projectId, milestones) {
+    return this._send("createMilestones", [
+      projectId,
+      milestones.map((m) => m.index),
+      milestones.map((m) => m.amountWei),
+      milestones.map((m) => m.deadline),
+      milestones.map((m) => m.reviewPeriod),
+      milestones.map((m) => toContentHash(m.specHash)),
+    ]);
+  }
+
+  /**
+   * Sends ETH or, for token projects, pulls tokens from the signer. Unless
+   * `approve` is false, a missing token allowance is approved first. Only
+   * what the milestone still needs is kept; surplus ETH is credited back to
+   * the signer and surplus tokens are not pulled.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {number} index
+   * @param {bigint} amount
+   * @param {object} [options]
+   * @param {boolean} [options.approve]
+   * @returns {Promise<TxResult>}
+   */
+  async fundMilestone(projectId, index, amount, { approve = true } = {}) {
+    const { token } = await this.getProject(projectId);
+    if (token === ZeroAddress) {
+      return this._send("fundMilestone", [projectId, index, { value: amount }]);
+    }
+
+    if (approve) {
+      await this._approve(token, amount);
+    }
+    return this._send("fundMilestoneToken", [projectId, index, amount]);
+  }
+
+  /**
+   * Funds several milestones in one transaction, sending the sum of the
+   * amounts as ETH or pulling it in one token transfer. Surplus is handled
+   * as in fundMilestone.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {{ index: number, amount: bigint }[]} fundings
+   * @param {object} [options]
+   * @param {boolean} [options.approve]
+   * @returns {Promise<TxResult>}
+   */
+  async fundMilestones(projectId, fundings, { approve = true } = {}) {
+    const { token } = await this.getProject(projectId);
+    const indexes = fundings.map((f) => f.index);
+    const amounts = fundings.map((f) => f.amount);
+    const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+    if (token === ZeroAddress) {
+      return this._send("fundMilestones", [projectId, indexes, amounts, { value: total }]);
+    }
+
+    if (approve) {
+      await this._approve(token, total);
+    }
+    return this._send("fundMilestonesToken", [projectId, indexes, amounts]);
+  }
+
+  /**
+   * Signs a bid with this client's signer instead of sending placeBid. The
+   * project's client accepts it with acceptSignedBid.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {bigint} amountWei
+   * @param {object} options
+   * @param {number} options.expiry unix time after which it cannot be accepted
+   * @param {Payee[]} [options.payees] split of the payouts; the signer is
+   *   paid alone if omitted
+   * @param {bigint} [options.nonce] random if omitted
+   * @returns {Promise<import("./signing").SignedBid>}
+   */
+  async signBid(projectId, amountWei, { expiry, payees, nonce } = {}) {
+    return signBid(this.contract.runner, await this.getDomain(), { projectId, amountWei, expiry, payees, nonce });
+  }
+
+  /**
+   * Client only: hires the freelancer who signed `bid`.
+   *
+   * @param {import("./signing").SignedBid} bid
+   * @returns {Promise<TxResult>}
+   */
+  acceptSignedBid(bid) {
+    return this._send("acceptSignedBid", [
+      bid.projectId,
+      bid.bidder,
+      bid.amountWei,
+      bid.payees,
+      bid.sharesBps,
+      bid.nonce,
+      bid.expiry,
+      bid.signature,
+    ]);
+  }
+
+  /**
+   * Revokes a signed bid or submission that has not been used yet.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  cancelNonce(nonce) {
+    return this._send("cancelNonce", [nonce]);
+  }
+
+  /** @returns {Promise<boolean>} true once used or cancelled */
+  isNonceUsed(account, nonce) {
+    return this._call("usedNonces", [account, nonce]);
+  }
+
+  /**
+   * The EIP-712 domain Escrow checks signatures against.
+   *
+   * @returns {Promise<import("./signing").EscrowDomain>}
+   */
+  async getDomain() {
+    const { chainId } = await this.contract.runner.provider.getNetwork();
+    return escrowDomain(await this.getAddress(), chainId);
+  }
+
+  /**
+   * Client only: changes an unsubmitted milestone. A later deadline or a
+   * shorter review period applies at once; any other change is only
+   * proposed (MilestoneAmendmentProposed) until the freelancer accepts it.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  amendMilestone(projectId, index, amountWei, deadline, reviewPeriod) {
+    return this._send("amendMilestone", [projectId, index, amountWei, deadline, reviewPeriod]);
+  }
+
+  /**
+   * Freelancer only: accepts the pending amendment. The terms must match
+   * the proposal exactly, so one replaced in the meantime is not accepted.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  acceptAmendment(projectId, index, amountWei, deadline, reviewPeriod) {
+    return this._send("acceptAmendment", [projectId, index, amountWei, deadline, reviewPeriod]);
+  }
+
+  /**
+   * Client only: removes an unsubmitted milestone and credits its funds back
+   * to the client.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  cancelMilestone(projectId, index) {
+    return this._send("cancelMilestone", [projectId, index]);
+  }
+
+  /**
+   * Submitting again before a release replaces the deliverable hash.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {number} index
+   * @param {string} [deliverableHash] bytes32 hex or raw CIDv1; none if omitted
+   * @returns {Promise<TxResult>}
+   */
+  submitMilestone(projectId, index, deliverableHash) {
+    return this._send("submitMilestone", [projectId, index, toContentHash(deliverableHash)]);
+  }
+
+  /**
+   * Signs a milestone submission with this client's signer, for someone
+   * else to relay with submitMilestoneWithSig.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {number} index
+   * @param {object} options
+   * @param {string} [options.deliverableHash] bytes32 hex or raw CIDv1; none if omitted
+   * @param {number} options.expiry unix time after which it cannot be relayed
+   * @param {bigint} [options.nonce] random if omitted
+   * @returns {Promise<import("./signing").SignedSubmitMilestone>}
+   */
+  async signSubmitMilestone(projectId, index, { deliverableHash, expiry, nonce } = {}) {
+    return signSubmitMilestone(this.contract.runner, await this.getDomain(), {
+      projectId,
+      index,
+      deliverableHash,
+      expiry,
+      nonce,
+    });
+  }
+
+  /**
+   * Relays a submission the freelancer signed. The relayer pays the gas.
+   *
+   * @param {import("./signing").SignedSubmitMilestone} submission
+   * @returns {Promise<TxResult>}
+   */
+  submitMilestoneWithSig(submission) {
+    return this._send("submitMilestoneWithSig", [
+      submission.projectId,
+      submission.index,
+      submission.deliverableHash,
+      submission.nonce,
+      submission.expiry,
+      submission.signature,
+    ]);
+  }
+
+  /**
+   * Client only: credits the milestone's funds to the freelancer's
+   * withdrawable balance.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  releaseMilestone(projectId, index) {
+    return this._send("releaseMilestone", [projectId, index]);
+  }
+
+  /**
+   * Client only: releases several submitted milestones, or none if any of
+   * them cannot be released.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {number[]} indexes
+   * @returns {Promise<TxResult>}
+   */
+  releaseMilestones(projectId, indexes) {
+    return this._send("releaseMilestones", [projectId, indexes]);
+  }
+
+  /**
+   * Freelancer only: releases a submitted milestone the client neither
+   * released nor disputed within its review period.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  claimMilestone(projectId, index) {
+    return this._send("claimMilestone", [projectId, index]);
+  }
+
+  /**
+   * Client only: refunds a milestone that was not submitted by its deadline
+   * to the client's withdrawable balance.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  reclaimMilestone(projectId, index) {
+    return this._send("reclaimMilestone", [projectId, index]);
+  }
+
+  /**
+   * Client only: refunds everything but disputed funds and closes the
+   * project. Reverts with SubmittedWorkPending while funded, submitted work
+   * is neither released nor disputed.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  closeProject(projectId) {
+    return this._send("closeProject", [projectId]);
+  }
+
+  /**
+   * Client or freelancer: proposes to cancel the project, paying the
+   * freelancer for submitted work and refunding the client the rest.
+   * Disputed funds stay with the arbiter.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  proposeCancellation(projectId) {
+    return this._send("proposeCancellation", [projectId]);
+  }
+
+  /**
+   * The party that did not propose accepts the pending cancellation. The
+   * amounts must match the proposal, which must still match the project.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {{ freelancerWei: bigint, clientWei: bigint }} terms as returned
+   *   by getCancellation
+   * @returns {Promise<TxResult>}
+   */
+  acceptCancellation(projectId, { freelancerWei, clientWei }) {
+    return this._send("acceptCancellation", [projectId, freelancerWei, clientWei]);
+  }
+
+  /**
+   * Freelancer only: leaves a project with no submitted work pending. The
+   * project is Open again, with its milestones and funds, and the
+   * freelancer's bid is removed.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  resign(projectId) {
+    return this._send("resign", [projectId]);
+  }
+
+  /**
+   * Freezes a submitted milestone's funds until the arbiter rules. Callable
+   * by the client or the freelancer; the client only until the review
+   * period is over, after which it reverts with ReviewPeriodOver.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  openDispute(projectId, index) {
+    return this._send("openDispute", [projectId, index]);
+  }
+
+  /**
+   * Arbiter only: credits `freelancerWei` of the disputed funds, less the
+   * platform fee, to the freelancer and the rest to the client.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  resolveDispute(projectId, index, freelancerWei) {
+    return this._send("resolveDispute", [projectId, index, freelancerWei]);
+  }
+
+  /**
+   * Pays the signer's whole withdrawable balance of `token` out to the signer.
+   *
+   * @param {string} [token] ERC-20 address, or the zero address for ETH
+   * @returns {Promise<TxResult>}
+   */
+  withdraw(token = ZeroAddress) {
+    return this._send("withdraw", [token]);
+  }
+
+  /**
+   * Like withdraw, but pays another address. Lets contract accounts that
+   * cannot receive ETH move their balance out.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  withdrawTo(token, to) {
+    return this._send("withdrawTo", [token, to]);
+  }
+
+  /**
+   * Owner only: offers ownership to `newOwner`, who takes it with
+   * acceptOwnership. ZeroAddress cancels a pending offer.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  transferOwnership(newOwner) {
+    return this._send("transferOwnership", [newOwner]);
+  }
+
+  /** @returns {Promise<TxResult>} */
+  acceptOwnership() {
+    return this._send("acceptOwnership", []);
+  }
+
+  /** @returns {Promise<TxResult>} */
+  setGuardian(guardian) {
+    return this._send("setGuardian", [guardian]);
+  }
+
+  /**
+   * Guardian or owner: stops new projects, bids and funding. Payouts,
+   * refunds and withdrawals keep working.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  pause() {
+    return this._send("pause", []);
+  }
+
+  /** @returns {Promise<TxResult>} */
+  unpause() {
+    return this._send("unpause", []);
+  }
+
+  /**
+   * Owner only: sends out tokens that reached Escrow outside a project.
+   * Reverts with RescueExceedsSurplusError if `amount` would dip into
+   * escrowed or withdrawable funds.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  rescueToken(token, to, amount) {
+    return this._send("rescueToken", [token, to, amount]);
+  }
+
+  /** @returns {Promise<AdminState>} */
+  async getAdminState() {
+    const [owner, pendingOwner, guardian, paused] = await Promise.all([
+      this._call("owner", []),
+      this._call("pendingOwner", []),
+      this._call("guardian", []),
+      this._call("paused", []),
+    ]);
+    return { owner, pendingOwner, guardian, paused };
+  }
+
+  /**
+   * Tokens held beyond what projects and withdrawable balances are owed,
+   * i.e. the most rescueToken can send.
+   *
+   * @returns {Promise<bigint>}
+   */
+  async getRescuableAmount(token) {
+    const erc20 = new Contract(token, ERC20_ABI, this.contract.runner);
+    const [held, escrowed, withdrawable] = await Promise.all([
+      erc20.balanceOf(await this.getAddress()),
+      this._call("totalEscrowed", [token]),
+      this._call("totalWithdrawable", [token]),
+    ]);
+    const owed = escrowed + withdrawable;
+    return held > owed ? held - owed : 0n;
+  }
+
+  /**
+   * Owner only: sets the platform fee, at most `maxFeeBps`.
+   *
+   * @param {number} feeBps
+   * @param {boolean} chargeFeeOnClose
+   * @returns {Promise<TxResult>}
+   */
+  setFee(feeBps, chargeFeeOnClose) {
+    return this._send("setFee", [feeBps, chargeFeeOnClose]);
+  }
+
+  /**
+   * Owner only: fees charged from now on are credited to `treasury`.
+   *
+   * @returns {Promise<TxResult>}
+   */
+  setTreasury(treasury) {
+    return this._send("setTreasury", [treasury]);
+  }
+
+  /** @returns {Promise<FeeConfig>} */
+  async getFeeConfig() {
+    const [owner, treasury, feeBps, chargeFeeOnClose, maxFeeBps] = await Promise.all([
+      this._call("owner", []),
+      this._call("treasury", []),
+      this._call("feeBps", []),
+      this._call("chargeFeeOnClose", []),
+      this._call("MAX_FEE_BPS", []),
+    ]);
+    return { owner, treasury, feeBps: Number(feeBps), chargeFeeOnClose, maxFeeBps: Number(maxFeeBps) };
+  }
+
+  /**
+   * Balance of `token` (zero address for ETH) waiting to be withdrawn.
+   *
+   * @returns {Promise<bigint>}
+   */
+  getWithdrawable(account, token = ZeroAddress) {
+    return this._call("withdrawable", [account, token]);
+  }
+
+  /** @returns {Promise<Project>} */
+  async getProject(projectId) {
+    const raw = await this._call("projects", [projectId]);
+    return toProject(projectId, raw);
+  }
+
+  /** @returns {Promise<Bid>} */
+  async getBid(projectId, bidder) {
+    const raw = await this._call("bids", [projectId, bidder]);
+    return toBid(projectId, bidder, raw);
+  }
+
+  /** @returns {Promise<number>} */
+  async getBidCount(projectId) {
+    return Number(await this._call("bidCount", [projectId]));
+  }
+
+  /**
+   * Current bids on a project, read `pageSize` at a time. Pass `offset` and
+   * `limit` to read a single page instead.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {object} [options]
+   * @param {number} [options.offset]
+   * @param {number} [options.limit] all bids from `offset` if omitted
+   * @param {number} [options.pageSize]
+   * @returns {Promise<Bid[]>}
+   */
+  async getBids(projectId, { offset = 0, limit = Infinity, pageSize = 100 } = {}) {
+    const bids = [];
+    while (bids.length < limit) {
+      const size = Math.min(pageSize, limit - bids.length);
+      const [bidders, page] = await this._call("getBids", [projectId, offset + bids.length, size]);
+      bids.push(...bidders.map((bidder, i) => toBid(projectId, bidder, page[i])));
+      if (bidders.length < size) break;
+    }
+    return bids;
+  }
+
+  /**
+   * Who the project's payouts go to. Empty while the freelancer is paid
+   * alone.
+   *
+   * @returns {Promise<Payee[]>}
+   */
+  async getPayees(projectId) {
+    return toPayees(await this._call("getPayees", [projectId]));
+  }
+
+  /**
+   * The split a bid would give the project; empty if the bidder is paid
+   * alone.
+   *
+   * @returns {Promise<Payee[]>}
+   */
+  async getBidPayees(projectId, bidder) {
+    return toPayees(await this._call("getBidPayees", [projectId, bidder]));
+  }
+
+  /** @returns {Promise<SplitProposal>} */
+  async getSplitProposal(projectId) {
+    const [proposal, payees] = await Promise.all([
+      this._call("splitProposals", [projectId]),
+      this._call("getProposedPayees", [projectId]),
+    ]);
+    return { splitHash: proposal.splitHash, payees: toPayees(payees), approvals: Number(proposal.approvals) };
+  }
+
+  /** @returns {Promise<Milestone>} */
+  async getMilestone(projectId, index) {
+    const raw = await this._call("milestones", [projectId, index]);
+    return toMilestone(projectId, index, raw);
+  }
+
+  /** @returns {Promise<Cancellation>} */
+  async getCancellation(projectId) {
+    const raw = await this._call("cancellations", [projectId]);
+    return {
+      projectId: BigInt(projectId),
+      proposedBy: raw.proposedBy,
+      freelancerWei: raw.freelancerWei,
+      clientWei: raw.clientWei,
+      exists: raw.proposedBy !== ZeroAddress,
+    };
+  }
+
+  /** @returns {Promise<Amendment>} */
+  async getAmendment(projectId, index) {
+    const raw = await this._call("amendments", [projectId, index]);
+    return toAmendment(projectId, index, raw);
+  }
+
+  /**
+   * Describes the asset a project is paid in.
+   *
+   * @returns {Promise<Asset>}
+   */
+  async getAsset(projectId) {
+    const { token } = await this.getProject(projectId);
+    return this.getTokenAsset(token);
+  }
+
+  /**
+   * Describes an asset by address; the zero address is native ETH.
+   *
+   * @returns {Promise<Asset>}
+   */
+  async getTokenAsset(token) {
+    if (token === ZeroAddress) {
+      return { token, symbol: "ETH", decimals: 18 };
+    }
+    const erc20 = new Contract(token, ERC20_ABI, this.contract.runner);
+    const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+    return { token, symbol, decimals: Number(decimals) };
+  }
+
+  /**
+   * Milestone indexes cannot be enumerated on-chain, so they are taken from
+   * the project's MilestoneCreated events.
+   *
+   * @param {import("ethers").BigNumberish} projectId
+   * @param {object} [options]
+   * @param {import("ethers").BlockTag} [options.fromBlock] first block to
+   *   scan for MilestoneCreated, 0 by default
+   * @returns {Promise<ProjectSummary>}
+   */
+  async getProjectSummary(projectId, { fromBlock = 0 } = {}) {
+    const project = await this.getProject(projectId);
+    const logs = await this.contract.queryFilter(
+      this.contract.filters.MilestoneCreated(projectId),
+      fromBlock
+    );
+
+    const indexes = [...new Set(logs.map((log) => Number(log.args.index)))];
+    indexes.sort((a, b) => a - b);
+    const milestones = (
+      await Promise.all(indexes.map((index) => this.getMilestone(projectId, index)))
+    ).filter((milestone) => milestone.exists);
+
+    let totalAmountWei = 0n;
+    let totalFundedWei = 0n;
+    let totalReleasedWei = 0n;
+    for (const milestone of milestones) {
+      totalAmountWei += milestone.amountWei;
+      totalFundedWei += milestone.fundedWei;
+      if (milestone.released) {
+        totalReleasedWei += milestone.amountWei;
+      }
+    }
+
+    return { project, milestones, totalAmountWei, totalFundedWei, totalReleasedWei };
+  }
+
+  /**
+   * Builds an unsigned call to a write method for `from` to sign elsewhere,
+   * with nonce, gas limit, fees and chain ID filled in from the provider.
+   * A call that would revert throws the decoded EscrowError instead.
+   *
+   * @param {string} method Escrow function name
+   * @param {any[]} args
+   * @param {object} options
+   * @param {string} options.from account that will sign and send it
+   * @param {import("ethers").BigNumberish} [options.value] wei to attach
+   * @returns {Promise<import("ethers").TransactionLike>}
+   */
+  async populateTransaction(method, args, { from, value } = {}) {
+    const signer = new VoidSigner(from, this.contract.runner.provider || this.contract.runner);
+    const overrides = value === undefined ? {} : { value };
+    try {
+      const tx = await this.contract.connect(signer)[method].populateTransaction(...args, overrides);
+      return await signer.populateTransaction(tx);
+    } catch (error) {
+      throw decodeEscrowError(error, this.contract.interface);
+    }
+  }
+
+  /**
+   * Decodes the Escrow events in a receipt.
+   *
+   * @param {import("ethers").TransactionReceipt} receipt
+   * @returns {Promise<EscrowEvent[]>}
+   */
+  async parseEvents(receipt) {
+    const address = (await this.getAddress()).toLowerCase();
+    const events = [];
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== address) {
+        continue;
+      }
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed) {
+        events.push({ name: parsed.name, args: parsed.args.toObject() });
+      }
+    }
+    return events;
+  }
+
+  async _call(method, args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw decodeEscrowError(error, this.contract.interface);
+    }
+  }
+
+  // Approves `amount` of `token` to Escrow unless the allowance covers it.
+  async _approve(token, amount) {
+    const erc20 = new Contract(token, ERC20_ABI, this.contract.runner);
+    const owner = await this.contract.runner.getAddress();
+    const spender = await this.getAddress();
+    if ((await erc20.allowance(owner, spender)) < amount) {
+      await (await erc20.approve(spender, amount)).wait();
+    }
+  }
+
+  async _send(method, args) {
+    let receipt;
+    try {
+      const tx = await this.contract[method](...args);
+      receipt = await tx.wait();
+    } catch (error) {
+      throw decodeEscrowError(error, this.contract.interface);
+    }
+    return { receipt, events: await this.parseEvents(receipt) };
+  }
+}
+
+module.exports = { EscrowClient, PROJECT_STATUSES, hashSplit };
@@ -0,0 +1,203 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ZeroHash, getBytes, hexlify, isHexString } = require("ethers");
+
+// Escrow stores spec and deliverable hashes as bytes32. Local content is
+// hashed with sha-256. For a single file, that is also the digest of its
+// CIDv1 with the raw codec, so such a CID can be committed and checked.
+// Other CIDs (v0, dag-pb, directories) hash an IPFS node encoding rather
+// than the bytes, and are rejected.
+
+const CID_V1 = 0x01;
+const RAW = 0x55;
+const SHA2_256 = 0x12;
+const DIGEST_LENGTH = 32;
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+// IPFS's default chunk size. Larger files are stored under a dag-pb root,
+// so their raw CIDv1 never resolves.
+const MAX_RAW_BLOCK_BYTES = 262144;
+
+/**
+ * sha-256 of a file's bytes.
+ *
+ * @param {string} file
+ * @returns {Promise<string>} bytes32 hex
+ */
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve("0x" + hash.digest("hex")));
+  });
+}
+
+/**
+ * Every regular file below `dir` with its hash, sorted by path. Paths are
+ * relative and use `/` on every platform. Symlinks are rejected, since
+ * whether they are followed would change the result.
+ *
+ * @param {string} dir
+ * @returns {Promise<{ path: string, hash: string }[]>}
+ */
+async function directoryManifest(dir) {
+  const entries = [];
+
+  async function walk(relative) {
+    const children = await fs.promises.readdir(path.join(dir, relative), { withFileTypes: true });
+    for (const child of children) {
+      const childPath = relative ? `${relative}/${child.name}` : child.name;
+      if (child.isDirectory()) {
+        await walk(childPath);
+      } else if (child.isFile()) {
+        entries.push({ path: childPath, hash: await hashFile(path.join(dir, childPath)) });
+      } else {
+        throw new Error(`Cannot hash ${path.join(dir, childPath)}: not a regular file or directory`);
+      }
+    }
+  }
+
+  await walk("");
+  return entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * sha-256 of the directory's manifest: one `<hash> <path>\n` line per file,
+ * in the order directoryManifest returns them. Empty directories do not
+ * change the result. This is Escrow's own scheme and matches no IPFS
+ * directory CID.
+ *
+ * @param {string} dir
+ * @returns {Promise<string>} bytes32 hex
+ */
+async function hashDirectory(dir) {
+  const manifest = (await directoryManifest(dir)).map((entry) => `${entry.hash} ${entry.path}\n`).join("");
+  return "0x" + crypto.createHash("sha256").update(manifest).digest("hex");
+}
+
+/**
+ * hashFile or hashDirectory, whichever `target` is.
+ *
+ * @param {string} target
+ * @returns {Promise<string>} bytes32 hex
+ */
+async function hashPath(target) {
+  const stats = await fs.promises.stat(target);
+  return stats.isDirectory() ? hashDirectory(target) : hashFile(target);
+}
+
+function decodeBase32(value) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of value) {
+    const digit = BASE32_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`Invalid base32 character ${char}`);
+    }
+    buffer = (buffer << 5) | digit;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+function encodeBase32(bytes) {
+  let result = "";
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      result += BASE32_ALPHABET[(buffer >> bits) & 0x1f];
+    }
+  }
+  if (bits > 0) {
+    result += BASE32_ALPHABET[(buffer << (5 - bits)) & 0x1f];
+  }
+  return result;
+}
+
+function readVarint(bytes, offset) {
+  let value = 0;
+  let shift = 0;
+  for (let i = offset; i < bytes.length; i++) {
+    value += (bytes[i] & 0x7f) * 2 ** shift;
+    if ((bytes[i] & 0x80) === 0) {
+      return { value, next: i + 1 };
+    }
+    shift += 7;
+  }
+  throw new Error("Truncated varint");
+}
+
+function sha256Digest(multihash, cid) {
+  if (multihash.length !== DIGEST_LENGTH + 2 || multihash[0] !== SHA2_256 || multihash[1] !== DIGEST_LENGTH) {
+    throw new Error(`CID ${cid} does not use a sha2-256 multihash`);
+  }
+  return hexlify(multihash.slice(2));
+}
+
+/**
+ * Normalizes what callers pass as a spec or deliverable hash: a bytes32
+ * hex string, or a base32 CIDv1 with the raw codec and sha2-256, whose
+ * digest is returned. Empty values become the zero hash, meaning none.
+ *
+ * @param {string | undefined} value
+ * @returns {string} bytes32 hex
+ */
+function toContentHash(value) {
+  if (value === undefined || value === null || value === "") {
+    return ZeroHash;
+  }
+  if (isHexString(value, DIGEST_LENGTH)) {
+    return value.toLowerCase();
+  }
+  if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(value)) {
+    throw new Error(`CIDv0 ${value} hashes a dag-pb node, not the file; use a raw CIDv1 (ipfs add --cid-version 1 --raw-leaves)`);
+  }
+  if (/^b[a-z2-7]+$/.test(value)) {
+    const bytes = decodeBase32(value.slice(1));
+    const version = readVarint(bytes, 0);
+    if (version.value !== CID_V1) {
+      throw new Error(`Unsupported CID version in ${value}`);
+    }
+    const codec = readVarint(bytes, version.next);
+    if (codec.value !== RAW) {
+      throw new Error(`CID ${value} does not use the raw codec, so its digest is not the content's sha-256`);
+    }
+    return sha256Digest(bytes.slice(codec.next), value);
+  }
+  throw new Error(`Expected a bytes32 hex string or a raw CIDv1, got ${value}`);
+}
+
+/**
+ * Base32 CIDv1 (`bafkrei...`) with the raw codec and `hash` as its sha2-256
+ * digest. It is the IPFS CID of a file stored as a single raw block, such
+ * as one added with `ipfs add --cid-version 1 --raw-leaves` that fits in
+ * one chunk.
+ *
+ * @param {string} hash bytes32 hex of a file
+ * @returns {string}
+ */
+function contentHashToCid(hash) {
+  return "b" + encodeBase32(new Uint8Array([CID_V1, RAW, SHA2_256, DIGEST_LENGTH, ...getBytes(hash)]));
+}
+
+module.exports = {
+  hashFile,
+  hashDirectory,
+  hashPath,
+  directoryManifest,
+  toContentHash,
+  contentHashToCid,
+  MAX_RAW_BLOCK_BYTES,
+};
@@ -0,0 +1,69 @@
+const { HDNodeWallet } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "ignition", "deployments");
+const ESCROW_FUTURE_ID = "EscrowModule#Escrow";
+// The mnemonic behind Hardhat's default accounts. Their private keys are
+// public, so they must never hold anything on a shared network.
+const DEVELOPMENT_MNEMONIC = "test test test test test test test test test test test junk";
+const DEVELOPMENT_ACCOUNT_COUNT = 20;
+
+let developmentAccounts;
+
+/**
+ * Reads the addresses Ignition recorded for a deployment.
+ *
+ * @param {string} deploymentId e.g. "localhost", "testnet" or "chain-31337"
+ * @param {string} [deploymentsDir]
+ * @returns {Record<string, string>} future id => address
+ */
+function readDeployedAddresses(deploymentId, deploymentsDir = DEPLOYMENTS_DIR) {
+  const file = path.join(deploymentsDir, deploymentId, "deployed_addresses.json");
+  if (!fs.existsSync(file)) {
+    throw new Error(`No Ignition deployment found at ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Returns the Escrow address of an Ignition deployment.
+ *
+ * @param {string} deploymentId
+ * @param {string} [deploymentsDir]
+ * @returns {string}
+ */
+function getEscrowAddress(deploymentId, deploymentsDir = DEPLOYMENTS_DIR) {
+  const addresses = readDeployedAddresses(deploymentId, deploymentsDir);
+  const address = addresses[ESCROW_FUTURE_ID];
+  if (!address) {
+    throw new Error(`${ESCROW_FUTURE_ID} is not part of deployment ${deploymentId}`);
+  }
+  return address;
+}
+
+/**
+ * Whether `address` is one of Hardhat's default accounts, whose private
+ * keys anyone can look up.
+ *
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isDevelopmentAccount(address) {
+  if (!developmentAccounts) {
+    const root = HDNodeWallet.fromPhrase(DEVELOPMENT_MNEMONIC, undefined, "m/44'/60'/0'/0");
+    developmentAccounts = new Set();
+    for (let i = 0; i < DEVELOPMENT_ACCOUNT_COUNT; i++) {
+      developmentAccounts.add(root.deriveChild(i).address.toLowerCase());
+    }
+  }
+  return developmentAccounts.has(address.toLowerCase());
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  ESCROW_FUTURE_ID,
+  readDeployedAddresses,
+  getEscrowAddress,
+  isDevelopmentAccount,
+};
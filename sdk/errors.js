@@ -0,0 +1,243 @@
+const { isHexString } = require("ethers");
+
+/**
+ * Base class for every revert the Escrow contract can produce.
+ * `errorName` is the Solidity custom error name or the revert string, and
+ * `args` holds the decoded error arguments.
+ */
+class EscrowError extends Error {
+  constructor(message, { errorName, args = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.errorName = errorName;
+    this.args = args;
+  }
+}
+
+// Custom errors declared in contracts/Escrow.sol.
+class UnauthorizedError extends EscrowError {}
+class InvalidStatusError extends EscrowError {}
+class NoFreelancerError extends EscrowError {}
+class NotSubmittedError extends EscrowError {}
+class AlreadyReleasedError extends EscrowError {}
+class NothingToReleaseError extends EscrowError {}
+class MathOverflowError extends EscrowError {}
+class MismatchedProjectError extends EscrowError {}
+class BidNotFoundError extends EscrowError {}
+class MilestoneExistsError extends EscrowError {}
+class MilestoneNotFoundError extends EscrowError {}
+class ZeroAmountError extends EscrowError {}
+class ProjectNotFoundError extends EscrowError {}
+class InvalidArbiterError extends EscrowError {}
+class MilestoneDisputedError extends EscrowError {}
+class NotDisputedError extends EscrowError {}
+class InvalidSplitError extends EscrowError {}
+class WrongAssetError extends EscrowError {}
+class UnsupportedTokenError extends EscrowError {}
+class TokenTransferFailedError extends EscrowError {}
+class InvalidScheduleError extends EscrowError {}
+class DeadlinePassedError extends EscrowError {}
+class DeadlineNotPassedError extends EscrowError {}
+class ReviewPeriodActiveError extends EscrowError {}
+class ReviewPeriodOverError extends EscrowError {}
+class AlreadySubmittedError extends EscrowError {}
+class NothingToWithdrawError extends EscrowError {}
+class InvalidRecipientError extends EscrowError {}
+class MilestoneFullyFundedError extends EscrowError {}
+class AmendmentNotFoundError extends EscrowError {}
+class InvalidSignatureError extends EscrowError {}
+class SignatureExpiredError extends EscrowError {}
+class NonceUsedError extends EscrowError {}
+class FeeTooHighError extends EscrowError {}
+class InvalidTreasuryError extends EscrowError {}
+class ContractPausedError extends EscrowError {}
+class RescueExceedsSurplusError extends EscrowError {}
+class InvalidBatchError extends EscrowError {}
+class BidExpiredError extends EscrowError {}
+class BidAmountMismatchError extends EscrowError {}
+class InvalidPayeesError extends EscrowError {}
+class SplitMismatchError extends EscrowError {}
+class SubmittedWorkPendingError extends EscrowError {}
+class CancellationNotFoundError extends EscrowError {}
+class CancellationMismatchError extends EscrowError {}
+
+// String reverts.
+class InsufficientMilestoneFundsError extends EscrowError {}
+class EthTransferFailedError extends EscrowError {}
+class ReentrancyError extends EscrowError {}
+class DirectEthDisabledError extends EscrowError {}
+
+const CUSTOM_ERRORS = {
+  Unauthorized: UnauthorizedError,
+  InvalidStatus: InvalidStatusError,
+  NoFreelancer: NoFreelancerError,
+  NotSubmitted: NotSubmittedError,
+  AlreadyReleased: AlreadyReleasedError,
+  NothingToRelease: NothingToReleaseError,
+  MathOverflow: MathOverflowError,
+  MismatchedProject: MismatchedProjectError,
+  BidNotFound: BidNotFoundError,
+  MilestoneExists: MilestoneExistsError,
+  MilestoneNotFound: MilestoneNotFoundError,
+  ZeroAmount: ZeroAmountError,
+  ProjectNotFound: ProjectNotFoundError,
+  InvalidArbiter: InvalidArbiterError,
+  MilestoneDisputed: MilestoneDisputedError,
+  NotDisputed: NotDisputedError,
+  InvalidSplit: InvalidSplitError,
+  WrongAsset: WrongAssetError,
+  UnsupportedToken: UnsupportedTokenError,
+  TokenTransferFailed: TokenTransferFailedError,
+  InvalidSchedule: InvalidScheduleError,
+  DeadlinePassed: DeadlinePassedError,
+  DeadlineNotPassed: DeadlineNotPassedError,
+  ReviewPeriodActive: ReviewPeriodActiveError,
+  ReviewPeriodOver: ReviewPeriodOverError,
+  AlreadySubmitted: AlreadySubmittedError,
+  NothingToWithdraw: NothingToWithdrawError,
+  InvalidRecipient: InvalidRecipientError,
+  MilestoneFullyFunded: MilestoneFullyFundedError,
+  AmendmentNotFound: AmendmentNotFoundError,
+  InvalidSignature: InvalidSignatureError,
+  SignatureExpired: SignatureExpiredError,
+  NonceUsed: NonceUsedError,
+  FeeTooHigh: FeeTooHighError,
+  InvalidTreasury: InvalidTreasuryError,
+  ContractPaused: ContractPausedError,
+  RescueExceedsSurplus: RescueExceedsSurplusError,
+  InvalidBatch: InvalidBatchError,
+  BidExpired: BidExpiredError,
+  BidAmountMismatch: BidAmountMismatchError,
+  InvalidPayees: InvalidPayeesError,
+  SplitMismatch: SplitMismatchError,
+  SubmittedWorkPending: SubmittedWorkPendingError,
+  CancellationNotFound: CancellationNotFoundError,
+  CancellationMismatch: CancellationMismatchError,
+};
+
+const REVERT_REASONS = {
+  "Insufficient milestone funds": InsufficientMilestoneFundsError,
+  ETH_TRANSFER_FAILED: EthTransferFailedError,
+  REENTRANCY: ReentrancyError,
+  DIRECT_ETH_DISABLED: DirectEthDisabledError,
+};
+
+// Providers nest the original revert in different places; walk them all.
+function* errorChain(error) {
+  const seen = new Set();
+  const queue = [error];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === null || typeof current !== "object" || seen.has(current)) {
+      continue;
+    }
+    seen.add(current);
+    yield current;
+    queue.push(current.error, current.cause, current.info && current.info.error);
+  }
+}
+
+function findRevert(error, iface) {
+  for (const current of errorChain(error)) {
+    if (current.revert && current.revert.name) {
+      return { name: current.revert.name, args: [...current.revert.args] };
+    }
+    const data = typeof current.data === "string" ? current.data : current.data && current.data.data;
+    if (isHexString(data) && data.length >= 10) {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        return { name: parsed.name, args: [...parsed.args] };
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Turns a failed Escrow call into the matching EscrowError subclass.
+ * Errors that are not contract reverts (network failures, user rejections)
+ * are returned unchanged.
+ *
+ * @param {unknown} error
+ * @param {import("ethers").Interface} iface the Escrow interface
+ * @returns {unknown}
+ */
+function decodeEscrowError(error, iface) {
+  if (error instanceof EscrowError) {
+    return error;
+  }
+
+  const revert = findRevert(error, iface);
+  if (!revert) {
+    return error;
+  }
+
+  if (revert.name === "Error") {
+    const [reason] = revert.args;
+    const ErrorClass = REVERT_REASONS[reason] || EscrowError;
+    return new ErrorClass(`Escrow reverted: ${reason}`, { errorName: reason, cause: error });
+  }
+
+  const ErrorClass = CUSTOM_ERRORS[revert.name] || EscrowError;
+  return new ErrorClass(`Escrow reverted with ${revert.name}()`, {
+    errorName: revert.name,
+    args: revert.args,
+    cause: error,
+  });
+}
+
+module.exports = {
+  EscrowError,
+  UnauthorizedError,
+  InvalidStatusError,
+  NoFreelancerError,
+  NotSubmittedError,
+  AlreadyReleasedError,
+  NothingToReleaseError,
+  MathOverflowError,
+  MismatchedProjectError,
+  BidNotFoundError,
+  MilestoneExistsError,
+  MilestoneNotFoundError,
+  ZeroAmountError,
+  ProjectNotFoundError,
+  InvalidArbiterError,
+  MilestoneDisputedError,
+  NotDisputedError,
+  InvalidSplitError,
+  WrongAssetError,
+  UnsupportedTokenError,
+  TokenTransferFailedError,
+  InvalidScheduleError,
+  DeadlinePassedError,
+  DeadlineNotPassedError,
+  ReviewPeriodActiveError,
+  ReviewPeriodOverError,
+  AlreadySubmittedError,
+  NothingToWithdrawError,
+  InvalidRecipientError,
+  MilestoneFullyFundedError,
+  AmendmentNotFoundError,
+  InvalidSignatureError,
+  SignatureExpiredError,
+  NonceUsedError,
+  FeeTooHighError,
+  InvalidTreasuryError,
+  ContractPausedError,
+  RescueExceedsSurplusError,
+  InvalidBatchError,
+  BidExpiredError,
+  BidAmountMismatchError,
+  InvalidPayeesError,
+  SplitMismatchError,
+  SubmittedWorkPendingError,
+  CancellationNotFoundError,
+  CancellationMismatchError,
+  InsufficientMilestoneFundsError,
+  EthTransferFailedError,
+  ReentrancyError,
+  DirectEthDisabledError,
+  CUSTOM_ERRORS,
+  REVERT_REASONS,
+  decodeEscrowError,
+};
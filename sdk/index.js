@@ -0,0 +1,19 @@
+const { EscrowClient, PROJECT_STATUSES, hashSplit } = require("./EscrowClient");
+const errors = require("./errors");
+const deployments = require("./deployments");
+const indexer = require("./indexer");
+const signing = require("./signing");
+const content = require("./content");
+const server = require("./server");
+
+module.exports = {
+  EscrowClient,
+  PROJECT_STATUSES,
+  hashSplit,
+  ...errors,
+  ...deployments,
+  ...indexer,
+  ...signing,
+  ...content,
+  ...server,
+};
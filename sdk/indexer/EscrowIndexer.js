@@ -0,0 +1,311 @@
+const { ZeroAddress } = require("ethers");
+
+const { EscrowProjection } = require("./projection");
+const { MemoryStore } = require("./stores");
+
+const STATE_VERSION = 1;
+
+/**
+ * @typedef {object} IndexedEvent
+ * @property {string} name
+ * @property {Record<string, string>} args numeric args as decimal strings
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ *
+ * @typedef {object} BlockRef
+ * @property {number} number
+ * @property {string} hash
+ *
+ * @typedef {object} SyncResult
+ * @property {number} fromBlock first block scanned
+ * @property {number} toBlock last block scanned (the new checkpoint)
+ * @property {number} eventCount events added by this sync
+ * @property {number | null} rewoundTo block the index was rolled back to
+ *   after a reorg, or null when none was detected
+ */
+
+function normalizeArg(value) {
+  if (Array.isArray(value)) {
+    return [...value].map(normalizeArg);
+  }
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+function copyPayees(payees) {
+  return payees.map((p) => ({ ...p }));
+}
+
+function copyProject(project) {
+  const proposal = project.splitProposal;
+  return {
+    ...project,
+    payees: copyPayees(project.payees),
+    splitProposal: proposal && { ...proposal, payees: copyPayees(proposal.payees), approvedBy: [...proposal.approvedBy] },
+    cancellation: project.cancellation && { ...project.cancellation },
+  };
+}
+
+function byPosition(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Rebuilds Escrow state from its event logs so projects, bids and
+ * milestones can be listed, which the contract's mappings do not allow.
+ *
+ * The store keeps the raw event log plus a checkpoint; the queryable state
+ * is replayed from the log on load. Before each sync the checkpoint and
+ * recent block hashes are compared with the chain, and on a mismatch the
+ * log is truncated back to the newest block that is still canonical.
+ */
+class EscrowIndexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.contract Escrow instance
+   *   connected to a provider (or a signer with one)
+   * @param {{ load(): Promise<object | null>, save(state: object): Promise<void> }} [options.store]
+   * @param {number} [options.startBlock] block the contract was deployed in
+   * @param {number} [options.confirmations] blocks to stay behind the head
+   * @param {number} [options.batchSize] blocks per getLogs request
+   * @param {number} [options.reorgDepth] checkpoint hashes kept to find the
+   *   common ancestor after a reorg
+   */
+  constructor({
+    contract,
+    store = new MemoryStore(),
+    startBlock = 0,
+    confirmations = 0,
+    batchSize = 1000,
+    reorgDepth = 64,
+  }) {
+    this.contract = contract;
+    this.provider = contract.runner.provider || contract.runner;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+
+    this._state = null;
+    this._projection = new EscrowProjection();
+  }
+
+  /** @returns {BlockRef | null} last block included in the index */
+  get checkpoint() {
+    return this._state ? this._state.checkpoint : null;
+  }
+
+  /**
+   * Indexes every block up to `toBlock` (the head minus `confirmations` by
+   * default), resuming from the stored checkpoint.
+   *
+   * @param {object} [options]
+   * @param {number} [options.toBlock]
+   * @returns {Promise<SyncResult>}
+   */
+  async sync({ toBlock } = {}) {
+    await this._load();
+    const rewoundTo = await this._rewindReorgedBlocks();
+
+    const head = toBlock !== undefined
+      ? toBlock
+      : (await this.provider.getBlockNumber()) - this.confirmations;
+    const fromBlock = this.checkpoint ? this.checkpoint.number + 1 : this.startBlock;
+
+    let eventCount = 0;
+    for (let from = fromBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      const events = await this._fetchEvents(from, to);
+      const block = await this.provider.getBlock(to);
+
+      for (const event of events) {
+        this._state.events.push(event);
+        this._projection.apply(event);
+      }
+      eventCount += events.length;
+      this._setCheckpoint({ number: block.number, hash: block.hash });
+      await this._save();
+    }
+
+    return {
+      fromBlock,
+      toBlock: this.checkpoint ? this.checkpoint.number : fromBlock - 1,
+      eventCount,
+      rewoundTo,
+    };
+  }
+
+  /** @returns {object | undefined} */
+  getProject(projectId) {
+    const project = this._projection.project(projectId);
+    return project && copyProject(project);
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {string} [filter.status] "Open", "InProgress" or "Closed"
+   * @param {string} [filter.client]
+   * @param {string} [filter.freelancer]
+   * @returns {object[]} ordered by creation
+   */
+  getProjects({ status, client, freelancer } = {}) {
+    const matches = (a, b) => b === undefined || a.toLowerCase() === b.toLowerCase();
+    return [...this._projection.projects.values()]
+      .filter((p) => (status === undefined || p.status === status)
+        && matches(p.client, client)
+        && matches(p.freelancer, freelancer))
+      .map(copyProject);
+  }
+
+  /** @returns {object[]} current bids with their history, in the order first placed */
+  getBids(projectId) {
+    const bids = this._projection.bids.get(String(projectId));
+    if (!bids) return [];
+    return [...bids.values()].map((b) => ({
+      ...b,
+      payees: copyPayees(b.payees),
+      history: b.history.map((h) => ({ ...h })),
+    }));
+  }
+
+  /** @returns {object[]} ordered by index */
+  getMilestones(projectId) {
+    const milestones = this._projection.milestones.get(String(projectId));
+    if (!milestones) return [];
+    return [...milestones.values()]
+      .sort((a, b) => a.index - b.index)
+      .map((m) => ({ ...m }));
+  }
+
+  /** @returns {object | undefined} */
+  getMilestone(projectId, index) {
+    const milestone = this._projection.milestone(projectId, index);
+    return milestone && { ...milestone };
+  }
+
+  /**
+   * Balance credited to `account` and not yet withdrawn.
+   *
+   * @param {string} account
+   * @param {string} [token] ERC-20 address, or the zero address for ETH
+   * @returns {bigint}
+   */
+  getWithdrawable(account, token = ZeroAddress) {
+    return this._projection.withdrawable(account, token);
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {import("ethers").BigNumberish} [filter.projectId]
+   * @param {string} [filter.name]
+   * @returns {IndexedEvent[]}
+   */
+  getEvents({ projectId, name } = {}) {
+    if (!this._state) return [];
+    return this._state.events.filter((e) =>
+      (projectId === undefined || e.args.projectId === String(projectId))
+      && (name === undefined || e.name === name));
+  }
+
+  async _load() {
+    if (this._state) return;
+
+    const address = await this.contract.getAddress();
+    const saved = await this.store.load();
+    if (saved && saved.address.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`Store holds an index of ${saved.address}, not ${address}`);
+    }
+
+    this._state = saved || {
+      version: STATE_VERSION,
+      address,
+      checkpoint: null,
+      recentBlocks: [],
+      events: [],
+    };
+    this._projection = EscrowProjection.fromEvents(this._state.events);
+  }
+
+  async _save() {
+    await this.store.save(this._state);
+  }
+
+  async _fetchEvents(fromBlock, toBlock) {
+    const logs = await this.contract.queryFilter("*", fromBlock, toBlock);
+    const events = [];
+    for (const log of logs) {
+      if (!log.fragment) continue; // not an Escrow event
+      const args = {};
+      log.fragment.inputs.forEach((input, i) => {
+        args[input.name] = normalizeArg(log.args[i]);
+      });
+      events.push({
+        name: log.fragment.name,
+        args,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+      });
+    }
+    return events.sort(byPosition);
+  }
+
+  _setCheckpoint(block) {
+    this._state.checkpoint = block;
+    this._state.recentBlocks.push(block);
+    if (this._state.recentBlocks.length > this.reorgDepth) {
+      this._state.recentBlocks.shift();
+    }
+  }
+
+  /**
+   * Finds the newest indexed block whose hash still matches the chain and
+   * drops everything after it.
+   *
+   * @returns {Promise<number | null>} the block rewound to, or null if the
+   *   checkpoint is still canonical
+   */
+  async _rewindReorgedBlocks() {
+    const { checkpoint } = this._state;
+    if (!checkpoint || (await this._isCanonical(checkpoint))) {
+      return null;
+    }
+
+    const known = new Map();
+    for (const block of this._state.recentBlocks) {
+      known.set(block.number, block.hash);
+    }
+    for (const event of this._state.events) {
+      known.set(event.blockNumber, event.blockHash);
+    }
+
+    let ancestor = null;
+    const numbers = [...known.keys()].sort((a, b) => b - a);
+    for (const number of numbers) {
+      const block = { number, hash: known.get(number) };
+      if (number < checkpoint.number && (await this._isCanonical(block))) {
+        ancestor = block;
+        break;
+      }
+    }
+
+    const keepThrough = ancestor ? ancestor.number : this.startBlock - 1;
+    this._state.events = this._state.events.filter((e) => e.blockNumber <= keepThrough);
+    this._state.recentBlocks = this._state.recentBlocks.filter((b) => b.number <= keepThrough);
+    this._state.checkpoint = ancestor;
+    this._projection = EscrowProjection.fromEvents(this._state.events);
+    await this._save();
+
+    return keepThrough;
+  }
+
+  async _isCanonical(block) {
+    const current = await this.provider.getBlock(block.number);
+    return current !== null && current.hash === block.hash;
+  }
+}
+
+module.exports = { EscrowIndexer };
@@ -0,0 +1,5 @@
+const { EscrowIndexer } = require("./EscrowIndexer");
+const { EscrowProjection } = require("./projection");
+const { MemoryStore, JsonFileStore } = require("./stores");
+
+module.exports = { EscrowIndexer, EscrowProjection, MemoryStore, JsonFileStore };
@@ -0,0 +1,323 @@
+const { ZeroAddress, ZeroHash } = require("ethers");
+
+/**
+ * Folds recorded Escrow events into project, bid and milestone state that
+ * mirrors the contract's mappings. Event args are stored as strings, so
+ * amounts are converted back to bigint here.
+ */
+class EscrowProjection {
+  constructor() {
+    /** @type {Map<string, object>} projectId => project */
+    this.projects = new Map();
+    /** @type {Map<string, Map<string, object>>} projectId => bidder => bid */
+    this.bids = new Map();
+    /** @type {Map<string, Map<number, object>>} projectId => index => milestone */
+    this.milestones = new Map();
+    /** @type {Map<string, Map<string, bigint>>} account => token => withdrawable */
+    this.balances = new Map();
+  }
+
+  /**
+   * @param {Iterable<import("./EscrowIndexer").IndexedEvent>} events
+   * @returns {EscrowProjection}
+   */
+  static fromEvents(events) {
+    const projection = new EscrowProjection();
+    for (const event of events) {
+      projection.apply(event);
+    }
+    return projection;
+  }
+
+  apply(event) {
+    const handler = HANDLERS[event.name];
+    if (handler) {
+      handler(this, event.args, event);
+    }
+  }
+
+  project(projectId) {
+    return this.projects.get(String(projectId));
+  }
+
+  milestone(projectId, index) {
+    const milestones = this.milestones.get(String(projectId));
+    return milestones && milestones.get(Number(index));
+  }
+
+  withdrawable(account, token) {
+    const balances = this.balances.get(account);
+    return (balances && balances.get(token)) || 0n;
+  }
+}
+
+function toPayees(args) {
+  return args.payees.map((account, i) => ({ account, shareBps: Number(args.sharesBps[i]) }));
+}
+
+function adjustWithdrawable(state, account, token, delta) {
+  if (!state.balances.has(account)) {
+    state.balances.set(account, new Map());
+  }
+  state.balances.get(account).set(token, state.withdrawable(account, token) + delta);
+}
+
+const HANDLERS = {
+  ProjectCreated(state, args, event) {
+    const projectId = String(args.projectId);
+    state.projects.set(projectId, {
+      projectId: BigInt(projectId),
+      client: args.client,
+      freelancer: ZeroAddress,
+      arbiter: args.arbiter,
+      token: args.token,
+      specHash: args.specHash,
+      status: "Open",
+      vaultBalance: 0n,
+      disputedWei: 0n,
+      // platform fees charged on this project's releases, dispute rulings,
+      // close refund and cancellation
+      feesWei: 0n,
+      // who payouts go to; empty while the freelancer is paid alone
+      payees: [],
+      // { splitHash, proposer, payees, approvedBy } while a change is pending
+      splitProposal: null,
+      // { proposedBy, freelancerWei, clientWei } while one is pending
+      cancellation: null,
+      createdAtBlock: event.blockNumber,
+    });
+    state.bids.set(projectId, new Map());
+    state.milestones.set(projectId, new Map());
+  },
+
+  BidPlaced(state, args, event) {
+    const bids = state.bids.get(String(args.projectId));
+    if (!bids) return;
+    const terms = { amountWei: BigInt(args.amountWei), expiry: Number(args.expiry), block: event.blockNumber };
+    bids.set(args.bidder, {
+      projectId: BigInt(args.projectId),
+      bidder: args.bidder,
+      amountWei: terms.amountWei,
+      expiry: terms.expiry,
+      payees: [],
+      placedAtBlock: event.blockNumber,
+      // every amount and expiry the bid has had, oldest first
+      history: [terms],
+    });
+  },
+
+  BidUpdated(state, args, event) {
+    const bids = state.bids.get(String(args.projectId));
+    const bid = bids && bids.get(args.bidder);
+    if (!bid) return;
+    bid.amountWei = BigInt(args.amountWei);
+    bid.expiry = Number(args.expiry);
+    bid.history.push({ amountWei: bid.amountWei, expiry: bid.expiry, block: event.blockNumber });
+  },
+
+  BidWithdrawn(state, args) {
+    const bids = state.bids.get(String(args.projectId));
+    if (!bids) return;
+    bids.delete(args.bidder);
+  },
+
+  BidAccepted(state, args) {
+    const project = state.project(args.projectId);
+    if (!project) return;
+    const bid = state.bids.get(String(args.projectId)).get(args.bidder);
+    project.freelancer = args.bidder;
+    project.status = "InProgress";
+    project.payees = bid ? bid.payees.map((p) => ({ ...p })) : [];
+  },
+
+  BidPayeesSet(state, args) {
+    const bids = state.bids.get(String(args.projectId));
+    const bid = bids && bids.get(args.bidder);
+    if (!bid) return;
+    bid.payees = toPayees(args);
+  },
+
+  SplitProposed(state, args) {
+    const project = state.project(args.projectId);
+    if (!project) return;
+    project.splitProposal = {
+      splitHash: args.splitHash,
+      proposer: args.proposer,
+      payees: toPayees(args),
+      approvedBy: [],
+    };
+  },
+
+  SplitApproved(state, args) {
+    const project = state.project(args.projectId);
+    if (!project || !project.splitProposal) return;
+    project.splitProposal.approvedBy.push(args.payee);
+  },
+
+  SplitChanged(state, args) {
+    const project = state.project(args.projectId);
+    if (!project || !project.splitProposal) return;
+    project.payees = project.splitProposal.payees;
+    project.splitProposal = null;
+  },
+
+  MilestoneCreated(state, args, event) {
+    const milestones = state.milestones.get(String(args.projectId));
+    if (!milestones) return;
+    milestones.set(Number(args.index), {
+      projectId: BigInt(args.projectId),
+      index: Number(args.index),
+      amountWei: BigInt(args.amountWei),
+      fundedWei: 0n,
+      specHash: args.specHash,
+      deliverableHash: ZeroHash,
+      deadline: Number(args.deadline),
+      reviewPeriod: Number(args.reviewPeriod),
+      submitted: false,
+      released: false,
+      reclaimed: false,
+      disputed: false,
+      // Terms the client proposed and the freelancer has not accepted yet.
+      pendingAmendment: null,
+      createdAtBlock: event.blockNumber,
+    });
+  },
+
+  MilestoneAmendmentProposed(state, args) {
+    const milestone = state.milestone(args.projectId, args.index);
+    if (!milestone) return;
+    milestone.pendingAmendment = {
+      amountWei: BigInt(args.amountWei),
+      deadline: Number(args.deadline),
+      reviewPeriod: Number(args.reviewPeriod),
+    };
+  },
+
+  MilestoneAmended(state, args) {
+    const project = state.project(args.projectId);
+    const milestone = state.milestone(args.projectId, args.index);
+    if (!project || !milestone) return;
+    const refunded = BigInt(args.refundedWei);
+    milestone.amountWei = BigInt(args.amountWei);
+    milestone.deadline = Number(args.deadline);
+    milestone.reviewPeriod = Number(args.reviewPeriod);
+    milestone.fundedWei -= refunded;
+    milestone.pendingAmendment = null;
+    project.vaultBalance -= refunded;
+  },
+
+  MilestoneCancelled(state, args) {
+    const project = state.project(args.projectId);
+    const milestones = state.milestones.get(String(args.projectId));
+    if (!project || !milestones) return;
+    milestones.delete(Number(args.index));
+    project.vaultBalance -= BigInt(args.refundedWei);
+  },
+
+  MilestoneFunded(state, args) {
+    const project = state.project(args.projectId);
+    const milestone = state.milestone(args.projectId, args.index);
+    if (!project || !milestone) return;
+    milestone.fundedWei = BigInt(args.totalFundedWei);
+    project.vaultBalance += BigInt(args.fundedWei);
+  },
+
+  MilestoneSubmitted(state, args, event) {
+    const milestone = state.milestone(args.projectId, args.index);
+    if (!milestone) return;
+    milestone.submitted = true;
+    milestone.deliverableHash = args.deliverableHash;
+    milestone.submittedAtBlock = event.blockNumber;
+  },
+
+  MilestoneReleased(state, args) {
+    const project = state.project(args.projectId);
+    const milestone = state.milestone(args.projectId, args.index);
+    if (!project || !milestone) return;
+    const amount = BigInt(args.amountWei);
+    milestone.released = true;
+    milestone.fundedWei -= amount;
+    project.vaultBalance -= amount;
+    project.feesWei += BigInt(args.feeWei);
+  },
+
+  MilestoneReclaimed(state, args) {
+    const project = state.project(args.projectId);
+    const milestone = state.milestone(args.projectId, args.index);
+    if (!project || !milestone) return;
+    milestone.reclaimed = true;
+    milestone.fundedWei = 0n;
+    project.vaultBalance -= BigInt(args.refundedWei);
+  },
+
+  ProjectClosed(state, args) {
+    const project = state.project(args.projectId);
+    if (!project) return;
+    project.status = "Closed";
+    // Disputed funds stay in the vault until the arbiter rules.
+    project.vaultBalance -= BigInt(args.refundedWei);
+    project.feesWei += BigInt(args.feeWei);
+    project.cancellation = null;
+  },
+
+  CancellationProposed(state, args) {
+    const project = state.project(args.projectId);
+    if (!project) return;
+    project.cancellation = {
+      proposedBy: args.proposedBy,
+      freelancerWei: BigInt(args.freelancerWei),
+      clientWei: BigInt(args.clientWei),
+    };
+  },
+
+  ProjectCancelled(state, args) {
+    const project = state.project(args.projectId);
+    if (!project) return;
+    project.status = "Closed";
+    // As with ProjectClosed, disputed funds stay in the vault.
+    project.vaultBalance -= BigInt(args.freelancerWei) + BigInt(args.clientWei);
+    project.feesWei += BigInt(args.feeWei);
+    project.cancellation = null;
+  },
+
+  FreelancerResigned(state, args) {
+    const project = state.project(args.projectId);
+    if (!project) return;
+    project.freelancer = ZeroAddress;
+    project.status = "Open";
+    project.payees = [];
+    project.splitProposal = null;
+    project.cancellation = null;
+  },
+
+  DisputeOpened(state, args) {
+    const project = state.project(args.projectId);
+    const milestone = state.milestone(args.projectId, args.index);
+    if (!project || !milestone) return;
+    milestone.disputed = true;
+    project.disputedWei += milestone.fundedWei;
+  },
+
+  DisputeResolved(state, args) {
+    const project = state.project(args.projectId);
+    const milestone = state.milestone(args.projectId, args.index);
+    if (!project || !milestone) return;
+    const funded = BigInt(args.freelancerWei) + BigInt(args.clientWei);
+    milestone.disputed = false;
+    milestone.released = true;
+    milestone.fundedWei = 0n;
+    project.disputedWei -= funded;
+    project.vaultBalance -= funded;
+    project.feesWei += BigInt(args.feeWei);
+  },
+
+  PaymentCredited(state, args) {
+    adjustWithdrawable(state, args.account, args.token, BigInt(args.amountWei));
+  },
+
+  Withdrawn(state, args) {
+    adjustWithdrawable(state, args.account, args.token, -BigInt(args.amountWei));
+  },
+};
+
+module.exports = { EscrowProjection };
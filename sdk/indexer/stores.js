@@ -0,0 +1,49 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Persistence for the indexer's checkpoint and event log. A store only
+ * needs `load()` (resolving to the saved state or null) and `save(state)`;
+ * the state is plain JSON.
+ */
+class MemoryStore {
+  constructor() {
+    this._json = null;
+  }
+
+  async load() {
+    return this._json === null ? null : JSON.parse(this._json);
+  }
+
+  async save(state) {
+    this._json = JSON.stringify(state);
+  }
+}
+
+class JsonFileStore {
+  /** @param {string} file */
+  constructor(file) {
+    this.file = file;
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async save(state) {
+    // Write then rename so a crash never leaves a truncated file behind.
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(state, null, 2));
+    await fs.promises.rename(tmp, this.file);
+  }
+}
+
+module.exports = { MemoryStore, JsonFileStore };
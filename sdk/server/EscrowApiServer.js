@@ -0,0 +1,522 @@
+const http = require("http");
+const { ZeroAddress, ZeroHash, isAddress } = require("ethers");
+
+const { EscrowError, BidNotFoundError, MilestoneNotFoundError, ProjectNotFoundError } = require("../errors");
+const { EscrowIndexer } = require("../indexer");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const HEARTBEAT_INTERVAL = 15000;
+
+const ID = "(\\d+)";
+const ADDRESS = "(0x[0-9a-fA-F]{40})";
+
+class HttpError extends Error {
+  constructor(status, name, message) {
+    super(message);
+    this.status = status;
+    this.errorName = name;
+  }
+}
+
+function notFound(message) {
+  return new HttpError(404, "NotFound", message);
+}
+
+function badRequest(message) {
+  return new HttpError(400, "BadRequest", message);
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (_key, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+function eventId(event) {
+  return `${event.blockNumber}-${event.logIndex}`;
+}
+
+function intParam(url, name) {
+  const value = url.searchParams.get(name);
+  if (value === null) return undefined;
+  if (!/^\d+$/.test(value)) {
+    throw badRequest(`${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+function stringParam(url, name) {
+  const value = url.searchParams.get(name);
+  return value === null ? undefined : value;
+}
+
+function addressParam(url, name) {
+  const value = stringParam(url, name);
+  if (value !== undefined && !isAddress(value)) {
+    throw badRequest(`${name} is not an address: ${value}`);
+  }
+  return value;
+}
+
+// Rejects address-typed values (arrays and tuples included) that are not
+// addresses. ethers would try to resolve them as ENS names, which fails
+// without an ENS-capable provider.
+function checkAddresses(name, param, value) {
+  if (param.type === "address") {
+    if (typeof value !== "string" || !isAddress(value)) {
+      throw badRequest(`${name} is not an address: ${value}`);
+    }
+  } else if (param.baseType === "array" && Array.isArray(value)) {
+    for (const item of value) {
+      checkAddresses(name, param.arrayChildren, item);
+    }
+  } else if (param.baseType === "tuple" && value !== null && typeof value === "object") {
+    param.components.forEach((component, i) => {
+      checkAddresses(name, component, Array.isArray(value) ? value[i] : value[component.name]);
+    });
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "PayloadTooLarge", "Request body is too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch {
+        reject(badRequest("Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Args may be positional or keyed by the ABI's parameter names.
+function orderArgs(fragment, args) {
+  if (args === undefined) return [];
+  if (Array.isArray(args)) {
+    // Otherwise ethers would read a short list's overrides as an argument.
+    if (args.length !== fragment.inputs.length) {
+      throw badRequest(`${fragment.name} takes ${fragment.inputs.length} arguments, got ${args.length}`);
+    }
+    return args;
+  }
+  if (typeof args !== "object" || args === null) {
+    throw badRequest("args must be an array or an object");
+  }
+  return fragment.inputs.map((input) => {
+    if (!(input.name in args)) {
+      throw badRequest(`Missing argument ${input.name} for ${fragment.name}`);
+    }
+    return args[input.name];
+  });
+}
+
+/**
+ * Read-only HTTP/JSON front for one Escrow deployment, so web frontends and
+ * backends share its logic instead of embedding it.
+ *
+ * Single projects, bids and milestones are read from the contract; lists
+ * and event history come from an EscrowIndexer kept in sync by polling.
+ * Writes are never sent: POST /transactions returns a populated transaction
+ * for the caller to sign, and GET /events/stream pushes new events as
+ * Server-Sent Events.
+ */
+class EscrowApiServer {
+  /**
+   * @param {object} options
+   * @param {import("../EscrowClient").EscrowClient} options.client connected
+   *   to a provider; it never signs
+   * @param {EscrowIndexer} [options.indexer] in-memory index from block 0
+   *   by default
+   * @param {number} [options.pollInterval] ms between index syncs while
+   *   listening
+   * @param {string} [options.allowOrigin] Access-Control-Allow-Origin value;
+   *   cross-origin requests are not allowed if omitted
+   * @param {(error: Error) => void} [options.onError] failed polls and
+   *   unexpected request errors
+   */
+  constructor({
+    client,
+    indexer = new EscrowIndexer({ contract: client.contract }),
+    pollInterval = 2000,
+    allowOrigin,
+    onError = (error) => console.error(error),
+  }) {
+    this.client = client;
+    this.indexer = indexer;
+    this.pollInterval = pollInterval;
+    this.allowOrigin = allowOrigin;
+    this.onError = onError;
+
+    this.httpServer = http.createServer((req, res) => this._handle(req, res));
+    this._routes = [
+      ["GET", `/projects`, this._listProjects],
+      ["GET", `/projects/${ID}`, this._getProject],
+      ["GET", `/projects/${ID}/bids`, this._listBids],
+      ["GET", `/projects/${ID}/bids/${ADDRESS}`, this._getBid],
+      ["GET", `/projects/${ID}/milestones`, this._listMilestones],
+      ["GET", `/projects/${ID}/milestones/${ID}`, this._getMilestone],
+      ["GET", `/projects/${ID}/events`, this._listProjectEvents],
+      ["GET", `/events`, this._listEvents],
+      ["GET", `/events/stream`, this._streamEvents],
+      ["GET", `/accounts/${ADDRESS}/withdrawable`, this._getWithdrawable],
+      ["POST", `/transactions`, this._populateTransaction],
+    ].map(([method, pattern, handler]) => ({ method, pattern: new RegExp(`^${pattern}$`), handler }));
+
+    this._queue = Promise.resolve();
+    this._broadcast = 0;
+    this._subscribers = new Set();
+    this._pollTimer = null;
+    this._heartbeatTimer = null;
+  }
+
+  /**
+   * Syncs the index, then starts listening and polling.
+   *
+   * @param {number} [port] 0 picks a free port
+   * @param {string} [host]
+   * @returns {Promise<import("net").AddressInfo>}
+   */
+  async listen(port = 0, host = "127.0.0.1") {
+    await this.sync();
+    await new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(port, host, () => {
+        this.httpServer.off("error", reject);
+        resolve();
+      });
+    });
+    this._schedulePoll();
+    this._heartbeatTimer = setInterval(() => this._heartbeat(), HEARTBEAT_INTERVAL);
+    this._heartbeatTimer.unref();
+    return this.httpServer.address();
+  }
+
+  /** Stops polling, ends open event streams and closes the server. */
+  async close() {
+    clearTimeout(this._pollTimer);
+    clearInterval(this._heartbeatTimer);
+    this._pollTimer = null;
+    for (const subscriber of this._subscribers) {
+      subscriber.res.end();
+    }
+    this._subscribers.clear();
+    await new Promise((resolve) => {
+      this.httpServer.close(() => resolve());
+      this.httpServer.closeAllConnections();
+    });
+    await this._queue;
+  }
+
+  /**
+   * Brings the index up to date and pushes the events it added to stream
+   * subscribers. Calls are queued so only one sync runs at a time.
+   *
+   * @returns {Promise<import("../indexer/EscrowIndexer").SyncResult>}
+   */
+  sync() {
+    return this._exclusive(async () => {
+      const result = await this.indexer.sync();
+      const events = this.indexer.getEvents();
+      if (result.rewoundTo !== null) {
+        this._publish("reorg", { rewoundTo: result.rewoundTo });
+        this._broadcast = events.filter((e) => e.blockNumber <= result.rewoundTo).length;
+      }
+      for (const event of events.slice(this._broadcast)) {
+        this._publish(event.name, event, eventId(event));
+      }
+      this._broadcast = events.length;
+      return result;
+    });
+  }
+
+  _exclusive(fn) {
+    const run = this._queue.then(fn);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  _schedulePoll() {
+    this._pollTimer = setTimeout(async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        this.onError(error);
+      }
+      if (this._pollTimer) this._schedulePoll();
+    }, this.pollInterval);
+  }
+
+  _heartbeat() {
+    for (const subscriber of this._subscribers) {
+      subscriber.res.write(": keepalive\n\n");
+    }
+  }
+
+  _publish(name, data, id) {
+    for (const subscriber of this._subscribers) {
+      if (name === "reorg" || subscriber.matches(data)) {
+        subscriber.send(name, data, id);
+      }
+    }
+  }
+
+  async _handle(req, res) {
+    if (this.allowOrigin) {
+      res.setHeader("Access-Control-Allow-Origin", this.allowOrigin);
+    }
+    try {
+      if (req.method === "OPTIONS" && this.allowOrigin) {
+        res.writeHead(204, {
+          "Access-Control-Allow-Methods": "GET, POST",
+          "Access-Control-Allow-Headers": "Content-Type, Last-Event-ID",
+        });
+        res.end();
+        return;
+      }
+
+      const url = new URL(req.url, "http://localhost");
+      const routes = this._routes.filter((route) => route.pattern.test(url.pathname));
+      if (routes.length === 0) {
+        throw notFound(`No route for ${url.pathname}`);
+      }
+      const route = routes.find((r) => r.method === req.method);
+      if (!route) {
+        res.setHeader("Allow", routes.map((r) => r.method).join(", "));
+        throw new HttpError(405, "MethodNotAllowed", `${req.method} is not allowed on ${url.pathname}`);
+      }
+
+      const params = url.pathname.match(route.pattern).slice(1);
+      const body = await route.handler.call(this, { req, res, url, params });
+      if (body !== undefined) {
+        this._sendJson(res, 200, body);
+      }
+    } catch (error) {
+      this._sendError(res, error);
+    }
+  }
+
+  _sendJson(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(toJson(body));
+  }
+
+  _sendError(res, error) {
+    let status;
+    let body;
+    if (error instanceof HttpError) {
+      status = error.status;
+      body = { name: error.errorName, message: error.message };
+    } else if (error instanceof EscrowError) {
+      const missing = error instanceof ProjectNotFoundError
+        || error instanceof BidNotFoundError
+        || error instanceof MilestoneNotFoundError;
+      status = missing ? 404 : 422;
+      body = { name: error.name, message: error.message, errorName: error.errorName, args: [...error.args] };
+    } else if (error.code === "INVALID_ARGUMENT") {
+      status = 400;
+      body = { name: "BadRequest", message: error.shortMessage || error.message };
+    } else {
+      this.onError(error);
+      status = 500;
+      body = { name: "InternalError", message: error.message };
+    }
+
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    this._sendJson(res, status, { error: body });
+  }
+
+  async _requireProject(projectId) {
+    const project = await this.client.getProject(projectId);
+    if (!project.exists) {
+      throw notFound(`Project ${projectId} does not exist`);
+    }
+    return project;
+  }
+
+  async _listProjects({ url }) {
+    await this.sync();
+    const projects = this.indexer.getProjects({
+      status: stringParam(url, "status"),
+      client: addressParam(url, "client"),
+      freelancer: addressParam(url, "freelancer"),
+    });
+    return { projects };
+  }
+
+  async _getProject({ params: [projectId] }) {
+    const project = await this._requireProject(projectId);
+    const [payees, proposal, cancellation] = await Promise.all([
+      this.client.getPayees(projectId),
+      this.client.getSplitProposal(projectId),
+      this.client.getCancellation(projectId),
+    ]);
+    return {
+      project: {
+        ...project,
+        payees,
+        splitProposal: proposal.splitHash === ZeroHash ? null : proposal,
+        cancellation: cancellation.exists ? cancellation : null,
+      },
+    };
+  }
+
+  async _listBids({ url, params: [projectId] }) {
+    await this._requireProject(projectId);
+    const offset = intParam(url, "offset");
+    const limit = intParam(url, "limit");
+    const [bidCount, bids] = await Promise.all([
+      this.client.getBidCount(projectId),
+      this.client.getBids(projectId, { offset, limit }),
+    ]);
+    return { bidCount, bids };
+  }
+
+  async _getBid({ params: [projectId, bidder] }) {
+    await this._requireProject(projectId);
+    const [bid, payees] = await Promise.all([
+      this.client.getBid(projectId, bidder),
+      this.client.getBidPayees(projectId, bidder),
+    ]);
+    if (!bid.exists) {
+      throw notFound(`${bidder} has no bid on project ${projectId}`);
+    }
+    return { bid: { ...bid, payees } };
+  }
+
+  async _listMilestones({ params: [projectId] }) {
+    await this._requireProject(projectId);
+    const { milestones, totalAmountWei, totalFundedWei, totalReleasedWei } =
+      await this.client.getProjectSummary(projectId, { fromBlock: this.indexer.startBlock });
+    return { milestones, totalAmountWei, totalFundedWei, totalReleasedWei };
+  }
+
+  async _getMilestone({ params: [projectId, index] }) {
+    await this._requireProject(projectId);
+    const [milestone, amendment] = await Promise.all([
+      this.client.getMilestone(projectId, index),
+      this.client.getAmendment(projectId, index),
+    ]);
+    if (!milestone.exists) {
+      throw notFound(`Project ${projectId} has no milestone ${index}`);
+    }
+    return { milestone, amendment: amendment.exists ? amendment : null };
+  }
+
+  async _listProjectEvents({ url, params: [projectId] }) {
+    await this.sync();
+    if (!this.indexer.getProject(projectId)) {
+      throw notFound(`Project ${projectId} does not exist`);
+    }
+    return { events: this._events(url, { projectId }) };
+  }
+
+  async _listEvents({ url }) {
+    await this.sync();
+    return { events: this._events(url, { projectId: stringParam(url, "projectId") }) };
+  }
+
+  _events(url, { projectId }) {
+    const fromBlock = intParam(url, "fromBlock") || 0;
+    return this.indexer
+      .getEvents({ projectId, name: stringParam(url, "name") })
+      .filter((event) => event.blockNumber >= fromBlock);
+  }
+
+  // Replays indexed events after Last-Event-ID (or from ?fromBlock=) before
+  // subscribing, inside the sync queue so nothing is missed or sent twice.
+  // The close handler goes on first: a client can leave while waiting for
+  // the queue, and must not be subscribed afterwards.
+  async _streamEvents({ req, res, url }) {
+    const projectId = stringParam(url, "projectId");
+    const name = stringParam(url, "name");
+    const fromBlock = intParam(url, "fromBlock");
+    const lastEventId = req.headers["last-event-id"];
+
+    const subscriber = {
+      res,
+      matches: (event) => (projectId === undefined || event.args.projectId === projectId)
+        && (name === undefined || event.name === name),
+      send: (event, data, id) => {
+        res.write(`${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${toJson(data)}\n\n`);
+      },
+    };
+
+    let closed = false;
+    req.on("close", () => {
+      closed = true;
+      this._subscribers.delete(subscriber);
+    });
+
+    await this._exclusive(() => {
+      if (closed) return;
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.write(`retry: ${this.pollInterval}\n\n`);
+
+      let replay = [];
+      if (lastEventId) {
+        const [block, logIndex] = lastEventId.split("-").map(Number);
+        replay = this.indexer.getEvents().filter((e) =>
+          e.blockNumber > block || (e.blockNumber === block && e.logIndex > logIndex));
+      } else if (fromBlock !== undefined) {
+        replay = this.indexer.getEvents().filter((e) => e.blockNumber >= fromBlock);
+      }
+      for (const event of replay.filter(subscriber.matches)) {
+        subscriber.send(event.name, event, eventId(event));
+      }
+      this._subscribers.add(subscriber);
+    });
+  }
+
+  async _getWithdrawable({ url, params: [account] }) {
+    const token = addressParam(url, "token") || ZeroAddress;
+    return { account, token, amountWei: await this.client.getWithdrawable(account, token) };
+  }
+
+  async _populateTransaction({ req }) {
+    const { method, args, from, value } = await readBody(req);
+    if (typeof method !== "string" || typeof from !== "string") {
+      throw badRequest("method and from are required");
+    }
+    if (!isAddress(from)) {
+      throw badRequest(`from is not an address: ${from}`);
+    }
+
+    const fragment = this.client.contract.interface.getFunction(method);
+    if (!fragment || fragment.constant) {
+      throw badRequest(`${method} is not an Escrow write method`);
+    }
+    if (value !== undefined) {
+      if (!fragment.payable) {
+        throw badRequest(`${method} does not accept a value`);
+      }
+      if (!/^\d+$/.test(String(value))) {
+        throw badRequest("value must be an amount in wei");
+      }
+    }
+
+    const ordered = orderArgs(fragment, args);
+    fragment.inputs.forEach((input, i) => checkAddresses(input.name, input, ordered[i]));
+    const transaction = await this.client.populateTransaction(method, ordered, { from, value });
+    return { transaction };
+  }
+}
+
+module.exports = { EscrowApiServer };
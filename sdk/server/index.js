@@ -0,0 +1,3 @@
+const { EscrowApiServer } = require("./EscrowApiServer");
+
+module.exports = { EscrowApiServer };
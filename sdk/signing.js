@@ -0,0 +1,188 @@
+const { hexlify, randomBytes, verifyTypedData } = require("ethers");
+const { toContentHash } = require("./content");
+
+/** EIP-712 types of the messages Escrow accepts, as ethers expects them. */
+const ESCROW_TYPES = {
+  Bid: [
+    { name: "projectId", type: "uint64" },
+    { name: "bidder", type: "address" },
+    { name: "amountWei", type: "uint256" },
+    { name: "payees", type: "address[]" },
+    { name: "sharesBps", type: "uint16[]" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint64" },
+  ],
+  SubmitMilestone: [
+    { name: "projectId", type: "uint64" },
+    { name: "index", type: "uint16" },
+    { name: "deliverableHash", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint64" },
+  ],
+};
+
+// Fields converted by serializeSignedMessage / parseSignedMessage.
+const BIGINT_FIELDS = ["projectId", "amountWei", "nonce"];
+const NUMBER_FIELDS = ["index", "expiry"];
+
+/**
+ * @typedef {object} EscrowDomain
+ * @property {string} name
+ * @property {string} version
+ * @property {bigint} chainId
+ * @property {string} verifyingContract the Escrow address
+ *
+ * @typedef {object} SignedBid
+ * @property {bigint} projectId
+ * @property {string} bidder
+ * @property {bigint} amountWei
+ * @property {string[]} payees accounts the payouts are split between; empty
+ *   when the bidder is paid alone
+ * @property {number[]} sharesBps each payee's share, in basis points
+ * @property {bigint} nonce
+ * @property {number} expiry unix time after which the bid cannot be accepted
+ * @property {string} signature
+ *
+ * @typedef {object} SignedSubmitMilestone
+ * @property {bigint} projectId
+ * @property {number} index
+ * @property {string} deliverableHash bytes32 digest of the deliverable
+ * @property {bigint} nonce
+ * @property {number} expiry unix time after which it cannot be relayed
+ * @property {string} signature
+ */
+
+/**
+ * @param {string} verifyingContract Escrow address
+ * @param {import("ethers").BigNumberish} chainId
+ * @returns {EscrowDomain}
+ */
+function escrowDomain(verifyingContract, chainId) {
+  return { name: "Escrow", version: "1", chainId: BigInt(chainId), verifyingContract };
+}
+
+/**
+ * A random 256-bit nonce. Escrow nonces are unordered, so any value the
+ * signer has not used or cancelled yet works.
+ *
+ * @returns {bigint}
+ */
+function randomNonce() {
+  return BigInt(hexlify(randomBytes(32)));
+}
+
+/**
+ * Signs a bid the project's client can accept with acceptSignedBid.
+ *
+ * @param {import("ethers").Signer} signer the bidder
+ * @param {EscrowDomain} domain
+ * @param {object} bid
+ * @param {import("ethers").BigNumberish} bid.projectId
+ * @param {bigint} bid.amountWei
+ * @param {number} bid.expiry
+ * @param {{ account: string, shareBps: number }[]} [bid.payees] split of the
+ *   payouts; the bidder is paid alone if omitted
+ * @param {bigint} [bid.nonce] random if omitted
+ * @returns {Promise<SignedBid>}
+ */
+async function signBid(signer, domain, { projectId, amountWei, expiry, payees = [], nonce = randomNonce() }) {
+  const message = {
+    projectId: BigInt(projectId),
+    bidder: await signer.getAddress(),
+    amountWei: BigInt(amountWei),
+    payees: payees.map((payee) => payee.account),
+    sharesBps: payees.map((payee) => Number(payee.shareBps)),
+    nonce: BigInt(nonce),
+    expiry: Number(expiry),
+  };
+  const signature = await signer.signTypedData(domain, { Bid: ESCROW_TYPES.Bid }, message);
+  return { ...message, signature };
+}
+
+/**
+ * Signs a milestone submission anyone can relay with submitMilestoneWithSig.
+ *
+ * @param {import("ethers").Signer} signer the project's freelancer
+ * @param {EscrowDomain} domain
+ * @param {object} submission
+ * @param {import("ethers").BigNumberish} submission.projectId
+ * @param {number} submission.index
+ * @param {string} [submission.deliverableHash] bytes32 hex or raw CIDv1
+ * @param {number} submission.expiry
+ * @param {bigint} [submission.nonce] random if omitted
+ * @returns {Promise<SignedSubmitMilestone>}
+ */
+async function signSubmitMilestone(signer, domain, { projectId, index, deliverableHash, expiry, nonce = randomNonce() }) {
+  const message = {
+    projectId: BigInt(projectId),
+    index: Number(index),
+    deliverableHash: toContentHash(deliverableHash),
+    nonce: BigInt(nonce),
+    expiry: Number(expiry),
+  };
+  const signature = await signer.signTypedData(domain, { SubmitMilestone: ESCROW_TYPES.SubmitMilestone }, message);
+  return { ...message, signature };
+}
+
+/**
+ * Address that signed a bid, so an offer can be checked before it is sent.
+ *
+ * @param {EscrowDomain} domain
+ * @param {SignedBid} bid
+ * @returns {string}
+ */
+function recoverBidSigner(domain, { signature, ...message }) {
+  return verifyTypedData(domain, { Bid: ESCROW_TYPES.Bid }, message, signature);
+}
+
+/**
+ * @param {EscrowDomain} domain
+ * @param {SignedSubmitMilestone} submission
+ * @returns {string}
+ */
+function recoverSubmitMilestoneSigner(domain, { signature, ...message }) {
+  return verifyTypedData(domain, { SubmitMilestone: ESCROW_TYPES.SubmitMilestone }, message, signature);
+}
+
+/**
+ * JSON-safe copy of a signed message, with bigints as decimal strings.
+ *
+ * @param {SignedBid | SignedSubmitMilestone} message
+ * @returns {Record<string, string | number>}
+ */
+function serializeSignedMessage(message) {
+  const out = { ...message };
+  for (const field of BIGINT_FIELDS) {
+    if (field in out) out[field] = out[field].toString();
+  }
+  return out;
+}
+
+/**
+ * Reverses serializeSignedMessage.
+ *
+ * @param {Record<string, string | number>} json
+ * @returns {SignedBid | SignedSubmitMilestone}
+ */
+function parseSignedMessage(json) {
+  const message = { ...json };
+  for (const field of BIGINT_FIELDS) {
+    if (field in message) message[field] = BigInt(message[field]);
+  }
+  for (const field of NUMBER_FIELDS) {
+    if (field in message) message[field] = Number(message[field]);
+  }
+  return message;
+}
+
+module.exports = {
+  ESCROW_TYPES,
+  escrowDomain,
+  randomNonce,
+  signBid,
+  signSubmitMilestone,
+  recoverBidSigner,
+  recoverSubmitMilestoneSigner,
+  serializeSignedMessage,
+  parseSignedMessage,
+};
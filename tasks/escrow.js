@@ -0,0 +1,680 @@
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const { ZeroAddress, ZeroHash, formatUnits, isAddress, parseUnits } = require("ethers");
+
+const { EscrowClient, hashSplit } = require("../sdk/EscrowClient");
+const { MAX_RAW_BLOCK_BYTES, contentHashToCid, hashPath, toContentHash } = require("../sdk/content");
+const { getEscrowAddress } = require("../sdk/deployments");
+const { EscrowIndexer, JsonFileStore, MemoryStore } = require("../sdk/indexer");
+const { EscrowApiServer } = require("../sdk/server");
+const { parseSignedMessage, serializeSignedMessage } = require("../sdk/signing");
+
+/**
+ * Registers a task with the options every escrow task shares: the contract
+ * address (or the Ignition deployment holding it) and the signer.
+ */
+function escrowTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "Escrow address, instead of reading it from an Ignition deployment")
+    .addOptionalParam("deployment", "Ignition deployment id (defaults to the network name)")
+    .addOptionalParam("signer", "Signer index or address", "0");
+}
+
+async function resolveSigner(hre, signer) {
+  if (isAddress(signer)) {
+    return hre.ethers.getSigner(signer);
+  }
+  const signers = await hre.ethers.getSigners();
+  const index = Number(signer);
+  if (!Number.isInteger(index) || signers[index] === undefined) {
+    throw new Error(`No signer ${signer} (${signers.length} available)`);
+  }
+  return signers[index];
+}
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// "90", "45m", "12h" or "3d" => seconds
+function parseDuration(value) {
+  const match = /^(\d+)([smhd]?)$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid duration ${value}, expected e.g. 3d, 12h or 3600`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+// "+7d" (relative to the latest block), a unix timestamp or an ISO date
+async function parseDeadline(value, hre) {
+  if (value.startsWith("+")) {
+    const latest = await hre.ethers.provider.getBlock("latest");
+    return latest.timestamp + parseDuration(value.slice(1));
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid deadline ${value}, expected e.g. +7d, a unix timestamp or 2030-01-31`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+// A local file or directory is hashed; anything else must be a bytes32 hash
+// or a raw CIDv1.
+async function parseContentHash(value) {
+  if (value === undefined) {
+    return ZeroHash;
+  }
+  return fs.existsSync(value) ? hashPath(value) : toContentHash(value);
+}
+
+// "0xabc...:6000,0xdef...:4000" => payees with basis-point shares; "none"
+// pays the freelancer alone.
+function parsePayees(value) {
+  if (value === "none") {
+    return [];
+  }
+  return value.split(",").map((entry) => {
+    const match = /^\s*(0x[0-9a-fA-F]{40}):(\d+)\s*$/.exec(entry);
+    if (!match) {
+      throw new Error(`Invalid payee ${entry}, expected <address>:<bps>`);
+    }
+    return { account: match[1], shareBps: Number(match[2]) };
+  });
+}
+
+// The inverse of parsePayees, so escrow:show output can be pasted back.
+function formatPayees(payees) {
+  return payees.map((p) => `${p.account}:${p.shareBps}`).join(",");
+}
+
+async function connect(args, hre) {
+  const address = args.address || getEscrowAddress(args.deployment || hre.network.name);
+  const signer = await resolveSigner(hre, args.signer);
+  const contract = await hre.ethers.getContractAt("Escrow", address, signer);
+  return new EscrowClient(contract);
+}
+
+function formatAmount(value, asset) {
+  return `${formatUnits(value, asset.decimals)} ${asset.symbol}`;
+}
+
+function formatValue(key, value, asset) {
+  if (typeof value === "bigint" && key.endsWith("Wei")) {
+    return formatAmount(value, asset);
+  }
+  return String(value);
+}
+
+function printEvents(events, asset) {
+  for (const { name, args } of events) {
+    const fields = Object.entries(args).map(([key, value]) => `${key}=${formatValue(key, value, asset)}`);
+    console.log(`${name}(${fields.join(", ")})`);
+  }
+}
+
+async function printProject(escrow, projectId, asset) {
+  const { project, milestones } = await escrow.getProjectSummary(projectId);
+  if (!project.exists) {
+    console.log(`Project ${projectId} does not exist`);
+    return;
+  }
+
+  console.log(`Project ${projectId} [${project.status}]`);
+  console.log(`  client:     ${project.client}`);
+  console.log(`  freelancer: ${project.freelancer}`);
+  console.log(`  arbiter:    ${project.arbiter}`);
+  console.log(`  asset:      ${asset.symbol}${asset.token === ZeroAddress ? "" : ` (${asset.token})`}`);
+  console.log(`  vault:      ${formatAmount(project.vaultBalance, asset)} (${formatAmount(project.disputedWei, asset)} disputed)`);
+  if (project.specHash !== ZeroHash) {
+    console.log(`  spec:       ${project.specHash}`);
+  }
+  const [payees, proposal, cancellation] = await Promise.all([
+    escrow.getPayees(projectId),
+    escrow.getSplitProposal(projectId),
+    escrow.getCancellation(projectId),
+  ]);
+  if (payees.length > 0) {
+    console.log(`  payees:     ${formatPayees(payees)}`);
+  }
+  if (proposal.splitHash !== ZeroHash) {
+    console.log(`  proposed:   ${formatPayees(proposal.payees)} (${proposal.splitHash})`);
+  }
+  if (cancellation.exists) {
+    console.log(
+      `  cancel:     ${formatAmount(cancellation.freelancerWei, asset)} to the freelancer, ` +
+        `${formatAmount(cancellation.clientWei, asset)} to the client (proposed by ${cancellation.proposedBy})`
+    );
+  }
+  for (const milestone of milestones) {
+    const due = new Date(milestone.deadline * 1000).toISOString();
+    const state = milestone.released
+      ? "released"
+      : milestone.reclaimed
+        ? "reclaimed"
+        : milestone.disputed
+        ? "disputed"
+        : milestone.submitted ? "submitted" : "open";
+    console.log(
+      `  milestone ${milestone.index}: ${formatUnits(milestone.fundedWei, asset.decimals)}/${formatAmount(milestone.amountWei, asset)} funded, ${state}, due ${due}`
+    );
+    if (milestone.specHash !== ZeroHash) {
+      console.log(`    spec:        ${milestone.specHash}`);
+    }
+    if (milestone.deliverableHash !== ZeroHash) {
+      console.log(`    deliverable: ${milestone.deliverableHash}`);
+    }
+    if (state === "open") {
+      const amendment = await escrow.getAmendment(projectId, milestone.index);
+      if (amendment.exists) {
+        console.log(
+          `    proposed:    ${formatAmount(amendment.amountWei, asset)}, due ${amendment.deadline}, review ${amendment.reviewPeriod}s`
+        );
+      }
+    }
+  }
+}
+
+function printReceipt({ receipt, events }, asset) {
+  console.log(`Transaction ${receipt.hash} mined in block ${receipt.blockNumber}`);
+  printEvents(events, asset);
+}
+
+async function printTransaction(escrow, projectId, result) {
+  const asset = await escrow.getAsset(projectId);
+  printReceipt(result, asset);
+  await printProject(escrow, projectId, asset);
+}
+
+/**
+ * Defines a task that sends one transaction, then prints its events and
+ * the project's state. `send` gets a `parseAmount` that converts human
+ * amounts using the decimals of the project's asset.
+ */
+function escrowTxTask(name, description, send) {
+  return escrowTask(name, description).setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const parseAmount = async (amount) => parseUnits(amount, (await escrow.getAsset(args.id)).decimals);
+
+    await printTransaction(escrow, args.id, await send(escrow, args, parseAmount, hre));
+  });
+}
+
+// Signed messages travel as JSON files, so they can be handed to whoever
+// sends the transaction.
+function writeSignedMessage(message, out) {
+  const json = JSON.stringify(serializeSignedMessage(message), null, 2);
+  if (out) {
+    fs.writeFileSync(out, json + "\n");
+    console.log(`Wrote ${out}`);
+  } else {
+    console.log(json);
+  }
+}
+
+function readSignedMessage(file) {
+  return parseSignedMessage(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+escrowTask("escrow:create", "Creates a project owned by the signer and prints its ID")
+  .addParam("arbiter", "Address that rules on disputes")
+  .addOptionalParam("token", "ERC-20 to pay in (native ETH if omitted)", ZeroAddress)
+  .addOptionalParam("spec", "Spec file or directory to hash, or its hash or raw CIDv1")
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const result = await escrow.createProject(args.arbiter, args.token, await parseContentHash(args.spec));
+    await printTransaction(escrow, result.projectId, result);
+  });
+
+escrowTxTask(
+  "escrow:bid",
+  "Places or updates the signer's bid",
+  async (escrow, { id, amount, expiry }, parseAmount, hre) =>
+    escrow.placeBid(id, await parseAmount(amount), {
+      expiry: expiry === undefined ? 0 : await parseDeadline(expiry, hre),
+    })
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("amount", "Bid amount in the project's asset")
+  .addOptionalParam("expiry", "Last moment the bid can be accepted: +7d, a unix timestamp or an ISO date (never if omitted)");
+
+escrowTxTask("escrow:withdraw-bid", "Withdraws the signer's bid from an open project", (escrow, { id }) =>
+  escrow.withdrawBid(id)
+).addParam("id", "Project id", undefined, types.bigint);
+
+escrowTxTask("escrow:bid-payees", "Splits the payouts of the signer's bid between payees", (escrow, { id, payees }) =>
+  escrow.setBidPayees(id, parsePayees(payees))
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("payees", "Comma-separated <address>:<bps> shares adding up to 10000, or none");
+
+escrowTxTask("escrow:propose-split", "Proposes a new payout split as one of the project's payees", (escrow, { id, payees }) =>
+  escrow.proposeSplit(id, parsePayees(payees))
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("payees", "Comma-separated <address>:<bps> shares adding up to 10000");
+
+// The payees are repeated rather than read from the proposal, so the signer
+// approves the split they named and nothing else.
+escrowTxTask("escrow:approve-split", "Approves the proposed payout split as one of the project's payees", (escrow, { id, payees }) =>
+  escrow.approveSplit(id, hashSplit(parsePayees(payees)))
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("payees", "The proposed <address>:<bps> shares, as shown by escrow:show");
+
+escrowTxTask(
+  "escrow:accept",
+  "Accepts a bid as the project's client",
+  async (escrow, { id, bidder, amount, payees }, parseAmount) =>
+    escrow.acceptBid(id, bidder, await parseAmount(amount), parsePayees(payees))
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("bidder", "Address of the bidder to accept")
+  .addParam("amount", "Amount the bid must still ask, so a last-minute change reverts")
+  .addOptionalParam("payees", "The bid's <address>:<bps> shares as shown by escrow:bids, or none", "none");
+
+escrowTask("escrow:bids", "Lists the current bids on a project")
+  .addParam("id", "Project id", undefined, types.bigint)
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const asset = await escrow.getAsset(args.id);
+    const bids = await escrow.getBids(args.id);
+    console.log(`${bids.length} bids on project ${args.id}`);
+    for (const bid of bids) {
+      const expires = bid.expiry === 0 ? "no expiry" : `expires ${new Date(bid.expiry * 1000).toISOString()}`;
+      console.log(`  ${bid.bidder}: ${formatAmount(bid.amountWei, asset)}, ${expires}`);
+      const payees = await escrow.getBidPayees(args.id, bid.bidder);
+      if (payees.length > 0) {
+        console.log(`    payees: ${formatPayees(payees)}`);
+      }
+    }
+  });
+
+escrowTask("escrow:sign-bid", "Signs a bid off-chain for the client to accept")
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("amount", "Bid amount in the project's asset")
+  .addOptionalParam("expiry", "Last moment the bid can be accepted: +7d, a unix timestamp or an ISO date", "+7d")
+  .addOptionalParam("payees", "Comma-separated <address>:<bps> shares adding up to 10000, or none", "none")
+  .addOptionalParam("nonce", "Nonce to sign (random if omitted)", undefined, types.bigint)
+  .addOptionalParam("out", "File to write the signed bid to (printed if omitted)")
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const { decimals } = await escrow.getAsset(args.id);
+    const bid = await escrow.signBid(args.id, parseUnits(args.amount, decimals), {
+      expiry: await parseDeadline(args.expiry, hre),
+      payees: parsePayees(args.payees),
+      nonce: args.nonce,
+    });
+    writeSignedMessage(bid, args.out);
+  });
+
+escrowTask("escrow:accept-signed-bid", "Accepts a signed bid as the project's client")
+  .addParam("bid", "File written by escrow:sign-bid")
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const bid = readSignedMessage(args.bid);
+    await printTransaction(escrow, bid.projectId, await escrow.acceptSignedBid(bid));
+  });
+
+escrowTxTask(
+  "escrow:milestone",
+  "Creates a milestone",
+  async (escrow, { id, index, amount, deadline, review, spec }, parseAmount, hre) =>
+    escrow.createMilestone(
+      id,
+      index,
+      await parseAmount(amount),
+      await parseDeadline(deadline, hre),
+      parseDuration(review),
+      await parseContentHash(spec)
+    )
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int)
+  .addParam("amount", "Milestone amount in the project's asset")
+  .addOptionalParam("deadline", "Submission deadline: +7d, a unix timestamp or an ISO date", "+30d")
+  .addOptionalParam("review", "Client review period after submission, e.g. 3d", "3d")
+  .addOptionalParam("spec", "Spec file or directory to hash, or its hash or raw CIDv1");
+
+escrowTxTask("escrow:fund", "Funds a milestone, approving tokens if needed", async (escrow, { id, index, amount }, parseAmount) =>
+  escrow.fundMilestone(id, index, await parseAmount(amount))
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int)
+  .addParam("amount", "Amount to fund in the project's asset");
+
+escrowTxTask(
+  "escrow:amend",
+  "Changes an unsubmitted milestone, or proposes the change to the freelancer",
+  async (escrow, { id, index, amount, deadline, review }, parseAmount, hre) => {
+    const current = await escrow.getMilestone(id, index);
+    return escrow.amendMilestone(
+      id,
+      index,
+      amount === undefined ? current.amountWei : await parseAmount(amount),
+      deadline === undefined ? current.deadline : await parseDeadline(deadline, hre),
+      review === undefined ? current.reviewPeriod : parseDuration(review)
+    );
+  }
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int)
+  .addOptionalParam("amount", "New amount in the project's asset (unchanged if omitted)")
+  .addOptionalParam("deadline", "New deadline: +7d, a unix timestamp or an ISO date (unchanged if omitted)")
+  .addOptionalParam("review", "New review period, e.g. 3d (unchanged if omitted)");
+
+// Every term must be given explicitly, as escrow:show prints it, so a
+// proposal the client replaced in the meantime is rejected rather than
+// accepted unseen.
+escrowTxTask(
+  "escrow:accept-amendment",
+  "Accepts the client's proposed milestone change as the freelancer",
+  async (escrow, { id, index, amount, deadline, review }, parseAmount, hre) =>
+    escrow.acceptAmendment(
+      id,
+      index,
+      await parseAmount(amount),
+      await parseDeadline(deadline, hre),
+      parseDuration(review)
+    )
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int)
+  .addParam("amount", "Proposed amount being agreed to, in the project's asset")
+  .addParam("deadline", "Proposed deadline being agreed to, as a unix timestamp or an ISO date")
+  .addParam("review", "Proposed review period being agreed to, e.g. 3d or 259200");
+
+escrowTxTask("escrow:cancel", "Removes an unsubmitted milestone and credits its funds to the client", (escrow, { id, index }) =>
+  escrow.cancelMilestone(id, index)
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int);
+
+escrowTxTask("escrow:submit", "Marks a milestone as delivered", async (escrow, { id, index, deliverable }) =>
+  escrow.submitMilestone(id, index, await parseContentHash(deliverable))
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int)
+  .addOptionalParam("deliverable", "Deliverable file or directory to hash, or its hash or raw CIDv1");
+
+escrowTask("escrow:sign-submit", "Signs a milestone submission for someone else to relay")
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int)
+  .addOptionalParam("deliverable", "Deliverable file or directory to hash, or its hash or raw CIDv1")
+  .addOptionalParam("expiry", "Last moment it can be relayed: +7d, a unix timestamp or an ISO date", "+7d")
+  .addOptionalParam("nonce", "Nonce to sign (random if omitted)", undefined, types.bigint)
+  .addOptionalParam("out", "File to write the signed submission to (printed if omitted)")
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const submission = await escrow.signSubmitMilestone(args.id, args.index, {
+      deliverableHash: await parseContentHash(args.deliverable),
+      expiry: await parseDeadline(args.expiry, hre),
+      nonce: args.nonce,
+    });
+    writeSignedMessage(submission, args.out);
+  });
+
+escrowTask("escrow:relay-submit", "Sends a freelancer's signed submission, paying its gas")
+  .addParam("submission", "File written by escrow:sign-submit")
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const submission = readSignedMessage(args.submission);
+    await printTransaction(escrow, submission.projectId, await escrow.submitMilestoneWithSig(submission));
+  });
+
+escrowTask("escrow:cancel-nonce", "Revokes a signed bid or submission that has not been used")
+  .addParam("nonce", "Nonce of the signed message", undefined, types.bigint)
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    printReceipt(await escrow.cancelNonce(args.nonce), await escrow.getTokenAsset(ZeroAddress));
+  });
+
+escrowTxTask("escrow:release", "Credits a submitted milestone to the freelancer", (escrow, { id, index }) =>
+  escrow.releaseMilestone(id, index)
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int);
+
+escrowTxTask("escrow:claim", "Claims a submitted milestone after its review period", (escrow, { id, index }) =>
+  escrow.claimMilestone(id, index)
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int);
+
+escrowTxTask("escrow:reclaim", "Refunds a milestone not submitted by its deadline", (escrow, { id, index }) =>
+  escrow.reclaimMilestone(id, index)
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int);
+
+escrowTxTask("escrow:close", "Closes a project and credits its vault back to the client", (escrow, { id }) =>
+  escrow.closeProject(id)
+).addParam("id", "Project id", undefined, types.bigint);
+
+escrowTxTask("escrow:propose-cancel", "Proposes settling a project's vault and closing it", (escrow, { id }) =>
+  escrow.proposeCancellation(id)
+).addParam("id", "Project id", undefined, types.bigint);
+
+// Like escrow:accept-amendment, the terms are given as escrow:show prints
+// them, so a proposal replaced in the meantime is rejected.
+escrowTxTask(
+  "escrow:accept-cancel",
+  "Accepts the other party's pending cancellation",
+  async (escrow, { id, freelancer, client }, parseAmount) =>
+    escrow.acceptCancellation(id, {
+      freelancerWei: await parseAmount(freelancer),
+      clientWei: await parseAmount(client),
+    })
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("freelancer", "Proposed amount to the freelancer being agreed to, in the project's asset")
+  .addParam("client", "Proposed amount to the client being agreed to, in the project's asset");
+
+escrowTxTask("escrow:resign", "Steps down as freelancer and reopens the project for bids", (escrow, { id }) =>
+  escrow.resign(id)
+).addParam("id", "Project id", undefined, types.bigint);
+
+escrowTxTask("escrow:dispute", "Freezes a submitted milestone for the arbiter", (escrow, { id, index }) =>
+  escrow.openDispute(id, index)
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int);
+
+escrowTxTask("escrow:resolve", "Rules on a dispute as the arbiter", async (escrow, { id, index, amount }, parseAmount) =>
+  escrow.resolveDispute(id, index, await parseAmount(amount))
+)
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addParam("index", "Milestone index", undefined, types.int)
+  .addParam("amount", "Amount credited to the freelancer; the rest goes back to the client");
+
+escrowTask("escrow:balance", "Prints an account's withdrawable balance")
+  .addOptionalParam("account", "Account to check (the signer if omitted)")
+  .addOptionalParam("token", "ERC-20 to check (native ETH if omitted)", ZeroAddress)
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const account = args.account || (await escrow.contract.runner.getAddress());
+    const asset = await escrow.getTokenAsset(args.token);
+    console.log(`${account}: ${formatAmount(await escrow.getWithdrawable(account, args.token), asset)} withdrawable`);
+  });
+
+escrowTask("escrow:withdraw", "Withdraws the signer's credited payouts and refunds")
+  .addOptionalParam("token", "ERC-20 to withdraw (native ETH if omitted)", ZeroAddress)
+  .addOptionalParam("to", "Recipient (the signer if omitted)")
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const result = args.to ? await escrow.withdrawTo(args.token, args.to) : await escrow.withdraw(args.token);
+    printReceipt(result, await escrow.getTokenAsset(args.token));
+  });
+
+escrowTask("escrow:fee", "Prints the platform fee, or changes it as the owner")
+  .addOptionalParam("bps", "New fee in basis points, e.g. 250 for 2.5%", undefined, types.int)
+  .addOptionalParam("onClose", "Whether closeProject refunds pay the fee too", undefined, types.boolean)
+  .addOptionalParam("treasury", "New treasury address")
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const eth = await escrow.getTokenAsset(ZeroAddress);
+
+    if (args.bps !== undefined || args.onClose !== undefined) {
+      const current = await escrow.getFeeConfig();
+      printReceipt(
+        await escrow.setFee(args.bps ?? current.feeBps, args.onClose ?? current.chargeFeeOnClose),
+        eth
+      );
+    }
+    if (args.treasury) {
+      printReceipt(await escrow.setTreasury(args.treasury), eth);
+    }
+
+    const fee = await escrow.getFeeConfig();
+    console.log(`Fee:      ${fee.feeBps / 100}% of releases${fee.chargeFeeOnClose ? " and close refunds" : ""} (max ${fee.maxFeeBps / 100}%)`);
+    console.log(`Treasury: ${fee.treasury}`);
+    console.log(`Owner:    ${fee.owner}`);
+  });
+
+async function printAdminState(escrow) {
+  const state = await escrow.getAdminState();
+  console.log(`Owner:    ${state.owner}${state.pendingOwner === ZeroAddress ? "" : ` (transferring to ${state.pendingOwner})`}`);
+  console.log(`Guardian: ${state.guardian}`);
+  console.log(`Paused:   ${state.paused ? "yes" : "no"}`);
+}
+
+// Defines an admin task that sends one transaction, then prints the roles.
+function adminTxTask(name, description, send) {
+  return escrowTask(name, description).setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    printReceipt(await send(escrow, args), await escrow.getTokenAsset(ZeroAddress));
+    await printAdminState(escrow);
+  });
+}
+
+escrowTask("escrow:admin", "Prints the owner, guardian and pause state")
+  .setAction(async (args, hre) => printAdminState(await connect(args, hre)));
+
+adminTxTask("escrow:pause", "Stops new projects, bids and funding (guardian or owner)", (escrow) => escrow.pause());
+
+adminTxTask("escrow:unpause", "Lifts a pause (owner)", (escrow) => escrow.unpause());
+
+adminTxTask("escrow:transfer-ownership", "Offers ownership to another account (owner)", (escrow, { to }) =>
+  escrow.transferOwnership(to)
+).addParam("to", "New owner, who must run escrow:accept-ownership (zero address cancels)");
+
+adminTxTask("escrow:accept-ownership", "Takes over ownership offered to the signer", (escrow) =>
+  escrow.acceptOwnership()
+);
+
+adminTxTask("escrow:set-guardian", "Appoints the account that can pause (owner)", (escrow, { guardian }) =>
+  escrow.setGuardian(guardian)
+).addParam("guardian", "New guardian");
+
+escrowTask("escrow:rescue", "Sends out tokens that reached Escrow outside a project (owner)")
+  .addParam("token", "ERC-20 to rescue")
+  .addParam("to", "Recipient")
+  .addOptionalParam("amount", "Amount in the token's units (everything rescuable if omitted)")
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const asset = await escrow.getTokenAsset(args.token);
+    const amount = args.amount === undefined
+      ? await escrow.getRescuableAmount(args.token)
+      : parseUnits(args.amount, asset.decimals);
+    printReceipt(await escrow.rescueToken(args.token, args.to, amount), asset);
+  });
+
+escrowTask("escrow:show", "Prints a project and its milestones")
+  .addParam("id", "Project id", undefined, types.bigint)
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    await printProject(escrow, args.id, await escrow.getAsset(args.id));
+  });
+
+// Only a file has a matching CID: the directory hash is Escrow's own
+// manifest digest, which no IPFS directory CID carries.
+task("escrow:hash", "Prints the content hash of a file or directory, as Escrow stores it")
+  .addParam("path", "File or directory to hash")
+  .setAction(async (args) => {
+    const hash = await hashPath(args.path);
+    console.log(hash);
+    // Only a file that fits in one IPFS block has a raw CIDv1 that resolves.
+    const stat = await fs.promises.stat(args.path);
+    if (stat.isFile() && stat.size <= MAX_RAW_BLOCK_BYTES) {
+      console.log(`CIDv1 (raw): ${contentHashToCid(hash)}`);
+    }
+  });
+
+escrowTask("escrow:verify", "Checks a local file or directory against a recorded spec or deliverable")
+  .addParam("id", "Project id", undefined, types.bigint)
+  .addOptionalParam("index", "Milestone index (the project spec if omitted)", undefined, types.int)
+  .addOptionalParam("deliverable", "Compare with the milestone's deliverable instead of its spec", false, types.boolean)
+  .addParam("path", "File or directory to check")
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    let label;
+    let recorded;
+    if (args.index === undefined) {
+      label = `Project ${args.id} spec`;
+      recorded = (await escrow.getProject(args.id)).specHash;
+    } else {
+      const milestone = await escrow.getMilestone(args.id, args.index);
+      label = `Milestone ${args.index} ${args.deliverable ? "deliverable" : "spec"}`;
+      recorded = args.deliverable ? milestone.deliverableHash : milestone.specHash;
+    }
+
+    const local = await hashPath(args.path);
+    if (recorded === ZeroHash) {
+      throw new Error(`${label} has no content hash recorded`);
+    }
+    if (local !== recorded) {
+      throw new Error(`${label} does not match ${args.path}: recorded ${recorded}, local ${local}`);
+    }
+    console.log(`${label} matches ${args.path} (${local})`);
+  });
+
+escrowTask("escrow:index", "Syncs a JSON index of every project, bid and milestone")
+  .addParam("out", "Index file, resumed from if it exists")
+  .addOptionalParam("fromBlock", "Block to start indexing from", 0, types.int)
+  .addOptionalParam("confirmations", "Blocks to stay behind the head", 0, types.int)
+  .setAction(async (args, hre) => {
+    const escrow = await connect(args, hre);
+    const indexer = new EscrowIndexer({
+      contract: escrow.contract,
+      store: new JsonFileStore(args.out),
+      startBlock: args.fromBlock,
+      confirmations: args.confirmations,
+    });
+
+    const result = await indexer.sync();
+    if (result.rewoundTo !== null) {
+      console.log(`Reorg detected, rolled back to block ${result.rewoundTo}`);
+    }
+    console.log(
+      `Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.eventCount} new events, ${indexer.getProjects().length} projects`
+    );
+  });
+
+escrowTask("escrow:serve", "Serves projects, bids, milestones and events over HTTP until interrupted")
+  .addOptionalParam("port", "Port to listen on", 8080, types.int)
+  .addOptionalParam("host", "Interface to listen on", "127.0.0.1")
+  .addOptionalParam("index", "Index file to resume from; kept in memory if omitted")
+  .addOptionalParam("fromBlock", "Block to start indexing from", 0, types.int)
+  .addOptionalParam("confirmations", "Blocks to stay behind the head", 0, types.int)
+  .addOptionalParam("poll", "Milliseconds between index syncs", 2000, types.int)
+  .addOptionalParam("allowOrigin", "Access-Control-Allow-Origin for browser frontends")
+  .setAction(async (args, hre) => {
+    const escrow = (await connect(args, hre)).connect(hre.ethers.provider);
+    const indexer = new EscrowIndexer({
+      contract: escrow.contract,
+      store: args.index ? new JsonFileStore(args.index) : new MemoryStore(),
+      startBlock: args.fromBlock,
+      confirmations: args.confirmations,
+    });
+    const server = new EscrowApiServer({
+      client: escrow,
+      indexer,
+      pollInterval: args.poll,
+      allowOrigin: args.allowOrigin,
+    });
+
+    const { address, port } = await server.listen(args.port, args.host);
+    console.log(`Serving Escrow ${await escrow.getAddress()} on http://${address}:${port}`);
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await server.close();
+  });
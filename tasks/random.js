@@ -0,0 +1,50 @@
+// Seeded PRNG shared by escrow:seed and the invariant tests, so a seed
+// replays the same choices everywhere.
+
+// mulberry32: small, fast and identical on every platform.
+function createRng(seed) {
+  let state = seed >>> 0;
+
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    next,
+    // integer in [min, max]
+    int(min, max) {
+      return min + Math.floor(next() * (max - min + 1));
+    },
+    pick(values) {
+      return values[Math.floor(next() * values.length)];
+    },
+    chance(probability) {
+      return next() < probability;
+    },
+    // `weights` maps a key to its relative weight
+    weighted(weights) {
+      const entries = Object.entries(weights);
+      let roll = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return key;
+      }
+      return entries[entries.length - 1][0];
+    },
+    // a shuffled copy of `values`
+    shuffle(values) {
+      const copy = [...values];
+      for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy;
+    },
+  };
+}
+
+module.exports = { createRng };
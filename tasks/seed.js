@@ -0,0 +1,434 @@
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const { ZeroAddress, id, parseEther, parseUnits } = require("ethers");
+
+const { EscrowClient } = require("../sdk/EscrowClient");
+const { createRng } = require("./random");
+
+// Populates a throwaway chain with an Escrow full of projects for frontend
+// work. Every amount and choice comes from a seeded PRNG and every account
+// from the node's fixed signers, so a fresh `npx hardhat node` seeded with
+// the same options always ends up with the same projects and IDs. Only
+// block timestamps follow the wall clock.
+
+const LOCAL_CHAIN_ID = 31337n;
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const REVIEW_PERIOD = 3 * DAY;
+const FEE_BPS = 100;
+const TOKEN_DECIMALS = 6;
+
+/**
+ * Wraps the deployed contracts with the steps the scenarios are made of,
+ * and records every project it creates for the manifest.
+ */
+class Seeder {
+  constructor(hre, { escrow, token, accounts, random }) {
+    this.hre = hre;
+    this.escrow = escrow;
+    this.token = token;
+    this.accounts = accounts;
+    this.random = random;
+    this.projects = [];
+  }
+
+  async now() {
+    return (await this.hre.ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async advance(seconds) {
+    await this.hre.network.provider.send("evm_increaseTime", [seconds]);
+    await this.hre.network.provider.send("evm_mine");
+  }
+
+  // `steps` of 0.05 ETH, or of 50 mUSDC on token projects.
+  amount(project, steps) {
+    return project.token === ZeroAddress
+      ? parseEther("0.05") * BigInt(steps)
+      : parseUnits("50", TOKEN_DECIMALS) * BigInt(steps);
+  }
+
+  async createProject({ client, scenario = null, token = false }) {
+    const arbiter = this.random.pick(this.accounts.arbiters);
+    const tokenAddress = token ? await this.token.getAddress() : ZeroAddress;
+    const label = `project ${this.projects.length + 1}`;
+    const { projectId } = await this.escrow.connect(client)
+      .createProject(arbiter.address, tokenAddress, id(`${label} spec`));
+
+    const project = {
+      projectId,
+      scenario,
+      label,
+      client,
+      arbiter,
+      token: tokenAddress,
+      freelancer: null,
+      bidders: [],
+      milestones: [],
+    };
+    this.projects.push(project);
+    return project;
+  }
+
+  async bid(project, freelancer, amountWei, { expiry = 0 } = {}) {
+    await this.escrow.connect(freelancer).placeBid(project.projectId, amountWei, { expiry });
+    if (!project.bidders.includes(freelancer)) {
+      project.bidders.push(freelancer);
+    }
+  }
+
+  async accept(project, freelancer, amountWei, payees = []) {
+    await this.escrow.connect(project.client).acceptBid(project.projectId, freelancer.address, amountWei, payees);
+    project.freelancer = freelancer;
+  }
+
+  async milestone(project, index, amountWei, { deadlineIn = 30 * DAY, reviewPeriod = REVIEW_PERIOD } = {}) {
+    await this.escrow.connect(project.client).createMilestone(
+      project.projectId,
+      index,
+      amountWei,
+      (await this.now()) + deadlineIn,
+      reviewPeriod,
+      id(`${project.label} milestone ${index} spec`)
+    );
+    project.milestones.push(index);
+  }
+
+  fund(project, index, amountWei) {
+    return this.escrow.connect(project.client).fundMilestone(project.projectId, index, amountWei);
+  }
+
+  submit(project, index) {
+    return this.escrow.connect(project.freelancer)
+      .submitMilestone(project.projectId, index, id(`${project.label} milestone ${index} deliverable`));
+  }
+
+  release(project, index) {
+    return this.escrow.connect(project.client).releaseMilestone(project.projectId, index);
+  }
+
+  // Funds, submits and releases a milestone as far as `stage` says.
+  async progress(project, index, amountWei, stage) {
+    if (stage === "unfunded") return;
+    if (stage === "partial") {
+      await this.fund(project, index, amountWei / 2n);
+      return;
+    }
+    await this.fund(project, index, amountWei);
+    if (stage === "funded") return;
+    await this.submit(project, index);
+    if (stage === "submitted") return;
+    await this.release(project, index);
+  }
+
+  // A project in `status`, with a few bids and, once work has started,
+  // milestones at mixed stages.
+  async populate(status) {
+    const { random, accounts } = this;
+    const project = await this.createProject({
+      client: random.pick(accounts.clients),
+      token: random.chance(0.25),
+    });
+
+    const bidders = random.shuffle(accounts.freelancers).slice(0, random.int(1, 4));
+    for (const bidder of bidders) {
+      const expiry = random.chance(0.3) ? (await this.now()) + random.int(7, 21) * DAY : 0;
+      await this.bid(project, bidder, this.amount(project, random.int(4, 40)), { expiry });
+    }
+
+    if (status === "Open") {
+      if (bidders.length > 1 && random.chance(0.5)) {
+        await this.bid(project, bidders[0], this.amount(project, random.int(4, 40)));
+      }
+      if (bidders.length > 2 && random.chance(0.5)) {
+        await this.escrow.connect(bidders[1]).withdrawBid(project.projectId);
+      }
+      return project;
+    }
+
+    const winner = bidders[0];
+    const { amountWei } = await this.escrow.getBid(project.projectId, winner.address);
+    await this.accept(project, winner, amountWei);
+
+    const stages = status === "Closed"
+      ? ["unfunded", "partial", "funded", "released"]
+      : ["unfunded", "partial", "funded", "submitted", "released"];
+    const count = random.int(1, 4);
+    for (let index = 0; index < count; index++) {
+      const milestoneWei = this.amount(project, random.int(2, 20));
+      await this.milestone(project, index, milestoneWei, { deadlineIn: random.int(14, 60) * DAY });
+      await this.progress(project, index, milestoneWei, random.pick(stages));
+    }
+
+    if (status === "Closed") {
+      await this.escrow.connect(project.client).closeProject(project.projectId);
+    }
+    return project;
+  }
+
+  // A project with an accepted bid and one milestone, for the scenarios.
+  async started(scenario, milestoneWei = parseEther("1"), options = {}) {
+    const project = await this.createProject({ client: this.random.pick(this.accounts.clients), scenario });
+    const freelancer = this.random.pick(this.accounts.freelancers);
+    await this.bid(project, freelancer, milestoneWei);
+    await this.accept(project, freelancer, milestoneWei);
+    await this.milestone(project, 0, milestoneWei, options);
+    return project;
+  }
+}
+
+/**
+ * Named situations a frontend has to render, each set up on its own
+ * project. Later ones may move the clock forward, so deadlines set by
+ * earlier ones can pass.
+ */
+const SCENARIOS = {
+  // The client sent more than the milestone needed and can withdraw the rest.
+  "overfunded-milestone": async (seeder) => {
+    const project = await seeder.started("overfunded-milestone");
+    await seeder.fund(project, 0, parseEther("1.5"));
+  },
+
+  // Submitted work the client never reviewed; the freelancer can claim it.
+  "client-abandons-project": async (seeder) => {
+    const project = await seeder.started("client-abandons-project", parseEther("1"), { reviewPeriod: DAY });
+    await seeder.milestone(project, 1, parseEther("2"), { reviewPeriod: DAY });
+    await seeder.progress(project, 0, parseEther("1"), "released");
+    await seeder.progress(project, 1, parseEther("2"), "submitted");
+    await seeder.advance(DAY + HOUR);
+  },
+
+  // A funded milestone past its deadline without a submission; the client
+  // can reclaim it.
+  "freelancer-misses-deadline": async (seeder) => {
+    const project = await seeder.started("freelancer-misses-deadline", parseEther("1"), { deadlineIn: DAY });
+    await seeder.fund(project, 0, parseEther("1"));
+    await seeder.advance(DAY + HOUR);
+  },
+
+  // Awaiting the arbiter.
+  "open-dispute": async (seeder) => {
+    const project = await seeder.started("open-dispute");
+    await seeder.progress(project, 0, parseEther("1"), "submitted");
+    await seeder.escrow.connect(project.client).openDispute(project.projectId, 0);
+  },
+
+  // The arbiter gave the freelancer 60% of the disputed milestone.
+  "resolved-dispute": async (seeder) => {
+    const project = await seeder.started("resolved-dispute");
+    await seeder.progress(project, 0, parseEther("1"), "submitted");
+    await seeder.escrow.connect(project.freelancer).openDispute(project.projectId, 0);
+    await seeder.escrow.connect(project.arbiter).resolveDispute(project.projectId, 0, parseEther("0.6"));
+  },
+
+  // The client asked to lower a funded milestone; the freelancer has not
+  // answered yet.
+  "pending-amendment": async (seeder) => {
+    const project = await seeder.started("pending-amendment");
+    await seeder.fund(project, 0, parseEther("1"));
+    const milestone = await seeder.escrow.getMilestone(project.projectId, 0);
+    await seeder.escrow.connect(project.client).amendMilestone(
+      project.projectId, 0, parseEther("0.7"), milestone.deadline, milestone.reviewPeriod
+    );
+  },
+
+  // The winning bid split payouts 70/30, and a milestone has been paid out.
+  "split-payout": async (seeder) => {
+    const [lead, partner] = seeder.random.shuffle(seeder.accounts.freelancers);
+    const project = await seeder.createProject({ client: seeder.random.pick(seeder.accounts.clients), scenario: "split-payout" });
+    await seeder.bid(project, lead, parseEther("2"));
+    const payees = [
+      { account: lead.address, shareBps: 7000 },
+      { account: partner.address, shareBps: 3000 },
+    ];
+    await seeder.escrow.connect(lead).setBidPayees(project.projectId, payees);
+    await seeder.accept(project, lead, parseEther("2"), payees);
+    await seeder.milestone(project, 0, parseEther("1"));
+    await seeder.milestone(project, 1, parseEther("1"));
+    await seeder.progress(project, 0, parseEther("1"), "released");
+
+    // The partner asks for an even split, which the lead has not approved.
+    await seeder.escrow.connect(partner).proposeSplit(project.projectId, [
+      { account: lead.address, shareBps: 5000 },
+      { account: partner.address, shareBps: 5000 },
+    ]);
+  },
+
+  // An open project whose only bid has expired.
+  "expired-bid": async (seeder) => {
+    const project = await seeder.createProject({ client: seeder.random.pick(seeder.accounts.clients), scenario: "expired-bid" });
+    await seeder.bid(project, seeder.random.pick(seeder.accounts.freelancers), parseEther("1"), {
+      expiry: (await seeder.now()) + DAY,
+    });
+    await seeder.advance(DAY + HOUR);
+  },
+
+  // The freelancer offered to settle submitted work and refund the rest; the
+  // client has not answered yet.
+  "pending-cancellation": async (seeder) => {
+    const project = await seeder.started("pending-cancellation");
+    await seeder.milestone(project, 1, parseEther("1"));
+    await seeder.progress(project, 0, parseEther("1"), "submitted");
+    await seeder.fund(project, 1, parseEther("0.5"));
+    await seeder.escrow.connect(project.freelancer).proposeCancellation(project.projectId);
+  },
+
+  // The hired freelancer resigned; the project is open again with its
+  // funded milestone.
+  "freelancer-resigned": async (seeder) => {
+    const project = await seeder.started("freelancer-resigned");
+    await seeder.fund(project, 0, parseEther("1"));
+    await seeder.escrow.connect(project.freelancer).resign(project.projectId);
+    project.freelancer = null;
+  },
+
+  // A token project closed with its dispute still frozen in the vault.
+  "closed-with-dispute": async (seeder) => {
+    const project = await seeder.createProject({
+      client: seeder.random.pick(seeder.accounts.clients),
+      scenario: "closed-with-dispute",
+      token: true,
+    });
+    const freelancer = seeder.random.pick(seeder.accounts.freelancers);
+    const amountWei = parseUnits("500", TOKEN_DECIMALS);
+    await seeder.bid(project, freelancer, amountWei);
+    await seeder.accept(project, freelancer, amountWei);
+    await seeder.milestone(project, 0, amountWei);
+    await seeder.milestone(project, 1, amountWei);
+    await seeder.progress(project, 0, amountWei, "submitted");
+    await seeder.fund(project, 1, amountWei);
+    await seeder.escrow.connect(project.client).openDispute(project.projectId, 0);
+    await seeder.escrow.connect(project.client).closeProject(project.projectId);
+  },
+};
+
+function parseScenarios(value) {
+  if (value === "all") return Object.keys(SCENARIOS);
+  if (value === "none") return [];
+  const names = value.split(",").map((name) => name.trim());
+  for (const name of names) {
+    if (!SCENARIOS[name]) {
+      throw new Error(`Unknown scenario ${name}, expected one of: ${Object.keys(SCENARIOS).join(", ")}`);
+    }
+  }
+  return names;
+}
+
+async function assignAccounts(hre) {
+  const signers = await hre.ethers.getSigners();
+  if (signers.length < 14) {
+    throw new Error(`Seeding needs 14 accounts, the network has ${signers.length}`);
+  }
+  return {
+    owner: signers[0],
+    treasury: signers[1],
+    clients: signers.slice(2, 6),
+    freelancers: signers.slice(6, 12),
+    arbiters: signers.slice(12, 14),
+  };
+}
+
+async function writeManifest(seeder, { out, seed, network, startBlock }) {
+  const { accounts } = seeder;
+  const addresses = (signers) => signers.map((s) => s.address);
+  const projects = [];
+  for (const project of seeder.projects) {
+    const { status } = await seeder.escrow.getProject(project.projectId);
+    projects.push({
+      projectId: project.projectId.toString(),
+      scenario: project.scenario,
+      status,
+      client: project.client.address,
+      freelancer: project.freelancer ? project.freelancer.address : null,
+      arbiter: project.arbiter.address,
+      token: project.token,
+      bidders: addresses(project.bidders),
+      milestones: project.milestones,
+    });
+  }
+
+  const manifest = {
+    network,
+    chainId: LOCAL_CHAIN_ID.toString(),
+    seed,
+    startBlock,
+    endBlock: await seeder.hre.ethers.provider.getBlockNumber(),
+    contracts: {
+      escrow: await seeder.escrow.getAddress(),
+      token: await seeder.token.getAddress(),
+    },
+    accounts: {
+      owner: accounts.owner.address,
+      treasury: accounts.treasury.address,
+      clients: addresses(accounts.clients),
+      freelancers: addresses(accounts.freelancers),
+      arbiters: addresses(accounts.arbiters),
+    },
+    projects,
+  };
+  fs.writeFileSync(out, JSON.stringify(manifest, null, 2) + "\n");
+  return manifest;
+}
+
+// The Escrow is deployed directly rather than through Ignition, so it is not
+// recorded as the network's deployment and the escrow:* tasks need its
+// address as --address.
+task(
+  "escrow:seed",
+  "Deploys Escrow to a local chain and fills it with projects in every state (pass its address to escrow:* tasks as --address)"
+)
+  .addOptionalParam("projects", "Projects to create besides the scenarios", 36, types.int)
+  .addOptionalParam("scenarios", "Comma-separated scenarios, all or none", "all")
+  .addOptionalParam("seed", "PRNG seed; the same seed gives the same projects", 1, types.int)
+  .addOptionalParam("out", "Manifest of the accounts and IDs created", "seed-manifest.json")
+  .setAction(async (args, hre) => {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    if (chainId !== LOCAL_CHAIN_ID) {
+      throw new Error(`escrow:seed only runs on a local Hardhat chain, not chain ${chainId}`);
+    }
+    const scenarios = parseScenarios(args.scenarios);
+    const accounts = await assignAccounts(hre);
+    const startBlock = await hre.ethers.provider.getBlockNumber();
+
+    const Escrow = await hre.ethers.getContractFactory("Escrow", accounts.owner);
+    const contract = await Escrow.deploy(accounts.treasury.address, FEE_BPS, false);
+    await contract.waitForDeployment();
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20", accounts.owner);
+    const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", TOKEN_DECIMALS);
+    await token.waitForDeployment();
+    for (const client of accounts.clients) {
+      await (await token.mint(client.address, parseUnits("1000000", TOKEN_DECIMALS))).wait();
+    }
+
+    const seeder = new Seeder(hre, {
+      escrow: new EscrowClient(contract),
+      token,
+      accounts,
+      random: createRng(args.seed),
+    });
+    console.log(`Deployed Escrow at ${await contract.getAddress()} and mUSDC at ${await token.getAddress()}`);
+
+    const statuses = ["Open", "InProgress", "Closed"];
+    for (let i = 0; i < args.projects; i++) {
+      await seeder.populate(statuses[i % statuses.length]);
+      await seeder.advance(seeder.random.int(1, 12) * HOUR);
+    }
+    for (const name of scenarios) {
+      await SCENARIOS[name](seeder);
+    }
+
+    const manifest = await writeManifest(seeder, {
+      out: args.out,
+      seed: args.seed,
+      network: hre.network.name,
+      startBlock,
+    });
+    const counts = statuses.map((status) => `${manifest.projects.filter((p) => p.status === status).length} ${status}`);
+    console.log(`Created ${manifest.projects.length} projects (${counts.join(", ")})`);
+    if (scenarios.length > 0) {
+      console.log(`Scenarios: ${scenarios.join(", ")}`);
+    }
+    console.log(`Wrote ${args.out}`);
+    console.log(`Pass --address ${manifest.contracts.escrow} to the escrow:* tasks`);
+  });
@@ -1,104 +1,235 @@
 const {
   loadFixture,
+  takeSnapshot,
+  time,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
 
+const { createHiredProject, createProject, projectIdFromReceipt } = require("./helpers/projects");
+
 describe("Escrow", function () {
+  const ONE_DAY = 24 * 60 * 60;
+  const REVIEW_PERIOD = 3 * ONE_DAY;
+
+  // The hash acceptBid checks a bid's payee split against.
+  function splitHash(accounts, sharesBps) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address[]", "uint16[]"], [accounts, sharesBps]));
+  }
+
   // We define a fixture to reuse the same setup in every test.
   async function deployEscrowFixture() {
-    const [client, freelancer, otherAccount] = await ethers.getSigners();
+    const [client, freelancer, otherAccount, arbiter, treasury] = await ethers.getSigners();
 
+    // No fee unless a test sets one; the deployer (client) is the owner.
     const Escrow = await ethers.getContractFactory("Escrow");
-    const escrow = await Escrow.deploy();
+    const escrow = await Escrow.deploy(treasury.address, 0, false);
 
-    return { escrow, client, freelancer, otherAccount };
+    // Delivery deadline used for milestones unless a test needs another.
+    const deadline = (await time.latest()) + 30 * ONE_DAY;
+
+    return { escrow, client, freelancer, otherAccount, arbiter, treasury, deadline };
   }
 
   describe("Project Creation", function () {
     it("Should create a project successfully", async function () {
-      const { escrow, client } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, arbiter } = await loadFixture(deployEscrowFixture);
 
-      await expect(escrow.connect(client).createProject(projectId))
+      await expect(escrow.connect(client).createProject(arbiter.address, ethers.ZeroAddress, ethers.ZeroHash))
         .to.emit(escrow, "ProjectCreated")
-        .withArgs(projectId, client.address);
+        .withArgs(1n, client.address, arbiter.address, ethers.ZeroAddress, ethers.ZeroHash);
 
+      const projectId = await escrow.projectCount();
+      expect(projectId).to.equal(1n);
       const project = await escrow.projects(projectId);
       expect(project.client).to.equal(client.address);
       expect(project.freelancer).to.equal(ethers.ZeroAddress);
+      expect(project.arbiter).to.equal(arbiter.address);
+      expect(project.token).to.equal(ethers.ZeroAddress);
       expect(project.status).to.equal(0); // Open
       expect(project.vaultBalance).to.equal(0n);
+      expect(project.specHash).to.equal(ethers.ZeroHash);
       expect(project.exists).to.be.true;
     });
 
-    it("Should revert if project already exists", async function () {
+    it("Should record the spec hash", async function () {
+      const { escrow, client, arbiter } = await loadFixture(deployEscrowFixture);
+      const specHash = ethers.sha256(ethers.toUtf8Bytes("# Build a landing page"));
+
+      await expect(escrow.connect(client).createProject(arbiter.address, ethers.ZeroAddress, specHash))
+        .to.emit(escrow, "ProjectCreated")
+        .withArgs(1n, client.address, arbiter.address, ethers.ZeroAddress, specHash);
+      expect((await escrow.projects(1n)).specHash).to.equal(specHash);
+    });
+
+    it("Should assign sequential IDs to every creator", async function () {
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+
+      expect(await escrow.createProject.staticCall(arbiter.address, ethers.ZeroAddress, ethers.ZeroHash)).to.equal(1n);
+      expect(await createProject(escrow, client, arbiter.address)).to.equal(1n);
+      expect(await createProject(escrow, freelancer, arbiter.address)).to.equal(2n);
+      expect(await createProject(escrow, client, arbiter.address)).to.equal(3n);
+
+      expect(await escrow.projectCount()).to.equal(3n);
+      expect((await escrow.projects(2n)).client).to.equal(freelancer.address);
+      expect((await escrow.projects(0n)).exists).to.be.false;
+    });
+
+    it("Should revert if arbiter is zero or the client", async function () {
       const { escrow, client } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
 
-      await escrow.connect(client).createProject(projectId);
-      await expect(escrow.connect(client).createProject(projectId))
-        .to.be.revertedWithCustomError(escrow, "ProjectExists");
+      await expect(escrow.connect(client).createProject(ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "InvalidArbiter");
+      await expect(escrow.connect(client).createProject(client.address, ethers.ZeroAddress, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "InvalidArbiter");
+      expect(await escrow.projectCount()).to.equal(0n);
     });
   });
 
   describe("Bidding", function () {
     it("Should allow placing a bid", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
       const bidAmount = ethers.parseEther("1.0");
 
-      await escrow.connect(client).createProject(projectId);
-      await expect(escrow.connect(freelancer).placeBid(projectId, bidAmount))
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await expect(escrow.connect(freelancer).placeBid(projectId, bidAmount, 0))
         .to.emit(escrow, "BidPlaced")
-        .withArgs(projectId, freelancer.address, bidAmount);
+        .withArgs(projectId, freelancer.address, bidAmount, 0);
 
       const bid = await escrow.bids(projectId, freelancer.address);
       expect(bid.amountWei).to.equal(bidAmount);
+      expect(bid.expiry).to.equal(0n);
       expect(bid.exists).to.be.true;
     });
 
+    it("Should record changes to an existing bid", async function () {
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+      const expiry = (await time.latest()) + ONE_DAY;
+
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(projectId, 100n, 0);
+      await expect(escrow.connect(freelancer).placeBid(projectId, 80n, expiry))
+        .to.emit(escrow, "BidUpdated")
+        .withArgs(projectId, freelancer.address, 100n, 80n, expiry)
+        .and.not.to.emit(escrow, "BidPlaced");
+
+      const bid = await escrow.bids(projectId, freelancer.address);
+      expect(bid.amountWei).to.equal(80n);
+      expect(bid.expiry).to.equal(expiry);
+      expect(await escrow.bidCount(projectId)).to.equal(1n);
+    });
+
+    it("Should revert if the bid has already expired", async function () {
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await expect(escrow.connect(freelancer).placeBid(projectId, 100n, await time.latest()))
+        .to.be.revertedWithCustomError(escrow, "BidExpired");
+    });
+
+    it("Should let a bidder withdraw their bid", async function () {
+      const { escrow, client, freelancer, otherAccount, arbiter } = await loadFixture(deployEscrowFixture);
+
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(projectId, 100n, 0);
+      await escrow.connect(otherAccount).placeBid(projectId, 90n, 0);
+
+      await expect(escrow.connect(freelancer).withdrawBid(projectId))
+        .to.emit(escrow, "BidWithdrawn")
+        .withArgs(projectId, freelancer.address);
+      expect((await escrow.bids(projectId, freelancer.address)).exists).to.be.false;
+      expect(await escrow.bidCount(projectId)).to.equal(1n);
+
+      await expect(escrow.connect(freelancer).withdrawBid(projectId))
+        .to.be.revertedWithCustomError(escrow, "BidNotFound");
+      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address, 100n, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "BidNotFound");
+
+      // Bidding again after a withdrawal counts as a new bid.
+      await expect(escrow.connect(freelancer).placeBid(projectId, 70n, 0))
+        .to.emit(escrow, "BidPlaced")
+        .withArgs(projectId, freelancer.address, 70n, 0);
+      expect(await escrow.bidCount(projectId)).to.equal(2n);
+    });
+
+    it("Should not withdraw a bid once the project is in progress", async function () {
+      const { escrow, client, freelancer, otherAccount, arbiter } = await loadFixture(deployEscrowFixture);
+
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(projectId, 100n, 0);
+      await escrow.connect(otherAccount).placeBid(projectId, 90n, 0);
+      await escrow.connect(client).acceptBid(projectId, freelancer.address, 100n, ethers.ZeroHash);
+
+      await expect(escrow.connect(otherAccount).withdrawBid(projectId))
+        .to.be.revertedWithCustomError(escrow, "InvalidStatus");
+    });
+
+    it("Should list bids in pages", async function () {
+      const { escrow, client, freelancer, otherAccount, arbiter, treasury } = await loadFixture(deployEscrowFixture);
+      const expiry = (await time.latest()) + ONE_DAY;
+
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(projectId, 100n, 0);
+      await escrow.connect(otherAccount).placeBid(projectId, 90n, expiry);
+      await escrow.connect(treasury).placeBid(projectId, 80n, 0);
+      expect(await escrow.bidCount(projectId)).to.equal(3n);
+
+      const [bidders, page] = await escrow.getBids(projectId, 0, 2);
+      expect(bidders).to.deep.equal([freelancer.address, otherAccount.address]);
+      expect(page.map((bid) => [bid.amountWei, bid.expiry])).to.deep.equal([[100n, 0n], [90n, BigInt(expiry)]]);
+      expect((await escrow.getBids(projectId, 2, 2))[0]).to.deep.equal([treasury.address]);
+      expect((await escrow.getBids(projectId, 3, 2))[0]).to.deep.equal([]);
+      expect((await escrow.getBids(projectId, 0, ethers.MaxUint256))[0]).to.have.length(3);
+
+      // The last bidder takes the withdrawn bidder's place.
+      await escrow.connect(freelancer).withdrawBid(projectId);
+      expect((await escrow.getBids(projectId, 0, 10))[0]).to.deep.equal([treasury.address, otherAccount.address]);
+    });
+
     it("Should revert if project doesn't exist", async function () {
       const { escrow, freelancer } = await loadFixture(deployEscrowFixture);
       const projectId = 1n;
       const bidAmount = ethers.parseEther("1.0");
 
-      await expect(escrow.connect(freelancer).placeBid(projectId, bidAmount))
+      await expect(escrow.connect(freelancer).placeBid(projectId, bidAmount, 0))
         .to.be.revertedWithCustomError(escrow, "ProjectNotFound");
     });
 
     it("Should revert if project is not open", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
       const bidAmount = ethers.parseEther("1.0");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, bidAmount);
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter, bidWei: bidAmount });
 
-      await expect(escrow.connect(freelancer).placeBid(projectId, bidAmount))
+      await expect(escrow.connect(freelancer).placeBid(projectId, bidAmount, 0))
         .to.be.revertedWithCustomError(escrow, "InvalidStatus");
     });
 
+    it("Should revert if the arbiter bids", async function () {
+      const { escrow, client, arbiter } = await loadFixture(deployEscrowFixture);
+
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await expect(escrow.connect(arbiter).placeBid(projectId, ethers.parseEther("1.0"), 0))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+    });
+
     it("Should revert if bid amount is zero", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
 
-      await escrow.connect(client).createProject(projectId);
-      await expect(escrow.connect(freelancer).placeBid(projectId, 0))
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await expect(escrow.connect(freelancer).placeBid(projectId, 0, 0))
         .to.be.revertedWithCustomError(escrow, "ZeroAmount");
     });
   });
 
   describe("Accepting Bids", function () {
     it("Should allow client to accept a bid", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
       const bidAmount = ethers.parseEther("1.0");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, bidAmount);
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(projectId, bidAmount, 0);
       
-      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address))
+      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address, bidAmount, ethers.ZeroHash))
         .to.emit(escrow, "BidAccepted")
         .withArgs(projectId, freelancer.address);
 
@@ -108,119 +239,135 @@ describe("Escrow", function () {
     });
 
     it("Should revert if not called by client", async function () {
-      const { escrow, client, freelancer, otherAccount } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, otherAccount, arbiter } = await loadFixture(deployEscrowFixture);
       const bidAmount = ethers.parseEther("1.0");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, bidAmount);
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(projectId, bidAmount, 0);
       
-      await expect(escrow.connect(otherAccount).acceptBid(projectId, freelancer.address))
+      await expect(escrow.connect(otherAccount).acceptBid(projectId, freelancer.address, bidAmount, ethers.ZeroHash))
         .to.be.revertedWithCustomError(escrow, "Unauthorized");
     });
 
     it("Should revert if bid doesn't exist", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
 
-      await escrow.connect(client).createProject(projectId);
+      const projectId = await createProject(escrow, client, arbiter.address);
       
-      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address))
+      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address, 1n, ethers.ZeroHash))
         .to.be.revertedWithCustomError(escrow, "BidNotFound");
     });
 
+    it("Should revert if the bid no longer has the expected amount", async function () {
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(projectId, 100n, 0);
+      await escrow.connect(freelancer).placeBid(projectId, 150n, 0);
+
+      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address, 100n, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "BidAmountMismatch");
+      await escrow.connect(client).acceptBid(projectId, freelancer.address, 150n, ethers.ZeroHash);
+    });
+
+    it("Should accept a bid until its expiry", async function () {
+      const { escrow, client, freelancer, otherAccount, arbiter } = await loadFixture(deployEscrowFixture);
+      const expiry = (await time.latest()) + ONE_DAY;
+
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(projectId, 100n, expiry);
+      await escrow.connect(otherAccount).placeBid(projectId, 90n, expiry);
+
+      await time.increaseTo(expiry + 1);
+      await expect(escrow.connect(client).acceptBid(projectId, otherAccount.address, 90n, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "BidExpired");
+
+      // Renewing the bid makes it acceptable again.
+      await escrow.connect(freelancer).placeBid(projectId, 100n, expiry + ONE_DAY);
+      await escrow.connect(client).acceptBid(projectId, freelancer.address, 100n, ethers.ZeroHash);
+    });
+
     it("Should revert if project is not open", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
       const bidAmount = ethers.parseEther("1.0");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, bidAmount);
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      
-      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address))
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter, bidWei: bidAmount });
+
+      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address, bidAmount, ethers.ZeroHash))
         .to.be.revertedWithCustomError(escrow, "InvalidStatus");
     });
   });
 
   describe("Milestones", function () {
     it("Should allow client to create a milestone", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
 
-      await expect(escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount))
+      const specHash = ethers.sha256(ethers.toUtf8Bytes("Wireframes for every page"));
+
+      await expect(escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, specHash))
         .to.emit(escrow, "MilestoneCreated")
-        .withArgs(projectId, milestoneIndex, milestoneAmount);
+        .withArgs(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, specHash);
 
       const milestone = await escrow.milestones(projectId, milestoneIndex);
       expect(milestone.amountWei).to.equal(milestoneAmount);
       expect(milestone.fundedWei).to.equal(0n);
+      expect(milestone.specHash).to.equal(specHash);
+      expect(milestone.deliverableHash).to.equal(ethers.ZeroHash);
+      expect(milestone.deadline).to.equal(deadline);
+      expect(milestone.reviewPeriod).to.equal(REVIEW_PERIOD);
+      expect(milestone.submittedAt).to.equal(0n);
       expect(milestone.submitted).to.be.false;
       expect(milestone.released).to.be.false;
       expect(milestone.exists).to.be.true;
     });
 
     it("Should revert if milestone already exists", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
 
-      await expect(escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount))
+      await expect(escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash))
         .to.be.revertedWithCustomError(escrow, "MilestoneExists");
     });
 
     it("Should revert if not called by client", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
 
-      await expect(escrow.connect(freelancer).createMilestone(projectId, milestoneIndex, milestoneAmount))
+      await expect(escrow.connect(freelancer).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash))
         .to.be.revertedWithCustomError(escrow, "Unauthorized");
     });
 
     it("Should revert if milestone amount is zero", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
 
-      await expect(escrow.connect(client).createMilestone(projectId, milestoneIndex, 0))
+      await expect(escrow.connect(client).createMilestone(projectId, milestoneIndex, 0, deadline, REVIEW_PERIOD, ethers.ZeroHash))
         .to.be.revertedWithCustomError(escrow, "ZeroAmount");
     });
   });
 
   describe("Funding Milestones", function () {
     it("Should allow client to fund a milestone", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
       const fundAmount = ethers.parseEther("0.3");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
 
       await expect(escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: fundAmount }))
         .to.emit(escrow, "MilestoneFunded")
@@ -234,17 +381,14 @@ describe("Escrow", function () {
     });
 
     it("Should allow partial funding of milestone", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("1.0");
       const fundAmount1 = ethers.parseEther("0.3");
       const fundAmount2 = ethers.parseEther("0.4");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
 
       await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: fundAmount1 });
       await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: fundAmount2 });
@@ -253,33 +397,60 @@ describe("Escrow", function () {
       expect(milestone.fundedWei).to.equal(fundAmount1 + fundAmount2);
     });
 
+    it("Should credit ETH beyond the milestone amount back to the client", async function () {
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+      const milestoneIndex = 0;
+      const milestoneAmount = ethers.parseEther("0.5");
+      const fundAmount = ethers.parseEther("0.8");
+
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+
+      await expect(escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: fundAmount }))
+        .to.emit(escrow, "MilestoneFunded")
+        .withArgs(projectId, milestoneIndex, milestoneAmount, milestoneAmount)
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(client.address, ethers.ZeroAddress, fundAmount - milestoneAmount);
+
+      expect((await escrow.milestones(projectId, milestoneIndex)).fundedWei).to.equal(milestoneAmount);
+      expect((await escrow.projects(projectId)).vaultBalance).to.equal(milestoneAmount);
+      expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(fundAmount - milestoneAmount);
+    });
+
+    it("Should revert if the milestone is already fully funded", async function () {
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+      const milestoneIndex = 0;
+      const milestoneAmount = ethers.parseEther("0.5");
+
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: milestoneAmount });
+
+      await expect(escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: 1n }))
+        .to.be.revertedWithCustomError(escrow, "MilestoneFullyFunded");
+    });
+
     it("Should revert if funding amount is zero", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
 
       await expect(escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: 0 }))
         .to.be.revertedWithCustomError(escrow, "ZeroAmount");
     });
 
     it("Should revert if milestone is already released", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
       await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: milestoneAmount });
-      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex);
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash);
       await escrow.connect(client).releaseMilestone(projectId, milestoneIndex);
 
       await expect(escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: ethers.parseEther("0.1") }))
@@ -287,76 +458,272 @@ describe("Escrow", function () {
     });
   });
 
+  describe("Amending and Cancelling Milestones", function () {
+    const milestoneIndex = 0;
+    const milestoneAmount = ethers.parseEther("0.5");
+
+    // A project with one fully funded, unsubmitted milestone.
+    async function fundedMilestoneFixture() {
+      const fixture = await deployEscrowFixture();
+      const projectId = await createHiredProject(fixture.escrow, {
+        ...fixture,
+        reviewPeriod: REVIEW_PERIOD,
+        milestones: [{ index: milestoneIndex, amountWei: milestoneAmount }],
+      });
+      return { ...fixture, projectId };
+    }
+
+    it("Should apply a later deadline and shorter review period at once", async function () {
+      const { escrow, client, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+      const newDeadline = deadline + ONE_DAY;
+
+      await expect(escrow.connect(client).amendMilestone(projectId, milestoneIndex, milestoneAmount, newDeadline, REVIEW_PERIOD / 2))
+        .to.emit(escrow, "MilestoneAmended")
+        .withArgs(projectId, milestoneIndex, milestoneAmount, newDeadline, REVIEW_PERIOD / 2, 0n);
+
+      const milestone = await escrow.milestones(projectId, milestoneIndex);
+      expect(milestone.deadline).to.equal(newDeadline);
+      expect(milestone.reviewPeriod).to.equal(REVIEW_PERIOD / 2);
+    });
+
+    it("Should wait for the freelancer before lengthening the review period", async function () {
+      const { escrow, client, freelancer, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+      const maxReviewPeriod = 2 ** 32 - 1;
+
+      await expect(escrow.connect(client).amendMilestone(projectId, milestoneIndex, milestoneAmount, deadline, maxReviewPeriod))
+        .to.emit(escrow, "MilestoneAmendmentProposed")
+        .withArgs(projectId, milestoneIndex, milestoneAmount, deadline, maxReviewPeriod)
+        .and.not.to.emit(escrow, "MilestoneAmended");
+      expect((await escrow.milestones(projectId, milestoneIndex)).reviewPeriod).to.equal(REVIEW_PERIOD);
+
+      // Without the freelancer's consent, a claim stays possible.
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash);
+      await time.increase(REVIEW_PERIOD);
+      await expect(escrow.connect(freelancer).claimMilestone(projectId, milestoneIndex))
+        .to.emit(escrow, "MilestoneReleased");
+    });
+
+    it("Should wait for the freelancer before changing the amount", async function () {
+      const { escrow, client, freelancer, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+      const newAmount = ethers.parseEther("0.8");
+
+      await expect(escrow.connect(client).amendMilestone(projectId, milestoneIndex, newAmount, deadline, REVIEW_PERIOD))
+        .to.emit(escrow, "MilestoneAmendmentProposed")
+        .withArgs(projectId, milestoneIndex, newAmount, deadline, REVIEW_PERIOD)
+        .and.not.to.emit(escrow, "MilestoneAmended");
+      expect((await escrow.milestones(projectId, milestoneIndex)).amountWei).to.equal(milestoneAmount);
+
+      await expect(escrow.connect(freelancer).acceptAmendment(projectId, milestoneIndex, newAmount, deadline, REVIEW_PERIOD))
+        .to.emit(escrow, "MilestoneAmended")
+        .withArgs(projectId, milestoneIndex, newAmount, deadline, REVIEW_PERIOD, 0n);
+
+      expect((await escrow.milestones(projectId, milestoneIndex)).amountWei).to.equal(newAmount);
+      expect((await escrow.amendments(projectId, milestoneIndex)).exists).to.be.false;
+
+      // The raised amount can be topped up.
+      await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: newAmount - milestoneAmount });
+      expect((await escrow.milestones(projectId, milestoneIndex)).fundedWei).to.equal(newAmount);
+    });
+
+    it("Should need consent for an earlier deadline", async function () {
+      const { escrow, client, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+
+      await expect(escrow.connect(client).amendMilestone(projectId, milestoneIndex, milestoneAmount, deadline - ONE_DAY, REVIEW_PERIOD))
+        .to.emit(escrow, "MilestoneAmendmentProposed");
+      await expect(escrow.connect(client).amendMilestone(projectId, milestoneIndex, milestoneAmount, deadline - ONE_DAY, REVIEW_PERIOD - 1))
+        .to.emit(escrow, "MilestoneAmendmentProposed");
+
+      expect((await escrow.milestones(projectId, milestoneIndex)).deadline).to.equal(deadline);
+    });
+
+    it("Should credit funds above a lowered amount back to the client", async function () {
+      const { escrow, client, freelancer, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+      const newAmount = ethers.parseEther("0.2");
+
+      await escrow.connect(client).amendMilestone(projectId, milestoneIndex, newAmount, deadline, REVIEW_PERIOD);
+      await expect(escrow.connect(freelancer).acceptAmendment(projectId, milestoneIndex, newAmount, deadline, REVIEW_PERIOD))
+        .to.emit(escrow, "MilestoneAmended")
+        .withArgs(projectId, milestoneIndex, newAmount, deadline, REVIEW_PERIOD, milestoneAmount - newAmount)
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(client.address, ethers.ZeroAddress, milestoneAmount - newAmount);
+
+      expect((await escrow.milestones(projectId, milestoneIndex)).fundedWei).to.equal(newAmount);
+      expect((await escrow.projects(projectId)).vaultBalance).to.equal(newAmount);
+    });
+
+    it("Should only accept the terms currently proposed", async function () {
+      const { escrow, client, freelancer, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+
+      await expect(escrow.connect(freelancer).acceptAmendment(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD))
+        .to.be.revertedWithCustomError(escrow, "AmendmentNotFound");
+
+      await escrow.connect(client).amendMilestone(projectId, milestoneIndex, 100n, deadline, REVIEW_PERIOD);
+      await escrow.connect(client).amendMilestone(projectId, milestoneIndex, 50n, deadline, REVIEW_PERIOD);
+
+      await expect(escrow.connect(freelancer).acceptAmendment(projectId, milestoneIndex, 100n, deadline, REVIEW_PERIOD))
+        .to.be.revertedWithCustomError(escrow, "AmendmentNotFound");
+      await expect(escrow.connect(client).acceptAmendment(projectId, milestoneIndex, 50n, deadline, REVIEW_PERIOD))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+    });
+
+    it("Should not amend or cancel a submitted milestone", async function () {
+      const { escrow, client, freelancer, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+
+      await escrow.connect(client).amendMilestone(projectId, milestoneIndex, 100n, deadline, REVIEW_PERIOD);
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash);
+
+      await expect(escrow.connect(client).amendMilestone(projectId, milestoneIndex, milestoneAmount, deadline + 1, REVIEW_PERIOD))
+        .to.be.revertedWithCustomError(escrow, "AlreadySubmitted");
+      await expect(escrow.connect(freelancer).acceptAmendment(projectId, milestoneIndex, 100n, deadline, REVIEW_PERIOD))
+        .to.be.revertedWithCustomError(escrow, "AlreadySubmitted");
+      await expect(escrow.connect(client).cancelMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "AlreadySubmitted");
+    });
+
+    it("Should validate the amended terms", async function () {
+      const { escrow, client, freelancer, projectId } = await loadFixture(fundedMilestoneFixture);
+      const now = await time.latest();
+
+      await expect(escrow.connect(freelancer).amendMilestone(projectId, milestoneIndex, 100n, now + ONE_DAY, REVIEW_PERIOD))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      await expect(escrow.connect(client).amendMilestone(projectId, milestoneIndex, 0n, now + ONE_DAY, REVIEW_PERIOD))
+        .to.be.revertedWithCustomError(escrow, "ZeroAmount");
+      await expect(escrow.connect(client).amendMilestone(projectId, milestoneIndex, 100n, now, REVIEW_PERIOD))
+        .to.be.revertedWithCustomError(escrow, "InvalidSchedule");
+      await expect(escrow.connect(client).amendMilestone(projectId, 9, 100n, now + ONE_DAY, REVIEW_PERIOD))
+        .to.be.revertedWithCustomError(escrow, "MilestoneNotFound");
+    });
+
+    it("Should refuse an accepted deadline that has already passed", async function () {
+      const { escrow, client, freelancer, projectId } = await loadFixture(fundedMilestoneFixture);
+      const newDeadline = (await time.latest()) + ONE_DAY;
+
+      await escrow.connect(client).amendMilestone(projectId, milestoneIndex, milestoneAmount, newDeadline, REVIEW_PERIOD);
+      await time.increaseTo(newDeadline);
+
+      await expect(escrow.connect(freelancer).acceptAmendment(projectId, milestoneIndex, milestoneAmount, newDeadline, REVIEW_PERIOD))
+        .to.be.revertedWithCustomError(escrow, "InvalidSchedule");
+    });
+
+    it("Should cancel a milestone and credit its funds to the client", async function () {
+      const { escrow, client, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+
+      await escrow.connect(client).amendMilestone(projectId, milestoneIndex, 100n, deadline, REVIEW_PERIOD);
+      await expect(escrow.connect(client).cancelMilestone(projectId, milestoneIndex))
+        .to.emit(escrow, "MilestoneCancelled")
+        .withArgs(projectId, milestoneIndex, milestoneAmount)
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(client.address, ethers.ZeroAddress, milestoneAmount);
+
+      expect((await escrow.milestones(projectId, milestoneIndex)).exists).to.be.false;
+      expect((await escrow.amendments(projectId, milestoneIndex)).exists).to.be.false;
+
+      const project = await escrow.projects(projectId);
+      expect(project.status).to.equal(1); // InProgress
+      expect(project.vaultBalance).to.equal(0n);
+
+      // The index is free again.
+      await expect(escrow.connect(client).createMilestone(projectId, milestoneIndex, 100n, deadline, REVIEW_PERIOD, ethers.ZeroHash))
+        .to.emit(escrow, "MilestoneCreated");
+    });
+
+    it("Should cancel an unfunded milestone without crediting anything", async function () {
+      const { escrow, client, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+
+      await escrow.connect(client).createMilestone(projectId, 1, 100n, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await expect(escrow.connect(client).cancelMilestone(projectId, 1))
+        .to.emit(escrow, "MilestoneCancelled")
+        .withArgs(projectId, 1, 0n)
+        .and.not.to.emit(escrow, "PaymentCredited");
+    });
+
+    it("Should only let the client cancel", async function () {
+      const { escrow, freelancer, projectId } = await loadFixture(fundedMilestoneFixture);
+
+      await expect(escrow.connect(freelancer).cancelMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+    });
+  });
+
   describe("Submitting Milestones", function () {
     it("Should allow freelancer to submit a milestone", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
       await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: milestoneAmount });
 
-      await expect(escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex))
+      const deliverableHash = ethers.sha256(ethers.toUtf8Bytes("site.zip"));
+
+      await expect(escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, deliverableHash))
         .to.emit(escrow, "MilestoneSubmitted")
-        .withArgs(projectId, milestoneIndex);
+        .withArgs(projectId, milestoneIndex, deliverableHash);
 
       const milestone = await escrow.milestones(projectId, milestoneIndex);
       expect(milestone.submitted).to.be.true;
+      expect(milestone.deliverableHash).to.equal(deliverableHash);
+    });
+
+    it("Should replace the deliverable hash when resubmitted", async function () {
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+      const milestoneIndex = 0;
+      const milestoneAmount = ethers.parseEther("0.5");
+      const first = ethers.sha256(ethers.toUtf8Bytes("draft"));
+      const second = ethers.sha256(ethers.toUtf8Bytes("final"));
+
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, first);
+
+      await expect(escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, second))
+        .to.emit(escrow, "MilestoneSubmitted")
+        .withArgs(projectId, milestoneIndex, second);
+      expect((await escrow.milestones(projectId, milestoneIndex)).deliverableHash).to.equal(second);
     });
 
     it("Should revert if not called by freelancer", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
       await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: milestoneAmount });
 
-      await expect(escrow.connect(client).submitMilestone(projectId, milestoneIndex))
+      await expect(escrow.connect(client).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash))
         .to.be.revertedWithCustomError(escrow, "Unauthorized");
     });
 
     it("Should revert if no freelancer assigned", async function () {
-      const { escrow, client } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, arbiter } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createProject(escrow, client, arbiter.address);
 
-      await expect(escrow.connect(client).submitMilestone(projectId, milestoneIndex))
+      await expect(escrow.connect(client).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash))
         .to.be.revertedWithCustomError(escrow, "NoFreelancer");
     });
   });
 
   describe("Releasing Milestones", function () {
     it("Should allow client to release a submitted milestone", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
       await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: milestoneAmount });
-      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex);
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash);
 
-      const freelancerBalanceBefore = await ethers.provider.getBalance(freelancer.address);
-      
       await expect(escrow.connect(client).releaseMilestone(projectId, milestoneIndex))
         .to.emit(escrow, "MilestoneReleased")
-        .withArgs(projectId, milestoneIndex, milestoneAmount);
+        .withArgs(projectId, milestoneIndex, milestoneAmount, 0n, milestoneAmount)
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(freelancer.address, ethers.ZeroAddress, milestoneAmount);
 
       const milestone = await escrow.milestones(projectId, milestoneIndex);
       expect(milestone.released).to.be.true;
@@ -364,20 +731,18 @@ describe("Escrow", function () {
       const project = await escrow.projects(projectId);
       expect(project.vaultBalance).to.equal(0n);
 
-      const freelancerBalanceAfter = await ethers.provider.getBalance(freelancer.address);
-      expect(freelancerBalanceAfter - freelancerBalanceBefore).to.equal(milestoneAmount);
+      expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(milestoneAmount);
+      await expect(escrow.connect(freelancer).withdraw(ethers.ZeroAddress))
+        .to.changeEtherBalance(freelancer, milestoneAmount);
     });
 
     it("Should revert if milestone not submitted", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
       await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: milestoneAmount });
 
       await expect(escrow.connect(client).releaseMilestone(projectId, milestoneIndex))
@@ -385,17 +750,14 @@ describe("Escrow", function () {
     });
 
     it("Should revert if already released", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
       await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: milestoneAmount });
-      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex);
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash);
       await escrow.connect(client).releaseMilestone(projectId, milestoneIndex);
 
       await expect(escrow.connect(client).releaseMilestone(projectId, milestoneIndex))
@@ -403,17 +765,14 @@ describe("Escrow", function () {
     });
 
     it("Should revert if not called by client", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
       await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: milestoneAmount });
-      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex);
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash);
 
       await expect(escrow.connect(freelancer).releaseMilestone(projectId, milestoneIndex))
         .to.be.revertedWithCustomError(escrow, "Unauthorized");
@@ -422,69 +781,72 @@ describe("Escrow", function () {
 
   describe("Closing Projects", function () {
     it("Should allow client to close a project and refund remaining balance", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
       const milestoneIndex = 0;
       const milestoneAmount = ethers.parseEther("0.5");
-      const fundAmount = ethers.parseEther("1.0");
+      const fundAmount = ethers.parseEther("0.3");
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
-      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
       await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: fundAmount });
 
-      const clientBalanceBefore = await ethers.provider.getBalance(client.address);
-      const refundAmount = fundAmount - milestoneAmount; // Remaining after milestone amount
-
       await expect(escrow.connect(client).closeProject(projectId))
         .to.emit(escrow, "ProjectClosed")
-        .withArgs(projectId, fundAmount);
+        .withArgs(projectId, fundAmount, 0n, fundAmount);
 
       const project = await escrow.projects(projectId);
       expect(project.status).to.equal(2); // Closed
       expect(project.vaultBalance).to.equal(0n);
 
-      const clientBalanceAfter = await ethers.provider.getBalance(client.address);
-      // Note: We can't check exact balance due to gas costs, but we can verify the refund happened
-      expect(clientBalanceAfter).to.be.greaterThan(clientBalanceBefore);
+      expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(fundAmount);
+      await expect(escrow.connect(client).withdraw(ethers.ZeroAddress))
+        .to.changeEtherBalance(client, fundAmount);
     });
 
     it("Should allow closing project with zero balance", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
 
       await expect(escrow.connect(client).closeProject(projectId))
         .to.emit(escrow, "ProjectClosed")
-        .withArgs(projectId, 0n);
+        .withArgs(projectId, 0n, 0n, 0n);
 
       const project = await escrow.projects(projectId);
       expect(project.status).to.equal(2); // Closed
     });
 
     it("Should revert if not called by client", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
 
       await expect(escrow.connect(freelancer).closeProject(projectId))
         .to.be.revertedWithCustomError(escrow, "Unauthorized");
     });
 
+    it("Should not refund submitted work unless it is disputed", async function () {
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+      const amount = ethers.parseEther("0.5");
+
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter, bidWei: amount });
+      await escrow.connect(client).createMilestone(projectId, 0, amount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).fundMilestone(projectId, 0, { value: amount });
+      await escrow.connect(freelancer).submitMilestone(projectId, 0, ethers.ZeroHash);
+
+      await expect(escrow.connect(client).closeProject(projectId))
+        .to.be.revertedWithCustomError(escrow, "SubmittedWorkPending");
+
+      await escrow.connect(client).openDispute(projectId, 0);
+      await expect(escrow.connect(client).closeProject(projectId))
+        .to.emit(escrow, "ProjectClosed")
+        .withArgs(projectId, 0n, 0n, 0n);
+    });
+
     it("Should revert if project already closed", async function () {
-      const { escrow, client, freelancer } = await loadFixture(deployEscrowFixture);
-      const projectId = 1n;
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
 
-      await escrow.connect(client).createProject(projectId);
-      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
-      await escrow.connect(client).acceptBid(projectId, freelancer.address);
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
       await escrow.connect(client).closeProject(projectId);
 
       await expect(escrow.connect(client).closeProject(projectId))
@@ -492,6 +854,2242 @@ describe("Escrow", function () {
     });
   });
 
+  describe("Cancelling and Resigning", function () {
+    const AMOUNT = 1_000n;
+    const PART = 400n;
+
+    // An accepted bid, ready for milestones.
+    async function hiredFixture() {
+      const fixture = await deployEscrowFixture();
+      const projectId = await createHiredProject(fixture.escrow, { ...fixture, bidWei: AMOUNT });
+      return { ...fixture, projectId };
+    }
+
+    function fund(funded) {
+      return async ({ escrow, client, projectId }, index) => {
+        await escrow.connect(client).fundMilestone(projectId, index, { value: funded });
+      };
+    }
+
+    function submit(funded) {
+      return async (ctx, index) => {
+        if (funded > 0n) await fund(funded)(ctx, index);
+        await ctx.escrow.connect(ctx.freelancer).submitMilestone(ctx.projectId, index, ethers.ZeroHash);
+      };
+    }
+
+    function dispute(freelancerWei) {
+      return async (ctx, index) => {
+        await submit(AMOUNT)(ctx, index);
+        await ctx.escrow.connect(ctx.client).openDispute(ctx.projectId, index);
+        if (freelancerWei !== undefined) {
+          await ctx.escrow.connect(ctx.arbiter).resolveDispute(ctx.projectId, index, freelancerWei);
+        }
+      };
+    }
+
+    // What a milestone in each state adds to a cancellation: owed to the
+    // freelancer, refunded to the client, or left frozen for the arbiter.
+    // `pending` marks submitted work that has not been paid out yet.
+    const MILESTONE_STATES = {
+      unfunded: { setUp: async () => {}, freelancerWei: 0n, clientWei: 0n, frozenWei: 0n },
+      partiallyFunded: { setUp: fund(PART), freelancerWei: 0n, clientWei: PART, frozenWei: 0n },
+      funded: { setUp: fund(AMOUNT), freelancerWei: 0n, clientWei: AMOUNT, frozenWei: 0n },
+      submittedUnfunded: { setUp: submit(0n), freelancerWei: 0n, clientWei: 0n, frozenWei: 0n, pending: true },
+      submittedPartiallyFunded: { setUp: submit(PART), freelancerWei: PART, clientWei: 0n, frozenWei: 0n, pending: true },
+      submitted: { setUp: submit(AMOUNT), freelancerWei: AMOUNT, clientWei: 0n, frozenWei: 0n, pending: true },
+      // Funded further after it was submitted.
+      fundedAfterSubmission: {
+        setUp: async (ctx, index) => {
+          await submit(PART)(ctx, index);
+          await fund(AMOUNT)(ctx, index);
+        },
+        freelancerWei: AMOUNT,
+        clientWei: 0n,
+        frozenWei: 0n,
+        pending: true,
+      },
+      disputed: { setUp: dispute(), freelancerWei: 0n, clientWei: 0n, frozenWei: AMOUNT, pending: true },
+      resolved: { setUp: dispute(600n), freelancerWei: 0n, clientWei: 0n, frozenWei: 0n },
+      released: {
+        setUp: async (ctx, index) => {
+          await submit(AMOUNT)(ctx, index);
+          await ctx.escrow.connect(ctx.client).releaseMilestone(ctx.projectId, index);
+        },
+        freelancerWei: 0n,
+        clientWei: 0n,
+        frozenWei: 0n,
+      },
+      reclaimed: {
+        deadlineIn: ONE_DAY,
+        setUp: async (ctx, index) => {
+          await fund(AMOUNT)(ctx, index);
+          await time.increase(ONE_DAY + 1);
+          await ctx.escrow.connect(ctx.client).reclaimMilestone(ctx.projectId, index);
+        },
+        freelancerWei: 0n,
+        clientWei: 0n,
+        frozenWei: 0n,
+      },
+      cancelled: {
+        setUp: async (ctx, index) => {
+          await fund(PART)(ctx, index);
+          await ctx.escrow.connect(ctx.client).cancelMilestone(ctx.projectId, index);
+        },
+        freelancerWei: 0n,
+        clientWei: 0n,
+        frozenWei: 0n,
+      },
+    };
+
+    // A hired project with one milestone per named state.
+    async function setUpStates(names) {
+      const ctx = await loadFixture(hiredFixture);
+      for (const [index, name] of names.entries()) {
+        const state = MILESTONE_STATES[name];
+        const deadline = state.deadlineIn ? (await time.latest()) + state.deadlineIn : ctx.deadline;
+        await ctx.escrow.connect(ctx.client).createMilestone(ctx.projectId, index, AMOUNT, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+        await state.setUp(ctx, index);
+      }
+
+      const sum = (key) => names.reduce((total, name) => total + (MILESTONE_STATES[name][key] || 0n), 0n);
+      return {
+        ...ctx,
+        freelancerWei: sum("freelancerWei"),
+        clientWei: sum("clientWei"),
+        frozenWei: sum("frozenWei"),
+        pending: names.some((name) => MILESTONE_STATES[name].pending),
+      };
+    }
+
+    // Every unordered pair of states, each state also paired with itself.
+    const STATE_PAIRS = Object.keys(MILESTONE_STATES).flatMap((first, i, names) =>
+      names.slice(i).map((second) => [first, second]));
+
+    it("Should settle every combination of milestone states", async function () {
+      for (const pair of STATE_PAIRS) {
+        const { escrow, client, freelancer, projectId, freelancerWei, clientWei, frozenWei } = await setUpStates(pair);
+        const label = pair.join(" + ");
+
+        await expect(escrow.connect(client).proposeCancellation(projectId), label)
+          .to.emit(escrow, "CancellationProposed")
+          .withArgs(projectId, client.address, freelancerWei, clientWei);
+
+        const balances = () => Promise.all([client, freelancer].map((account) => escrow.withdrawable(account.address, ethers.ZeroAddress)));
+        const [clientBefore, freelancerBefore] = await balances();
+        await expect(escrow.connect(freelancer).acceptCancellation(projectId, freelancerWei, clientWei), label)
+          .to.emit(escrow, "ProjectCancelled")
+          .withArgs(projectId, freelancerWei, clientWei, 0n);
+
+        const [clientAfter, freelancerAfter] = await balances();
+        expect(freelancerAfter - freelancerBefore, label).to.equal(freelancerWei);
+        expect(clientAfter - clientBefore, label).to.equal(clientWei);
+
+        const project = await escrow.projects(projectId);
+        expect(project.status, label).to.equal(2); // Closed
+        expect(project.vaultBalance, label).to.equal(frozenWei);
+        expect((await escrow.cancellations(projectId)).proposedBy, label).to.equal(ethers.ZeroAddress);
+      }
+    });
+
+    it("Should only let the client close every combination without pending paid work", async function () {
+      for (const pair of STATE_PAIRS) {
+        const { escrow, client, projectId, freelancerWei, clientWei, frozenWei } = await setUpStates(pair);
+        const label = pair.join(" + ");
+
+        if (freelancerWei > 0n) {
+          await expect(escrow.connect(client).closeProject(projectId), label)
+            .to.be.revertedWithCustomError(escrow, "SubmittedWorkPending");
+          continue;
+        }
+        await expect(escrow.connect(client).closeProject(projectId), label)
+          .to.emit(escrow, "ProjectClosed")
+          .withArgs(projectId, clientWei, 0n, clientWei);
+        expect((await escrow.projects(projectId)).vaultBalance, label).to.equal(frozenWei);
+      }
+    });
+
+    it("Should only let the freelancer resign from every combination without pending work", async function () {
+      for (const pair of STATE_PAIRS) {
+        const { escrow, freelancer, projectId, pending } = await setUpStates(pair);
+        const label = pair.join(" + ");
+
+        if (pending) {
+          await expect(escrow.connect(freelancer).resign(projectId), label)
+            .to.be.revertedWithCustomError(escrow, "SubmittedWorkPending");
+          continue;
+        }
+        const vaultBalance = (await escrow.projects(projectId)).vaultBalance;
+        await expect(escrow.connect(freelancer).resign(projectId), label)
+          .to.emit(escrow, "FreelancerResigned")
+          .withArgs(projectId, freelancer.address);
+
+        const project = await escrow.projects(projectId);
+        expect(project.status, label).to.equal(0); // Open
+        expect(project.freelancer, label).to.equal(ethers.ZeroAddress);
+        expect(project.vaultBalance, label).to.equal(vaultBalance);
+      }
+    });
+
+    it("Should only let the other party accept a cancellation", async function () {
+      const { escrow, client, freelancer, otherAccount, arbiter, projectId } = await setUpStates(["funded"]);
+
+      await expect(escrow.connect(freelancer).acceptCancellation(projectId, 0n, AMOUNT))
+        .to.be.revertedWithCustomError(escrow, "CancellationNotFound");
+      for (const account of [otherAccount, arbiter]) {
+        await expect(escrow.connect(account).proposeCancellation(projectId))
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      }
+
+      await escrow.connect(freelancer).proposeCancellation(projectId);
+      await expect(escrow.connect(freelancer).acceptCancellation(projectId, 0n, AMOUNT))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      await expect(escrow.connect(otherAccount).acceptCancellation(projectId, 0n, AMOUNT))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+
+      await expect(escrow.connect(client).acceptCancellation(projectId, 0n, AMOUNT))
+        .to.emit(escrow, "ProjectCancelled");
+      await expect(escrow.connect(client).proposeCancellation(projectId))
+        .to.be.revertedWithCustomError(escrow, "InvalidStatus");
+    });
+
+    it("Should reject a cancellation whose terms changed since it was proposed", async function () {
+      const ctx = await setUpStates(["partiallyFunded"]);
+      const { escrow, client, freelancer, projectId } = ctx;
+
+      await escrow.connect(client).proposeCancellation(projectId);
+      await expect(escrow.connect(freelancer).acceptCancellation(projectId, PART, 0n))
+        .to.be.revertedWithCustomError(escrow, "CancellationMismatch");
+
+      // The client proposed before the freelancer submitted the work.
+      await escrow.connect(freelancer).submitMilestone(projectId, 0, ethers.ZeroHash);
+      await expect(escrow.connect(freelancer).acceptCancellation(projectId, 0n, PART))
+        .to.be.revertedWithCustomError(escrow, "CancellationMismatch");
+
+      await escrow.connect(freelancer).proposeCancellation(projectId);
+      expect(await escrow.cancellations(projectId)).to.deep.equal([freelancer.address, PART, 0n]);
+      await expect(escrow.connect(client).acceptCancellation(projectId, PART, 0n))
+        .to.emit(escrow, "ProjectCancelled")
+        .withArgs(projectId, PART, 0n, 0n);
+    });
+
+    it("Should charge the fee on the freelancer's part, and on the client's with chargeFeeOnClose", async function () {
+      const { escrow, client, freelancer, treasury, projectId } = await setUpStates(["submitted", "partiallyFunded"]);
+      await escrow.connect(client).setFee(500, true);
+
+      await escrow.connect(freelancer).proposeCancellation(projectId);
+      await expect(escrow.connect(client).acceptCancellation(projectId, AMOUNT, PART))
+        .to.emit(escrow, "ProjectCancelled")
+        .withArgs(projectId, AMOUNT, PART, 50n + 20n);
+
+      expect(await escrow.withdrawable(treasury.address, ethers.ZeroAddress)).to.equal(70n);
+      expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(AMOUNT - 50n);
+      expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(PART - 20n);
+    });
+
+    it("Should leave disputes to the arbiter after a cancellation", async function () {
+      const { escrow, client, freelancer, arbiter, projectId } = await setUpStates(["disputed", "submitted"]);
+
+      await escrow.connect(client).proposeCancellation(projectId);
+      await escrow.connect(freelancer).acceptCancellation(projectId, AMOUNT, 0n);
+
+      await expect(escrow.connect(arbiter).resolveDispute(projectId, 0, 300n))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(projectId, 0, 300n, AMOUNT - 300n, 0n, 300n);
+      expect((await escrow.projects(projectId)).vaultBalance).to.equal(0n);
+    });
+
+    it("Should reopen the project for another bid when the freelancer resigns", async function () {
+      const { escrow, client, freelancer, otherAccount, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(projectId, AMOUNT, 0);
+      await escrow.connect(freelancer).setBidPayees(projectId, [freelancer.address, arbiter.address], [5_000, 5_000]);
+      await escrow.connect(otherAccount).placeBid(projectId, AMOUNT, 0);
+      const split = splitHash([freelancer.address, arbiter.address], [5_000, 5_000]);
+      await escrow.connect(client).acceptBid(projectId, freelancer.address, AMOUNT, split);
+      await escrow.connect(client).createMilestone(projectId, 0, AMOUNT, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).fundMilestone(projectId, 0, { value: AMOUNT });
+      await escrow.connect(client).proposeCancellation(projectId);
+
+      await expect(escrow.connect(freelancer).resign(projectId))
+        .to.emit(escrow, "BidWithdrawn")
+        .withArgs(projectId, freelancer.address)
+        .and.to.emit(escrow, "FreelancerResigned");
+      expect(await escrow.getPayees(projectId)).to.deep.equal([]);
+      expect((await escrow.cancellations(projectId)).proposedBy).to.equal(ethers.ZeroAddress);
+      expect(await escrow.bidCount(projectId)).to.equal(1n);
+      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address, AMOUNT, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "BidNotFound");
+
+      // The next freelancer takes over the funded milestone.
+      await escrow.connect(client).acceptBid(projectId, otherAccount.address, AMOUNT, ethers.ZeroHash);
+      await escrow.connect(otherAccount).submitMilestone(projectId, 0, ethers.ZeroHash);
+      await escrow.connect(client).releaseMilestone(projectId, 0);
+      expect(await escrow.withdrawable(otherAccount.address, ethers.ZeroAddress)).to.equal(AMOUNT);
+      expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(0n);
+    });
+
+    it("Should only let the freelancer of a project in progress resign", async function () {
+      const { escrow, client, freelancer, projectId } = await setUpStates(["funded"]);
+
+      await expect(escrow.connect(client).resign(projectId))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      await expect(escrow.resign(999))
+        .to.be.revertedWithCustomError(escrow, "ProjectNotFound");
+
+      await escrow.connect(client).closeProject(projectId);
+      await expect(escrow.connect(freelancer).resign(projectId))
+        .to.be.revertedWithCustomError(escrow, "InvalidStatus");
+    });
+
+    it("Should keep working while paused", async function () {
+      const { escrow, client, freelancer, projectId } = await setUpStates(["submitted"]);
+      await escrow.connect(client).pause();
+
+      await escrow.connect(client).proposeCancellation(projectId);
+      await expect(escrow.connect(freelancer).acceptCancellation(projectId, AMOUNT, 0n))
+        .to.emit(escrow, "ProjectCancelled");
+    });
+  });
+
+  describe("Deadlines and Review", function () {
+    const milestoneIndex = 0;
+    const milestoneAmount = ethers.parseEther("0.5");
+
+    // A project with one fully funded milestone, not yet submitted.
+    async function fundedMilestoneFixture() {
+      const fixture = await deployEscrowFixture();
+      const projectId = await createHiredProject(fixture.escrow, {
+        ...fixture,
+        reviewPeriod: REVIEW_PERIOD,
+        milestones: [{ index: milestoneIndex, amountWei: milestoneAmount }],
+      });
+      return { ...fixture, projectId };
+    }
+
+    async function submittedMilestoneFixture() {
+      const fixture = await fundedMilestoneFixture();
+      await fixture.escrow.connect(fixture.freelancer).submitMilestone(fixture.projectId, milestoneIndex, ethers.ZeroHash);
+      const submittedAt = await time.latest();
+      return { ...fixture, submittedAt };
+    }
+
+    it("Should revert if the deadline is not in the future", async function () {
+      const { escrow, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+
+      const now = await time.latest();
+      await time.setNextBlockTimestamp(now + 10);
+      await expect(escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, now + 10, REVIEW_PERIOD, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "InvalidSchedule");
+    });
+
+    it("Should revert if the review period is zero", async function () {
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+
+      const projectId = await createHiredProject(escrow, { client, freelancer, arbiter });
+
+      await expect(escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, 0, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "InvalidSchedule");
+    });
+
+    it("Should record when a milestone was submitted", async function () {
+      const { escrow, submittedAt, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      const milestone = await escrow.milestones(projectId, milestoneIndex);
+      expect(milestone.submittedAt).to.equal(submittedAt);
+    });
+
+    it("Should allow submission exactly at the deadline", async function () {
+      const { escrow, freelancer, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+
+      await time.setNextBlockTimestamp(deadline);
+      await expect(escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash))
+        .to.emit(escrow, "MilestoneSubmitted");
+    });
+
+    it("Should revert submission after the deadline", async function () {
+      const { escrow, freelancer, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+
+      await time.increaseTo(deadline + 1);
+      await expect(escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "DeadlinePassed");
+    });
+
+    it("Should not let the freelancer claim during the review period", async function () {
+      const { escrow, freelancer, submittedAt, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await time.increase(REVIEW_PERIOD - 10);
+      await expect(escrow.connect(freelancer).claimMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "ReviewPeriodActive");
+
+      await time.setNextBlockTimestamp(submittedAt + REVIEW_PERIOD);
+      await expect(escrow.connect(freelancer).claimMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "ReviewPeriodActive");
+    });
+
+    it("Should let the freelancer claim once the review period has passed", async function () {
+      const { escrow, freelancer, submittedAt, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await time.setNextBlockTimestamp(submittedAt + REVIEW_PERIOD + 1);
+      const tx = escrow.connect(freelancer).claimMilestone(projectId, milestoneIndex);
+      await expect(tx)
+        .to.emit(escrow, "MilestoneReleased")
+        .withArgs(projectId, milestoneIndex, milestoneAmount, 0n, milestoneAmount);
+      await expect(tx)
+        .to.emit(escrow, "PaymentCredited")
+        .withArgs(freelancer.address, ethers.ZeroAddress, milestoneAmount);
+
+      const milestone = await escrow.milestones(projectId, milestoneIndex);
+      expect(milestone.released).to.be.true;
+      expect((await escrow.projects(projectId)).vaultBalance).to.equal(0n);
+    });
+
+    it("Should still let the client release during the review period", async function () {
+      const { escrow, client, freelancer, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await escrow.connect(client).releaseMilestone(projectId, milestoneIndex);
+
+      await time.increase(REVIEW_PERIOD + 1);
+      await expect(escrow.connect(freelancer).claimMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "AlreadyReleased");
+    });
+
+    it("Should treat a dispute as the client's objection", async function () {
+      const { escrow, client, freelancer, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await escrow.connect(client).openDispute(projectId, milestoneIndex);
+
+      await time.increase(REVIEW_PERIOD + 1);
+      await expect(escrow.connect(freelancer).claimMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "MilestoneDisputed");
+    });
+
+    it("Should revert claims that are not allowed", async function () {
+      const { escrow, client, freelancer, deadline, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await escrow.connect(client).createMilestone(projectId, 1, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).createMilestone(projectId, 2, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).fundMilestone(projectId, 2, { value: milestoneAmount - 1n });
+      await escrow.connect(freelancer).submitMilestone(projectId, 2, ethers.ZeroHash);
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(escrow.connect(client).claimMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      await expect(escrow.connect(freelancer).claimMilestone(projectId, 1))
+        .to.be.revertedWithCustomError(escrow, "NotSubmitted");
+      await expect(escrow.connect(freelancer).claimMilestone(projectId, 2))
+        .to.be.revertedWith("Insufficient milestone funds");
+    });
+
+    it("Should not let the client reclaim until the deadline has passed", async function () {
+      const { escrow, client, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+
+      await expect(escrow.connect(client).reclaimMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "DeadlineNotPassed");
+
+      await time.setNextBlockTimestamp(deadline);
+      await expect(escrow.connect(client).reclaimMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "DeadlineNotPassed");
+    });
+
+    it("Should let the client reclaim an unsubmitted milestone after the deadline", async function () {
+      const { escrow, client, freelancer, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+
+      await time.setNextBlockTimestamp(deadline + 1);
+      const tx = escrow.connect(client).reclaimMilestone(projectId, milestoneIndex);
+      await expect(tx)
+        .to.emit(escrow, "MilestoneReclaimed")
+        .withArgs(projectId, milestoneIndex, milestoneAmount);
+      await expect(tx)
+        .to.emit(escrow, "PaymentCredited")
+        .withArgs(client.address, ethers.ZeroAddress, milestoneAmount);
+      expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(milestoneAmount);
+
+      const milestone = await escrow.milestones(projectId, milestoneIndex);
+      expect(milestone.fundedWei).to.equal(0n);
+      expect(milestone.reclaimed).to.be.true;
+      expect(milestone.released).to.be.false;
+      expect((await escrow.projects(projectId)).vaultBalance).to.equal(0n);
+
+      await expect(escrow.connect(client).reclaimMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "AlreadyReleased");
+      await expect(escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: 1n }))
+        .to.be.revertedWithCustomError(escrow, "AlreadyReleased");
+      await expect(escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "AlreadyReleased");
+    });
+
+    it("Should not let the client reclaim a submitted milestone", async function () {
+      const { escrow, client, deadline, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await time.increaseTo(deadline + 1);
+      await expect(escrow.connect(client).reclaimMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "AlreadySubmitted");
+    });
+
+    it("Should revert reclaims that are not allowed", async function () {
+      const { escrow, client, freelancer, deadline, projectId } = await loadFixture(fundedMilestoneFixture);
+
+      await escrow.connect(client).createMilestone(projectId, 1, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await time.increaseTo(deadline + 1);
+
+      await expect(escrow.connect(freelancer).reclaimMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      await expect(escrow.connect(client).reclaimMilestone(projectId, 1))
+        .to.be.revertedWithCustomError(escrow, "NothingToRelease");
+      await expect(escrow.connect(client).reclaimMilestone(projectId, 9))
+        .to.be.revertedWithCustomError(escrow, "MilestoneNotFound");
+    });
+  });
+
+  describe("Disputes", function () {
+    const milestoneIndex = 0;
+    const milestoneAmount = ethers.parseEther("0.5");
+
+    // A project with one funded milestone the freelancer has submitted.
+    async function submittedMilestoneFixture() {
+      const fixture = await deployEscrowFixture();
+      const projectId = await createHiredProject(fixture.escrow, {
+        ...fixture,
+        reviewPeriod: REVIEW_PERIOD,
+        milestones: [{ index: milestoneIndex, amountWei: milestoneAmount, submitted: true }],
+      });
+      return { ...fixture, projectId };
+    }
+
+    it("Should let either party open a dispute", async function () {
+      const { escrow, client, freelancer, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await expect(escrow.connect(freelancer).openDispute(projectId, milestoneIndex))
+        .to.emit(escrow, "DisputeOpened")
+        .withArgs(projectId, milestoneIndex, freelancer.address);
+
+      const milestone = await escrow.milestones(projectId, milestoneIndex);
+      expect(milestone.disputed).to.be.true;
+
+      const project = await escrow.projects(projectId);
+      expect(project.disputedWei).to.equal(milestoneAmount);
+
+      await expect(escrow.connect(client).openDispute(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "MilestoneDisputed");
+    });
+
+    it("Should revert if opened by someone else", async function () {
+      const { escrow, otherAccount, arbiter, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await expect(escrow.connect(otherAccount).openDispute(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      await expect(escrow.connect(arbiter).openDispute(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+    });
+
+    it("Should stop the client from disputing once the review period is over", async function () {
+      const { escrow, client, freelancer, projectId } = await loadFixture(submittedMilestoneFixture);
+      const { submittedAt } = await escrow.milestones(projectId, milestoneIndex);
+
+      // The last second of the review period still counts.
+      const snapshot = await takeSnapshot();
+      await time.setNextBlockTimestamp(submittedAt + BigInt(REVIEW_PERIOD));
+      await expect(escrow.connect(client).openDispute(projectId, milestoneIndex)).to.emit(escrow, "DisputeOpened");
+      await snapshot.restore();
+
+      await time.increase(REVIEW_PERIOD + 1);
+      await expect(escrow.connect(client).openDispute(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "ReviewPeriodOver");
+      await expect(escrow.connect(freelancer).claimMilestone(projectId, milestoneIndex))
+        .to.emit(escrow, "MilestoneReleased");
+    });
+
+    it("Should revert if milestone is not submitted", async function () {
+      const { escrow, client, deadline, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await escrow.connect(client).createMilestone(projectId, 1, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).fundMilestone(projectId, 1, { value: milestoneAmount });
+
+      await expect(escrow.connect(client).openDispute(projectId, 1))
+        .to.be.revertedWithCustomError(escrow, "NotSubmitted");
+    });
+
+    it("Should revert if milestone is unfunded or released", async function () {
+      const { escrow, client, freelancer, deadline, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await escrow.connect(client).createMilestone(projectId, 1, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(freelancer).submitMilestone(projectId, 1, ethers.ZeroHash);
+      await expect(escrow.connect(freelancer).openDispute(projectId, 1))
+        .to.be.revertedWithCustomError(escrow, "NothingToRelease");
+
+      await escrow.connect(client).releaseMilestone(projectId, milestoneIndex);
+      await expect(escrow.connect(freelancer).openDispute(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "AlreadyReleased");
+    });
+
+    it("Should freeze the milestone while disputed", async function () {
+      const { escrow, client, freelancer, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await escrow.connect(client).openDispute(projectId, milestoneIndex);
+
+      await expect(escrow.connect(client).releaseMilestone(projectId, milestoneIndex))
+        .to.be.revertedWithCustomError(escrow, "MilestoneDisputed");
+      await expect(escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: 1n }))
+        .to.be.revertedWithCustomError(escrow, "MilestoneDisputed");
+      await expect(escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "MilestoneDisputed");
+    });
+
+    it("Should keep disputed funds out of the closeProject refund", async function () {
+      const { escrow, client, freelancer, deadline, projectId } = await loadFixture(submittedMilestoneFixture);
+      const otherFunds = ethers.parseEther("0.2");
+
+      await escrow.connect(client).createMilestone(projectId, 1, otherFunds, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).fundMilestone(projectId, 1, { value: otherFunds });
+      await escrow.connect(freelancer).openDispute(projectId, milestoneIndex);
+
+      const tx = escrow.connect(client).closeProject(projectId);
+      await expect(tx)
+        .to.emit(escrow, "ProjectClosed")
+        .withArgs(projectId, otherFunds, 0n, otherFunds);
+      expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(otherFunds);
+
+      const project = await escrow.projects(projectId);
+      expect(project.status).to.equal(2); // Closed
+      expect(project.vaultBalance).to.equal(milestoneAmount);
+    });
+
+    it("Should let the arbiter rule a full payout", async function () {
+      const { escrow, client, freelancer, arbiter, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await escrow.connect(client).openDispute(projectId, milestoneIndex);
+
+      const tx = escrow.connect(arbiter).resolveDispute(projectId, milestoneIndex, milestoneAmount);
+      await expect(tx)
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(projectId, milestoneIndex, milestoneAmount, 0n, 0n, milestoneAmount);
+      await expect(tx)
+        .to.emit(escrow, "PaymentCredited")
+        .withArgs(freelancer.address, ethers.ZeroAddress, milestoneAmount);
+      expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(0n);
+
+      const milestone = await escrow.milestones(projectId, milestoneIndex);
+      expect(milestone.disputed).to.be.false;
+      expect(milestone.released).to.be.true;
+      expect(milestone.fundedWei).to.equal(0n);
+
+      const project = await escrow.projects(projectId);
+      expect(project.vaultBalance).to.equal(0n);
+      expect(project.disputedWei).to.equal(0n);
+    });
+
+    it("Should let the arbiter split the funds after the project is closed", async function () {
+      const { escrow, client, freelancer, arbiter, projectId } = await loadFixture(submittedMilestoneFixture);
+      const freelancerShare = ethers.parseEther("0.2");
+      const clientShare = milestoneAmount - freelancerShare;
+
+      await escrow.connect(freelancer).openDispute(projectId, milestoneIndex);
+      await escrow.connect(client).closeProject(projectId);
+
+      const tx = escrow.connect(arbiter).resolveDispute(projectId, milestoneIndex, freelancerShare);
+      await expect(tx)
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(projectId, milestoneIndex, freelancerShare, clientShare, 0n, freelancerShare);
+      expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(freelancerShare);
+      expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(clientShare);
+
+      const project = await escrow.projects(projectId);
+      expect(project.vaultBalance).to.equal(0n);
+    });
+
+    it("Should revert if resolved by anyone but the arbiter", async function () {
+      const { escrow, client, freelancer, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await escrow.connect(client).openDispute(projectId, milestoneIndex);
+
+      await expect(escrow.connect(client).resolveDispute(projectId, milestoneIndex, 0n))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      await expect(escrow.connect(freelancer).resolveDispute(projectId, milestoneIndex, milestoneAmount))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+    });
+
+    it("Should revert if there is no dispute", async function () {
+      const { escrow, arbiter, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await expect(escrow.connect(arbiter).resolveDispute(projectId, milestoneIndex, 0n))
+        .to.be.revertedWithCustomError(escrow, "NotDisputed");
+    });
+
+    it("Should revert if the payout exceeds the disputed funds", async function () {
+      const { escrow, client, arbiter, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await escrow.connect(client).openDispute(projectId, milestoneIndex);
+
+      await expect(escrow.connect(arbiter).resolveDispute(projectId, milestoneIndex, milestoneAmount + 1n))
+        .to.be.revertedWithCustomError(escrow, "InvalidSplit");
+    });
+
+    it("Should not allow a dispute to be resolved twice", async function () {
+      const { escrow, client, arbiter, projectId } = await loadFixture(submittedMilestoneFixture);
+
+      await escrow.connect(client).openDispute(projectId, milestoneIndex);
+      await escrow.connect(arbiter).resolveDispute(projectId, milestoneIndex, 0n);
+
+      await expect(escrow.connect(arbiter).resolveDispute(projectId, milestoneIndex, 0n))
+        .to.be.revertedWithCustomError(escrow, "NotDisputed");
+    });
+  });
+
+  describe("ERC-20 Projects", function () {
+    const milestoneIndex = 0;
+    const milestoneAmount = 500_000_000n; // 500 mUSDC
+
+    async function tokenProjectFixture() {
+      const fixture = await deployEscrowFixture();
+      const { escrow, client } = fixture;
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+      await token.mint(client.address, milestoneAmount * 10n);
+      await token.connect(client).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+      const projectId = await createHiredProject(escrow, {
+        ...fixture,
+        token: await token.getAddress(),
+        bidWei: milestoneAmount,
+        reviewPeriod: REVIEW_PERIOD,
+        milestones: [{ index: milestoneIndex, amountWei: milestoneAmount, fundedWei: 0n }],
+      });
+
+      return { ...fixture, token, projectId };
+    }
+
+    async function misbehavingTokenFixture() {
+      const fixture = await deployEscrowFixture();
+      const { escrow, client } = fixture;
+
+      const MisbehavingERC20 = await ethers.getContractFactory("MisbehavingERC20");
+      const token = await MisbehavingERC20.deploy();
+      await token.mint(client.address, milestoneAmount * 10n);
+      await token.connect(client).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+      const projectId = await createHiredProject(escrow, {
+        ...fixture,
+        token: await token.getAddress(),
+        bidWei: milestoneAmount,
+        reviewPeriod: REVIEW_PERIOD,
+        milestones: [{ index: milestoneIndex, amountWei: milestoneAmount, fundedWei: 0n }],
+      });
+
+      return { ...fixture, token, projectId };
+    }
+
+    it("Should record the payment token", async function () {
+      const { escrow, client, arbiter, token, projectId } = await loadFixture(tokenProjectFixture);
+
+      const project = await escrow.projects(projectId);
+      expect(project.token).to.equal(await token.getAddress());
+
+      await expect(escrow.connect(client).createProject(arbiter.address, await token.getAddress(), ethers.ZeroHash))
+        .to.emit(escrow, "ProjectCreated")
+        .withArgs(projectId + 1n, client.address, arbiter.address, await token.getAddress(), ethers.ZeroHash);
+    });
+
+    it("Should revert if the token is not a contract", async function () {
+      const { escrow, client, arbiter, otherAccount } = await loadFixture(deployEscrowFixture);
+
+      await expect(escrow.connect(client).createProject(arbiter.address, otherAccount.address, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "UnsupportedToken");
+    });
+
+    it("Should fund, release and refund in tokens", async function () {
+      const { escrow, client, freelancer, token, deadline, projectId } = await loadFixture(tokenProjectFixture);
+      const fundAmount = milestoneAmount + 100n;
+
+      await escrow.connect(client).createMilestone(projectId, 1, 200n, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).fundMilestoneToken(projectId, 1, 100n);
+
+      await expect(escrow.connect(client).fundMilestoneToken(projectId, milestoneIndex, fundAmount))
+        .to.emit(escrow, "MilestoneFunded")
+        .withArgs(projectId, milestoneIndex, milestoneAmount, milestoneAmount);
+      expect(await token.balanceOf(await escrow.getAddress())).to.equal(fundAmount);
+      expect((await escrow.projects(projectId)).vaultBalance).to.equal(fundAmount);
+
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash);
+      await escrow.connect(client).releaseMilestone(projectId, milestoneIndex);
+      await escrow.connect(client).closeProject(projectId);
+
+      const tokenAddress = await token.getAddress();
+      expect(await escrow.withdrawable(freelancer.address, tokenAddress)).to.equal(milestoneAmount);
+      expect(await escrow.withdrawable(client.address, tokenAddress)).to.equal(100n);
+
+      await expect(escrow.connect(freelancer).withdraw(tokenAddress))
+        .to.changeTokenBalances(token, [freelancer, escrow], [milestoneAmount, -milestoneAmount]);
+      await expect(escrow.connect(client).withdraw(tokenAddress))
+        .to.changeTokenBalances(token, [client, escrow], [100n, -100n]);
+    });
+
+    it("Should pay disputes out in tokens", async function () {
+      const { escrow, client, freelancer, arbiter, token, projectId } = await loadFixture(tokenProjectFixture);
+
+      await escrow.connect(client).fundMilestoneToken(projectId, milestoneIndex, milestoneAmount);
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash);
+      await escrow.connect(client).openDispute(projectId, milestoneIndex);
+
+      await escrow.connect(arbiter).resolveDispute(projectId, milestoneIndex, 300_000_000n);
+
+      const tokenAddress = await token.getAddress();
+      expect(await escrow.withdrawable(freelancer.address, tokenAddress)).to.equal(300_000_000n);
+      expect(await escrow.withdrawable(client.address, tokenAddress)).to.equal(200_000_000n);
+    });
+
+    it("Should revert if funding uses the wrong asset", async function () {
+      const { escrow, client, freelancer, arbiter, deadline, projectId } = await loadFixture(tokenProjectFixture);
+
+      await expect(escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: 1n }))
+        .to.be.revertedWithCustomError(escrow, "WrongAsset");
+
+      const ethProjectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(ethProjectId, milestoneAmount, 0);
+      await escrow.connect(client).acceptBid(ethProjectId, freelancer.address, milestoneAmount, ethers.ZeroHash);
+      await escrow.connect(client).createMilestone(ethProjectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+
+      await expect(escrow.connect(client).fundMilestoneToken(ethProjectId, milestoneIndex, milestoneAmount))
+        .to.be.revertedWithCustomError(escrow, "WrongAsset");
+    });
+
+    it("Should revert if token funding is zero or not approved", async function () {
+      const { escrow, client, token, projectId } = await loadFixture(tokenProjectFixture);
+
+      await expect(escrow.connect(client).fundMilestoneToken(projectId, milestoneIndex, 0n))
+        .to.be.revertedWithCustomError(escrow, "ZeroAmount");
+
+      await token.connect(client).approve(await escrow.getAddress(), 0n);
+      await expect(escrow.connect(client).fundMilestoneToken(projectId, milestoneIndex, milestoneAmount))
+        .to.be.revertedWithCustomError(escrow, "TokenTransferFailed");
+    });
+
+    it("Should accept tokens that return no data", async function () {
+      const { escrow, client, freelancer, token, projectId } = await loadFixture(misbehavingTokenFixture);
+      await token.setMode(1); // NoReturn
+
+      await escrow.connect(client).fundMilestoneToken(projectId, milestoneIndex, milestoneAmount);
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash);
+
+      await escrow.connect(client).releaseMilestone(projectId, milestoneIndex);
+      await expect(escrow.connect(freelancer).withdraw(await token.getAddress()))
+        .to.changeTokenBalance(token, freelancer, milestoneAmount);
+    });
+
+    it("Should revert if the token returns false", async function () {
+      const { escrow, client, freelancer, token, projectId } = await loadFixture(misbehavingTokenFixture);
+
+      await token.setMode(2); // ReturnFalse
+      await expect(escrow.connect(client).fundMilestoneToken(projectId, milestoneIndex, milestoneAmount))
+        .to.be.revertedWithCustomError(escrow, "TokenTransferFailed");
+
+      await token.setMode(0); // Standard
+      await escrow.connect(client).fundMilestoneToken(projectId, milestoneIndex, milestoneAmount);
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash);
+
+      await escrow.connect(client).releaseMilestone(projectId, milestoneIndex);
+
+      await token.setMode(2); // ReturnFalse
+      await expect(escrow.connect(freelancer).withdraw(await token.getAddress()))
+        .to.be.revertedWithCustomError(escrow, "TokenTransferFailed");
+      expect(await escrow.withdrawable(freelancer.address, await token.getAddress())).to.equal(milestoneAmount);
+    });
+
+    it("Should reject fee-on-transfer tokens", async function () {
+      const { escrow, client, token, projectId } = await loadFixture(misbehavingTokenFixture);
+      await token.setMode(3); // FeeOnTransfer
+
+      await expect(escrow.connect(client).fundMilestoneToken(projectId, milestoneIndex, milestoneAmount))
+        .to.be.revertedWithCustomError(escrow, "UnsupportedToken");
+    });
+  });
+
+  describe("Signed Messages", function () {
+    const milestoneIndex = 0;
+    const bidAmount = ethers.parseEther("1.0");
+    const milestoneAmount = ethers.parseEther("0.5");
+
+    const BID_TYPES = {
+      Bid: [
+        { name: "projectId", type: "uint64" },
+        { name: "bidder", type: "address" },
+        { name: "amountWei", type: "uint256" },
+        { name: "payees", type: "address[]" },
+        { name: "sharesBps", type: "uint16[]" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint64" },
+      ],
+    };
+    const SUBMIT_TYPES = {
+      SubmitMilestone: [
+        { name: "projectId", type: "uint64" },
+        { name: "index", type: "uint16" },
+        { name: "deliverableHash", type: "bytes32" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint64" },
+      ],
+    };
+
+    async function domainOf(escrow) {
+      return {
+        name: "Escrow",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await escrow.getAddress(),
+      };
+    }
+
+    async function signBid(
+      escrow,
+      signer,
+      { projectId, bidder = signer.address, amountWei = bidAmount, payees = [], sharesBps = [], nonce = 1n, expiry }
+    ) {
+      const bid = { projectId, bidder, amountWei, payees, sharesBps, nonce, expiry };
+      const signature = await signer.signTypedData(await domainOf(escrow), BID_TYPES, bid);
+      return { ...bid, signature };
+    }
+
+    function acceptSigned(escrow, caller, bid) {
+      return escrow
+        .connect(caller)
+        .acceptSignedBid(bid.projectId, bid.bidder, bid.amountWei, bid.payees, bid.sharesBps, bid.nonce, bid.expiry, bid.signature);
+    }
+
+    async function openProjectFixture() {
+      const fixture = await deployEscrowFixture();
+      const projectId = await createProject(fixture.escrow, fixture.client, fixture.arbiter.address);
+      const expiry = (await time.latest()) + ONE_DAY;
+      return { ...fixture, expiry, projectId };
+    }
+
+    // A hired freelancer with one funded milestone, hired through a signed bid.
+    async function hiredFixture() {
+      const fixture = await openProjectFixture();
+      const { escrow, client, freelancer, deadline, expiry, projectId } = fixture;
+
+      await acceptSigned(escrow, client, await signBid(escrow, freelancer, { projectId, expiry }));
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: milestoneAmount });
+
+      return fixture;
+    }
+
+    async function signSubmit(escrow, signer, { projectId, index = milestoneIndex, deliverableHash = ethers.ZeroHash, nonce = 2n, expiry }) {
+      const message = { projectId, index, deliverableHash, nonce, expiry };
+      const signature = await signer.signTypedData(await domainOf(escrow), SUBMIT_TYPES, message);
+      return { ...message, signature };
+    }
+
+    it("Should expose the EIP-712 domain separator", async function () {
+      const { escrow } = await loadFixture(deployEscrowFixture);
+
+      expect(await escrow.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(await domainOf(escrow)));
+      expect(await escrow.BID_TYPEHASH()).to.equal(
+        ethers.id("Bid(uint64 projectId,address bidder,uint256 amountWei,address[] payees,uint16[] sharesBps,uint256 nonce,uint64 expiry)")
+      );
+    });
+
+    it("Should accept a signed bid without an on-chain placeBid", async function () {
+      const { escrow, client, freelancer, expiry, projectId } = await loadFixture(openProjectFixture);
+      const bid = await signBid(escrow, freelancer, { projectId, expiry });
+
+      await expect(acceptSigned(escrow, client, bid))
+        .to.emit(escrow, "BidPlaced")
+        .withArgs(projectId, freelancer.address, bidAmount, expiry)
+        .and.to.emit(escrow, "BidAccepted")
+        .withArgs(projectId, freelancer.address);
+
+      const project = await escrow.projects(projectId);
+      expect(project.freelancer).to.equal(freelancer.address);
+      expect(project.status).to.equal(1); // InProgress
+      expect((await escrow.bids(projectId, freelancer.address)).amountWei).to.equal(bidAmount);
+      expect(await escrow.usedNonces(freelancer.address, bid.nonce)).to.be.true;
+    });
+
+    it("Should carry the payee split in a signed bid", async function () {
+      const { escrow, client, freelancer, otherAccount, expiry, projectId } = await loadFixture(openProjectFixture);
+      const payees = [freelancer.address, otherAccount.address];
+      const sharesBps = [6_000, 4_000];
+      const bid = await signBid(escrow, freelancer, { projectId, payees, sharesBps, expiry });
+
+      // The client cannot drop the split the freelancer signed.
+      await expect(acceptSigned(escrow, client, { ...bid, payees: [], sharesBps: [] }))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      await expect(acceptSigned(escrow, client, bid))
+        .to.emit(escrow, "BidPayeesSet")
+        .withArgs(projectId, freelancer.address, payees, sharesBps)
+        .and.to.emit(escrow, "BidAccepted");
+      expect((await escrow.getPayees(projectId)).map((p) => [p.account, p.shareBps]))
+        .to.deep.equal([[payees[0], 6_000n], [payees[1], 4_000n]]);
+    });
+
+    it("Should reject a replayed bid signature", async function () {
+      const { escrow, client, freelancer, arbiter, expiry, projectId } = await loadFixture(openProjectFixture);
+      const bid = await signBid(escrow, freelancer, { projectId, expiry });
+      await acceptSigned(escrow, client, bid);
+
+      // Same nonce on another project: the signature covers projectId, and
+      // the nonce is spent anyway.
+      const otherProjectId = await createProject(escrow, client, arbiter.address);
+      await expect(acceptSigned(escrow, client, { ...bid, projectId: otherProjectId }))
+        .to.be.revertedWithCustomError(escrow, "NonceUsed");
+
+      const other = await signBid(escrow, freelancer, { projectId, nonce: 7n, expiry });
+      await expect(acceptSigned(escrow, client, { ...other, projectId: otherProjectId }))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should reject an expired bid", async function () {
+      const { escrow, client, freelancer, expiry, projectId } = await loadFixture(openProjectFixture);
+      const bid = await signBid(escrow, freelancer, { projectId, expiry });
+
+      await time.setNextBlockTimestamp(expiry + 1);
+      await expect(acceptSigned(escrow, client, bid))
+        .to.be.revertedWithCustomError(escrow, "SignatureExpired");
+    });
+
+    it("Should reject a bid signed by someone else", async function () {
+      const { escrow, client, freelancer, otherAccount, expiry, projectId } = await loadFixture(openProjectFixture);
+
+      const forged = await signBid(escrow, otherAccount, { projectId, bidder: freelancer.address, expiry });
+      await expect(acceptSigned(escrow, client, forged))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      const bid = await signBid(escrow, freelancer, { projectId, expiry });
+      await expect(acceptSigned(escrow, client, { ...bid, amountWei: bidAmount / 2n }))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should reject malformed and high-s signatures", async function () {
+      const { escrow, client, freelancer, expiry, projectId } = await loadFixture(openProjectFixture);
+      const bid = await signBid(escrow, freelancer, { projectId, expiry });
+
+      await expect(acceptSigned(escrow, client, { ...bid, signature: bid.signature.slice(0, -2) }))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      // The malleable twin of a valid signature recovers the same signer.
+      const { r, s, v } = ethers.Signature.from(bid.signature);
+      const n = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+      const highS = ethers.toBeHex(n - BigInt(s), 32);
+      const twin = ethers.concat([r, highS, ethers.toBeHex(v === 27 ? 28 : 27, 1)]);
+      await expect(acceptSigned(escrow, client, { ...bid, signature: twin }))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should only let the client accept signed bids while the project is open", async function () {
+      const { escrow, client, freelancer, otherAccount, arbiter, expiry, projectId } = await loadFixture(openProjectFixture);
+      const bid = await signBid(escrow, freelancer, { projectId, expiry });
+
+      await expect(acceptSigned(escrow, otherAccount, bid))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+
+      const arbiterBid = await signBid(escrow, arbiter, { projectId, expiry });
+      await expect(acceptSigned(escrow, client, arbiterBid))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+
+      await acceptSigned(escrow, client, bid);
+      const late = await signBid(escrow, otherAccount, { projectId, nonce: 3n, expiry });
+      await expect(acceptSigned(escrow, client, late))
+        .to.be.revertedWithCustomError(escrow, "InvalidStatus");
+    });
+
+    it("Should let a freelancer cancel an outstanding signature", async function () {
+      const { escrow, client, freelancer, expiry, projectId } = await loadFixture(openProjectFixture);
+      const bid = await signBid(escrow, freelancer, { projectId, expiry });
+
+      await expect(escrow.connect(freelancer).cancelNonce(bid.nonce))
+        .to.emit(escrow, "NonceCancelled")
+        .withArgs(freelancer.address, bid.nonce);
+      await expect(acceptSigned(escrow, client, bid))
+        .to.be.revertedWithCustomError(escrow, "NonceUsed");
+      await expect(escrow.connect(freelancer).cancelNonce(bid.nonce))
+        .to.be.revertedWithCustomError(escrow, "NonceUsed");
+    });
+
+    it("Should let anyone relay a signed submission", async function () {
+      const { escrow, freelancer, otherAccount, expiry, projectId } = await loadFixture(hiredFixture);
+      const deliverableHash = ethers.sha256(ethers.toUtf8Bytes("report.pdf"));
+      const message = await signSubmit(escrow, freelancer, { projectId, deliverableHash, expiry });
+
+      await expect(
+        escrow
+          .connect(otherAccount)
+          .submitMilestoneWithSig(projectId, milestoneIndex, message.deliverableHash, message.nonce, message.expiry, message.signature)
+      )
+        .to.emit(escrow, "MilestoneSubmitted")
+        .withArgs(projectId, milestoneIndex, deliverableHash);
+
+      const milestone = await escrow.milestones(projectId, milestoneIndex);
+      expect(milestone.submitted).to.be.true;
+      expect(milestone.submittedAt).to.equal(await time.latest());
+      expect(milestone.deliverableHash).to.equal(deliverableHash);
+
+      await expect(
+        escrow.submitMilestoneWithSig(projectId, milestoneIndex, message.deliverableHash, message.nonce, message.expiry, message.signature)
+      ).to.be.revertedWithCustomError(escrow, "NonceUsed");
+    });
+
+    it("Should reject relayed submissions that are expired, altered or not from the freelancer", async function () {
+      const { escrow, client, freelancer, otherAccount, expiry, projectId } = await loadFixture(hiredFixture);
+
+      const forged = await signSubmit(escrow, client, { projectId, expiry });
+      await expect(
+        escrow.submitMilestoneWithSig(projectId, milestoneIndex, forged.deliverableHash, forged.nonce, forged.expiry, forged.signature)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      const signed = await signSubmit(escrow, freelancer, { projectId, expiry });
+      const swapped = ethers.sha256(ethers.toUtf8Bytes("something else"));
+      await expect(
+        escrow.submitMilestoneWithSig(projectId, milestoneIndex, swapped, signed.nonce, signed.expiry, signed.signature)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      const stale = await signSubmit(escrow, otherAccount, { projectId, expiry: (await time.latest()) - 1 });
+      await expect(
+        escrow.submitMilestoneWithSig(projectId, milestoneIndex, stale.deliverableHash, stale.nonce, stale.expiry, stale.signature)
+      ).to.be.revertedWithCustomError(escrow, "SignatureExpired");
+    });
+
+    it("Should still apply the milestone checks to relayed submissions", async function () {
+      const { escrow, freelancer, expiry, projectId } = await loadFixture(hiredFixture);
+      const message = await signSubmit(escrow, freelancer, { projectId, index: 9, expiry });
+
+      await expect(
+        escrow.submitMilestoneWithSig(projectId, 9, message.deliverableHash, message.nonce, message.expiry, message.signature)
+      ).to.be.revertedWithCustomError(escrow, "MilestoneNotFound");
+      // A reverted relay does not spend the nonce.
+      expect(await escrow.usedNonces(freelancer.address, message.nonce)).to.be.false;
+    });
+  });
+
+  describe("Platform Fee", function () {
+    const FEE_BPS = 250; // 2.5%
+
+    // A hired project with two ETH milestones of `amounts`, both funded, on
+    // an Escrow charging FEE_BPS.
+    async function feeFixture(amounts = [1001n, 2000n]) {
+      const fixture = await deployEscrowFixture();
+      const { escrow, client } = fixture;
+
+      await escrow.connect(client).setFee(FEE_BPS, false);
+      const projectId = await createHiredProject(escrow, {
+        ...fixture,
+        reviewPeriod: REVIEW_PERIOD,
+        milestones: amounts.map((amountWei, index) => ({ index, amountWei })),
+      });
+
+      return { ...fixture, projectId };
+    }
+
+    async function tinyMilestoneFixture() {
+      return feeFixture([39n]);
+    }
+
+    it("Should be configured at deployment", async function () {
+      const { client, treasury } = await loadFixture(deployEscrowFixture);
+      const Escrow = await ethers.getContractFactory("Escrow");
+      const escrow = await Escrow.deploy(treasury.address, 100, true);
+
+      expect(await escrow.owner()).to.equal(client.address);
+      expect(await escrow.treasury()).to.equal(treasury.address);
+      expect(await escrow.feeBps()).to.equal(100n);
+      expect(await escrow.chargeFeeOnClose()).to.be.true;
+      await expect(escrow.deploymentTransaction())
+        .to.emit(escrow, "FeeUpdated")
+        .withArgs(100, true)
+        .and.to.emit(escrow, "TreasuryUpdated")
+        .withArgs(treasury.address);
+    });
+
+    it("Should reject a fee above the maximum or a zero treasury at deployment", async function () {
+      const { escrow, treasury } = await loadFixture(deployEscrowFixture);
+      const Escrow = await ethers.getContractFactory("Escrow");
+      const max = await escrow.MAX_FEE_BPS();
+
+      await expect(Escrow.deploy(treasury.address, max + 1n, false))
+        .to.be.revertedWithCustomError(escrow, "FeeTooHigh");
+      await expect(Escrow.deploy(ethers.ZeroAddress, 0, false))
+        .to.be.revertedWithCustomError(escrow, "InvalidTreasury");
+    });
+
+    it("Should let only the owner change the fee and treasury", async function () {
+      const { escrow, client, otherAccount, treasury } = await loadFixture(deployEscrowFixture);
+      const max = await escrow.MAX_FEE_BPS();
+
+      await expect(escrow.connect(otherAccount).setFee(100, false))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      await expect(escrow.connect(otherAccount).setTreasury(otherAccount.address))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+
+      await expect(escrow.connect(client).setFee(max + 1n, false))
+        .to.be.revertedWithCustomError(escrow, "FeeTooHigh");
+      await expect(escrow.connect(client).setFee(max, true))
+        .to.emit(escrow, "FeeUpdated")
+        .withArgs(max, true);
+      expect(await escrow.feeBps()).to.equal(max);
+
+      await expect(escrow.connect(client).setTreasury(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(escrow, "InvalidTreasury");
+      await expect(escrow.connect(client).setTreasury(otherAccount.address))
+        .to.emit(escrow, "TreasuryUpdated")
+        .withArgs(otherAccount.address);
+      expect(await escrow.treasury()).to.not.equal(treasury.address);
+    });
+
+    it("Should take the fee from a release, rounding down", async function () {
+      const { escrow, client, freelancer, treasury, projectId } = await loadFixture(feeFixture);
+      await escrow.connect(freelancer).submitMilestone(projectId, 0, ethers.ZeroHash);
+
+      // 1001 * 2.5% = 25.025
+      await expect(escrow.connect(client).releaseMilestone(projectId, 0))
+        .to.emit(escrow, "MilestoneReleased")
+        .withArgs(projectId, 0, 1001n, 25n, 976n)
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(treasury.address, ethers.ZeroAddress, 25n)
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(freelancer.address, ethers.ZeroAddress, 976n);
+
+      expect(await escrow.withdrawable(treasury.address, ethers.ZeroAddress)).to.equal(25n);
+      expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(976n);
+      expect(await escrow.totalWithdrawable(ethers.ZeroAddress)).to.equal(1001n);
+
+      // The gross amount leaves the vault; the other milestone is untouched.
+      expect((await escrow.projects(projectId)).vaultBalance).to.equal(2000n);
+      expect(await ethers.provider.getBalance(await escrow.getAddress())).to.equal(3001n);
+    });
+
+    it("Should charge nothing on amounts too small to carry a fee", async function () {
+      const { escrow, client, freelancer, treasury, projectId } = await loadFixture(tinyMilestoneFixture);
+      await escrow.connect(freelancer).submitMilestone(projectId, 0, ethers.ZeroHash);
+
+      await expect(escrow.connect(client).releaseMilestone(projectId, 0))
+        .to.emit(escrow, "MilestoneReleased")
+        .withArgs(projectId, 0, 39n, 0n, 39n);
+      expect(await escrow.withdrawable(treasury.address, ethers.ZeroAddress)).to.equal(0n);
+    });
+
+    it("Should take the fee from a claim", async function () {
+      const { escrow, freelancer, treasury, projectId } = await loadFixture(feeFixture);
+      await escrow.connect(freelancer).submitMilestone(projectId, 1, ethers.ZeroHash);
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(escrow.connect(freelancer).claimMilestone(projectId, 1))
+        .to.emit(escrow, "MilestoneReleased")
+        .withArgs(projectId, 1, 2000n, 50n, 1950n);
+      expect(await escrow.withdrawable(treasury.address, ethers.ZeroAddress)).to.equal(50n);
+    });
+
+    it("Should use the fee in force at release", async function () {
+      const { escrow, client, freelancer, treasury, otherAccount, projectId } = await loadFixture(feeFixture);
+      await escrow.connect(client).setFee(100, false);
+      await escrow.connect(client).setTreasury(otherAccount.address);
+      await escrow.connect(freelancer).submitMilestone(projectId, 1, ethers.ZeroHash);
+
+      await expect(escrow.connect(client).releaseMilestone(projectId, 1))
+        .to.emit(escrow, "MilestoneReleased")
+        .withArgs(projectId, 1, 2000n, 20n, 1980n);
+      expect(await escrow.withdrawable(otherAccount.address, ethers.ZeroAddress)).to.equal(20n);
+      expect(await escrow.withdrawable(treasury.address, ethers.ZeroAddress)).to.equal(0n);
+    });
+
+    it("Should only charge the close refund when enabled", async function () {
+      const { escrow, client, projectId } = await loadFixture(feeFixture);
+
+      await expect(escrow.connect(client).closeProject(projectId))
+        .to.emit(escrow, "ProjectClosed")
+        .withArgs(projectId, 3001n, 0n, 3001n);
+      expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(3001n);
+    });
+
+    it("Should take the fee from the close refund when enabled", async function () {
+      const { escrow, client, freelancer, arbiter, treasury, projectId } = await loadFixture(feeFixture);
+      await escrow.connect(client).setFee(FEE_BPS, true);
+
+      // Disputed funds stay in the vault and are not charged on close.
+      await escrow.connect(freelancer).submitMilestone(projectId, 1, ethers.ZeroHash);
+      await escrow.connect(client).openDispute(projectId, 1);
+
+      await expect(escrow.connect(client).closeProject(projectId))
+        .to.emit(escrow, "ProjectClosed")
+        .withArgs(projectId, 1001n, 25n, 976n);
+
+      expect(await escrow.withdrawable(treasury.address, ethers.ZeroAddress)).to.equal(25n);
+      expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(976n);
+      expect((await escrow.projects(projectId)).vaultBalance).to.equal(2000n);
+
+      await escrow.connect(arbiter).resolveDispute(projectId, 1, 2000n);
+      expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(1950n);
+      expect((await escrow.projects(projectId)).vaultBalance).to.equal(0n);
+      expect(await escrow.totalWithdrawable(ethers.ZeroAddress)).to.equal(3001n);
+    });
+
+    it("Should take the fee from the freelancer's part of a dispute ruling", async function () {
+      const { escrow, client, freelancer, arbiter, treasury, projectId } = await loadFixture(feeFixture);
+      await escrow.connect(freelancer).submitMilestone(projectId, 1, ethers.ZeroHash);
+      await escrow.connect(client).openDispute(projectId, 1);
+
+      await expect(escrow.connect(arbiter).resolveDispute(projectId, 1, 1200n))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(projectId, 1, 1200n, 800n, 30n, 1170n);
+      expect(await escrow.withdrawable(treasury.address, ethers.ZeroAddress)).to.equal(30n);
+      expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(1170n);
+      // The client's part is a refund and is not charged.
+      expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(800n);
+    });
+
+    it("Should credit token fees in the project's token", async function () {
+      const { escrow, client, freelancer, arbiter, treasury, deadline } = await loadFixture(deployEscrowFixture);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+      const tokenAddress = await token.getAddress();
+      await token.mint(client.address, 1_000_001n);
+      await token.connect(client).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+      await escrow.connect(client).setFee(FEE_BPS, false);
+      const projectId = await createHiredProject(escrow, {
+        client,
+        freelancer,
+        arbiter,
+        token: tokenAddress,
+        bidWei: 1n,
+        deadline,
+        reviewPeriod: REVIEW_PERIOD,
+        milestones: [{ index: 0, amountWei: 1_000_001n, submitted: true }],
+      });
+      await escrow.connect(client).releaseMilestone(projectId, 0);
+
+      expect(await escrow.withdrawable(treasury.address, tokenAddress)).to.equal(25_000n);
+      expect(await escrow.withdrawable(freelancer.address, tokenAddress)).to.equal(975_001n);
+      await expect(escrow.connect(treasury).withdraw(tokenAddress))
+        .to.changeTokenBalance(token, treasury, 25_000n);
+    });
+  });
+
+  describe("Admin Controls", function () {
+    const milestoneAmount = ethers.parseEther("0.5");
+
+    // Milestone 0 is funded and submitted, milestone 1 funded but not.
+    async function activeProjectFixture() {
+      const fixture = await deployEscrowFixture();
+      const projectId = await createHiredProject(fixture.escrow, {
+        ...fixture,
+        reviewPeriod: REVIEW_PERIOD,
+        milestones: [
+          { index: 0, amountWei: milestoneAmount, submitted: true },
+          { index: 1, amountWei: milestoneAmount },
+        ],
+      });
+      return { ...fixture, projectId };
+    }
+
+    async function tokenProjectFixture() {
+      const fixture = await deployEscrowFixture();
+      const { escrow, client, otherAccount } = fixture;
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+      await token.mint(client.address, 1_000n);
+      await token.mint(otherAccount.address, 1_000n);
+      await token.connect(client).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+      const projectId = await createHiredProject(escrow, {
+        ...fixture,
+        token: await token.getAddress(),
+        bidWei: 1n,
+        reviewPeriod: REVIEW_PERIOD,
+        milestones: [
+          { index: 0, amountWei: 300n, submitted: true },
+          { index: 1, amountWei: 200n },
+        ],
+      });
+      await escrow.connect(client).releaseMilestone(projectId, 0);
+
+      return { ...fixture, token, projectId };
+    }
+
+    describe("Ownership", function () {
+      it("Should start with the deployer as owner and guardian", async function () {
+        const { escrow, client } = await loadFixture(deployEscrowFixture);
+
+        expect(await escrow.owner()).to.equal(client.address);
+        expect(await escrow.guardian()).to.equal(client.address);
+        expect(await escrow.pendingOwner()).to.equal(ethers.ZeroAddress);
+        await expect(escrow.deploymentTransaction())
+          .to.emit(escrow, "OwnershipTransferred")
+          .withArgs(ethers.ZeroAddress, client.address);
+      });
+
+      it("Should transfer ownership in two steps", async function () {
+        const { escrow, client, otherAccount } = await loadFixture(deployEscrowFixture);
+
+        await expect(escrow.connect(client).transferOwnership(otherAccount.address))
+          .to.emit(escrow, "OwnershipTransferStarted")
+          .withArgs(client.address, otherAccount.address);
+        // Nothing changes until the new owner accepts.
+        expect(await escrow.owner()).to.equal(client.address);
+        await escrow.connect(client).setFee(100, false);
+
+        await expect(escrow.connect(otherAccount).acceptOwnership())
+          .to.emit(escrow, "OwnershipTransferred")
+          .withArgs(client.address, otherAccount.address);
+        expect(await escrow.owner()).to.equal(otherAccount.address);
+        expect(await escrow.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+        await expect(escrow.connect(client).setFee(0, false))
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+        await escrow.connect(otherAccount).setFee(0, false);
+      });
+
+      it("Should only let the pending owner accept", async function () {
+        const { escrow, client, freelancer, otherAccount } = await loadFixture(deployEscrowFixture);
+
+        await expect(escrow.connect(client).acceptOwnership())
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+
+        await escrow.connect(client).transferOwnership(otherAccount.address);
+        await expect(escrow.connect(freelancer).acceptOwnership())
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+        await expect(escrow.connect(otherAccount).transferOwnership(freelancer.address))
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+
+        // A new transfer replaces the pending one; address(0) cancels it.
+        await escrow.connect(client).transferOwnership(freelancer.address);
+        await expect(escrow.connect(otherAccount).acceptOwnership())
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+        await escrow.connect(client).transferOwnership(ethers.ZeroAddress);
+        await expect(escrow.connect(freelancer).acceptOwnership())
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+        expect(await escrow.owner()).to.equal(client.address);
+      });
+
+      it("Should let only the owner appoint the guardian", async function () {
+        const { escrow, client, otherAccount } = await loadFixture(deployEscrowFixture);
+
+        await expect(escrow.connect(otherAccount).setGuardian(otherAccount.address))
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+        await expect(escrow.connect(client).setGuardian(otherAccount.address))
+          .to.emit(escrow, "GuardianUpdated")
+          .withArgs(otherAccount.address);
+        expect(await escrow.guardian()).to.equal(otherAccount.address);
+      });
+    });
+
+    describe("Pausing", function () {
+      it("Should let the guardian or owner pause and only the owner unpause", async function () {
+        const { escrow, client, otherAccount, freelancer } = await loadFixture(deployEscrowFixture);
+        await escrow.connect(client).setGuardian(otherAccount.address);
+
+        await expect(escrow.connect(freelancer).pause())
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+        await expect(escrow.connect(otherAccount).pause())
+          .to.emit(escrow, "Paused")
+          .withArgs(otherAccount.address);
+        expect(await escrow.paused()).to.be.true;
+
+        await expect(escrow.connect(otherAccount).unpause())
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+        await expect(escrow.connect(client).unpause())
+          .to.emit(escrow, "Unpaused")
+          .withArgs(client.address);
+        expect(await escrow.paused()).to.be.false;
+
+        await escrow.connect(client).pause();
+        expect(await escrow.paused()).to.be.true;
+      });
+
+      it("Should block new projects, bids and funding", async function () {
+        const { escrow, client, freelancer, otherAccount, arbiter, projectId } = await loadFixture(activeProjectFixture);
+        const openProjectId = await createProject(escrow, client, arbiter.address);
+        await escrow.connect(otherAccount).placeBid(openProjectId, 100n, 0);
+        await escrow.connect(client).pause();
+
+        await expect(escrow.connect(client).createProject(arbiter.address, ethers.ZeroAddress, ethers.ZeroHash))
+          .to.be.revertedWithCustomError(escrow, "ContractPaused");
+        await expect(escrow.connect(freelancer).placeBid(openProjectId, 100n, 0))
+          .to.be.revertedWithCustomError(escrow, "ContractPaused");
+        await expect(escrow.connect(client).acceptBid(openProjectId, otherAccount.address, 100n, ethers.ZeroHash))
+          .to.be.revertedWithCustomError(escrow, "ContractPaused");
+        await expect(escrow.connect(client).acceptSignedBid(openProjectId, freelancer.address, 100n, [], [], 0n, 0n, "0x"))
+          .to.be.revertedWithCustomError(escrow, "ContractPaused");
+        await expect(escrow.connect(otherAccount).setBidPayees(openProjectId, [otherAccount.address], [10_000]))
+          .to.be.revertedWithCustomError(escrow, "ContractPaused");
+        await escrow.connect(client).cancelMilestone(projectId, 1);
+        await expect(escrow.connect(client).fundMilestone(projectId, 0, { value: 1n }))
+          .to.be.revertedWithCustomError(escrow, "ContractPaused");
+        await expect(escrow.connect(client).fundMilestoneToken(projectId, 0, 1n))
+          .to.be.revertedWithCustomError(escrow, "ContractPaused");
+
+        await escrow.connect(client).unpause();
+        await escrow.connect(client).acceptBid(openProjectId, otherAccount.address, 100n, ethers.ZeroHash);
+      });
+
+      it("Should keep releases, refunds and withdrawals working", async function () {
+        const { escrow, client, freelancer, projectId } = await loadFixture(activeProjectFixture);
+        await escrow.connect(client).pause();
+
+        await expect(escrow.connect(client).releaseMilestone(projectId, 0))
+          .to.emit(escrow, "MilestoneReleased");
+        await expect(escrow.connect(client).closeProject(projectId))
+          .to.emit(escrow, "ProjectClosed")
+          .withArgs(projectId, milestoneAmount, 0n, milestoneAmount);
+
+        await expect(escrow.connect(freelancer).withdraw(ethers.ZeroAddress))
+          .to.changeEtherBalance(freelancer, milestoneAmount);
+        await expect(escrow.connect(client).withdraw(ethers.ZeroAddress))
+          .to.changeEtherBalance(client, milestoneAmount);
+      });
+
+      it("Should keep submissions, claims and disputes working", async function () {
+        const { escrow, client, freelancer, arbiter, projectId } = await loadFixture(activeProjectFixture);
+        await escrow.connect(client).pause();
+
+        // Pausing must not make the freelancer miss a deadline.
+        await escrow.connect(freelancer).submitMilestone(projectId, 1, ethers.ZeroHash);
+        await escrow.connect(client).openDispute(projectId, 1);
+        await escrow.connect(arbiter).resolveDispute(projectId, 1, milestoneAmount);
+
+        await time.increase(REVIEW_PERIOD + 1);
+        await expect(escrow.connect(freelancer).claimMilestone(projectId, 0))
+          .to.emit(escrow, "MilestoneReleased");
+        expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(milestoneAmount * 2n);
+      });
+    });
+
+    describe("Rescue", function () {
+      it("Should track escrowed funds per asset", async function () {
+        const { escrow, client, token, projectId } = await loadFixture(tokenProjectFixture);
+        const tokenAddress = await token.getAddress();
+
+        expect(await escrow.totalEscrowed(tokenAddress)).to.equal(200n);
+        expect(await escrow.totalWithdrawable(tokenAddress)).to.equal(300n);
+
+        await escrow.connect(client).closeProject(projectId);
+        expect(await escrow.totalEscrowed(tokenAddress)).to.equal(0n);
+        expect(await escrow.totalWithdrawable(tokenAddress)).to.equal(500n);
+      });
+
+      it("Should rescue tokens sent by mistake", async function () {
+        const { escrow, client, otherAccount, token, projectId } = await loadFixture(tokenProjectFixture);
+        const tokenAddress = await token.getAddress();
+        await token.connect(otherAccount).transfer(await escrow.getAddress(), 70n);
+
+        const rescue = escrow.connect(client).rescueToken(tokenAddress, otherAccount.address, 70n);
+        await expect(rescue)
+          .to.emit(escrow, "TokensRescued")
+          .withArgs(tokenAddress, otherAccount.address, 70n);
+        await expect(rescue).to.changeTokenBalance(token, otherAccount, 70n);
+        expect(await token.balanceOf(await escrow.getAddress())).to.equal(500n);
+      });
+
+      it("Should never touch escrowed or withdrawable funds", async function () {
+        const { escrow, client, otherAccount, token, projectId } = await loadFixture(tokenProjectFixture);
+        const tokenAddress = await token.getAddress();
+
+        await expect(escrow.connect(client).rescueToken(tokenAddress, client.address, 1n))
+          .to.be.revertedWithCustomError(escrow, "RescueExceedsSurplus");
+
+        await token.connect(otherAccount).transfer(await escrow.getAddress(), 70n);
+        await expect(escrow.connect(client).rescueToken(tokenAddress, client.address, 71n))
+          .to.be.revertedWithCustomError(escrow, "RescueExceedsSurplus");
+
+        // Still true once everything has moved to withdrawable balances.
+        await escrow.connect(client).closeProject(projectId);
+        await expect(escrow.connect(client).rescueToken(tokenAddress, client.address, 71n))
+          .to.be.revertedWithCustomError(escrow, "RescueExceedsSurplus");
+        await escrow.connect(client).rescueToken(tokenAddress, client.address, 70n);
+      });
+
+      it("Should reject rescues from anyone but the owner, or of ETH", async function () {
+        const { escrow, client, otherAccount, token, projectId } = await loadFixture(tokenProjectFixture);
+        const tokenAddress = await token.getAddress();
+        await token.connect(otherAccount).transfer(await escrow.getAddress(), 70n);
+        await escrow.connect(client).setGuardian(otherAccount.address);
+
+        await expect(escrow.connect(otherAccount).rescueToken(tokenAddress, otherAccount.address, 70n))
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+        await expect(escrow.connect(client).rescueToken(ethers.ZeroAddress, client.address, 1n))
+          .to.be.revertedWithCustomError(escrow, "WrongAsset");
+        await expect(escrow.connect(client).rescueToken(tokenAddress, ethers.ZeroAddress, 1n))
+          .to.be.revertedWithCustomError(escrow, "InvalidRecipient");
+        await expect(escrow.connect(client).rescueToken(tokenAddress, client.address, 0n))
+          .to.be.revertedWithCustomError(escrow, "ZeroAmount");
+      });
+    });
+  });
+
+  describe("Batch Operations", function () {
+    const COUNT = 10;
+    const milestoneAmount = 1_000n;
+    const indexes = Array.from({ length: COUNT }, (_, i) => i);
+    const amounts = indexes.map((i) => milestoneAmount + BigInt(i));
+
+    async function hiredProjectFixture() {
+      const fixture = await deployEscrowFixture();
+      const projectId = await createHiredProject(fixture.escrow, fixture);
+      return { ...fixture, projectId };
+    }
+
+    // Ten created milestones, none funded.
+    async function createdMilestonesFixture() {
+      const fixture = await hiredProjectFixture();
+      const { escrow, client, deadline, projectId } = fixture;
+
+      await escrow.connect(client).createMilestones(
+        projectId,
+        indexes,
+        amounts,
+        indexes.map(() => deadline),
+        indexes.map(() => REVIEW_PERIOD),
+        indexes.map(() => ethers.ZeroHash)
+      );
+
+      return fixture;
+    }
+
+    // Ten funded milestones, all submitted.
+    async function submittedMilestonesFixture() {
+      const fixture = await createdMilestonesFixture();
+      const { escrow, client, freelancer, projectId } = fixture;
+
+      const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+      await escrow.connect(client).fundMilestones(projectId, indexes, amounts, { value: total });
+      for (const index of indexes) {
+        await escrow.connect(freelancer).submitMilestone(projectId, index, ethers.ZeroHash);
+      }
+
+      return fixture;
+    }
+
+    async function gasUsed(tx) {
+      return (await (await tx).wait()).gasUsed;
+    }
+
+    // A batch of COUNT skips at least the base cost of COUNT - 1
+    // transactions, on top of the project checks it does only once.
+    function expectGasSaved(individual, batch) {
+      const saved = individual - batch;
+      expect(saved, `${individual} gas for single calls, ${batch} for the batch`)
+        .to.be.greaterThan(BigInt(COUNT - 1) * 21_000n);
+    }
+
+    describe("Creating", function () {
+      it("Should create every milestone in the batch", async function () {
+        const { escrow, client, deadline, projectId } = await loadFixture(hiredProjectFixture);
+
+        const specHash = ethers.sha256(ethers.toUtf8Bytes("milestone 4"));
+
+        await expect(
+          escrow
+            .connect(client)
+            .createMilestones(projectId, [0, 4], [100n, 200n], [deadline, deadline + 1], [REVIEW_PERIOD, 1], [ethers.ZeroHash, specHash])
+        )
+          .to.emit(escrow, "MilestoneCreated")
+          .withArgs(projectId, 0, 100n, deadline, REVIEW_PERIOD, ethers.ZeroHash)
+          .and.to.emit(escrow, "MilestoneCreated")
+          .withArgs(projectId, 4, 200n, deadline + 1, 1, specHash);
+
+        const milestone = await escrow.milestones(projectId, 4);
+        expect(milestone.amountWei).to.equal(200n);
+        expect(milestone.specHash).to.equal(specHash);
+        expect(milestone.deadline).to.equal(deadline + 1);
+        expect(milestone.reviewPeriod).to.equal(1n);
+        expect(milestone.exists).to.be.true;
+      });
+
+      it("Should create none of the milestones if one is invalid", async function () {
+        const { escrow, client, deadline, projectId } = await loadFixture(hiredProjectFixture);
+        const deadlines = [deadline, deadline, deadline];
+        const reviewPeriods = [REVIEW_PERIOD, REVIEW_PERIOD, REVIEW_PERIOD];
+        const specHashes = [ethers.ZeroHash, ethers.ZeroHash, ethers.ZeroHash];
+
+        await expect(escrow.connect(client).createMilestones(projectId, [0, 1, 0], [1n, 2n, 3n], deadlines, reviewPeriods, specHashes))
+          .to.be.revertedWithCustomError(escrow, "MilestoneExists");
+        await expect(escrow.connect(client).createMilestones(projectId, [0, 1, 2], [1n, 0n, 3n], deadlines, reviewPeriods, specHashes))
+          .to.be.revertedWithCustomError(escrow, "ZeroAmount");
+        expect((await escrow.milestones(projectId, 0)).exists).to.be.false;
+      });
+
+      it("Should reject empty or mismatched arrays", async function () {
+        const { escrow, client, deadline, projectId } = await loadFixture(hiredProjectFixture);
+
+        await expect(escrow.connect(client).createMilestones(projectId, [], [], [], [], []))
+          .to.be.revertedWithCustomError(escrow, "InvalidBatch");
+        await expect(escrow.connect(client).createMilestones(projectId, [0, 1], [1n], [deadline, deadline], [1, 1], [ethers.ZeroHash, ethers.ZeroHash]))
+          .to.be.revertedWithCustomError(escrow, "InvalidBatch");
+        await expect(escrow.connect(client).createMilestones(projectId, [0], [1n], [deadline], [1, 1], [ethers.ZeroHash]))
+          .to.be.revertedWithCustomError(escrow, "InvalidBatch");
+        await expect(escrow.connect(client).createMilestones(projectId, [0], [1n], [deadline], [1], []))
+          .to.be.revertedWithCustomError(escrow, "InvalidBatch");
+      });
+
+      it("Should only let the client create milestones", async function () {
+        const { escrow, freelancer, deadline, projectId } = await loadFixture(hiredProjectFixture);
+
+        await expect(escrow.connect(freelancer).createMilestones(projectId, [0], [1n], [deadline], [REVIEW_PERIOD], [ethers.ZeroHash]))
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      });
+    });
+
+    describe("Funding", function () {
+      it("Should split msg.value between the milestones", async function () {
+        const { escrow, client, projectId } = await loadFixture(createdMilestonesFixture);
+
+        const tx = escrow.connect(client).fundMilestones(projectId, [2, 5], [amounts[2], 400n], { value: amounts[2] + 400n });
+        await expect(tx)
+          .to.emit(escrow, "MilestoneFunded")
+          .withArgs(projectId, 2, amounts[2], amounts[2])
+          .and.to.emit(escrow, "MilestoneFunded")
+          .withArgs(projectId, 5, 400n, 400n);
+        await expect(tx).to.changeEtherBalances([client, escrow], [-(amounts[2] + 400n), amounts[2] + 400n]);
+
+        expect((await escrow.milestones(projectId, 5)).fundedWei).to.equal(400n);
+        expect((await escrow.projects(projectId)).vaultBalance).to.equal(amounts[2] + 400n);
+        expect(await escrow.totalEscrowed(ethers.ZeroAddress)).to.equal(amounts[2] + 400n);
+      });
+
+      it("Should credit back what a milestone does not need", async function () {
+        const { escrow, client, projectId } = await loadFixture(createdMilestonesFixture);
+
+        await escrow.connect(client).fundMilestones(projectId, [0, 1], [amounts[0] + 7n, 10n], { value: amounts[0] + 17n });
+
+        expect((await escrow.milestones(projectId, 0)).fundedWei).to.equal(amounts[0]);
+        expect((await escrow.milestones(projectId, 1)).fundedWei).to.equal(10n);
+        expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(7n);
+      });
+
+      it("Should reject msg.value that does not match the amounts", async function () {
+        const { escrow, client, projectId } = await loadFixture(createdMilestonesFixture);
+
+        await expect(escrow.connect(client).fundMilestones(projectId, [0, 1], [10n, 10n], { value: 19n }))
+          .to.be.revertedWithCustomError(escrow, "InvalidBatch");
+        await expect(escrow.connect(client).fundMilestones(projectId, [0, 1], [10n, 10n], { value: 21n }))
+          .to.be.revertedWithCustomError(escrow, "InvalidBatch");
+        await expect(escrow.connect(client).fundMilestones(projectId, [0, 1], [10n], { value: 10n }))
+          .to.be.revertedWithCustomError(escrow, "InvalidBatch");
+      });
+
+      it("Should fund none of the milestones if one cannot be funded", async function () {
+        const { escrow, client, projectId } = await loadFixture(createdMilestonesFixture);
+
+        await expect(escrow.connect(client).fundMilestones(projectId, [0, 42], [10n, 10n], { value: 20n }))
+          .to.be.revertedWithCustomError(escrow, "MilestoneNotFound");
+        await expect(escrow.connect(client).fundMilestones(projectId, [0, 1], [10n, 0n], { value: 10n }))
+          .to.be.revertedWithCustomError(escrow, "ZeroAmount");
+        expect((await escrow.milestones(projectId, 0)).fundedWei).to.equal(0n);
+      });
+
+      it("Should not fund while paused", async function () {
+        const { escrow, client, projectId } = await loadFixture(createdMilestonesFixture);
+        await escrow.connect(client).pause();
+
+        await expect(escrow.connect(client).fundMilestones(projectId, [0], [10n], { value: 10n }))
+          .to.be.revertedWithCustomError(escrow, "ContractPaused");
+      });
+
+      it("Should pull a token batch in one transfer", async function () {
+        const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+        await token.mint(client.address, 1_000n);
+        await token.connect(client).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+        const projectId = await createProject(escrow, client, arbiter.address, await token.getAddress());
+        await escrow.connect(freelancer).placeBid(projectId, 1n, 0);
+        await escrow.connect(client).acceptBid(projectId, freelancer.address, 1n, ethers.ZeroHash);
+        await escrow.connect(client).createMilestones(projectId, [0, 1], [300n, 200n], [deadline, deadline], [1, 1], [ethers.ZeroHash, ethers.ZeroHash]);
+
+        await expect(escrow.connect(client).fundMilestones(projectId, [0], [1n], { value: 1n }))
+          .to.be.revertedWithCustomError(escrow, "WrongAsset");
+        const tx = escrow.connect(client).fundMilestonesToken(projectId, [0, 1], [300n, 250n]);
+        await expect(tx).to.changeTokenBalances(token, [client, escrow], [-500n, 500n]);
+        await expect(tx)
+          .to.emit(token, "Transfer")
+          .withArgs(client.address, await escrow.getAddress(), 500n);
+
+        expect((await escrow.milestones(projectId, 1)).fundedWei).to.equal(200n);
+        expect(await escrow.totalEscrowed(await token.getAddress())).to.equal(500n);
+      });
+    });
+
+    describe("Releasing", function () {
+      it("Should release every milestone in the batch", async function () {
+        const { escrow, client, freelancer, projectId } = await loadFixture(submittedMilestonesFixture);
+
+        await expect(escrow.connect(client).releaseMilestones(projectId, [3, 7]))
+          .to.emit(escrow, "MilestoneReleased")
+          .withArgs(projectId, 3, amounts[3], 0n, amounts[3])
+          .and.to.emit(escrow, "MilestoneReleased")
+          .withArgs(projectId, 7, amounts[7], 0n, amounts[7]);
+
+        expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(amounts[3] + amounts[7]);
+        expect((await escrow.milestones(projectId, 3)).released).to.be.true;
+      });
+
+      it("Should release none of the milestones if one cannot be released", async function () {
+        const { escrow, client, freelancer, projectId } = await loadFixture(submittedMilestonesFixture);
+        await escrow.connect(freelancer).openDispute(projectId, 5);
+
+        await expect(escrow.connect(client).releaseMilestones(projectId, [4, 5]))
+          .to.be.revertedWithCustomError(escrow, "MilestoneDisputed");
+        await expect(escrow.connect(client).releaseMilestones(projectId, [4, 4]))
+          .to.be.revertedWithCustomError(escrow, "AlreadyReleased");
+        await expect(escrow.connect(client).releaseMilestones(projectId, []))
+          .to.be.revertedWithCustomError(escrow, "InvalidBatch");
+        await expect(escrow.connect(freelancer).releaseMilestones(projectId, [4]))
+          .to.be.revertedWithCustomError(escrow, "Unauthorized");
+        expect((await escrow.milestones(projectId, 4)).released).to.be.false;
+      });
+    });
+
+    describe("Gas", function () {
+      // Each comparison runs the individual calls and the batch from the same
+      // snapshot.
+      it("Should create ten milestones for less gas than ten calls", async function () {
+        let { escrow, client, deadline, projectId } = await loadFixture(hiredProjectFixture);
+        let individual = 0n;
+        for (const index of indexes) {
+          individual += await gasUsed(escrow.connect(client).createMilestone(projectId, index, amounts[index], deadline, REVIEW_PERIOD, ethers.ZeroHash));
+        }
+
+        ({ escrow, client, deadline, projectId } = await loadFixture(hiredProjectFixture));
+        const batch = await gasUsed(escrow.connect(client).createMilestones(
+          projectId,
+          indexes,
+          amounts,
+          indexes.map(() => deadline),
+          indexes.map(() => REVIEW_PERIOD),
+          indexes.map(() => ethers.ZeroHash)
+        ));
+
+        expectGasSaved(individual, batch);
+      });
+
+      it("Should fund ten milestones for less gas than ten calls", async function () {
+        let { escrow, client, projectId } = await loadFixture(createdMilestonesFixture);
+        let individual = 0n;
+        for (const index of indexes) {
+          individual += await gasUsed(escrow.connect(client).fundMilestone(projectId, index, { value: amounts[index] }));
+        }
+
+        ({ escrow, client, projectId } = await loadFixture(createdMilestonesFixture));
+        const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+        const batch = await gasUsed(escrow.connect(client).fundMilestones(projectId, indexes, amounts, { value: total }));
+
+        expectGasSaved(individual, batch);
+      });
+
+      it("Should release ten milestones for less gas than ten calls", async function () {
+        let { escrow, client, projectId } = await loadFixture(submittedMilestonesFixture);
+        let individual = 0n;
+        for (const index of indexes) {
+          individual += await gasUsed(escrow.connect(client).releaseMilestone(projectId, index));
+        }
+
+        ({ escrow, client, projectId } = await loadFixture(submittedMilestonesFixture));
+        const batch = await gasUsed(escrow.connect(client).releaseMilestones(projectId, indexes));
+
+        expectGasSaved(individual, batch);
+      });
+    });
+  });
+
+  describe("Payment Splits", function () {
+    const milestoneIndex = 0;
+    const bidAmount = 1_001n;
+
+    // An open project with the freelancer's bid split with two teammates.
+    async function splitBidFixture() {
+      const fixture = await deployEscrowFixture();
+      const { escrow, client, freelancer, arbiter } = fixture;
+      const [, , , , , designer, tester] = await ethers.getSigners();
+
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(projectId, bidAmount, 0);
+      const accounts = [freelancer.address, designer.address, tester.address];
+      const sharesBps = [3_333, 3_333, 3_334];
+      await escrow.connect(freelancer).setBidPayees(projectId, accounts, sharesBps);
+
+      return { ...fixture, designer, tester, projectId, accounts, sharesBps };
+    }
+
+    // The split bid accepted, with one submitted milestone of bidAmount.
+    async function splitProjectFixture() {
+      const fixture = await splitBidFixture();
+      const { escrow, client, freelancer, deadline, projectId, accounts, sharesBps } = fixture;
+
+      await escrow.connect(client).acceptBid(projectId, freelancer.address, bidAmount, splitHash(accounts, sharesBps));
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, bidAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: bidAmount });
+      await escrow.connect(freelancer).submitMilestone(projectId, milestoneIndex, ethers.ZeroHash);
+
+      return fixture;
+    }
+
+    it("Should copy the bid's split to the project when it is accepted", async function () {
+      const { escrow, client, freelancer, projectId, accounts, sharesBps } = await loadFixture(splitBidFixture);
+
+      expect((await escrow.getBidPayees(projectId, freelancer.address)).map((p) => [p.account, p.shareBps]))
+        .to.deep.equal(accounts.map((account, i) => [account, BigInt(sharesBps[i])]));
+      expect(await escrow.getPayees(projectId)).to.deep.equal([]);
+
+      await escrow.connect(client).acceptBid(projectId, freelancer.address, bidAmount, splitHash(accounts, sharesBps));
+      expect(await escrow.getPayees(projectId)).to.deep.equal(await escrow.getBidPayees(projectId, freelancer.address));
+    });
+
+    it("Should reject a bid whose split changed since the client looked", async function () {
+      const { escrow, client, freelancer, designer, projectId, accounts, sharesBps } = await loadFixture(splitBidFixture);
+
+      await escrow.connect(freelancer).setBidPayees(projectId, [designer.address], [10_000]);
+      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address, bidAmount, splitHash(accounts, sharesBps)))
+        .to.be.revertedWithCustomError(escrow, "SplitMismatch");
+      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address, bidAmount, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "SplitMismatch");
+
+      await escrow.connect(freelancer).setBidPayees(projectId, [], []);
+      await expect(escrow.connect(client).acceptBid(projectId, freelancer.address, bidAmount, ethers.ZeroHash))
+        .to.emit(escrow, "BidAccepted");
+      expect(await escrow.getPayees(projectId)).to.deep.equal([]);
+    });
+
+    it("Should emit the bid's split and clear it with empty arrays", async function () {
+      const { escrow, freelancer, designer, projectId } = await loadFixture(splitBidFixture);
+
+      await expect(escrow.connect(freelancer).setBidPayees(projectId, [designer.address, freelancer.address], [9_000, 1_000]))
+        .to.emit(escrow, "BidPayeesSet")
+        .withArgs(projectId, freelancer.address, [designer.address, freelancer.address], [9_000, 1_000]);
+      expect(await escrow.getBidPayees(projectId, freelancer.address)).to.have.length(2);
+
+      await escrow.connect(freelancer).setBidPayees(projectId, [], []);
+      expect(await escrow.getBidPayees(projectId, freelancer.address)).to.deep.equal([]);
+    });
+
+    it("Should reject splits that are malformed or do not add up to 100%", async function () {
+      const { escrow, freelancer, designer, tester, projectId } = await loadFixture(splitBidFixture);
+      const setPayees = (accounts, sharesBps) => escrow.connect(freelancer).setBidPayees(projectId, accounts, sharesBps);
+
+      const invalid = [
+        [[freelancer.address, designer.address], [5_000, 4_999]],
+        [[freelancer.address, designer.address], [10_000, 0]],
+        [[freelancer.address, freelancer.address], [5_000, 5_000]],
+        [[freelancer.address, ethers.ZeroAddress], [5_000, 5_000]],
+        [[freelancer.address, designer.address], [10_000]],
+        [Array.from({ length: 11 }, () => ethers.Wallet.createRandom().address), Array(11).fill(1)],
+      ];
+      for (const [accounts, sharesBps] of invalid) {
+        await expect(setPayees(accounts, sharesBps)).to.be.revertedWithCustomError(escrow, "InvalidPayees");
+      }
+
+      await expect(escrow.connect(tester).setBidPayees(projectId, [tester.address], [10_000]))
+        .to.be.revertedWithCustomError(escrow, "BidNotFound");
+    });
+
+    it("Should drop the split of a withdrawn bid", async function () {
+      const { escrow, freelancer, projectId } = await loadFixture(splitBidFixture);
+
+      await escrow.connect(freelancer).withdrawBid(projectId);
+      expect(await escrow.getBidPayees(projectId, freelancer.address)).to.deep.equal([]);
+    });
+
+    it("Should only change a bid's split while the project is open", async function () {
+      const { escrow, freelancer, projectId } = await loadFixture(splitProjectFixture);
+
+      await expect(escrow.connect(freelancer).setBidPayees(projectId, [], []))
+        .to.be.revertedWithCustomError(escrow, "InvalidStatus");
+    });
+
+    it("Should split releases by share and give the rounding dust to the first payee", async function () {
+      const { escrow, client, freelancer, designer, tester, projectId } = await loadFixture(splitProjectFixture);
+
+      // 3333 and 3334 bps of 1001 round down to 333 each; the first payee
+      // gets the remaining 335.
+      await expect(escrow.connect(client).releaseMilestone(projectId, milestoneIndex))
+        .to.emit(escrow, "MilestoneReleased")
+        .withArgs(projectId, milestoneIndex, bidAmount, 0n, bidAmount)
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(designer.address, ethers.ZeroAddress, 333n)
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(tester.address, ethers.ZeroAddress, 333n)
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(freelancer.address, ethers.ZeroAddress, 335n);
+
+      expect(await escrow.totalWithdrawable(ethers.ZeroAddress)).to.equal(bidAmount);
+    });
+
+    it("Should split what remains after the platform fee", async function () {
+      const { escrow, client, freelancer, designer, tester, treasury, projectId } = await loadFixture(splitProjectFixture);
+      await escrow.connect(client).setFee(100, false);
+
+      await escrow.connect(client).releaseMilestone(projectId, milestoneIndex);
+
+      // A 10 wei fee leaves 991: 330 + 330, plus 331 for the first payee.
+      expect(await escrow.withdrawable(treasury.address, ethers.ZeroAddress)).to.equal(10n);
+      expect(await escrow.withdrawable(designer.address, ethers.ZeroAddress)).to.equal(330n);
+      expect(await escrow.withdrawable(tester.address, ethers.ZeroAddress)).to.equal(330n);
+      expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(331n);
+    });
+
+    it("Should split the freelancer's part of a resolved dispute", async function () {
+      const { escrow, client, freelancer, designer, tester, arbiter, projectId } = await loadFixture(splitProjectFixture);
+
+      await escrow.connect(client).openDispute(projectId, milestoneIndex);
+      await escrow.connect(arbiter).resolveDispute(projectId, milestoneIndex, 600n);
+
+      expect(await escrow.withdrawable(designer.address, ethers.ZeroAddress)).to.equal(199n);
+      expect(await escrow.withdrawable(tester.address, ethers.ZeroAddress)).to.equal(200n);
+      expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(201n);
+      expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(401n);
+    });
+
+    it("Should change the split only once every payee approves", async function () {
+      const { escrow, client, freelancer, designer, tester, projectId } = await loadFixture(splitProjectFixture);
+      const accounts = [freelancer.address, designer.address];
+      const sharesBps = [5_000, 5_000];
+      const hash = splitHash(accounts, sharesBps);
+
+      await expect(escrow.connect(designer).proposeSplit(projectId, accounts, sharesBps))
+        .to.emit(escrow, "SplitProposed")
+        .withArgs(projectId, designer.address, hash, accounts, sharesBps)
+        .and.to.emit(escrow, "SplitApproved")
+        .withArgs(projectId, designer.address, hash);
+      expect((await escrow.splitProposals(projectId)).splitHash).to.equal(hash);
+
+      await expect(escrow.connect(client).approveSplit(projectId, hash))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      await expect(escrow.connect(freelancer).approveSplit(projectId, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "SplitMismatch");
+
+      await expect(escrow.connect(freelancer).approveSplit(projectId, hash)).to.not.emit(escrow, "SplitChanged");
+      expect(await escrow.getPayees(projectId)).to.have.length(3);
+
+      await expect(escrow.connect(tester).approveSplit(projectId, hash))
+        .to.emit(escrow, "SplitChanged")
+        .withArgs(projectId, hash);
+      expect((await escrow.getPayees(projectId)).map((p) => p.account)).to.deep.equal(accounts);
+      expect((await escrow.splitProposals(projectId)).splitHash).to.equal(ethers.ZeroHash);
+      expect(await escrow.getProposedPayees(projectId)).to.deep.equal([]);
+
+      await escrow.connect(client).releaseMilestone(projectId, milestoneIndex);
+      expect(await escrow.withdrawable(tester.address, ethers.ZeroAddress)).to.equal(0n);
+      expect(await escrow.withdrawable(designer.address, ethers.ZeroAddress)).to.equal(500n);
+    });
+
+    it("Should restart approvals when a new split is proposed", async function () {
+      const { escrow, freelancer, designer, tester, projectId } = await loadFixture(splitProjectFixture);
+      const first = splitHash([designer.address], [10_000]);
+
+      await escrow.connect(designer).proposeSplit(projectId, [designer.address], [10_000]);
+      await escrow.connect(freelancer).proposeSplit(projectId, [freelancer.address], [10_000]);
+
+      await expect(escrow.connect(tester).approveSplit(projectId, first))
+        .to.be.revertedWithCustomError(escrow, "SplitMismatch");
+      expect((await escrow.splitProposals(projectId)).approvals).to.equal(1n);
+    });
+
+    it("Should apply a sole freelancer's proposal at once", async function () {
+      const { escrow, client, freelancer, otherAccount, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await escrow.connect(freelancer).placeBid(projectId, 100n, 0);
+
+      await expect(escrow.connect(freelancer).proposeSplit(projectId, [freelancer.address], [10_000]))
+        .to.be.revertedWithCustomError(escrow, "NoFreelancer");
+
+      await escrow.connect(client).acceptBid(projectId, freelancer.address, 100n, ethers.ZeroHash);
+      await expect(escrow.connect(client).proposeSplit(projectId, [client.address], [10_000]))
+        .to.be.revertedWithCustomError(escrow, "Unauthorized");
+      await expect(escrow.connect(freelancer).proposeSplit(projectId, [], []))
+        .to.be.revertedWithCustomError(escrow, "InvalidPayees");
+      await expect(escrow.connect(freelancer).proposeSplit(projectId, [freelancer.address, otherAccount.address], [7_000, 3_000]))
+        .to.emit(escrow, "SplitChanged");
+
+      await escrow.connect(client).createMilestone(projectId, 0, 100n, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).fundMilestone(projectId, 0, { value: 100n });
+      await escrow.connect(freelancer).submitMilestone(projectId, 0, ethers.ZeroHash);
+      await escrow.connect(client).releaseMilestone(projectId, 0);
+      expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(70n);
+      expect(await escrow.withdrawable(otherAccount.address, ethers.ZeroAddress)).to.equal(30n);
+    });
+  });
+
+  describe("Withdrawals", function () {
+    const milestoneIndex = 0;
+    const milestoneAmount = ethers.parseEther("0.5");
+
+    // A released milestone whose payout is waiting in the freelancer's balance.
+    async function releasedMilestoneFixture() {
+      const fixture = await deployEscrowFixture();
+      const projectId = await createHiredProject(fixture.escrow, {
+        ...fixture,
+        reviewPeriod: REVIEW_PERIOD,
+        milestones: [{ index: milestoneIndex, amountWei: milestoneAmount, submitted: true }],
+      });
+      await fixture.escrow.connect(fixture.client).releaseMilestone(projectId, milestoneIndex);
+      return { ...fixture, projectId };
+    }
+
+    // Same flow, but the freelancer is a contract account built from `contractName`.
+    async function contractFreelancerFixture(contractName) {
+      const fixture = await deployEscrowFixture();
+      const { escrow, client, arbiter, deadline } = fixture;
+      const escrowAddress = await escrow.getAddress();
+
+      const Receiver = await ethers.getContractFactory(contractName);
+      const receiver = await Receiver.deploy();
+      const receiverAddress = await receiver.getAddress();
+      const call = (name, args) => receiver.execute(escrowAddress, escrow.interface.encodeFunctionData(name, args));
+
+      const projectId = await createProject(escrow, client, arbiter.address);
+      await call("placeBid", [projectId, ethers.parseEther("1.0"), 0]);
+      await escrow.connect(client).acceptBid(projectId, receiverAddress, ethers.parseEther("1.0"), ethers.ZeroHash);
+      await escrow.connect(client).createMilestone(projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+      await escrow.connect(client).fundMilestone(projectId, milestoneIndex, { value: milestoneAmount });
+      await call("submitMilestone", [projectId, milestoneIndex, ethers.ZeroHash]);
+
+      return { ...fixture, receiver, receiverAddress, call, projectId };
+    }
+
+    async function revertingFreelancerFixture() {
+      return contractFreelancerFixture("RevertingReceiver");
+    }
+
+    async function reentrantFreelancerFixture() {
+      return contractFreelancerFixture("ReentrantReceiver");
+    }
+
+    it("Should let the payee withdraw their balance", async function () {
+      const { escrow, freelancer, projectId } = await loadFixture(releasedMilestoneFixture);
+
+      expect(await escrow.totalWithdrawable(ethers.ZeroAddress)).to.equal(milestoneAmount);
+
+      const tx = escrow.connect(freelancer).withdraw(ethers.ZeroAddress);
+      await expect(tx)
+        .to.emit(escrow, "Withdrawn")
+        .withArgs(freelancer.address, ethers.ZeroAddress, freelancer.address, milestoneAmount);
+      await expect(tx).to.changeEtherBalances([freelancer, escrow], [milestoneAmount, -milestoneAmount]);
+
+      expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(0n);
+      expect(await escrow.totalWithdrawable(ethers.ZeroAddress)).to.equal(0n);
+    });
+
+    it("Should let the payee withdraw to another address", async function () {
+      const { escrow, freelancer, otherAccount, projectId } = await loadFixture(releasedMilestoneFixture);
+
+      const tx = escrow.connect(freelancer).withdrawTo(ethers.ZeroAddress, otherAccount.address);
+      await expect(tx)
+        .to.emit(escrow, "Withdrawn")
+        .withArgs(freelancer.address, ethers.ZeroAddress, otherAccount.address, milestoneAmount);
+      await expect(tx).to.changeEtherBalances([freelancer, otherAccount], [0n, milestoneAmount]);
+    });
+
+    it("Should revert if there is nothing to withdraw", async function () {
+      const { escrow, freelancer, otherAccount, projectId } = await loadFixture(releasedMilestoneFixture);
+
+      await expect(escrow.connect(otherAccount).withdraw(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(escrow, "NothingToWithdraw");
+
+      await escrow.connect(freelancer).withdraw(ethers.ZeroAddress);
+      await expect(escrow.connect(freelancer).withdraw(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(escrow, "NothingToWithdraw");
+    });
+
+    it("Should revert if withdrawing to the zero address", async function () {
+      const { escrow, freelancer, projectId } = await loadFixture(releasedMilestoneFixture);
+
+      await expect(escrow.connect(freelancer).withdrawTo(ethers.ZeroAddress, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(escrow, "InvalidRecipient");
+    });
+
+    it("Should release to a freelancer that rejects ETH", async function () {
+      const { escrow, client, otherAccount, receiverAddress, call, projectId } = await loadFixture(revertingFreelancerFixture);
+
+      await expect(escrow.connect(client).releaseMilestone(projectId, milestoneIndex))
+        .to.emit(escrow, "PaymentCredited")
+        .withArgs(receiverAddress, ethers.ZeroAddress, milestoneAmount);
+
+      await expect(call("withdraw", [ethers.ZeroAddress])).to.be.revertedWith("ETH_TRANSFER_FAILED");
+      expect(await escrow.withdrawable(receiverAddress, ethers.ZeroAddress)).to.equal(milestoneAmount);
+
+      await expect(call("withdrawTo", [ethers.ZeroAddress, otherAccount.address]))
+        .to.changeEtherBalance(otherAccount, milestoneAmount);
+      expect(await escrow.withdrawable(receiverAddress, ethers.ZeroAddress)).to.equal(0n);
+    });
+
+    it("Should let a client that rejects ETH close its project", async function () {
+      const { escrow, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+      const escrowAddress = await escrow.getAddress();
+
+      const Receiver = await ethers.getContractFactory("RevertingReceiver");
+      const receiver = await Receiver.deploy();
+      const receiverAddress = await receiver.getAddress();
+      const call = (name, args, value = 0n) =>
+        receiver.execute(escrowAddress, escrow.interface.encodeFunctionData(name, args), { value });
+
+      const created = await call("createProject", [arbiter.address, ethers.ZeroAddress, ethers.ZeroHash]);
+      const projectId = projectIdFromReceipt(escrow, await created.wait());
+      await escrow.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"), 0);
+      await call("acceptBid", [projectId, freelancer.address, ethers.parseEther("1.0"), ethers.ZeroHash]);
+      await call("createMilestone", [projectId, milestoneIndex, milestoneAmount, deadline, REVIEW_PERIOD, ethers.ZeroHash]);
+      await call("fundMilestone", [projectId, milestoneIndex], milestoneAmount);
+
+      await expect(call("closeProject", [projectId]))
+        .to.emit(escrow, "ProjectClosed")
+        .withArgs(projectId, milestoneAmount, 0n, milestoneAmount);
+      expect(await escrow.withdrawable(receiverAddress, ethers.ZeroAddress)).to.equal(milestoneAmount);
+    });
+
+    it("Should block re-entering withdraw from the receive hook", async function () {
+      const { escrow, client, receiver, receiverAddress, call, projectId } = await loadFixture(reentrantFreelancerFixture);
+
+      await escrow.connect(client).releaseMilestone(projectId, milestoneIndex);
+      await receiver.setReentry(
+        await escrow.getAddress(),
+        escrow.interface.encodeFunctionData("withdraw", [ethers.ZeroAddress])
+      );
+
+      await expect(call("withdraw", [ethers.ZeroAddress]))
+        .to.changeEtherBalances([receiver, escrow], [milestoneAmount, -milestoneAmount]);
+
+      expect(await receiver.reentered()).to.be.true;
+      expect(await receiver.reentrySucceeded()).to.be.false;
+      expect(await receiver.reentryResult()).to.equal(
+        escrow.interface.encodeErrorResult("Error", ["REENTRANCY"])
+      );
+      expect(await escrow.withdrawable(receiverAddress, ethers.ZeroAddress)).to.equal(0n);
+    });
+
+    it("Should withdraw token balances separately from ETH", async function () {
+      const { escrow, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+      const tokenAddress = await token.getAddress();
+      await token.mint(client.address, milestoneAmount);
+      await token.connect(client).approve(await escrow.getAddress(), milestoneAmount);
+
+      const projectId = await createHiredProject(escrow, {
+        client,
+        freelancer,
+        arbiter,
+        token: tokenAddress,
+        bidWei: milestoneAmount,
+        deadline,
+        reviewPeriod: REVIEW_PERIOD,
+        milestones: [{ index: milestoneIndex, amountWei: milestoneAmount, submitted: true }],
+      });
+      await escrow.connect(client).releaseMilestone(projectId, milestoneIndex);
+
+      await expect(escrow.connect(freelancer).withdraw(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(escrow, "NothingToWithdraw");
+      await expect(escrow.connect(freelancer).withdraw(tokenAddress))
+        .to.emit(escrow, "Withdrawn")
+        .withArgs(freelancer.address, tokenAddress, freelancer.address, milestoneAmount);
+      expect(await token.balanceOf(freelancer.address)).to.equal(milestoneAmount);
+      expect(await escrow.totalWithdrawable(tokenAddress)).to.equal(0n);
+    });
+  });
+
   describe("Direct ETH Transfers", function () {
     it("Should revert on direct ETH transfer via receive", async function () {
       const { escrow, client } = await loadFixture(deployEscrowFixture);
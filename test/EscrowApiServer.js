@@ -0,0 +1,331 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { EscrowClient, EscrowApiServer, EscrowIndexer } = require("../sdk");
+const { createProject } = require("./helpers/projects");
+
+describe("EscrowApiServer", function () {
+  const REVIEW_PERIOD = 3 * 24 * 60 * 60;
+
+  async function deployEscrowFixture() {
+    const [client, freelancer, otherAccount, arbiter] = await ethers.getSigners();
+
+    const Escrow = await ethers.getContractFactory("Escrow");
+    const escrow = await Escrow.deploy(client.address, 0, false);
+    const startBlock = await ethers.provider.getBlockNumber();
+    const deadline = (await time.latest()) + 30 * 24 * 60 * 60;
+
+    return { escrow, startBlock, client, freelancer, otherAccount, arbiter, deadline };
+  }
+
+  let server;
+  let baseUrl;
+
+  let serverErrors;
+
+  async function startServer(escrow, startBlock) {
+    const client = EscrowClient.connect(await escrow.getAddress(), ethers.provider);
+    serverErrors = [];
+    server = new EscrowApiServer({
+      client,
+      indexer: new EscrowIndexer({ contract: client.contract, startBlock }),
+      pollInterval: 20,
+      onError: (error) => serverErrors.push(error),
+    });
+    const { port } = await server.listen();
+    baseUrl = `http://127.0.0.1:${port}`;
+  }
+
+  afterEach(async function () {
+    if (server) {
+      await server.close();
+      server = undefined;
+    }
+  });
+
+  async function get(path) {
+    const res = await fetch(baseUrl + path);
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function post(path, body) {
+    const res = await fetch(baseUrl + path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  // Reads Server-Sent Events off a fetch response body.
+  async function openStream(path, headers = {}) {
+    const controller = new AbortController();
+    const res = await fetch(baseUrl + path, { headers, signal: controller.signal });
+    expect(res.headers.get("content-type")).to.equal("text/event-stream");
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    return {
+      async next(count) {
+        const events = [];
+        while (events.length < count) {
+          const end = buffer.indexOf("\n\n");
+          if (end === -1) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            continue;
+          }
+          const fields = Object.fromEntries(buffer.slice(0, end).split("\n")
+            .filter((line) => !line.startsWith(":"))
+            .map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)]));
+          buffer = buffer.slice(end + 2);
+          if (fields.event) {
+            events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+          }
+        }
+        return events;
+      },
+      close() {
+        controller.abort();
+      },
+    };
+  }
+
+  it("Should serve projects, bids and milestones", async function () {
+    const { escrow, startBlock, client, freelancer, otherAccount, arbiter, deadline } =
+      await loadFixture(deployEscrowFixture);
+
+    const projectId = await createProject(escrow, client, arbiter.address, ethers.ZeroAddress, ethers.id("spec"));
+    const otherProjectId = await createProject(escrow, client, arbiter.address);
+    await escrow.connect(freelancer).placeBid(projectId, 100n, 0);
+    await escrow.connect(otherAccount).placeBid(projectId, 90n, 0);
+    await escrow.connect(client).acceptBid(projectId, freelancer.address, 100n, ethers.ZeroHash);
+    await escrow.connect(client).createMilestone(projectId, 2, 60n, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+    await escrow.connect(client).createMilestone(projectId, 1, 40n, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+    await escrow.connect(client).fundMilestone(projectId, 1, { value: 40n });
+
+    await startServer(escrow, startBlock);
+
+    const projects = await get("/projects");
+    expect(projects.status).to.equal(200);
+    expect(projects.body.projects.map((p) => p.projectId)).to.deep.equal([String(projectId), String(otherProjectId)]);
+    expect((await get("/projects?status=Open")).body.projects.map((p) => p.projectId))
+      .to.deep.equal([String(otherProjectId)]);
+
+    const { body: { project } } = await get(`/projects/${projectId}`);
+    expect(project.status).to.equal("InProgress");
+    expect(project.freelancer).to.equal(freelancer.address);
+    expect(project.specHash).to.equal(ethers.id("spec"));
+    expect(project.vaultBalance).to.equal("40");
+    expect(project.payees).to.deep.equal([]);
+    expect(project.splitProposal).to.equal(null);
+    expect(project.cancellation).to.equal(null);
+
+    const bids = await get(`/projects/${projectId}/bids?offset=1&limit=1`);
+    expect(bids.body.bidCount).to.equal(2);
+    expect(bids.body.bids.map((b) => [b.bidder, b.amountWei])).to.deep.equal([[otherAccount.address, "90"]]);
+    const { body: { bid } } = await get(`/projects/${projectId}/bids/${otherAccount.address}`);
+    expect(bid.amountWei).to.equal("90");
+    expect(bid.payees).to.deep.equal([]);
+
+    const milestones = await get(`/projects/${projectId}/milestones`);
+    expect(milestones.body.milestones.map((m) => m.index)).to.deep.equal([1, 2]);
+    expect(milestones.body.totalAmountWei).to.equal("100");
+    expect(milestones.body.totalFundedWei).to.equal("40");
+    const { body: { milestone, amendment } } = await get(`/projects/${projectId}/milestones/1`);
+    expect(milestone.fundedWei).to.equal("40");
+    expect(amendment).to.equal(null);
+
+    const events = await get(`/projects/${projectId}/events?name=BidPlaced`);
+    expect(events.body.events.map((e) => e.args.bidder)).to.deep.equal([freelancer.address, otherAccount.address]);
+
+    const withdrawable = await get(`/accounts/${client.address}/withdrawable`);
+    expect(withdrawable.body.amountWei).to.equal("0");
+  });
+
+  it("Should answer missing resources with 404 and other methods with 405", async function () {
+    const { escrow, startBlock, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+    const projectId = await createProject(escrow, client, arbiter.address);
+    await startServer(escrow, startBlock);
+
+    for (const path of [
+      "/projects/99",
+      "/projects/99/events",
+      `/projects/${projectId}/milestones/7`,
+      `/projects/${projectId}/bids/${freelancer.address}`,
+      "/nothing-here",
+    ]) {
+      const { status, body } = await get(path);
+      expect(status, path).to.equal(404);
+      expect(body.error.name, path).to.equal("NotFound");
+    }
+
+    const { status, body } = await post("/projects", {});
+    expect(status).to.equal(405);
+    expect(body.error.name).to.equal("MethodNotAllowed");
+    expect((await get("/events?fromBlock=-1")).status).to.equal(400);
+  });
+
+  it("Should populate transactions for the caller to sign", async function () {
+    const { escrow, startBlock, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+    await startServer(escrow, startBlock);
+
+    const created = await post("/transactions", {
+      method: "createProject",
+      from: client.address,
+      args: { arbiter: arbiter.address, token: ethers.ZeroAddress, specHash: ethers.ZeroHash },
+    });
+    expect(created.status).to.equal(200);
+    const { transaction } = created.body;
+    expect(transaction.from).to.equal(client.address);
+    expect(transaction.to).to.equal(await escrow.getAddress());
+    expect(transaction.chainId).to.equal("31337");
+    expect(transaction.nonce).to.equal(await client.getNonce());
+    expect(BigInt(transaction.gasLimit)).to.be.greaterThan(0n);
+
+    const receipt = await (await client.sendTransaction(transaction)).wait();
+    const projectId = escrow.interface.parseLog(receipt.logs[0]).args.projectId;
+    expect((await get("/projects")).body.projects.map((p) => p.projectId)).to.deep.equal([String(projectId)]);
+
+    await escrow.connect(freelancer).placeBid(projectId, 50n, 0);
+    await escrow.connect(client).acceptBid(projectId, freelancer.address, 50n, ethers.ZeroHash);
+    await escrow.connect(client).createMilestone(projectId, 1, 50n, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+
+    const funding = await post("/transactions", {
+      method: "fundMilestone",
+      from: client.address,
+      args: [String(projectId), 1],
+      value: "50",
+    });
+    expect(funding.body.transaction.value).to.equal("50");
+    await (await client.sendTransaction(funding.body.transaction)).wait();
+    expect((await get(`/projects/${projectId}/milestones/1`)).body.milestone.fundedWei).to.equal("50");
+  });
+
+  it("Should decode reverts and reject invalid transaction requests", async function () {
+    const { escrow, startBlock, client, freelancer, otherAccount, arbiter } = await loadFixture(deployEscrowFixture);
+    const projectId = await createProject(escrow, client, arbiter.address);
+    await escrow.connect(freelancer).placeBid(projectId, 50n, 0);
+    await startServer(escrow, startBlock);
+
+    const reverted = await post("/transactions", {
+      method: "acceptBid",
+      from: otherAccount.address,
+      args: [String(projectId), freelancer.address, "50", ethers.ZeroHash],
+    });
+    expect(reverted.status).to.equal(422);
+    expect(reverted.body.error.name).to.equal("UnauthorizedError");
+    expect(reverted.body.error.errorName).to.equal("Unauthorized");
+
+    const missing = await post("/transactions", {
+      method: "acceptBid",
+      from: client.address,
+      args: [String(projectId), freelancer.address, "50", ethers.ZeroHash].slice(0, 2),
+    });
+    expect(missing.status).to.equal(400);
+    expect(missing.body.error.message).to.equal("acceptBid takes 4 arguments, got 2");
+
+    const view = await post("/transactions", { method: "projects", from: client.address, args: [1] });
+    expect(view.status).to.equal(400);
+    expect(view.body.error.message).to.equal("projects is not an Escrow write method");
+
+    const named = await post("/transactions", { method: "withdrawBid", from: freelancer.address, args: {} });
+    expect(named.status).to.equal(400);
+    expect(named.body.error.message).to.equal("Missing argument projectId for withdrawBid");
+
+    expect((await post("/transactions", "{")).status).to.equal(400);
+    expect((await post("/transactions", { method: "withdraw" })).status).to.equal(400);
+
+    const badFrom = await post("/transactions", { method: "withdrawBid", from: "0x1234", args: [String(projectId)] });
+    expect(badFrom.status).to.equal(400);
+    expect(badFrom.body.error.message).to.equal("from is not an address: 0x1234");
+
+    const unpayable = await post("/transactions", {
+      method: "createProject",
+      from: client.address,
+      args: [arbiter.address, ethers.ZeroAddress, ethers.ZeroHash],
+      value: "1",
+    });
+    expect(unpayable.status).to.equal(400);
+    expect(unpayable.body.error.message).to.equal("createProject does not accept a value");
+
+    const badValue = await post("/transactions", {
+      method: "fundMilestone",
+      from: client.address,
+      args: [String(projectId), 0],
+      value: "one",
+    });
+    expect(badValue.status).to.equal(400);
+
+    const badArbiter = await post("/transactions", {
+      method: "createProject",
+      from: client.address,
+      args: ["foo", ethers.ZeroAddress, ethers.ZeroHash],
+    });
+    expect(badArbiter.status).to.equal(400);
+    expect(badArbiter.body.error.message).to.equal("arbiter is not an address: foo");
+
+    const badPayee = await post("/transactions", {
+      method: "setBidPayees",
+      from: freelancer.address,
+      args: [String(projectId), [freelancer.address, "bar"], [5_000, 5_000]],
+    });
+    expect(badPayee.status).to.equal(400);
+    expect(badPayee.body.error.message).to.equal("accounts is not an address: bar");
+
+    const badToken = await get(`/accounts/${client.address}/withdrawable?token=foo`);
+    expect(badToken.status).to.equal(400);
+    expect(badToken.body.error.message).to.equal("token is not an address: foo");
+    expect((await get("/projects?client=foo")).status).to.equal(400);
+    expect(serverErrors).to.deep.equal([]);
+  });
+
+  it("Should not subscribe a client that left while waiting to stream", async function () {
+    const { escrow, startBlock } = await loadFixture(deployEscrowFixture);
+    await startServer(escrow, startBlock);
+
+    // Hold the sync queue so the stream request waits for it.
+    let release;
+    const held = server._exclusive(() => new Promise((resolve) => { release = resolve; }));
+    const controller = new AbortController();
+    const request = fetch(baseUrl + "/events/stream", { signal: controller.signal }).catch(() => {});
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    controller.abort();
+    await request;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    release();
+    await held;
+    await server._exclusive(() => {});
+    expect(server._subscribers.size).to.equal(0);
+  });
+
+  it("Should stream new events and replay missed ones", async function () {
+    const { escrow, startBlock, client, freelancer, otherAccount, arbiter } = await loadFixture(deployEscrowFixture);
+    const projectId = await createProject(escrow, client, arbiter.address);
+    const otherProjectId = await createProject(escrow, client, arbiter.address);
+    await startServer(escrow, startBlock);
+
+    const stream = await openStream(`/events/stream?projectId=${projectId}`);
+    await escrow.connect(freelancer).placeBid(otherProjectId, 70n, 0);
+    await escrow.connect(freelancer).placeBid(projectId, 50n, 0);
+    await escrow.connect(otherAccount).placeBid(projectId, 60n, 0);
+
+    const events = await stream.next(2);
+    stream.close();
+    expect(events.map((e) => e.event)).to.deep.equal(["BidPlaced", "BidPlaced"]);
+    expect(events.map((e) => e.data.args.bidder)).to.deep.equal([freelancer.address, otherAccount.address]);
+
+    await escrow.connect(client).acceptBid(projectId, otherAccount.address, 60n, ethers.ZeroHash);
+    const resumed = await openStream(`/events/stream?projectId=${projectId}`, { "Last-Event-ID": events[0].id });
+    const replayed = await resumed.next(2);
+    resumed.close();
+    expect(replayed.map((e) => e.event)).to.deep.equal(["BidPlaced", "BidAccepted"]);
+    expect(replayed[0].data.args.bidder).to.equal(otherAccount.address);
+  });
+});
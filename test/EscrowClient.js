@@ -0,0 +1,637 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const {
+  EscrowClient,
+  EscrowError,
+  UnauthorizedError,
+  InvalidStatusError,
+  MilestoneNotFoundError,
+  NotSubmittedError,
+  InsufficientMilestoneFundsError,
+  EthTransferFailedError,
+  NothingToWithdrawError,
+  MilestoneFullyFundedError,
+  AmendmentNotFoundError,
+  SignatureExpiredError,
+  NonceUsedError,
+  FeeTooHighError,
+  ContractPausedError,
+  RescueExceedsSurplusError,
+  BidAmountMismatchError,
+  InvalidPayeesError,
+  SplitMismatchError,
+  SubmittedWorkPendingError,
+  CancellationMismatchError,
+  decodeEscrowError,
+  hashSplit,
+  recoverBidSigner,
+  recoverSubmitMilestoneSigner,
+  serializeSignedMessage,
+  parseSignedMessage,
+  contentHashToCid,
+} = require("../sdk");
+
+describe("EscrowClient", function () {
+  const REVIEW_PERIOD = 3 * 24 * 60 * 60;
+
+  async function deployClientFixture() {
+    const [client, freelancer, otherAccount, arbiter] = await ethers.getSigners();
+
+    const Escrow = await ethers.getContractFactory("Escrow");
+    const escrow = await Escrow.deploy(client.address, 0, false);
+
+    const sdk = EscrowClient.connect(await escrow.getAddress(), client);
+    const deadline = (await time.latest()) + 30 * 24 * 60 * 60;
+
+    return { escrow, sdk, client, freelancer, otherAccount, arbiter, deadline };
+  }
+
+  async function inProgressFixture() {
+    const fixture = await deployClientFixture();
+    const { sdk, freelancer, arbiter } = fixture;
+
+    const { projectId } = await sdk.createProject(arbiter.address);
+    await sdk.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
+    await sdk.acceptBid(projectId, freelancer.address, ethers.parseEther("1.0"));
+
+    return { ...fixture, projectId };
+  }
+
+  describe("Lifecycle", function () {
+    it("Should run a project from creation to close", async function () {
+      const { sdk, client, freelancer, arbiter, deadline } = await loadFixture(deployClientFixture);
+      const amount = ethers.parseEther("0.5");
+
+      const created = await sdk.createProject(arbiter.address);
+      const { projectId } = created;
+      expect(projectId).to.equal(1n);
+      expect(created.events).to.deep.equal([
+        {
+          name: "ProjectCreated",
+          args: {
+            projectId,
+            client: client.address,
+            arbiter: arbiter.address,
+            token: ethers.ZeroAddress,
+            specHash: ethers.ZeroHash,
+          },
+        },
+      ]);
+
+      await sdk.connect(freelancer).placeBid(projectId, ethers.parseEther("1.0"));
+      await sdk.acceptBid(projectId, freelancer.address, ethers.parseEther("1.0"));
+      await sdk.createMilestone(projectId, 0, amount, deadline, REVIEW_PERIOD);
+
+      const funded = await sdk.fundMilestone(projectId, 0, ethers.parseEther("0.8"));
+      expect(funded.events.map((e) => e.name)).to.deep.equal(["MilestoneFunded", "PaymentCredited"]);
+      expect(funded.events[0].args.totalFundedWei).to.equal(amount);
+      expect(funded.events[1].args.amountWei).to.equal(ethers.parseEther("0.3"));
+
+      await sdk.connect(freelancer).submitMilestone(projectId, 0);
+
+      const released = await sdk.releaseMilestone(projectId, 0);
+      expect(released.receipt.status).to.equal(1);
+      expect(released.events).to.deep.equal([
+        {
+          name: "PaymentCredited",
+          args: { account: freelancer.address, token: ethers.ZeroAddress, amountWei: amount },
+        },
+        {
+          name: "MilestoneReleased",
+          args: { projectId, index: 0n, amountWei: amount, feeWei: 0n, netWei: amount },
+        },
+      ]);
+
+      const closed = await sdk.closeProject(projectId);
+      expect(closed.events).to.deep.equal([
+        { name: "ProjectClosed", args: { projectId, refundedWei: 0n, feeWei: 0n, netWei: 0n } },
+      ]);
+      expect(await sdk.getWithdrawable(client.address)).to.equal(ethers.parseEther("0.3"));
+    });
+
+    it("Should withdraw credited payouts", async function () {
+      const { sdk, freelancer, otherAccount, deadline, projectId } = await loadFixture(inProgressFixture);
+
+      await sdk.createMilestone(projectId, 0, 100n, deadline, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 0, 100n);
+      await sdk.connect(freelancer).submitMilestone(projectId, 0);
+      await sdk.releaseMilestone(projectId, 0);
+      expect(await sdk.getWithdrawable(freelancer.address)).to.equal(100n);
+
+      const withdrawn = await sdk.connect(freelancer).withdrawTo(ethers.ZeroAddress, otherAccount.address);
+      expect(withdrawn.events).to.deep.equal([
+        {
+          name: "Withdrawn",
+          args: {
+            account: freelancer.address,
+            token: ethers.ZeroAddress,
+            to: otherAccount.address,
+            amountWei: 100n,
+          },
+        },
+      ]);
+      expect(await sdk.getWithdrawable(freelancer.address)).to.equal(0n);
+
+      await expect(sdk.connect(freelancer).withdraw())
+        .to.be.rejectedWith(NothingToWithdrawError);
+    });
+
+    it("Should approve and fund token milestones", async function () {
+      const { sdk, client, freelancer, arbiter, deadline } = await loadFixture(deployClientFixture);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+      await token.mint(client.address, 1_000_000n);
+
+      const { projectId } = await sdk.createProject(arbiter.address, await token.getAddress());
+      expect(await sdk.getAsset(projectId)).to.deep.equal({
+        token: await token.getAddress(),
+        symbol: "mUSDC",
+        decimals: 6,
+      });
+
+      await sdk.connect(freelancer).placeBid(projectId, 400_000n);
+      await sdk.acceptBid(projectId, freelancer.address, 400_000n);
+      await sdk.createMilestone(projectId, 0, 400_000n, deadline, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 0, 400_000n);
+
+      expect((await sdk.getMilestone(projectId, 0)).fundedWei).to.equal(400_000n);
+      expect(await token.balanceOf(await sdk.getAddress())).to.equal(400_000n);
+    });
+
+    it("Should create, fund and release milestones in batches", async function () {
+      const { sdk, freelancer, deadline, projectId } = await loadFixture(inProgressFixture);
+
+      const created = await sdk.createMilestones(projectId, [
+        { index: 0, amountWei: 100n, deadline, reviewPeriod: REVIEW_PERIOD },
+        { index: 1, amountWei: 50n, deadline: deadline + 60, reviewPeriod: 1 },
+      ]);
+      expect(created.events.map((e) => e.name)).to.deep.equal(["MilestoneCreated", "MilestoneCreated"]);
+
+      const funded = await sdk.fundMilestones(projectId, [
+        { index: 0, amount: 100n },
+        { index: 1, amount: 60n },
+      ]);
+      expect(funded.events.map((e) => e.name)).to.deep.equal(["MilestoneFunded", "MilestoneFunded", "PaymentCredited"]);
+      await expect(sdk.fundMilestones(projectId, [{ index: 2, amount: 1n }])).to.be.rejectedWith(MilestoneNotFoundError);
+
+      await sdk.connect(freelancer).submitMilestone(projectId, 0);
+      await expect(sdk.releaseMilestones(projectId, [0, 1])).to.be.rejectedWith(NotSubmittedError);
+      await sdk.connect(freelancer).submitMilestone(projectId, 1);
+      const released = await sdk.releaseMilestones(projectId, [0, 1]);
+      expect(released.events.filter((e) => e.name === "MilestoneReleased")).to.have.length(2);
+      expect(await sdk.getWithdrawable(freelancer.address)).to.equal(150n);
+    });
+
+    it("Should fund a token batch with one approval", async function () {
+      const { sdk, client, freelancer, arbiter, deadline } = await loadFixture(deployClientFixture);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+      await token.mint(client.address, 1_000n);
+
+      const { projectId } = await sdk.createProject(arbiter.address, await token.getAddress());
+      await sdk.connect(freelancer).placeBid(projectId, 1n);
+      await sdk.acceptBid(projectId, freelancer.address, 1n);
+      await sdk.createMilestones(projectId, [
+        { index: 0, amountWei: 300n, deadline, reviewPeriod: REVIEW_PERIOD },
+        { index: 1, amountWei: 200n, deadline, reviewPeriod: REVIEW_PERIOD },
+      ]);
+      await sdk.fundMilestones(projectId, [
+        { index: 0, amount: 300n },
+        { index: 1, amount: 200n },
+      ]);
+
+      expect(await token.allowance(client.address, await sdk.getAddress())).to.equal(0n);
+      expect(await token.balanceOf(await sdk.getAddress())).to.equal(500n);
+    });
+
+    it("Should amend and cancel milestones", async function () {
+      const { sdk, client, freelancer, deadline, projectId } = await loadFixture(inProgressFixture);
+
+      await sdk.createMilestone(projectId, 0, 100n, deadline, REVIEW_PERIOD);
+      await sdk.createMilestone(projectId, 1, 50n, deadline, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 0, 100n);
+      await sdk.fundMilestone(projectId, 1, 20n);
+
+      const proposed = await sdk.amendMilestone(projectId, 0, 60n, deadline, REVIEW_PERIOD);
+      expect(proposed.events[0].name).to.equal("MilestoneAmendmentProposed");
+      expect(await sdk.getAmendment(projectId, 0)).to.deep.equal({
+        projectId,
+        index: 0,
+        amountWei: 60n,
+        deadline,
+        reviewPeriod: REVIEW_PERIOD,
+        exists: true,
+      });
+
+      await expect(sdk.connect(freelancer).acceptAmendment(projectId, 0, 70n, deadline, REVIEW_PERIOD))
+        .to.be.rejectedWith(AmendmentNotFoundError);
+      await sdk.connect(freelancer).acceptAmendment(projectId, 0, 60n, deadline, REVIEW_PERIOD);
+      expect((await sdk.getMilestone(projectId, 0)).amountWei).to.equal(60n);
+      expect((await sdk.getAmendment(projectId, 0)).exists).to.be.false;
+
+      await expect(sdk.fundMilestone(projectId, 0, 1n)).to.be.rejectedWith(MilestoneFullyFundedError);
+
+      const cancelled = await sdk.cancelMilestone(projectId, 1);
+      expect(cancelled.events.at(-1)).to.deep.equal({
+        name: "MilestoneCancelled",
+        args: { projectId, index: 1n, refundedWei: 20n },
+      });
+
+      const summary = await sdk.getProjectSummary(projectId);
+      expect(summary.milestones.map((m) => m.index)).to.deep.equal([0]);
+      expect(await sdk.getWithdrawable(client.address)).to.equal(60n);
+    });
+
+    it("Should open and resolve a dispute", async function () {
+      const { sdk, freelancer, arbiter, deadline, projectId } = await loadFixture(inProgressFixture);
+
+      await sdk.createMilestone(projectId, 0, 100n, deadline, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 0, 100n);
+      await sdk.connect(freelancer).submitMilestone(projectId, 0);
+
+      await sdk.openDispute(projectId, 0);
+      expect((await sdk.getMilestone(projectId, 0)).disputed).to.be.true;
+      expect((await sdk.getProject(projectId)).disputedWei).to.equal(100n);
+
+      const resolved = await sdk.connect(arbiter).resolveDispute(projectId, 0, 60n);
+      expect(resolved.events.at(-1)).to.deep.equal({
+        name: "DisputeResolved",
+        args: { projectId, index: 0n, freelancerWei: 60n, clientWei: 40n, feeWei: 0n, netWei: 60n },
+      });
+    });
+  });
+
+  describe("Cancelling and resigning", function () {
+    it("Should cancel a project on the terms both parties agreed", async function () {
+      const { sdk, client, freelancer, deadline, projectId } = await loadFixture(inProgressFixture);
+
+      await sdk.createMilestone(projectId, 0, 100n, deadline, REVIEW_PERIOD);
+      await sdk.createMilestone(projectId, 1, 50n, deadline, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 0, 100n);
+      await sdk.fundMilestone(projectId, 1, 50n);
+      await sdk.connect(freelancer).submitMilestone(projectId, 0);
+      expect(await sdk.getProject(projectId)).to.include({ submittedWei: 100n, submittedCount: 1 });
+      expect((await sdk.getCancellation(projectId)).exists).to.be.false;
+
+      await expect(sdk.closeProject(projectId)).to.be.rejectedWith(SubmittedWorkPendingError);
+
+      await sdk.proposeCancellation(projectId);
+      const cancellation = await sdk.getCancellation(projectId);
+      expect(cancellation).to.deep.equal({
+        projectId,
+        proposedBy: client.address,
+        freelancerWei: 100n,
+        clientWei: 50n,
+        exists: true,
+      });
+
+      await expect(sdk.connect(freelancer).acceptCancellation(projectId, { ...cancellation, clientWei: 150n }))
+        .to.be.rejectedWith(CancellationMismatchError);
+      const accepted = await sdk.connect(freelancer).acceptCancellation(projectId, cancellation);
+      expect(accepted.events.at(-1)).to.deep.equal({
+        name: "ProjectCancelled",
+        args: { projectId, freelancerWei: 100n, clientWei: 50n, feeWei: 0n },
+      });
+      expect((await sdk.getProject(projectId)).status).to.equal("Closed");
+      expect(await sdk.getWithdrawable(freelancer.address)).to.equal(100n);
+    });
+
+    it("Should reopen a project when the freelancer resigns", async function () {
+      const { sdk, freelancer, deadline, projectId } = await loadFixture(inProgressFixture);
+
+      await sdk.createMilestone(projectId, 0, 100n, deadline, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 0, 100n);
+
+      const resigned = await sdk.connect(freelancer).resign(projectId);
+      expect(resigned.events.map((e) => e.name)).to.deep.equal(["BidWithdrawn", "FreelancerResigned"]);
+      const project = await sdk.getProject(projectId);
+      expect(project).to.include({ status: "Open", freelancer: ethers.ZeroAddress, vaultBalance: 100n });
+      expect((await sdk.getBid(projectId, freelancer.address)).exists).to.be.false;
+    });
+  });
+
+  describe("Reads", function () {
+    it("Should return typed projects, bids and milestones", async function () {
+      const { sdk, client, freelancer, arbiter, deadline, projectId } = await loadFixture(inProgressFixture);
+      const specHash = ethers.sha256(ethers.toUtf8Bytes("milestone 3"));
+      await sdk.createMilestone(projectId, 3, 100n, deadline, REVIEW_PERIOD, contentHashToCid(specHash));
+
+      expect(await sdk.getProject(projectId)).to.deep.equal({
+        projectId,
+        client: client.address,
+        freelancer: freelancer.address,
+        arbiter: arbiter.address,
+        token: ethers.ZeroAddress,
+        specHash: ethers.ZeroHash,
+        status: "InProgress",
+        vaultBalance: 0n,
+        disputedWei: 0n,
+        submittedWei: 0n,
+        submittedCount: 0,
+        exists: true,
+      });
+
+      expect(await sdk.getBid(projectId, freelancer.address)).to.deep.equal({
+        projectId,
+        bidder: freelancer.address,
+        amountWei: ethers.parseEther("1.0"),
+        expiry: 0,
+        exists: true,
+      });
+
+      expect(await sdk.getMilestone(projectId, 3)).to.deep.equal({
+        projectId,
+        index: 3,
+        amountWei: 100n,
+        fundedWei: 0n,
+        specHash,
+        deliverableHash: ethers.ZeroHash,
+        deadline,
+        submittedAt: 0,
+        reviewPeriod: REVIEW_PERIOD,
+        submitted: false,
+        released: false,
+        disputed: false,
+        exists: true,
+        reclaimed: false,
+      });
+    });
+
+    it("Should page through a project's bids", async function () {
+      const { sdk, freelancer, otherAccount, arbiter } = await loadFixture(deployClientFixture);
+      const expiry = (await time.latest()) + 3600;
+
+      const { projectId } = await sdk.createProject(arbiter.address);
+      await sdk.connect(freelancer).placeBid(projectId, 100n);
+      await sdk.connect(otherAccount).placeBid(projectId, 90n, { expiry });
+      const updated = await sdk.connect(otherAccount).placeBid(projectId, 85n, { expiry });
+      expect(updated.events).to.deep.equal([
+        {
+          name: "BidUpdated",
+          args: { projectId, bidder: otherAccount.address, previousAmountWei: 90n, amountWei: 85n, expiry: BigInt(expiry) },
+        },
+      ]);
+
+      expect(await sdk.getBidCount(projectId)).to.equal(2);
+      const bids = await sdk.getBids(projectId, { pageSize: 1 });
+      expect(bids.map((b) => [b.bidder, b.amountWei, b.expiry])).to.deep.equal([
+        [freelancer.address, 100n, 0],
+        [otherAccount.address, 85n, expiry],
+      ]);
+      expect(await sdk.getBids(projectId, { offset: 1, limit: 1 })).to.deep.equal([bids[1]]);
+
+      await sdk.connect(freelancer).withdrawBid(projectId);
+      expect((await sdk.getBids(projectId)).map((b) => b.bidder)).to.deep.equal([otherAccount.address]);
+      await expect(sdk.acceptBid(projectId, otherAccount.address, 90n)).to.be.rejectedWith(BidAmountMismatchError);
+      await sdk.acceptBid(projectId, otherAccount.address, 85n);
+    });
+
+    it("Should summarize a project's milestones", async function () {
+      const { sdk, freelancer, deadline, projectId } = await loadFixture(inProgressFixture);
+
+      await sdk.createMilestone(projectId, 7, 300n, deadline, REVIEW_PERIOD);
+      await sdk.createMilestone(projectId, 2, 200n, deadline, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 2, 200n);
+      await sdk.fundMilestone(projectId, 7, 150n);
+      await sdk.connect(freelancer).submitMilestone(projectId, 2);
+      await sdk.releaseMilestone(projectId, 2);
+      // Refunded to the client, so not part of what was released.
+      await sdk.createMilestone(projectId, 9, 50n, (await time.latest()) + 3600, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 9, 50n);
+      await time.increase(3601);
+      await sdk.reclaimMilestone(projectId, 9);
+
+      const summary = await sdk.getProjectSummary(projectId);
+      expect(summary.project.vaultBalance).to.equal(150n);
+      expect(summary.milestones.map((m) => m.index)).to.deep.equal([2, 7, 9]);
+      expect(summary.milestones[0].released).to.be.true;
+      expect(summary.milestones[2]).to.include({ released: false, reclaimed: true });
+      expect(summary.totalAmountWei).to.equal(550n);
+      expect(summary.totalFundedWei).to.equal(150n);
+      expect(summary.totalReleasedWei).to.equal(200n);
+    });
+  });
+
+  describe("Payment splits", function () {
+    it("Should split a bid, then change the split with every payee's approval", async function () {
+      const { sdk, freelancer, otherAccount, arbiter, deadline } = await loadFixture(deployClientFixture);
+      const team = sdk.connect(freelancer);
+      const split = [
+        { account: freelancer.address, shareBps: 6_000 },
+        { account: otherAccount.address, shareBps: 4_000 },
+      ];
+
+      const { projectId } = await sdk.createProject(arbiter.address);
+      await team.placeBid(projectId, 100n);
+      await expect(team.setBidPayees(projectId, [{ account: freelancer.address, shareBps: 9_999 }]))
+        .to.be.rejectedWith(InvalidPayeesError);
+      await team.setBidPayees(projectId, split);
+      expect(await sdk.getBidPayees(projectId, freelancer.address)).to.deep.equal(split);
+
+      await expect(sdk.acceptBid(projectId, freelancer.address, 100n)).to.be.rejectedWith(SplitMismatchError);
+      await sdk.acceptBid(projectId, freelancer.address, 100n, split);
+      expect(await sdk.getPayees(projectId)).to.deep.equal(split);
+
+      const proposed = [{ account: otherAccount.address, shareBps: 10_000 }];
+      await team.proposeSplit(projectId, proposed);
+      expect(await sdk.getSplitProposal(projectId)).to.deep.equal({
+        splitHash: hashSplit(proposed),
+        payees: proposed,
+        approvals: 1,
+      });
+      await expect(sdk.connect(otherAccount).approveSplit(projectId, hashSplit(split)))
+        .to.be.rejectedWith(SplitMismatchError);
+      const approved = await sdk.connect(otherAccount).approveSplit(projectId, hashSplit(proposed));
+      expect(approved.events.map((e) => e.name)).to.deep.equal(["SplitApproved", "SplitChanged"]);
+      expect(await sdk.getPayees(projectId)).to.deep.equal(proposed);
+
+      await sdk.createMilestone(projectId, 0, 100n, deadline, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 0, 100n);
+      await team.submitMilestone(projectId, 0);
+      await sdk.releaseMilestone(projectId, 0);
+      expect(await sdk.getWithdrawable(otherAccount.address)).to.equal(100n);
+    });
+  });
+
+  describe("Platform fee", function () {
+    it("Should read and change the fee configuration", async function () {
+      const { sdk, client, freelancer, otherAccount } = await loadFixture(deployClientFixture);
+
+      expect(await sdk.getFeeConfig()).to.deep.equal({
+        owner: client.address,
+        treasury: client.address,
+        feeBps: 0,
+        chargeFeeOnClose: false,
+        maxFeeBps: 1000,
+      });
+
+      await expect(sdk.setFee(1001, false)).to.be.rejectedWith(FeeTooHighError);
+      await expect(sdk.connect(freelancer).setFee(100, false)).to.be.rejectedWith(UnauthorizedError);
+
+      const updated = await sdk.setFee(250, true);
+      expect(updated.events).to.deep.equal([{ name: "FeeUpdated", args: { feeBps: 250n, chargeFeeOnClose: true } }]);
+      await sdk.setTreasury(otherAccount.address);
+
+      expect(await sdk.getFeeConfig()).to.include({ treasury: otherAccount.address, feeBps: 250, chargeFeeOnClose: true });
+    });
+  });
+
+  describe("Admin", function () {
+    it("Should hand over ownership and pause", async function () {
+      const { sdk, client, freelancer, otherAccount, arbiter } = await loadFixture(deployClientFixture);
+
+      await sdk.transferOwnership(otherAccount.address);
+      expect(await sdk.getAdminState()).to.deep.equal({
+        owner: client.address,
+        pendingOwner: otherAccount.address,
+        guardian: client.address,
+        paused: false,
+      });
+      await expect(sdk.connect(freelancer).acceptOwnership()).to.be.rejectedWith(UnauthorizedError);
+      await sdk.connect(otherAccount).acceptOwnership();
+
+      const owner = sdk.connect(otherAccount);
+      await owner.setGuardian(freelancer.address);
+      await sdk.connect(freelancer).pause();
+      expect(await sdk.getAdminState()).to.deep.equal({
+        owner: otherAccount.address,
+        pendingOwner: ethers.ZeroAddress,
+        guardian: freelancer.address,
+        paused: true,
+      });
+
+      await expect(sdk.createProject(arbiter.address)).to.be.rejectedWith(ContractPausedError);
+      await owner.unpause();
+      await sdk.createProject(arbiter.address);
+    });
+
+    it("Should only rescue the token surplus", async function () {
+      const { sdk, escrow, client, freelancer, otherAccount, arbiter, deadline } = await loadFixture(deployClientFixture);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+      const tokenAddress = await token.getAddress();
+      await token.mint(client.address, 1_000n);
+
+      const { projectId } = await sdk.createProject(arbiter.address, tokenAddress);
+      await sdk.connect(freelancer).placeBid(projectId, 1n);
+      await sdk.acceptBid(projectId, freelancer.address, 1n);
+      await sdk.createMilestone(projectId, 0, 400n, deadline, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 0, 400n);
+      expect(await sdk.getRescuableAmount(tokenAddress)).to.equal(0n);
+
+      await token.connect(client).transfer(await escrow.getAddress(), 25n);
+      expect(await sdk.getRescuableAmount(tokenAddress)).to.equal(25n);
+
+      await expect(sdk.rescueToken(tokenAddress, otherAccount.address, 26n))
+        .to.be.rejectedWith(RescueExceedsSurplusError);
+      const rescued = await sdk.rescueToken(tokenAddress, otherAccount.address, 25n);
+      expect(rescued.events).to.deep.equal([
+        { name: "TokensRescued", args: { token: tokenAddress, to: otherAccount.address, amountWei: 25n } },
+      ]);
+      expect(await token.balanceOf(otherAccount.address)).to.equal(25n);
+    });
+  });
+
+  describe("Signed messages", function () {
+    it("Should hire from a signed bid", async function () {
+      const { sdk, escrow, freelancer, otherAccount, arbiter } = await loadFixture(deployClientFixture);
+      const { projectId } = await sdk.createProject(arbiter.address);
+
+      const expiry = (await time.latest()) + 3600;
+      const payees = [
+        { account: freelancer.address, shareBps: 8_000 },
+        { account: otherAccount.address, shareBps: 2_000 },
+      ];
+      const bid = await sdk.connect(freelancer).signBid(projectId, 500n, { expiry, payees, nonce: 42n });
+      expect(bid).to.include({ projectId, bidder: freelancer.address, amountWei: 500n, nonce: 42n, expiry });
+      expect(bid.payees).to.deep.equal([freelancer.address, otherAccount.address]);
+      expect(bid.sharesBps).to.deep.equal([8_000, 2_000]);
+
+      const domain = await sdk.getDomain();
+      expect(domain.verifyingContract).to.equal(await escrow.getAddress());
+      expect(recoverBidSigner(domain, bid)).to.equal(freelancer.address);
+
+      const sent = parseSignedMessage(JSON.parse(JSON.stringify(serializeSignedMessage(bid))));
+      expect(sent).to.deep.equal(bid);
+
+      const accepted = await sdk.acceptSignedBid(sent);
+      expect(accepted.events.map((e) => e.name)).to.deep.equal(["BidPlaced", "BidPayeesSet", "BidAccepted"]);
+      expect((await sdk.getProject(projectId)).freelancer).to.equal(freelancer.address);
+      expect(await sdk.getPayees(projectId)).to.deep.equal(payees);
+      expect(await sdk.isNonceUsed(freelancer.address, 42n)).to.be.true;
+    });
+
+    it("Should relay a signed submission and reject spent ones", async function () {
+      const { sdk, freelancer, otherAccount, deadline, projectId } = await loadFixture(inProgressFixture);
+      await sdk.createMilestone(projectId, 0, 100n, deadline, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 0, 100n);
+
+      const expiry = (await time.latest()) + 3600;
+      const deliverableHash = ethers.sha256(ethers.toUtf8Bytes("deliverable"));
+      const submission = await sdk.connect(freelancer).signSubmitMilestone(projectId, 0, { deliverableHash, expiry });
+      expect(recoverSubmitMilestoneSigner(await sdk.getDomain(), submission)).to.equal(freelancer.address);
+
+      const relayer = sdk.connect(otherAccount);
+      await relayer.submitMilestoneWithSig(submission);
+      expect(await sdk.getMilestone(projectId, 0)).to.include({ submitted: true, deliverableHash });
+      await expect(relayer.submitMilestoneWithSig(submission)).to.be.rejectedWith(NonceUsedError);
+
+      const late = await sdk.connect(freelancer).signSubmitMilestone(projectId, 0, { expiry });
+      await sdk.connect(freelancer).cancelNonce(late.nonce);
+      expect(await sdk.isNonceUsed(freelancer.address, late.nonce)).to.be.true;
+
+      await time.increaseTo(expiry + 1);
+      await expect(relayer.submitMilestoneWithSig(late)).to.be.rejectedWith(SignatureExpiredError);
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should decode custom errors into named classes", async function () {
+      const { sdk, otherAccount, projectId } = await loadFixture(inProgressFixture);
+
+      await expect(sdk.connect(otherAccount).closeProject(projectId))
+        .to.be.rejectedWith(UnauthorizedError);
+      await expect(sdk.acceptBid(projectId, otherAccount.address, 1n))
+        .to.be.rejectedWith(InvalidStatusError);
+
+      const error = await sdk.fundMilestone(projectId, 9, 1n).catch((e) => e);
+      expect(error).to.be.instanceOf(MilestoneNotFoundError);
+      expect(error).to.be.instanceOf(EscrowError);
+      expect(error.name).to.equal("MilestoneNotFoundError");
+      expect(error.errorName).to.equal("MilestoneNotFound");
+      expect(error.cause).to.exist;
+    });
+
+    it("Should decode string reverts into named classes", async function () {
+      const { sdk, freelancer, deadline, projectId } = await loadFixture(inProgressFixture);
+
+      await sdk.createMilestone(projectId, 0, 100n, deadline, REVIEW_PERIOD);
+      await sdk.fundMilestone(projectId, 0, 50n);
+      await sdk.connect(freelancer).submitMilestone(projectId, 0);
+
+      const error = await sdk.releaseMilestone(projectId, 0).catch((e) => e);
+      expect(error).to.be.instanceOf(InsufficientMilestoneFundsError);
+      expect(error.errorName).to.equal("Insufficient milestone funds");
+    });
+
+    it("Should decode ETH_TRANSFER_FAILED revert data", async function () {
+      const { escrow } = await loadFixture(deployClientFixture);
+      const data = escrow.interface.encodeErrorResult("Error", ["ETH_TRANSFER_FAILED"]);
+
+      const error = decodeEscrowError({ data }, escrow.interface);
+      expect(error).to.be.instanceOf(EthTransferFailedError);
+    });
+
+    it("Should pass through errors that are not reverts", async function () {
+      const { escrow } = await loadFixture(deployClientFixture);
+      const original = new Error("network down");
+
+      expect(decodeEscrowError(original, escrow.interface)).to.equal(original);
+    });
+  });
+});
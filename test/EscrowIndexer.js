@@ -0,0 +1,409 @@
+const {
+  loadFixture,
+  mine,
+  takeSnapshot,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { hashSplit } = require("../sdk");
+const { EscrowIndexer, JsonFileStore, MemoryStore } = require("../sdk/indexer");
+const { createHiredProject, createProject } = require("./helpers/projects");
+
+describe("EscrowIndexer", function () {
+  const REVIEW_PERIOD = 3 * 24 * 60 * 60;
+
+  async function deployEscrowFixture() {
+    const [client, freelancer, otherAccount, arbiter] = await ethers.getSigners();
+
+    const Escrow = await ethers.getContractFactory("Escrow");
+    const escrow = await Escrow.deploy(client.address, 0, false);
+    const startBlock = await ethers.provider.getBlockNumber();
+    const deadline = (await time.latest()) + 30 * 24 * 60 * 60;
+
+    return { escrow, startBlock, client, freelancer, otherAccount, arbiter, deadline };
+  }
+
+  function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-indexer-"));
+    return path.join(dir, "index.json");
+  }
+
+  it("Should rebuild projects, bids and milestones from events", async function () {
+    const { escrow, startBlock, client, freelancer, otherAccount, arbiter, deadline } =
+      await loadFixture(deployEscrowFixture);
+
+    const projectId = await createProject(escrow, client, arbiter.address);
+    const otherProjectId = await createProject(escrow, client, arbiter.address);
+    await escrow.connect(freelancer).placeBid(projectId, 100n, 0);
+    await escrow.connect(otherAccount).placeBid(projectId, 90n, 0);
+    await escrow.connect(freelancer).placeBid(projectId, 80n, 0);
+    await escrow.connect(client).acceptBid(projectId, freelancer.address, 80n, ethers.ZeroHash);
+    await escrow.connect(client).createMilestone(projectId, 4, 50n, deadline, REVIEW_PERIOD, ethers.ZeroHash);
+    await escrow.connect(client).createMilestone(projectId, 1, 30n, deadline, REVIEW_PERIOD, ethers.id("spec 1"));
+    await escrow.connect(client).fundMilestone(projectId, 1, { value: 40n });
+    await escrow.connect(client).fundMilestone(projectId, 4, { value: 10n });
+    await escrow.connect(freelancer).submitMilestone(projectId, 1, ethers.id("deliverable 1"));
+    await escrow.connect(client).releaseMilestone(projectId, 1);
+
+    const indexer = new EscrowIndexer({ contract: escrow, startBlock, batchSize: 5 });
+    const result = await indexer.sync();
+    // Includes the four role and fee events from the deployment.
+    expect(result.eventCount).to.equal(18);
+    expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+
+    expect(indexer.getProjects().map((p) => p.projectId)).to.deep.equal([projectId, otherProjectId]);
+    expect(indexer.getProjects({ status: "Open" }).map((p) => p.projectId)).to.deep.equal([otherProjectId]);
+    expect(indexer.getProjects({ freelancer: freelancer.address })).to.have.length(1);
+
+    const project = indexer.getProject(projectId);
+    expect(project.status).to.equal("InProgress");
+    expect(project.freelancer).to.equal(freelancer.address);
+    expect(project.vaultBalance).to.equal((await escrow.projects(projectId)).vaultBalance);
+
+    expect(indexer.getBids(projectId).map((b) => [b.bidder, b.amountWei])).to.deep.equal([
+      [freelancer.address, 80n],
+      [otherAccount.address, 90n],
+    ]);
+    expect(indexer.getBids(projectId)[0].history.map((h) => h.amountWei)).to.deep.equal([100n, 80n]);
+
+    const milestones = indexer.getMilestones(projectId);
+    expect(milestones.map((m) => m.index)).to.deep.equal([1, 4]);
+    for (const milestone of milestones) {
+      const onChain = await escrow.milestones(projectId, milestone.index);
+      expect(milestone.fundedWei).to.equal(onChain.fundedWei);
+      expect(milestone.submitted).to.equal(onChain.submitted);
+      expect(milestone.released).to.equal(onChain.released);
+      expect(milestone.reclaimed).to.equal(onChain.reclaimed);
+      expect(milestone.specHash).to.equal(onChain.specHash);
+      expect(milestone.deliverableHash).to.equal(onChain.deliverableHash);
+    }
+
+    expect(indexer.getEvents({ projectId, name: "BidPlaced" })).to.have.length(2);
+    expect(indexer.getEvents({ projectId, name: "BidUpdated" })).to.have.length(1);
+  });
+
+  it("Should drop withdrawn bids", async function () {
+    const { escrow, startBlock, client, freelancer, otherAccount, arbiter } = await loadFixture(deployEscrowFixture);
+    const expiry = (await time.latest()) + 3600;
+
+    const projectId = await createProject(escrow, client, arbiter.address);
+    await escrow.connect(freelancer).placeBid(projectId, 100n, expiry);
+    await escrow.connect(otherAccount).placeBid(projectId, 90n, 0);
+    await escrow.connect(freelancer).withdrawBid(projectId);
+
+    const indexer = new EscrowIndexer({ contract: escrow, startBlock });
+    await indexer.sync();
+    expect(indexer.getBids(projectId).map((b) => [b.bidder, b.expiry])).to.deep.equal([[otherAccount.address, 0]]);
+
+    await escrow.connect(freelancer).placeBid(projectId, 70n, expiry);
+    await indexer.sync();
+    const [, rebid] = indexer.getBids(projectId);
+    expect(rebid).to.include({ bidder: freelancer.address, amountWei: 70n, expiry });
+    expect(rebid.history).to.have.length(1);
+  });
+
+  it("Should track payee splits and pending changes", async function () {
+    const { escrow, startBlock, client, freelancer, otherAccount, arbiter } = await loadFixture(deployEscrowFixture);
+    const store = new JsonFileStore(tmpFile());
+
+    const projectId = await createProject(escrow, client, arbiter.address);
+    await escrow.connect(freelancer).placeBid(projectId, 100n, 0);
+    await escrow.connect(freelancer).setBidPayees(projectId, [freelancer.address, otherAccount.address], [7_000, 3_000]);
+    await escrow.connect(client).acceptBid(projectId, freelancer.address, 100n, hashSplit([
+      { account: freelancer.address, shareBps: 7_000 },
+      { account: otherAccount.address, shareBps: 3_000 },
+    ]));
+    await escrow.connect(otherAccount).proposeSplit(projectId, [otherAccount.address], [10_000]);
+
+    const indexer = new EscrowIndexer({ contract: escrow, store, startBlock });
+    await indexer.sync();
+    const split = [
+      { account: freelancer.address, shareBps: 7_000 },
+      { account: otherAccount.address, shareBps: 3_000 },
+    ];
+    expect(indexer.getBids(projectId)[0].payees).to.deep.equal(split);
+    expect(indexer.getProject(projectId).payees).to.deep.equal(split);
+    expect(indexer.getProject(projectId).splitProposal).to.include({ proposer: otherAccount.address });
+    expect(indexer.getProject(projectId).splitProposal.approvedBy).to.deep.equal([otherAccount.address]);
+
+    const { splitHash } = await escrow.splitProposals(projectId);
+    await escrow.connect(freelancer).approveSplit(projectId, splitHash);
+
+    const resumed = new EscrowIndexer({ contract: escrow, store, startBlock });
+    await resumed.sync();
+    expect(resumed.getProject(projectId).payees).to.deep.equal([{ account: otherAccount.address, shareBps: 10_000 }]);
+    expect(resumed.getProject(projectId).splitProposal).to.be.null;
+  });
+
+  it("Should track disputed funds through close and resolution", async function () {
+    const { escrow, startBlock, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+    const indexer = new EscrowIndexer({ contract: escrow, startBlock });
+
+    const projectId = await createHiredProject(escrow, {
+      client,
+      freelancer,
+      arbiter,
+      bidWei: 100n,
+      deadline,
+      reviewPeriod: REVIEW_PERIOD,
+      milestones: [
+        { index: 0, amountWei: 100n, submitted: true },
+        { index: 1, amountWei: 50n },
+      ],
+    });
+    await escrow.connect(freelancer).openDispute(projectId, 0);
+    await escrow.connect(client).closeProject(projectId);
+
+    await indexer.sync();
+    expect(indexer.getProject(projectId)).to.include({ status: "Closed", vaultBalance: 100n, disputedWei: 100n });
+    expect(indexer.getMilestone(projectId, 0).disputed).to.be.true;
+
+    await escrow.connect(arbiter).resolveDispute(projectId, 0, 70n);
+
+    await indexer.sync();
+    expect(indexer.getProject(projectId)).to.include({ vaultBalance: 0n, disputedWei: 0n });
+    expect(indexer.getMilestone(projectId, 0)).to.include({ disputed: false, released: true, fundedWei: 0n });
+  });
+
+  it("Should tell reclaimed milestones from released ones", async function () {
+    const { escrow, startBlock, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+    const indexer = new EscrowIndexer({ contract: escrow, startBlock });
+
+    const projectId = await createHiredProject(escrow, {
+      client,
+      freelancer,
+      arbiter,
+      bidWei: 100n,
+      deadline,
+      reviewPeriod: REVIEW_PERIOD,
+      milestones: [{ index: 0, amountWei: 100n }],
+    });
+    await time.increaseTo(deadline + 1);
+    await escrow.connect(client).reclaimMilestone(projectId, 0);
+
+    await indexer.sync();
+    expect(indexer.getProject(projectId).vaultBalance).to.equal(0n);
+    expect(indexer.getMilestone(projectId, 0)).to.include({ reclaimed: true, released: false, fundedWei: 0n });
+  });
+
+  it("Should settle cancelled projects and reopen resigned ones", async function () {
+    const { escrow, startBlock, client, freelancer, otherAccount, arbiter, deadline } =
+      await loadFixture(deployEscrowFixture);
+    const indexer = new EscrowIndexer({ contract: escrow, startBlock });
+
+    const projectId = await createHiredProject(escrow, {
+      client,
+      freelancer,
+      arbiter,
+      bidWei: 100n,
+      deadline,
+      reviewPeriod: REVIEW_PERIOD,
+      milestones: [
+        { index: 0, amountWei: 60n, submitted: true },
+        { index: 1, amountWei: 40n },
+      ],
+    });
+    await escrow.connect(freelancer).proposeCancellation(projectId);
+
+    await indexer.sync();
+    expect(indexer.getProject(projectId).cancellation)
+      .to.deep.equal({ proposedBy: freelancer.address, freelancerWei: 60n, clientWei: 40n });
+
+    await escrow.connect(client).acceptCancellation(projectId, 60n, 40n);
+
+    await indexer.sync();
+    expect(indexer.getProject(projectId)).to.include({ status: "Closed", vaultBalance: 0n, cancellation: null });
+    expect(indexer.getWithdrawable(freelancer.address)).to.equal(60n);
+    expect(indexer.getWithdrawable(client.address)).to.equal(40n);
+
+    const resignedId = await createProject(escrow, client, arbiter.address);
+    await escrow.connect(freelancer).placeBid(resignedId, 100n, 0);
+    await escrow.connect(otherAccount).placeBid(resignedId, 90n, 0);
+    await escrow.connect(client).acceptBid(resignedId, freelancer.address, 100n, ethers.ZeroHash);
+    await escrow.connect(freelancer).resign(resignedId);
+
+    await indexer.sync();
+    expect(indexer.getProject(resignedId)).to.include({ status: "Open", freelancer: ethers.ZeroAddress });
+    expect(indexer.getBids(resignedId).map((bid) => bid.bidder)).to.deep.equal([otherAccount.address]);
+  });
+
+  it("Should total the fees charged on each project", async function () {
+    const { escrow, startBlock, client, freelancer, otherAccount, arbiter, deadline } =
+      await loadFixture(deployEscrowFixture);
+    const indexer = new EscrowIndexer({ contract: escrow, startBlock });
+
+    await escrow.connect(client).setFee(1000, true);
+    await escrow.connect(client).setTreasury(otherAccount.address);
+    const projectId = await createHiredProject(escrow, {
+      client,
+      freelancer,
+      arbiter,
+      bidWei: 100n,
+      deadline,
+      reviewPeriod: REVIEW_PERIOD,
+      milestones: [
+        { index: 0, amountWei: 105n, submitted: true },
+        { index: 1, amountWei: 50n },
+        { index: 2, amountWei: 100n, submitted: true },
+      ],
+    });
+    await escrow.connect(client).releaseMilestone(projectId, 0);
+    await escrow.connect(client).openDispute(projectId, 2);
+    await escrow.connect(client).closeProject(projectId);
+    await escrow.connect(arbiter).resolveDispute(projectId, 2, 100n);
+
+    await indexer.sync();
+    expect(indexer.getProject(projectId)).to.include({ vaultBalance: 0n, feesWei: 25n });
+    expect(indexer.getWithdrawable(otherAccount.address)).to.equal(25n);
+    expect(indexer.getWithdrawable(freelancer.address)).to.equal(185n);
+    expect(indexer.getWithdrawable(client.address)).to.equal(45n);
+  });
+
+  it("Should follow amended and cancelled milestones", async function () {
+    const { escrow, startBlock, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+    const indexer = new EscrowIndexer({ contract: escrow, startBlock });
+
+    const projectId = await createHiredProject(escrow, {
+      client,
+      freelancer,
+      arbiter,
+      bidWei: 100n,
+      deadline,
+      reviewPeriod: REVIEW_PERIOD,
+      milestones: [
+        { index: 0, amountWei: 100n },
+        { index: 1, amountWei: 50n },
+      ],
+    });
+    await escrow.connect(client).amendMilestone(projectId, 0, 40n, deadline, REVIEW_PERIOD);
+
+    await indexer.sync();
+    expect(indexer.getMilestone(projectId, 0).pendingAmendment).to.deep.equal({
+      amountWei: 40n,
+      deadline,
+      reviewPeriod: REVIEW_PERIOD,
+    });
+
+    await escrow.connect(freelancer).acceptAmendment(projectId, 0, 40n, deadline, REVIEW_PERIOD);
+    await escrow.connect(client).cancelMilestone(projectId, 1);
+
+    await indexer.sync();
+    expect(indexer.getMilestone(projectId, 0)).to.include({ amountWei: 40n, fundedWei: 40n, pendingAmendment: null });
+    expect(indexer.getMilestones(projectId).map((m) => m.index)).to.deep.equal([0]);
+    expect(indexer.getProject(projectId).vaultBalance).to.equal((await escrow.projects(projectId)).vaultBalance);
+    expect(indexer.getWithdrawable(client.address)).to.equal(110n);
+  });
+
+  it("Should track withdrawable balances", async function () {
+    const { escrow, startBlock, client, freelancer, arbiter, deadline } = await loadFixture(deployEscrowFixture);
+    const indexer = new EscrowIndexer({ contract: escrow, startBlock });
+
+    const projectId = await createHiredProject(escrow, {
+      client,
+      freelancer,
+      arbiter,
+      bidWei: 100n,
+      deadline,
+      reviewPeriod: REVIEW_PERIOD,
+      milestones: [{ index: 0, amountWei: 100n, fundedWei: 130n, submitted: true }],
+    });
+    await escrow.connect(client).releaseMilestone(projectId, 0);
+    await escrow.connect(client).closeProject(projectId);
+
+    await indexer.sync();
+    expect(indexer.getWithdrawable(freelancer.address)).to.equal(100n);
+    expect(indexer.getWithdrawable(client.address)).to.equal(30n);
+    expect(indexer.getWithdrawable(arbiter.address)).to.equal(0n);
+
+    await escrow.connect(freelancer).withdraw(ethers.ZeroAddress);
+
+    await indexer.sync();
+    expect(indexer.getWithdrawable(freelancer.address)).to.equal(0n);
+    expect(indexer.getWithdrawable(client.address)).to.equal(
+      await escrow.withdrawable(client.address, ethers.ZeroAddress)
+    );
+  });
+
+  it("Should resume from the stored checkpoint", async function () {
+    const { escrow, startBlock, client, arbiter } = await loadFixture(deployEscrowFixture);
+    const store = new JsonFileStore(tmpFile());
+
+    const projectId = await createProject(escrow, client, arbiter.address);
+    const first = await new EscrowIndexer({ contract: escrow, store, startBlock }).sync();
+
+    const otherProjectId = await createProject(escrow, client, arbiter.address);
+    await escrow.connect(client).closeProject(projectId);
+
+    const resumed = new EscrowIndexer({ contract: escrow, store, startBlock });
+    const second = await resumed.sync();
+
+    expect(second.fromBlock).to.equal(first.toBlock + 1);
+    expect(second.eventCount).to.equal(2);
+    expect(resumed.getProject(projectId).status).to.equal("Closed");
+    expect(resumed.getProject(otherProjectId).status).to.equal("Open");
+  });
+
+  it("Should stay behind the head by the configured confirmations", async function () {
+    const { escrow, startBlock, client, arbiter } = await loadFixture(deployEscrowFixture);
+
+    const projectId = await createProject(escrow, client, arbiter.address);
+    const otherProjectId = await createProject(escrow, client, arbiter.address);
+
+    const indexer = new EscrowIndexer({ contract: escrow, startBlock, confirmations: 1 });
+    await indexer.sync();
+
+    expect(indexer.getProject(projectId)).to.exist;
+    expect(indexer.getProject(otherProjectId)).to.be.undefined;
+  });
+
+  it("Should roll back blocks dropped by a reorg", async function () {
+    const { escrow, startBlock, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+    const store = new MemoryStore();
+    const indexer = new EscrowIndexer({ contract: escrow, store, startBlock });
+
+    const projectId = await createProject(escrow, client, arbiter.address);
+    await indexer.sync();
+    const forkPoint = indexer.checkpoint;
+
+    const snapshot = await takeSnapshot();
+    const otherProjectId = await createProject(escrow, client, arbiter.address);
+    await escrow.connect(freelancer).placeBid(projectId, 100n, 0);
+    await indexer.sync();
+    expect(indexer.getProject(otherProjectId)).to.exist;
+
+    // Replace the last two blocks with a different history. Project IDs
+    // come from the contract, so the replacement reuses the dropped ID.
+    await snapshot.restore();
+    const replacementId = await createProject(escrow, freelancer, arbiter.address);
+    await mine(3);
+    expect(replacementId).to.equal(otherProjectId);
+
+    const result = await indexer.sync();
+    expect(result.rewoundTo).to.equal(forkPoint.number);
+    expect(indexer.getProject(replacementId).client).to.equal(freelancer.address);
+    expect(indexer.getBids(projectId)).to.deep.equal([]);
+    expect(indexer.getEvents({ name: "BidPlaced" })).to.deep.equal([]);
+
+    // A fresh indexer resuming from the same store sees the repaired index.
+    const resumed = new EscrowIndexer({ contract: escrow, store, startBlock });
+    await resumed.sync();
+    expect(resumed.getProjects().map((p) => [p.projectId, p.client])).to.deep.equal([
+      [projectId, client.address],
+      [replacementId, freelancer.address],
+    ]);
+  });
+
+  it("Should refuse a store that indexes another contract", async function () {
+    const { escrow, startBlock, client } = await loadFixture(deployEscrowFixture);
+    const store = new MemoryStore();
+    await new EscrowIndexer({ contract: escrow, store, startBlock }).sync();
+
+    const other = await (await ethers.getContractFactory("Escrow")).deploy(client.address, 0, false);
+    await expect(new EscrowIndexer({ contract: other, store }).sync())
+      .to.be.rejectedWith("Store holds an index of");
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+
+const EscrowModule = require("../ignition/modules/Escrow");
+const MockTokenModule = require("../ignition/modules/MockToken");
+const { isDevelopmentAccount } = require("../sdk/deployments");
+
+describe("EscrowModule", function () {
+  async function deployModuleFixture() {
+    const [deployer, treasury] = await ethers.getSigners();
+    const parameters = { EscrowModule: { treasury: treasury.address, feeBps: 0, chargeFeeOnClose: false } };
+    return { ...(await ignition.deploy(EscrowModule, { parameters })), deployer, treasury };
+  }
+
+  it("Should deploy a working Escrow", async function () {
+    const { escrow } = await loadFixture(deployModuleFixture);
+
+    const project = await escrow.projects(0);
+    expect(project.exists).to.be.false;
+  });
+
+  it("Should set the owner, treasury and fee", async function () {
+    const { escrow, deployer, treasury } = await loadFixture(deployModuleFixture);
+
+    expect(await escrow.owner()).to.equal(deployer.address);
+    expect(await escrow.treasury()).to.equal(treasury.address);
+    expect(await escrow.feeBps()).to.equal(0n);
+    expect(await escrow.chargeFeeOnClose()).to.be.false;
+  });
+
+  it("Should deploy with every network parameter file", async function () {
+    const [, , , , , operatorTreasury] = await ethers.getSigners();
+    const dir = path.join(__dirname, "..", "ignition", "parameters");
+
+    for (const file of fs.readdirSync(dir)) {
+      const parameters = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      expect(parameters.EscrowModule, file).to.include.keys("feeBps", "chargeFeeOnClose");
+      if (file !== "localhost.json") {
+        // Shared networks name no treasury, so nothing deploys until the
+        // operator sets their own.
+        expect(parameters.EscrowModule, file).not.to.have.property("treasury");
+        await expect(ignition.deploy(EscrowModule, { parameters }), file).to.be.rejectedWith("treasury");
+        parameters.EscrowModule.treasury = operatorTreasury.address;
+      }
+      const { escrow } = await ignition.deploy(EscrowModule, { parameters });
+      expect(await escrow.treasury()).to.equal(parameters.EscrowModule.treasury);
+      expect(await escrow.feeBps()).to.equal(BigInt(parameters.EscrowModule.feeBps));
+      expect(await escrow.chargeFeeOnClose()).to.equal(parameters.EscrowModule.chargeFeeOnClose);
+    }
+  });
+
+  it("Should not deploy without a fee setting", async function () {
+    const [, treasury] = await ethers.getSigners();
+    const parameters = { EscrowModule: { treasury: treasury.address, feebps: 100, chargeFeeOnClose: false } };
+
+    await expect(ignition.deploy(EscrowModule, { parameters })).to.be.rejectedWith("feeBps");
+  });
+
+  it("Should recognise Hardhat's default accounts", async function () {
+    const signers = await ethers.getSigners();
+
+    expect(isDevelopmentAccount(signers[0].address)).to.be.true;
+    expect(isDevelopmentAccount(signers[19].address.toLowerCase())).to.be.true;
+    expect(isDevelopmentAccount(ethers.Wallet.createRandom().address)).to.be.false;
+  });
+
+  it("Should deploy the local mock token", async function () {
+    const parameters = JSON.parse(
+      fs.readFileSync(path.join(__dirname, "..", "ignition", "parameters", "localhost.json"), "utf8")
+    );
+    const { token } = await ignition.deploy(MockTokenModule, { parameters });
+
+    expect(await token.symbol()).to.equal("mUSDC");
+    expect(await token.decimals()).to.equal(6n);
+  });
+});
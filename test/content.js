@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  contentHashToCid,
+  directoryManifest,
+  hashDirectory,
+  hashFile,
+  hashPath,
+  toContentHash,
+} = require("../sdk/content");
+
+describe("Content hashes", function () {
+  function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), "escrow-content-"));
+  }
+
+  function writeTree(root, files) {
+    for (const [name, contents] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+      fs.writeFileSync(path.join(root, name), contents);
+    }
+    return root;
+  }
+
+  it("Should hash a file with sha-256", async function () {
+    const file = path.join(tempDir(), "spec.md");
+    fs.writeFileSync(file, "# Spec\n");
+
+    expect(await hashFile(file)).to.equal(ethers.sha256(ethers.toUtf8Bytes("# Spec\n")));
+    expect(await hashPath(file)).to.equal(await hashFile(file));
+  });
+
+  it("Should hash a directory regardless of the order files were written", async function () {
+    const files = { "b.txt": "b", "a/z.txt": "z", "a/y.txt": "y" };
+    const first = writeTree(tempDir(), files);
+    const second = writeTree(tempDir(), Object.fromEntries(Object.entries(files).reverse()));
+    fs.mkdirSync(path.join(second, "empty"));
+
+    expect((await directoryManifest(first)).map((entry) => entry.path)).to.deep.equal(["a/y.txt", "a/z.txt", "b.txt"]);
+    expect(await hashDirectory(second)).to.equal(await hashDirectory(first));
+    expect(await hashPath(first)).to.equal(await hashDirectory(first));
+
+    const manifest = (await directoryManifest(first)).map((entry) => `${entry.hash} ${entry.path}\n`).join("");
+    expect(await hashDirectory(first)).to.equal(ethers.sha256(ethers.toUtf8Bytes(manifest)));
+  });
+
+  it("Should change the directory hash when a file is renamed or edited", async function () {
+    const root = writeTree(tempDir(), { "a.txt": "a", "b.txt": "b" });
+    const original = await hashDirectory(root);
+
+    fs.renameSync(path.join(root, "b.txt"), path.join(root, "c.txt"));
+    const renamed = await hashDirectory(root);
+    expect(renamed).to.not.equal(original);
+
+    fs.writeFileSync(path.join(root, "a.txt"), "A");
+    expect(await hashDirectory(root)).to.not.equal(renamed);
+  });
+
+  it("Should reject symlinks in a directory", async function () {
+    const root = writeTree(tempDir(), { "a.txt": "a" });
+    fs.symlinkSync(path.join(root, "a.txt"), path.join(root, "link.txt"));
+
+    await expect(hashDirectory(root)).to.be.rejectedWith("not a regular file or directory");
+  });
+
+  it("Should accept hashes and raw CIDv1s", function () {
+    const digest = ethers.sha256(ethers.toUtf8Bytes("hello"));
+    // `ipfs add --cid-version 1 --raw-leaves` of the same bytes.
+    const cid = "bafkreibm6jg3ux5qumhcn2b3flc3tyu6dmlb4xa7u5bf44yegnrjhc4yeq";
+
+    expect(toContentHash(digest.toUpperCase().replace("0X", "0x"))).to.equal(digest);
+    expect(toContentHash(undefined)).to.equal(ethers.ZeroHash);
+    expect(toContentHash("")).to.equal(ethers.ZeroHash);
+
+    expect(contentHashToCid(digest)).to.equal(cid);
+    expect(toContentHash(cid)).to.equal(digest);
+  });
+
+  it("Should reject other values", function () {
+    expect(() => toContentHash("0x1234")).to.throw("Expected a bytes32 hex string or a raw CIDv1");
+    expect(() => toContentHash("not a cid")).to.throw("Expected a bytes32 hex string or a raw CIDv1");
+    // CIDv0 and dag-pb CIDv1s digest a UnixFS node, not the bytes.
+    expect(() => toContentHash("QmWfVY9y3xjsixTgbd9AorQxH7VtMpzfx2HaWtsoUYecaX")).to.throw("dag-pb");
+    expect(() => toContentHash("bafybeidg3ahq5nsu5rxppxtnlnuwyq7v6bd6ifhvyxwhdvvakgp3jqi3im")).to.throw("raw codec");
+    // CIDv1 with a blake2b-256 multihash.
+    expect(() => toContentHash("bafk2bzacecw2xlbzr6cblxi63fdwkfpuf2c6wjhw6zrlvuxy4t3ozp7m5e6vy")).to.throw("sha2-256");
+  });
+});
@@ -0,0 +1,97 @@
+// Seeded random sequence runner with shrinking, used by the invariant tests.
+// Nothing in here knows about Escrow: callers describe how to generate,
+// execute and check steps, and how to reset the chain between replays.
+
+const { createRng } = require("../../tasks/random");
+
+/**
+ * Replays `steps` from a clean state and returns the first invariant
+ * violation, or null. `execute` is expected to swallow the reverts a random
+ * sequence is bound to hit; anything it throws counts as a failure too.
+ */
+async function runSequence(steps, { reset, execute, check }) {
+  const context = await reset();
+  for (let i = 0; i < steps.length; i++) {
+    try {
+      await execute(context, steps[i]);
+      await check(context);
+    } catch (error) {
+      return { stepIndex: i, error };
+    }
+  }
+  return null;
+}
+
+/**
+ * Removes ever smaller chunks of `steps` while `fails` keeps returning true,
+ * so the result is a sequence where dropping any single step makes the
+ * failure go away.
+ */
+async function shrink(steps, fails) {
+  let current = steps;
+  let chunk = Math.max(1, Math.floor(current.length / 2));
+
+  while (chunk >= 1) {
+    let removed = false;
+    for (let start = 0; start < current.length; ) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + chunk)];
+      if (candidate.length > 0 && (await fails(candidate))) {
+        current = candidate;
+        removed = true;
+      } else {
+        start += chunk;
+      }
+    }
+    if (!removed) {
+      chunk = Math.floor(chunk / 2);
+    }
+  }
+  return current;
+}
+
+function formatSteps(steps, describe) {
+  return steps.map((step, i) => `  ${String(i + 1).padStart(3)}. ${describe(step)}`).join("\n");
+}
+
+/**
+ * Runs `runs` random sequences of `length` steps. On the first violation the
+ * sequence is shrunk and an error listing the seed and the minimal steps is
+ * thrown, so the failure can be replayed with the same seed.
+ *
+ * @param {object} options
+ * @param {number} options.seed
+ * @param {number} options.runs
+ * @param {number} options.length
+ * @param {(rng: ReturnType<typeof createRng>, length: number) => object[]} options.generate
+ *   builds one run's steps
+ * @param {() => Promise<object>} options.reset restores the initial state
+ *   and returns the context passed to `execute` and `check`
+ * @param {(context: object, step: object) => Promise<void>} options.execute
+ * @param {(context: object) => Promise<void>} options.check throws when an
+ *   invariant is broken
+ * @param {(step: object) => string} [options.describe]
+ */
+async function fuzz({ seed, runs, length, generate, reset, execute, check, describe = JSON.stringify }) {
+  for (let run = 0; run < runs; run++) {
+    const rng = createRng(seed + run);
+    const steps = generate(rng, length);
+
+    const failure = await runSequence(steps, { reset, execute, check });
+    if (!failure) continue;
+
+    const failing = steps.slice(0, failure.stepIndex + 1);
+    const minimal = await shrink(failing, async (candidate) =>
+      (await runSequence(candidate, { reset, execute, check })) !== null
+    );
+    const final = (await runSequence(minimal, { reset, execute, check })) || failure;
+
+    throw new Error(
+      `Invariant broken (seed ${seed + run}, step ${failure.stepIndex + 1} of ${length}): ` +
+        `${final.error.message}\n` +
+        `Minimal sequence (${minimal.length} of ${failing.length} steps):\n` +
+        formatSteps(minimal, describe)
+    );
+  }
+}
+
+module.exports = { createRng, runSequence, shrink, fuzz };
@@ -0,0 +1,51 @@
+// Escrow assigns project IDs itself, so tests read them back from the
+// ProjectCreated event instead of choosing them.
+
+const { ZeroAddress, ZeroHash, parseEther } = require("ethers");
+
+function projectIdFromReceipt(escrow, receipt) {
+  for (const log of receipt.logs) {
+    const parsed = escrow.interface.parseLog(log);
+    if (parsed && parsed.name === "ProjectCreated") {
+      return parsed.args.projectId;
+    }
+  }
+  throw new Error(`No ProjectCreated event in transaction ${receipt.hash}`);
+}
+
+// Creates a project as `client` and returns the ID Escrow assigned to it.
+async function createProject(escrow, client, arbiter, token = ZeroAddress, specHash = ZeroHash) {
+  const tx = await escrow.connect(client).createProject(arbiter, token, specHash);
+  return projectIdFromReceipt(escrow, await tx.wait());
+}
+
+// Creates a project, hires `freelancer` at `bidWei` and sets up each of
+// `milestones` in order: created, funded with `fundedWei` (its full amount
+// unless given; 0n leaves it unfunded) and submitted if `submitted` is set.
+// Token projects are funded with fundMilestoneToken, so the client must
+// have approved Escrow first. Returns the project ID.
+async function createHiredProject(
+  escrow,
+  { client, freelancer, arbiter, token = ZeroAddress, bidWei = parseEther("1.0"), deadline, reviewPeriod, milestones = [] }
+) {
+  const projectId = await createProject(escrow, client, arbiter.address, token);
+  await escrow.connect(freelancer).placeBid(projectId, bidWei, 0);
+  await escrow.connect(client).acceptBid(projectId, freelancer.address, bidWei, ZeroHash);
+
+  for (const { index, amountWei, fundedWei = amountWei, submitted = false } of milestones) {
+    await escrow.connect(client).createMilestone(projectId, index, amountWei, deadline, reviewPeriod, ZeroHash);
+    if (fundedWei > 0n) {
+      if (token === ZeroAddress) {
+        await escrow.connect(client).fundMilestone(projectId, index, { value: fundedWei });
+      } else {
+        await escrow.connect(client).fundMilestoneToken(projectId, index, fundedWei);
+      }
+    }
+    if (submitted) {
+      await escrow.connect(freelancer).submitMilestone(projectId, index, ZeroHash);
+    }
+  }
+  return projectId;
+}
+
+module.exports = { createHiredProject, createProject, projectIdFromReceipt };
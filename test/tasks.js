@@ -0,0 +1,452 @@
+const {
+  loadFixture,
+  takeSnapshot,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { contentHashToCid } = require("../sdk/content");
+
+describe("Escrow tasks", function () {
+  async function deployEscrowFixture() {
+    const [client, freelancer, , arbiter] = await ethers.getSigners();
+
+    const Escrow = await ethers.getContractFactory("Escrow");
+    const escrow = await Escrow.deploy(client.address, 0, false);
+
+    return { escrow, address: await escrow.getAddress(), client, freelancer, arbiter };
+  }
+
+  // Runs a task and returns what it printed.
+  async function runTask(name, args) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      await hre.run(name, args);
+    } finally {
+      console.log = log;
+    }
+    return lines.join("\n");
+  }
+
+  it("Should run a project lifecycle from the task CLI", async function () {
+    const { escrow, address, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address });
+    await runTask("escrow:bid", { address, id: 1n, amount: "1.5", signer: "1" });
+    await runTask("escrow:accept", { address, id: 1n, bidder: freelancer.address, amount: "1.5" });
+    await runTask("escrow:milestone", { address, id: 1n, index: 0, amount: "1" });
+
+    const funded = await runTask("escrow:fund", { address, id: 1n, index: 0, amount: "1.25" });
+    expect(funded).to.contain("MilestoneFunded(projectId=1, index=0, fundedWei=1.0 ETH, totalFundedWei=1.0 ETH)");
+    expect(funded).to.contain(`PaymentCredited(account=${client.address}, token=${ethers.ZeroAddress}, amountWei=0.25 ETH)`);
+    expect(funded).to.contain("milestone 0: 1.0/1.0 ETH funded, open");
+
+    await runTask("escrow:submit", { address, id: 1n, index: 0, signer: freelancer.address });
+
+    const released = await runTask("escrow:release", { address, id: 1n, index: 0 });
+    expect(released).to.contain("MilestoneReleased(projectId=1, index=0, amountWei=1.0 ETH, feeWei=0.0 ETH, netWei=1.0 ETH)");
+
+    const closed = await runTask("escrow:close", { address, id: 1n });
+    expect(closed).to.contain("ProjectClosed(projectId=1, refundedWei=0.0 ETH, feeWei=0.0 ETH, netWei=0.0 ETH)");
+    expect(closed).to.contain("Project 1 [Closed]");
+
+    const balance = await runTask("escrow:balance", { address, signer: "1" });
+    expect(balance).to.equal(`${freelancer.address}: 1.0 ETH withdrawable`);
+
+    const withdrawn = await runTask("escrow:withdraw", { address, signer: "1" });
+    expect(withdrawn).to.contain(
+      `Withdrawn(account=${freelancer.address}, token=${ethers.ZeroAddress}, to=${freelancer.address}, amountWei=1.0 ETH)`
+    );
+    expect(await escrow.withdrawable(freelancer.address, ethers.ZeroAddress)).to.equal(0n);
+
+    const project = await escrow.projects(1n);
+    expect(project.freelancer).to.equal(freelancer.address);
+    expect(project.status).to.equal(2); // Closed
+  });
+
+  it("Should use the units of a token project", async function () {
+    const { address, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+    await token.mint(client.address, 1_000_000_000n);
+    const tokenAddress = await token.getAddress();
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address, token: tokenAddress });
+    await runTask("escrow:bid", { address, id: 1n, amount: "250", signer: "1" });
+    await runTask("escrow:accept", { address, id: 1n, bidder: freelancer.address, amount: "250" });
+    await runTask("escrow:milestone", { address, id: 1n, index: 0, amount: "250" });
+
+    const funded = await runTask("escrow:fund", { address, id: 1n, index: 0, amount: "100.5" });
+    expect(funded).to.contain("fundedWei=100.5 mUSDC");
+    expect(funded).to.contain(`asset:      mUSDC (${tokenAddress})`);
+    expect(await token.balanceOf(address)).to.equal(100_500_000n);
+  });
+
+  it("Should schedule, claim and reclaim milestones", async function () {
+    const { escrow, address, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address });
+    await runTask("escrow:bid", { address, id: 1n, amount: "1", signer: "1" });
+    await runTask("escrow:accept", { address, id: 1n, bidder: freelancer.address, amount: "1" });
+    const scheduledAt = await time.latest();
+    await runTask("escrow:milestone", { address, id: 1n, index: 0, amount: "1", deadline: "+2d", review: "1h" });
+    await runTask("escrow:milestone", { address, id: 1n, index: 1, amount: "1", deadline: "+1d" });
+    await runTask("escrow:fund", { address, id: 1n, index: 0, amount: "1" });
+    await runTask("escrow:fund", { address, id: 1n, index: 1, amount: "1" });
+
+    const milestone = await escrow.milestones(1n, 0);
+    expect(milestone.reviewPeriod).to.equal(3600n);
+    expect(milestone.deadline).to.equal(BigInt(scheduledAt + 2 * 86400));
+
+    await runTask("escrow:submit", { address, id: 1n, index: 0, signer: "1" });
+    await time.increase(86400 + 1);
+
+    const claimed = await runTask("escrow:claim", { address, id: 1n, index: 0, signer: "1" });
+    expect(claimed).to.contain("MilestoneReleased(projectId=1, index=0, amountWei=1.0 ETH, feeWei=0.0 ETH, netWei=1.0 ETH)");
+
+    const reclaimed = await runTask("escrow:reclaim", { address, id: 1n, index: 1 });
+    expect(reclaimed).to.contain("MilestoneReclaimed(projectId=1, index=1, refundedWei=1.0 ETH)");
+    expect(reclaimed).to.contain("milestone 0: 0.0/1.0 ETH funded, released");
+    expect(reclaimed).to.contain("milestone 1: 0.0/1.0 ETH funded, reclaimed");
+  });
+
+  it("Should amend and cancel milestones", async function () {
+    const { escrow, address, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address });
+    await runTask("escrow:bid", { address, id: 1n, amount: "1", signer: "1" });
+    await runTask("escrow:accept", { address, id: 1n, bidder: freelancer.address, amount: "1" });
+    await runTask("escrow:milestone", { address, id: 1n, index: 0, amount: "1" });
+    await runTask("escrow:milestone", { address, id: 1n, index: 1, amount: "1" });
+    await runTask("escrow:fund", { address, id: 1n, index: 0, amount: "1" });
+
+    const { deadline, reviewPeriod } = await escrow.milestones(1n, 0);
+    const proposed = await runTask("escrow:amend", { address, id: 1n, index: 0, amount: "0.4" });
+    expect(proposed).to.contain("MilestoneAmendmentProposed(projectId=1, index=0, amountWei=0.4 ETH");
+    expect(proposed).to.contain(`proposed:    0.4 ETH, due ${deadline}, review ${reviewPeriod}s`);
+
+    // Terms other than the pending ones are rejected.
+    await expect(runTask("escrow:accept-amendment", {
+      address, id: 1n, index: 0, amount: "0.4", deadline: String(deadline), review: "1d", signer: "1",
+    })).to.be.rejectedWith("AmendmentNotFound");
+
+    const accepted = await runTask("escrow:accept-amendment", {
+      address, id: 1n, index: 0, amount: "0.4", deadline: String(deadline), review: String(reviewPeriod), signer: "1",
+    });
+    expect(accepted).to.contain("refundedWei=0.6 ETH)");
+    expect(accepted).to.contain("milestone 0: 0.4/0.4 ETH funded, open");
+
+    const shortened = await runTask("escrow:amend", { address, id: 1n, index: 0, review: "1d" });
+    expect(shortened).to.contain("MilestoneAmended(projectId=1, index=0, amountWei=0.4 ETH");
+    expect((await escrow.milestones(1n, 0)).reviewPeriod).to.equal(86400n);
+
+    const cancelled = await runTask("escrow:cancel", { address, id: 1n, index: 1 });
+    expect(cancelled).to.contain("MilestoneCancelled(projectId=1, index=1, refundedWei=0.0 ETH)");
+    expect(cancelled).not.to.contain("milestone 1:");
+  });
+
+  it("Should hand signed bids and submissions over as files", async function () {
+    const { escrow, address, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-task-"));
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address });
+
+    const bidFile = path.join(dir, "bid.json");
+    const split = `${freelancer.address}:9000,${arbiter.address}:1000`;
+    await runTask("escrow:sign-bid", { address, id: 1n, amount: "1.5", payees: split, out: bidFile, signer: "1" });
+    const bid = JSON.parse(fs.readFileSync(bidFile, "utf8"));
+    expect(bid).to.include({ projectId: "1", bidder: freelancer.address, amountWei: "1500000000000000000" });
+    expect(bid.sharesBps).to.deep.equal([9_000, 1_000]);
+
+    const accepted = await runTask("escrow:accept-signed-bid", { address, bid: bidFile });
+    expect(accepted).to.contain(`BidAccepted(projectId=1, bidder=${freelancer.address})`);
+    expect(accepted).to.contain(`payees:     ${split}`);
+
+    await runTask("escrow:milestone", { address, id: 1n, index: 0, amount: "1" });
+    await runTask("escrow:fund", { address, id: 1n, index: 0, amount: "1" });
+
+    const printed = await runTask("escrow:sign-submit", { address, id: 1n, index: 0, nonce: 5n, signer: "1" });
+    expect(JSON.parse(printed)).to.include({ projectId: "1", index: 0, nonce: "5" });
+
+    const submitFile = path.join(dir, "submit.json");
+    fs.writeFileSync(submitFile, printed);
+    const relayed = await runTask("escrow:relay-submit", { address, submission: submitFile, signer: "2" });
+    expect(relayed).to.contain(`MilestoneSubmitted(projectId=1, index=0, deliverableHash=${ethers.ZeroHash})`);
+    expect(relayed).to.contain("milestone 0: 1.0/1.0 ETH funded, submitted");
+
+    const cancelled = await runTask("escrow:cancel-nonce", { address, nonce: 6n, signer: "1" });
+    expect(cancelled).to.contain(`NonceCancelled(account=${freelancer.address}, nonce=6)`);
+    expect(await escrow.usedNonces(freelancer.address, 6n)).to.be.true;
+  });
+
+  it("Should show and change the platform fee", async function () {
+    const { escrow, address, client, arbiter } = await loadFixture(deployEscrowFixture);
+
+    const shown = await runTask("escrow:fee", { address });
+    expect(shown).to.contain("Fee:      0% of releases (max 10%)");
+    expect(shown).to.contain(`Owner:    ${client.address}`);
+
+    const changed = await runTask("escrow:fee", { address, bps: 250, onClose: true, treasury: arbiter.address });
+    expect(changed).to.contain("FeeUpdated(feeBps=250, chargeFeeOnClose=true)");
+    expect(changed).to.contain(`TreasuryUpdated(treasury=${arbiter.address})`);
+    expect(changed).to.contain("Fee:      2.5% of releases and close refunds (max 10%)");
+    expect(await escrow.treasury()).to.equal(arbiter.address);
+
+    await expect(runTask("escrow:fee", { address, bps: 250, signer: "1" })).to.be.rejectedWith("Unauthorized");
+  });
+
+  it("Should pause, hand over ownership and rescue tokens", async function () {
+    const { escrow, address, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+
+    const paused = await runTask("escrow:pause", { address });
+    expect(paused).to.contain(`Paused(account=${client.address})`);
+    expect(paused).to.contain("Paused:   yes");
+    await expect(runTask("escrow:create", { address, arbiter: arbiter.address }))
+      .to.be.rejectedWith("ContractPaused");
+    await runTask("escrow:unpause", { address });
+
+    await runTask("escrow:set-guardian", { address, guardian: arbiter.address });
+    const offered = await runTask("escrow:transfer-ownership", { address, to: freelancer.address });
+    expect(offered).to.contain(`(transferring to ${freelancer.address})`);
+    const accepted = await runTask("escrow:accept-ownership", { address, signer: "1" });
+    expect(accepted).to.contain(`Owner:    ${freelancer.address}`);
+    expect(accepted).to.contain(`Guardian: ${arbiter.address}`);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+    await token.mint(address, 1_500_000n);
+
+    const rescued = await runTask("escrow:rescue", {
+      address,
+      token: await token.getAddress(),
+      to: client.address,
+      signer: "1",
+    });
+    expect(rescued).to.contain(`TokensRescued(token=${await token.getAddress()}, to=${client.address}, amountWei=1.5 mUSDC)`);
+    expect(await token.balanceOf(client.address)).to.equal(1_500_000n);
+    expect(await escrow.owner()).to.equal(freelancer.address);
+  });
+
+  it("Should list, update and withdraw bids", async function () {
+    const { address, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address });
+    await runTask("escrow:bid", { address, id: 1n, amount: "2", signer: "1" });
+    await runTask("escrow:bid", { address, id: 1n, amount: "3", expiry: "2100-01-01", signer: "2" });
+    const updated = await runTask("escrow:bid", { address, id: 1n, amount: "1.5", signer: "1" });
+    expect(updated).to.contain(
+      `BidUpdated(projectId=1, bidder=${freelancer.address}, previousAmountWei=2.0 ETH, amountWei=1.5 ETH, expiry=0)`
+    );
+
+    const listed = await runTask("escrow:bids", { address, id: 1n });
+    expect(listed).to.contain("2 bids on project 1");
+    expect(listed).to.contain(`${freelancer.address}: 1.5 ETH, no expiry`);
+    expect(listed).to.contain("3.0 ETH, expires 2100-01-01T00:00:00.000Z");
+
+    await runTask("escrow:withdraw-bid", { address, id: 1n, signer: "2" });
+    expect(await runTask("escrow:bids", { address, id: 1n })).to.contain("1 bids on project 1");
+
+    await expect(runTask("escrow:accept", { address, id: 1n, bidder: freelancer.address, amount: "2" }))
+      .to.be.rejectedWith("BidAmountMismatch");
+    const accepted = await runTask("escrow:accept", { address, id: 1n, bidder: freelancer.address, amount: "1.5" });
+    expect(accepted).to.contain(`freelancer: ${freelancer.address}`);
+  });
+
+  it("Should record and verify spec and deliverable hashes", async function () {
+    const { address, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-task-"));
+    const spec = path.join(dir, "spec.md");
+    const deliverable = path.join(dir, "site");
+    fs.writeFileSync(spec, "# Landing page\n");
+    fs.mkdirSync(path.join(deliverable, "css"), { recursive: true });
+    fs.writeFileSync(path.join(deliverable, "index.html"), "<h1>Hi</h1>\n");
+    fs.writeFileSync(path.join(deliverable, "css", "site.css"), "h1 { color: red; }\n");
+
+    const hashed = await runTask("escrow:hash", { path: spec });
+    const specHash = hashed.split("\n")[0];
+    expect(specHash).to.equal(ethers.sha256(fs.readFileSync(spec)));
+    expect(hashed).to.contain(`CIDv1 (raw): ${contentHashToCid(specHash)}`);
+    expect(await runTask("escrow:hash", { path: deliverable })).not.to.contain("CID");
+    // One byte over a single IPFS chunk: stored under a dag-pb root.
+    const large = path.join(dir, "large.bin");
+    fs.writeFileSync(large, Buffer.alloc(262144 + 1, 1));
+    expect(await runTask("escrow:hash", { path: large })).not.to.contain("CID");
+    fs.truncateSync(large, 262144);
+    expect(await runTask("escrow:hash", { path: large })).to.contain("CIDv1 (raw): bafkrei");
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address, spec });
+    await runTask("escrow:bid", { address, id: 1n, amount: "1", signer: "1" });
+    await runTask("escrow:accept", { address, id: 1n, bidder: freelancer.address, amount: "1" });
+    await runTask("escrow:milestone", { address, id: 1n, index: 0, amount: "1", spec: specHash });
+    const submitted = await runTask("escrow:submit", { address, id: 1n, index: 0, deliverable, signer: "1" });
+    expect(submitted).to.contain(`spec:       ${specHash}`);
+    expect(submitted).to.match(/deliverable: 0x[0-9a-f]{64}/);
+
+    const verified = await runTask("escrow:verify", { address, id: 1n, path: spec });
+    expect(verified).to.equal(`Project 1 spec matches ${spec} (${specHash})`);
+    await runTask("escrow:verify", { address, id: 1n, index: 0, path: spec });
+    await runTask("escrow:verify", { address, id: 1n, index: 0, deliverable: true, path: deliverable });
+
+    fs.writeFileSync(path.join(deliverable, "css", "site.css"), "h1 { color: blue; }\n");
+    await expect(runTask("escrow:verify", { address, id: 1n, index: 0, deliverable: true, path: deliverable }))
+      .to.be.rejectedWith("Milestone 0 deliverable does not match");
+  });
+
+  it("Should split payouts between payees", async function () {
+    const { escrow, address, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+    const [, , designer] = await ethers.getSigners();
+    const split = `${freelancer.address}:7500,${designer.address}:2500`;
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address });
+    await runTask("escrow:bid", { address, id: 1n, amount: "1", signer: "1" });
+    const set = await runTask("escrow:bid-payees", { address, id: 1n, payees: split, signer: "1" });
+    expect(set).to.contain(`BidPayeesSet(projectId=1, bidder=${freelancer.address}`);
+    expect(await runTask("escrow:bids", { address, id: 1n })).to.contain(`    payees: ${split}`);
+    await expect(runTask("escrow:accept", { address, id: 1n, bidder: freelancer.address, amount: "1" }))
+      .to.be.rejectedWith("SplitMismatch");
+    const accepted = await runTask("escrow:accept", {
+      address,
+      id: 1n,
+      bidder: freelancer.address,
+      amount: "1",
+      payees: split,
+    });
+    expect(accepted).to.contain(`payees:     ${split}`);
+
+    const even = `${freelancer.address}:5000,${designer.address}:5000`;
+    const proposed = await runTask("escrow:propose-split", { address, id: 1n, payees: even, signer: "2" });
+    expect(proposed).to.contain(`proposed:   ${even}`);
+    await runTask("escrow:approve-split", { address, id: 1n, payees: even, signer: "1" });
+
+    await runTask("escrow:milestone", { address, id: 1n, index: 0, amount: "1" });
+    await runTask("escrow:fund", { address, id: 1n, index: 0, amount: "1" });
+    await runTask("escrow:submit", { address, id: 1n, index: 0, signer: "1" });
+    await runTask("escrow:release", { address, id: 1n, index: 0 });
+    expect(await escrow.withdrawable(designer.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("0.5"));
+
+    await expect(runTask("escrow:bid-payees", { address, id: 1n, payees: "nobody:100" }))
+      .to.be.rejectedWith("Invalid payee nobody:100");
+  });
+
+  it("Should cancel a project and let the freelancer resign", async function () {
+    const { escrow, address, client, freelancer, arbiter } = await loadFixture(deployEscrowFixture);
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address });
+    await runTask("escrow:bid", { address, id: 1n, amount: "1", signer: "1" });
+    await runTask("escrow:accept", { address, id: 1n, bidder: freelancer.address, amount: "1" });
+    await runTask("escrow:milestone", { address, id: 1n, index: 0, amount: "0.75" });
+    await runTask("escrow:milestone", { address, id: 1n, index: 1, amount: "0.25" });
+    await runTask("escrow:fund", { address, id: 1n, index: 0, amount: "0.75" });
+    await runTask("escrow:fund", { address, id: 1n, index: 1, amount: "0.25" });
+    await runTask("escrow:submit", { address, id: 1n, index: 0, signer: "1" });
+
+    const proposed = await runTask("escrow:propose-cancel", { address, id: 1n, signer: "1" });
+    expect(proposed).to.contain(
+      `cancel:     0.75 ETH to the freelancer, 0.25 ETH to the client (proposed by ${freelancer.address})`
+    );
+    await expect(runTask("escrow:accept-cancel", { address, id: 1n, freelancer: "1", client: "0" }))
+      .to.be.rejectedWith("CancellationMismatch");
+    const cancelled = await runTask("escrow:accept-cancel", { address, id: 1n, freelancer: "0.75", client: "0.25" });
+    expect(cancelled).to.contain("ProjectCancelled(projectId=1, freelancerWei=0.75 ETH, clientWei=0.25 ETH, feeWei=0.0 ETH)");
+    expect(cancelled).to.contain("Project 1 [Closed]");
+    expect(await escrow.withdrawable(client.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("0.25"));
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address });
+    await runTask("escrow:bid", { address, id: 2n, amount: "1", signer: "1" });
+    await runTask("escrow:accept", { address, id: 2n, bidder: freelancer.address, amount: "1" });
+    const resigned = await runTask("escrow:resign", { address, id: 2n, signer: "1" });
+    expect(resigned).to.contain(`FreelancerResigned(projectId=2, freelancer=${freelancer.address})`);
+    expect(resigned).to.contain("Project 2 [Open]");
+  });
+
+  it("Should show a project", async function () {
+    const { address, client, arbiter } = await loadFixture(deployEscrowFixture);
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address });
+    const created = await runTask("escrow:create", { address, arbiter: arbiter.address });
+    expect(created).to.contain(`ProjectCreated(projectId=2, client=${client.address}`);
+
+    const output = await runTask("escrow:show", { address, id: 2n });
+    expect(output).to.contain("Project 2 [Open]");
+    expect(output).to.contain(`client:     ${client.address}`);
+  });
+
+  it("Should write a JSON index", async function () {
+    const { address, arbiter } = await loadFixture(deployEscrowFixture);
+    const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-task-")), "index.json");
+
+    await runTask("escrow:create", { address, arbiter: arbiter.address });
+    await runTask("escrow:create", { address, arbiter: arbiter.address });
+
+    // Four events from the deployment's role setup, plus two ProjectCreated.
+    const output = await runTask("escrow:index", { address, out });
+    expect(output).to.match(/6 new events, 2 projects/);
+    expect(JSON.parse(fs.readFileSync(out, "utf8")).events).to.have.length(6);
+  });
+
+  it("Should seed the same projects and scenarios from the same seed", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-seed-"));
+    const snapshot = await takeSnapshot();
+
+    const output = await runTask("escrow:seed", { projects: 6, out: path.join(dir, "first.json") });
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, "first.json"), "utf8"));
+    expect(output).to.contain(`Deployed Escrow at ${manifest.contracts.escrow}`);
+    expect(output).to.contain(`Pass --address ${manifest.contracts.escrow} to the escrow:* tasks`);
+    expect(await runTask("escrow:show", { address: manifest.contracts.escrow, id: 1n })).to.contain("Project 1");
+
+    const escrow = await ethers.getContractAt("Escrow", manifest.contracts.escrow);
+    const byScenario = Object.fromEntries(manifest.projects.map((p) => [p.scenario, p]));
+    expect(manifest.projects.filter((p) => p.scenario === null).map((p) => p.status))
+      .to.deep.equal(["Open", "InProgress", "Closed", "Open", "InProgress", "Closed"]);
+    expect(manifest.projects.map((p) => p.projectId)).to.deep.equal(manifest.projects.map((_, i) => String(i + 1)));
+
+    const overfunded = byScenario["overfunded-milestone"];
+    expect(await escrow.withdrawable(overfunded.client, ethers.ZeroAddress)).to.be.at.least(ethers.parseEther("0.5"));
+    const abandoned = byScenario["client-abandons-project"];
+    await expect(escrow.connect(await ethers.getSigner(abandoned.freelancer)).claimMilestone(abandoned.projectId, 1))
+      .to.emit(escrow, "MilestoneReleased");
+    const missed = byScenario["freelancer-misses-deadline"];
+    await expect(escrow.connect(await ethers.getSigner(missed.client)).reclaimMilestone(missed.projectId, 0))
+      .to.emit(escrow, "MilestoneReclaimed");
+    expect((await escrow.milestones(byScenario["open-dispute"].projectId, 0)).disputed).to.equal(true);
+    expect((await escrow.amendments(byScenario["pending-amendment"].projectId, 0)).exists).to.equal(true);
+    expect(await escrow.getPayees(byScenario["split-payout"].projectId)).to.have.length(2);
+    const cancellation = await escrow.cancellations(byScenario["pending-cancellation"].projectId);
+    expect([cancellation.freelancerWei, cancellation.clientWei])
+      .to.deep.equal([ethers.parseEther("1"), ethers.parseEther("0.5")]);
+    expect(byScenario["freelancer-resigned"]).to.include({ status: "Open", freelancer: null });
+    expect(byScenario["closed-with-dispute"].status).to.equal("Closed");
+
+    await snapshot.restore();
+    await runTask("escrow:seed", { projects: 6, out: path.join(dir, "second.json") });
+    expect(fs.readFileSync(path.join(dir, "second.json"), "utf8")).to.equal(JSON.stringify(manifest, null, 2) + "\n");
+    await snapshot.restore();
+  });
+
+  it("Should only seed the scenarios asked for", async function () {
+    const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-seed-")), "manifest.json");
+    const snapshot = await takeSnapshot();
+
+    await runTask("escrow:seed", { projects: 0, scenarios: "expired-bid,open-dispute", out });
+    expect(JSON.parse(fs.readFileSync(out, "utf8")).projects.map((p) => [p.scenario, p.status])).to.deep.equal([
+      ["expired-bid", "Open"],
+      ["open-dispute", "InProgress"],
+    ]);
+    await snapshot.restore();
+
+    await expect(runTask("escrow:seed", { scenarios: "nope", out })).to.be.rejectedWith("Unknown scenario nope");
+  });
+
+  it("Should reject an unknown signer index", async function () {
+    const { address, arbiter } = await loadFixture(deployEscrowFixture);
+
+    await expect(runTask("escrow:create", { address, arbiter: arbiter.address, signer: "99" }))
+      .to.be.rejectedWith("No signer 99");
+  });
+});